@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+/**
+ * Builds a row as returned by the analytics query.
+ * @param {Object} group - The dimension columns of the row, e.g. `{ job_group: 'A' }`.
+ * @param {string|null} currency - The currency of the row, null for the row over every currency.
+ * @param {string} hours - The hours worked.
+ * @param {number} headcount - The number of employees.
+ * @param {string} amount - The amount paid.
+ * @returns {Object} - The row.
+ */
+const analyticsRow = (group, currency, hours, headcount, amount) => ({
+    ...group,
+    currency,
+    all_currencies: currency === null,
+    hours,
+    headcount,
+    average_hours: (Number(hours) / headcount).toFixed(2),
+    amount
+});
+
+describe('Analytics API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should summarise hours, headcount and cost per pay period', async () => {
+        const period = { period_start: '2023-01-01', period_end: '2023-01-15' };
+        mockClient.query
+            .mockResolvedValueOnce({
+                rows: [
+                    analyticsRow(period, null, '30.00', 2, '900.00'),
+                    analyticsRow(period, 'USD', '30.00', 2, '900.00')
+                ]
+            })
+            .mockResolvedValueOnce({
+                rows: [analyticsRow({}, null, '30.00', 2, '900.00'), analyticsRow({}, 'USD', '30.00', 2, '900.00')]
+            });
+
+        const response = await api.get('/analytics?startDate=2023-01-01&endDate=2023-01-15');
+
+        const summary = {
+            hours: 30,
+            headcount: 2,
+            averageHoursPerEmployee: 15,
+            costs: [{
+                currency: 'USD',
+                hours: 30,
+                amount: '$900.00',
+                amountMoney: { amount: '900.00', currency: 'USD' }
+            }]
+        };
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            groupBy: ['payPeriod'],
+            groups: [{ payPeriod: { startDate: '2023-01-01', endDate: '2023-01-15' }, ...summary }],
+            totals: summary
+        });
+        // Entries are priced with the same rate logic as the payroll report, including the week before the range
+        const [{ text, values }] = mockClient.query.mock.calls[0];
+        expect(text).toContain('job_group_rates');
+        expect(text).toContain('e.date > $1::date - 7');
+        // Entries of closed pay periods cost what was paid for them
+        expect(text).toContain('JOIN pay_period_entries closed ON closed.entry_id = repriced.id');
+        expect(text).toContain('GROUPING SETS ((period_start, period_end), (period_start, period_end, currency))');
+        expect(values).toEqual(['2023-01-01', '2023-01-15']);
+        expect(mockClient.query.mock.calls[1][0].text).toContain('GROUPING SETS ((), (currency))');
+    });
+
+    test('Should group by several dimensions and keep each currency apart', async () => {
+        const january = { month: '2023-01', job_group: 'A' };
+        const february = { month: '2023-02', job_group: 'B' };
+        mockClient.query
+            .mockResolvedValueOnce({
+                rows: [
+                    analyticsRow(january, null, '12.00', 3, '400.00'),
+                    analyticsRow(january, 'CAD', '2.00', 1, '100.00'),
+                    analyticsRow(january, 'USD', '10.00', 2, '300.00'),
+                    analyticsRow(february, null, '5.00', 1, '100.00'),
+                    analyticsRow(february, 'USD', '5.00', 1, '100.00')
+                ]
+            })
+            .mockResolvedValueOnce({
+                rows: [
+                    analyticsRow({}, null, '17.00', 3, '500.00'),
+                    analyticsRow({}, 'CAD', '2.00', 1, '100.00'),
+                    analyticsRow({}, 'USD', '15.00', 3, '400.00')
+                ]
+            });
+
+        const response = await api.get('/analytics?groupBy=month,jobGroup&groupBy=month');
+
+        expect(response.status).toBe(200);
+        expect(response.body.groupBy).toEqual(['month', 'jobGroup']);
+        expect(response.body.groups.map(({ month, jobGroup, headcount }) => [month, jobGroup, headcount]))
+            .toEqual([['2023-01', 'A', 3], ['2023-02', 'B', 1]]);
+        expect(response.body.groups[0].costs.map(cost => cost.amount)).toEqual(['CA$100.00', '$300.00']);
+        expect(response.body.totals).toMatchObject({ hours: 17, headcount: 3, averageHoursPerEmployee: 5.67 });
+        expect(response.body.totals.costs.map(cost => cost.amountMoney)).toEqual([
+            { amount: '100.00', currency: 'CAD' },
+            { amount: '400.00', currency: 'USD' }
+        ]);
+    });
+
+    test('Should reject invalid parameters', async () => {
+        const dimension = await api.get('/analytics?groupBy=employee');
+        const range = await api.get('/analytics?startDate=2023-02-01&endDate=2023-01-01');
+        const locale = await api.get('/analytics?locale=xx-invalid-');
+
+        expect(dimension.status).toBe(400);
+        expect(dimension.body).toEqual({ error: 'groupBy must be a list of payPeriod, jobGroup, month' });
+        expect(range.status).toBe(400);
+        expect(range.body).toEqual({ error: 'startDate must not be after endDate' });
+        expect(locale.status).toBe(400);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should only let admins see analytics', async () => {
+        const response = await api
+            .get('/analytics')
+            .set('Authorization', `Bearer ${signToken({ sub: 'payroll.clerk', role: 'uploader' })}`);
+
+        expect(response.status).toBe(403);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should return 500 when the database fails', async () => {
+        mockClient.query.mockRejectedValueOnce(new Error('Database error'));
+
+        const response = await api.get('/analytics');
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ error: 'Internal server error' });
+    });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+/**
+ * Builds a row as returned by the anomalies query.
+ * @param {number} id - The id of the anomaly.
+ * @returns {Object} - The row.
+ */
+const anomalyRow = (id) => ({
+    id,
+    report_id: '42',
+    rule: 'duplicateEntries',
+    line: id + 1,
+    column_name: 'employee id',
+    value: '1',
+    employee_id: 1,
+    message: 'Employee 1 already has hours on 2023-11-14 in report 41',
+    date: '2023-11-14',
+    detected_at: '2024-01-02T09:00:00'
+});
+
+describe('Anomaly API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should list the anomalies kept for review', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [anomalyRow(1), anomalyRow(2)] });
+
+        const response = await api.get('/anomalies');
+
+        expect(response.status).toBe(200);
+        expect(response.body.anomalies[0]).toEqual({
+            id: 1,
+            reportId: '42',
+            rule: 'duplicateEntries',
+            line: 2,
+            column: 'employee id',
+            value: '1',
+            employeeId: 1,
+            date: '2023-11-14',
+            message: 'Employee 1 already has hours on 2023-11-14 in report 41',
+            detectedAt: '2024-01-02T09:00:00'
+        });
+        expect(response.body.pagination).toEqual({ limit: 100, offset: 0, nextOffset: null });
+        expect(mockClient.query.mock.calls[0][0]).toContain('ORDER BY detected_at DESC, report_id, line, id');
+    });
+
+    test('Should pass the filters to the query', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [anomalyRow(1), anomalyRow(2), anomalyRow(3)] });
+
+        const response = await api.get(
+            '/anomalies?reportId=42&rule=duplicateEntries&employeeId=1&startDate=2023-11-01&endDate=2023-11-30&limit=2'
+        );
+
+        expect(response.status).toBe(200);
+        expect(response.body.anomalies).toHaveLength(2);
+        expect(response.body.pagination).toEqual({ limit: 2, offset: 0, nextOffset: 2 });
+        const [text, values] = mockClient.query.mock.calls[0];
+        expect(text).toContain('report_id = $1 AND rule = $2 AND employee_id = $3');
+        expect(text).toContain('date >= $4::date AND date <= $5::date');
+        expect(values).toEqual(['42', 'duplicateEntries', 1, '2023-11-01', '2023-11-30', 3, 0]);
+    });
+
+    test('Should reject invalid filters', async () => {
+        const rule = await api.get('/anomalies?rule=overtime');
+        const employee = await api.get('/anomalies?employeeId=abc');
+        const range = await api.get('/anomalies?startDate=2023-12-01&endDate=2023-11-01');
+        const limit = await api.get('/anomalies?limit=0');
+
+        expect(rule.status).toBe(400);
+        expect(rule.body).toEqual({
+            error: 'rule must be one of dailyHours, futureDates, duplicateEntries, mixedJobGroups'
+        });
+        expect(employee.status).toBe(400);
+        expect(employee.body).toEqual({ error: 'employeeId must be a numeric employee id' });
+        expect(range.status).toBe(400);
+        expect(limit.status).toBe(400);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should only let admins review anomalies', async () => {
+        const response = await api
+            .get('/anomalies')
+            .set('Authorization', `Bearer ${signToken({ sub: 'payroll.clerk', role: 'uploader' })}`);
+
+        expect(response.status).toBe(403);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should return 500 when the database fails', async () => {
+        mockClient.query.mockRejectedValueOnce(new Error('Database error'));
+
+        const response = await api.get('/anomalies');
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ error: 'Internal server error' });
+    });
+});
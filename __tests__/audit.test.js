@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const eventRow = (id) => ({
+    id,
+    occurred_at: '2024-01-02T09:00:00',
+    actor: 'payroll.clerk',
+    action: 'upload',
+    report_id: '42',
+    rows_added: 31,
+    rows_removed: 0,
+    checksum: 'a'.repeat(64)
+});
+
+describe('Audit Log API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should list audit events newest first', async () => {
+        mockClient.query.mockResolvedValue({ rows: [eventRow(2), eventRow(1)] });
+        const response = await api.get('/audit');
+
+        expect(response.status).toBe(200);
+        expect(response.body.events[0]).toEqual({
+            id: 2,
+            occurredAt: '2024-01-02T09:00:00',
+            actor: 'payroll.clerk',
+            action: 'upload',
+            reportId: '42',
+            rowsAdded: 31,
+            rowsRemoved: 0,
+            checksum: 'a'.repeat(64)
+        });
+        expect(response.body.pagination).toEqual({ limit: 100, offset: 0, nextOffset: null });
+        expect(mockClient.query.mock.calls[0][0]).toContain('ORDER BY id DESC');
+    });
+
+    test('Should pass the filters to the query', async () => {
+        mockClient.query.mockResolvedValue({ rows: [eventRow(3), eventRow(2), eventRow(1)] });
+        const response = await api
+            .get('/audit?reportId=42&actor=payroll.clerk&action=replace&startDate=2024-01-01&endDate=2024-01-31&limit=2');
+
+        expect(response.status).toBe(200);
+        expect(response.body.events).toHaveLength(2);
+        expect(response.body.pagination).toEqual({ limit: 2, offset: 0, nextOffset: 2 });
+        const [text, values] = mockClient.query.mock.calls[0];
+        expect(text).toContain('report_id = $1');
+        expect(text).toContain('actor = $2');
+        expect(text).toContain('action = $3');
+        expect(values).toEqual(['42', 'payroll.clerk', 'replace', '2024-01-01', '2024-01-31', 3, 0]);
+    });
+
+    test('Should reject invalid filters', async () => {
+        const badAction = await api.get('/audit?action=update');
+        expect(badAction.status).toBe(400);
+        expect(badAction.body).toEqual({ error: 'action must be one of upload, replace, delete' });
+
+        const badRange = await api.get('/audit?startDate=2024-02-01&endDate=2024-01-01');
+        expect(badRange.status).toBe(400);
+
+        const badLimit = await api.get('/audit?limit=0');
+        expect(badLimit.status).toBe(400);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should handle database errors', async () => {
+        mockClient.query.mockRejectedValue(new Error('Database error'));
+        const response = await api.get('/audit');
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ error: 'Internal server error' });
+    });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+process.env.JWT_SECRET = 'test-secret';
+
+/**
+ * Builds the Authorization header for a user.
+ * @param {Object} user - The token claims, see signToken().
+ * @returns {string} - The header value.
+ */
+const bearer = (user) => `Bearer ${signToken(user)}`;
+
+const uploader = bearer({ sub: 'payroll.clerk', role: 'uploader' });
+const employee = bearer({ sub: 'jane', role: 'employee', employeeId: 1 });
+
+describe('Authentication and Access Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should require a token', async () => {
+        const response = await request(app).get('/report');
+
+        expect(response.status).toBe(401);
+        expect(response.headers['www-authenticate']).toBe('Bearer');
+        expect(response.body).toEqual({ error: 'Authentication required' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should reject invalid, expired and unsigned tokens', async () => {
+        const tokens = [
+            'not-a-token',
+            jwt.sign({ role: 'admin' }, 'another-secret', { subject: 'admin' }),
+            signToken({ sub: 'admin', role: 'admin' }, -10),
+            jwt.sign({ role: 'admin', sub: 'admin' }, null, { algorithm: 'none' }),
+            signToken({ sub: 'admin', role: 'superuser' }),
+            signToken({ sub: 'jane', role: 'employee' })
+        ];
+        for (const token of tokens) {
+            const response = await request(app).get('/report').set('Authorization', `Bearer ${token}`);
+            expect(response.status).toBe(401);
+            expect(response.body).toEqual({ error: 'Invalid or expired token' });
+        }
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should let uploaders submit reports but nothing else', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const validate = await request(app)
+            .post('/upload/validate')
+            .set('Authorization', uploader)
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+        expect(validate.status).toBe(200);
+
+        for (const url of ['/report', '/job-groups', '/audit', '/employees']) {
+            const response = await request(app).get(url).set('Authorization', uploader);
+            expect(response.status).toBe(403);
+        }
+        const remove = await request(app).delete('/reports/1').set('Authorization', uploader);
+        expect(remove.status).toBe(403);
+    });
+
+    test('Should only show employees their own rows', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await request(app).get('/report').set('Authorization', employee);
+
+        expect(response.status).toBe(200);
+        expect(mockClient.query.mock.calls[0][0].values).toEqual([[1]]);
+
+        const others = await request(app).get('/report?employeeId=1,2').set('Authorization', employee);
+        expect(others.status).toBe(403);
+        expect(others.body).toEqual({ error: 'Employees can only view their own pay' });
+
+        const payStub = await request(app).get('/report/pay-stubs/2?payPeriod=2023-01-01').set('Authorization', employee);
+        expect(payStub.status).toBe(403);
+        // Only the first report ran, its rows and its totals by currency
+        expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('Should not let employees upload or change data', async () => {
+        const upload = await request(app)
+            .post('/upload')
+            .set('Authorization', employee)
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+        expect(upload.status).toBe(403);
+
+        const rules = await request(app).put('/overtime-rules').set('Authorization', employee).send({});
+        expect(rules.status).toBe(403);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+});
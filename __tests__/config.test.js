@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, databaseOptions } = require('../lib/config');
+
+describe('Configuration Tests', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-config-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Writes a config file to the test directory.
+     * @param {string} name - The file name.
+     * @param {*} contents - The contents, written as JSON unless it is a string.
+     * @returns {string} - The path of the file.
+     */
+    const configFile = (name, contents) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return filePath;
+    };
+
+    /**
+     * Loads the configuration and returns the problems it was rejected with.
+     * @param {Object} env - The environment variables.
+     * @returns {Array<string>} - The problems.
+     */
+    const problems = (env) => {
+        try {
+            loadConfig(env);
+        } catch (error) {
+            expect(error).toBeInstanceOf(ConfigError);
+            return error.problems;
+        }
+        throw new Error('Expected the configuration to be rejected');
+    };
+
+    test('Should use the defaults when nothing is set', () => {
+        const config = loadConfig({ CONFIG_FILE: configFile('empty.json', {}) });
+
+        expect(config).toEqual({
+            port: 4489,
+            jwtSecret: null,
+            employeeCheck: 'warn',
+            duplicateContent: 'warn',
+            anomalies: {
+                maxDailyHours: 24,
+                dailyHours: 'reject',
+                futureDates: 'reject',
+                duplicateEntries: 'warn',
+                mixedJobGroups: 'warn'
+            },
+            maxUploadMb: 100,
+            uploadWorkers: 1,
+            webhookHosts: [],
+            database: {
+                host: 'localhost', port: 5433, name: 'timekeeping', user: 'postgres', password: null, poolSize: 10
+            },
+            setup: { database: 'postgres', user: null, password: null }
+        });
+        expect(databaseOptions(config)).toEqual({
+            host: 'localhost', port: 5433, database: 'timekeeping', user: 'postgres', password: undefined
+        });
+    });
+
+    test('Should read the config file and let the environment override it', () => {
+        const CONFIG_FILE = configFile('ci.json', {
+            port: 8080,
+            anomalies: { maxDailyHours: 16, futureDates: 'warn' },
+            webhookHosts: ['hooks.example.com'],
+            database: { host: 'db.ci', name: 'payroll_ci', password: 'from-file' }
+        });
+
+        const config = loadConfig({
+            CONFIG_FILE, PGPASSWORD: 'from-env', PGPORT: '6543', EMPLOYEE_CHECK: 'reject', ANOMALY_FUTURE_DATES: 'off'
+        });
+
+        expect(config.port).toBe(8080);
+        expect(config.employeeCheck).toBe('reject');
+        expect(config.anomalies).toMatchObject({ maxDailyHours: 16, futureDates: 'off', dailyHours: 'reject' });
+        expect(config.webhookHosts).toEqual(['hooks.example.com']);
+        expect(loadConfig({ CONFIG_FILE, WEBHOOK_HOSTS: 'CI.example.com, 10.0.0.5' }).webhookHosts)
+            .toEqual(['ci.example.com', '10.0.0.5']);
+        expect(config.database).toEqual({
+            host: 'db.ci', port: 6543, name: 'payroll_ci', user: 'postgres', password: 'from-env', poolSize: 10
+        });
+    });
+
+    test('Should ignore empty environment variables', () => {
+        const config = loadConfig({ CONFIG_FILE: configFile('port.json', { port: 9000 }), PORT: '' });
+
+        expect(config.port).toBe(9000);
+    });
+
+    test('Should report every invalid setting together', () => {
+        const CONFIG_FILE = configFile('invalid.json', { database: { prot: 5432, user: '' } });
+
+        const env = {
+            CONFIG_FILE, PORT: 'http', PGPORT: '70000', PGPOOLSIZE: '0', EMPLOYEE_CHECK: 'ignore', ANOMALY_DAILY_HOURS: 'block',
+            WEBHOOK_HOSTS: 'https://hooks.example.com/uploads'
+        };
+        expect(problems(env)).toEqual([
+            `database.prot in ${CONFIG_FILE} is not a known setting`,
+            'PORT must be a port number between 1 and 65535',
+            'EMPLOYEE_CHECK must be one of warn, reject',
+            'ANOMALY_DAILY_HOURS must be one of warn, reject, off',
+            'WEBHOOK_HOSTS must be a list of host names, e.g. hooks.example.com',
+            'PGPORT must be a port number between 1 and 65535',
+            `database.user in ${CONFIG_FILE} must be a non-empty string`,
+            'PGPOOLSIZE must be a whole number above 0'
+        ]);
+    });
+
+    test('Should reject a config file that is missing or not a JSON object', () => {
+        const missing = path.join(dir, 'missing.json');
+        expect(problems({ CONFIG_FILE: missing })[0]).toMatch(`Config file ${missing} could not be read`);
+        expect(problems({ CONFIG_FILE: configFile('broken.json', '{ "port": ') })[0]).toMatch('is not valid JSON');
+        expect(problems({ CONFIG_FILE: configFile('list.json', [4489]) })[0]).toMatch('must contain a JSON object');
+    });
+
+    test('Should describe the problems in the error message', () => {
+        expect(() => loadConfig({ CONFIG_FILE: configFile('blank.json', {}), PORT: '0' }))
+            .toThrow('Invalid configuration:\n  - PORT must be a port number between 1 and 65535');
+    });
+});
@@ -0,0 +1,62 @@
+const { parseDate, createDateFormatDetector, differentShape, detectDateFormat } = require('../lib/dates');
+
+/**
+ * Numbers a list of dates as if they were the rows of a file.
+ * @param {Array<string>} values - The dates.
+ * @returns {Array<Object>} - The dates as `{ line, value }`.
+ */
+const lines = (values) => values.map((value, index) => ({ line: index + 2, value }));
+
+describe('Date Format Tests', () => {
+    test('Should parse each supported format', () => {
+        expect(parseDate('4/1/2023', 'DD/MM/YYYY')).toBe('2023-01-04');
+        expect(parseDate('1/4/2023', 'MM/DD/YYYY')).toBe('2023-01-04');
+        expect(parseDate('2023-01-04', 'YYYY-MM-DD')).toBe('2023-01-04');
+        expect(parseDate('2023/01/04', 'YYYY/MM/DD')).toBe('2023-01-04');
+    });
+
+    test('Should reject impossible dates', () => {
+        expect(parseDate('31/02/2023', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDate('29/02/2023', 'DD/MM/YYYY')).toBeNull();
+        expect(parseDate('29/02/2024', 'DD/MM/YYYY')).toBe('2024-02-29');
+        expect(parseDate('2023/14/01', 'YYYY/MM/DD')).toBeNull();
+        expect(parseDate('2023-01-04', 'DD/MM/YYYY')).toBeNull();
+    });
+
+    test('Should detect an unambiguous format', () => {
+        expect(detectDateFormat(lines(['14/11/2023', '9/11/2023']))).toEqual({ format: 'DD/MM/YYYY', ambiguous: [], mixed: [] });
+        expect(detectDateFormat(lines(['11/14/2023', '11/9/2023']))).toEqual({ format: 'MM/DD/YYYY', ambiguous: [], mixed: [] });
+        expect(detectDateFormat(lines(['2023-11-14']))).toEqual({ format: 'YYYY-MM-DD', ambiguous: [], mixed: [] });
+    });
+
+    test('Should assume the default format when day and month are ambiguous', () => {
+        expect(detectDateFormat(lines(['01/02/2023', '03/04/2023']))).toEqual({
+            format: 'DD/MM/YYYY',
+            ambiguous: ['DD/MM/YYYY', 'MM/DD/YYYY'],
+            mixed: []
+        });
+    });
+
+    test('Should report dates in a different format than the rest of the file', () => {
+        expect(detectDateFormat(lines(['2023-01-04', '2023-01-14', '20/01/2023']))).toEqual({
+            format: 'YYYY-MM-DD',
+            ambiguous: [],
+            mixed: [{ line: 4, value: '20/01/2023', formats: ['DD/MM/YYYY', 'MM/DD/YYYY'] }]
+        });
+    });
+
+    test('Should not choose a format when no date matches one', () => {
+        expect(detectDateFormat(lines(['Jan 4 2023']))).toEqual({ format: null, ambiguous: [], mixed: [] });
+    });
+
+    test('Should detect the format one date at a time', () => {
+        const detector = createDateFormatDetector();
+        ['2023-01-04', '03/01/2023', '2023-01-14'].forEach(detector.add);
+
+        expect(detector.result()).toEqual({ format: 'YYYY-MM-DD', ambiguous: [], shape: ['YYYY-MM-DD'] });
+        const { shape } = detector.result();
+        expect(differentShape('03/01/2023', shape)).toEqual(['DD/MM/YYYY', 'MM/DD/YYYY']);
+        expect(differentShape('2023-02-30', shape)).toBeNull();
+        expect(differentShape('Jan 4 2023', shape)).toBeNull();
+    });
+});
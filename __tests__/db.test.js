@@ -0,0 +1,187 @@
+const path = require('path');
+const db = require('../lib/db');
+const { openTimesheet, storeReport } = require('../lib/timesheets');
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Every checkout gets a client of its own, created by the tests, like a real pool
+    const mPool = {
+        connect: jest.fn(),
+        query: jest.fn(),
+        on: jest.fn(),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mPool) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool
+const mockPool = new Pool();
+
+describe('Database Pool Tests', () => {
+    // The clients checked out by the code under test, in checkout order
+    let clients;
+
+    /**
+     * Makes every client checked out from the pool answer queries with a handler.
+     * @param {Function} respond - Receives the SQL and values, returns the result or throws. Runs asynchronously
+     * so concurrent requests interleave.
+     */
+    const checkOutClients = (respond) => {
+        mockPool.connect.mockImplementation(async () => {
+            const client = {
+                query: jest.fn(async (sql, values) => {
+                    await new Promise(resolve => setImmediate(resolve));
+                    return respond(sql, values);
+                }),
+                release: jest.fn()
+            };
+            clients.push(client);
+            return client;
+        });
+    };
+
+    /**
+     * Lists the statements run in each transaction, a transaction being a client whose first query is BEGIN.
+     * @returns {Array<Array<string>>} - The statements of each transaction, without their parameters.
+     */
+    const transactions = () => clients
+        .filter(client => client.query.mock.calls.length > 0 && client.query.mock.calls[0][0] === 'BEGIN')
+        .map(client => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' ')));
+
+    /**
+     * Stores the test time report under another report id, the way an upload worker does.
+     * @param {string} reportId - The report id.
+     * @returns {Promise<string>} - A promise that resolves to 'stored' or 'duplicate', or 'failed' when storing
+     * it threw.
+     */
+    const storeAs = async (reportId) => {
+        try {
+            const timesheet = await openTimesheet(path.resolve(__dirname, 'time-report-1.csv'));
+            const stored = await storeReport(reportId, `time-report-${reportId}.csv`, timesheet, {
+                actor: 'payroll.admin', checksum: 'checksum'
+            });
+            return stored ? 'stored' : 'duplicate';
+        } catch (error) {
+            return 'failed';
+        }
+    };
+
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        clients = [];
+        checkOutClients(() => ({ rows: [] }));
+    });
+
+    test('Should commit a transaction and release its client', async () => {
+        const result = await db.withTransaction(async (client) => {
+            await client.query('INSERT INTO holidays (date, name) VALUES ($1, $2)', ['2024-01-01', 'New Year']);
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(transactions()).toEqual([['BEGIN', 'INSERT INTO holidays', 'COMMIT']]);
+        expect(clients[0].release).toHaveBeenCalledWith(false);
+    });
+
+    test('Should roll back a failed transaction on its own client only', async () => {
+        const failing = db.withTransaction(async (client) => {
+            await client.query('DELETE FROM holidays');
+            throw new Error('Task failed');
+        });
+        const succeeding = db.withTransaction(client => client.query('DELETE FROM holidays'));
+
+        await expect(failing).rejects.toThrow('Task failed');
+        await succeeding;
+        expect(transactions()).toEqual([
+            ['BEGIN', 'DELETE FROM holidays', 'ROLLBACK'],
+            ['BEGIN', 'DELETE FROM holidays', 'COMMIT']
+        ]);
+    });
+
+    test('Should close a client whose connection was lost instead of returning it to the pool', async () => {
+        const shutdown = Object.assign(new Error('terminating connection due to administrator command'), { code: '57P01' });
+        checkOutClients((sql) => {
+            if (sql.startsWith('SELECT')) {
+                throw shutdown;
+            }
+            return { rows: [] };
+        });
+
+        await expect(db.withTransaction(client => client.query('SELECT 1'))).rejects.toThrow(shutdown);
+        await expect(db.query('SELECT 1')).rejects.toThrow('terminating connection');
+
+        expect(transactions()).toEqual([['BEGIN', 'SELECT 1']]);
+        expect(clients.map(client => client.release.mock.calls[0][0])).toEqual([true, true]);
+    });
+
+    test('Should retry checking out a client while the database restarts', async () => {
+        const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5433'), { code: 'ECONNREFUSED' });
+        const client = { query: jest.fn().mockResolvedValue({ rows: [{ ok: true }] }), release: jest.fn() };
+        mockPool.connect.mockRejectedValueOnce(refused).mockRejectedValueOnce(refused).mockResolvedValueOnce(client);
+
+        const result = await db.query('SELECT true AS ok');
+
+        expect(result.rows).toEqual([{ ok: true }]);
+        expect(mockPool.connect).toHaveBeenCalledTimes(3);
+        expect(client.release).toHaveBeenCalledWith(false);
+    });
+
+    test('Should number query parameters in the order they are added', () => {
+        const { add, values } = db.queryParams(['rule']);
+
+        expect(`${add(42)} AND ${add('2023-11-14')}`).toBe('$2 AND $3');
+        expect(values).toEqual(['rule', 42, '2023-11-14']);
+    });
+
+    test('Should run parallel uploads in separate transactions', async () => {
+        checkOutClients((sql, values) => {
+            // The upload of report 12 fails once its entries are checked
+            if (sql.trim().startsWith('INSERT INTO timekeeping_entries') && values[0] === '12') {
+                throw new Error('Disk full');
+            }
+            return { rows: [] };
+        });
+
+        const outcomes = await Promise.all(['11', '12', '13'].map(storeAs));
+
+        expect(outcomes).toEqual(['stored', 'failed', 'stored']);
+        expect(transactions()).toHaveLength(3);
+        // Each transaction only holds the queries of its own upload, and only the failed one is rolled back
+        clients.filter(client => client.query.mock.calls[0][0] === 'BEGIN').forEach(client => {
+            const calls = client.query.mock.calls;
+            const reportIds = new Set(calls.flatMap(([, values = []]) => values.filter(value => /^1[1-3]$/.test(value))));
+            expect(reportIds.size).toBe(1);
+            expect(calls[calls.length - 1][0]).toBe(reportIds.has('12') ? 'ROLLBACK' : 'COMMIT');
+        });
+        expect(clients.every(client => client.release.mock.calls.length === 1)).toBe(true);
+    });
+
+    test('Should reject the second of two parallel uploads of the same report', async () => {
+        let reportsInserted = 0;
+        checkOutClients((sql) => {
+            if (sql.startsWith('INSERT INTO timekeeping_reports') && reportsInserted++ > 0) {
+                throw Object.assign(new Error('duplicate key value violates unique constraint'), {
+                    code: '23505',
+                    table: 'timekeeping_reports'
+                });
+            }
+            return { rows: [] };
+        });
+
+        const outcomes = await Promise.all([storeAs('14'), storeAs('14')]);
+
+        expect(outcomes.sort()).toEqual(['duplicate', 'stored']);
+        expect(transactions().map(statements => statements[statements.length - 1]).sort()).toEqual(['COMMIT', 'ROLLBACK']);
+    });
+});
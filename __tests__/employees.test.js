@@ -0,0 +1,305 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const employeeRow = {
+    id: 1,
+    name: 'Jane Doe',
+    department: 'Warehouse',
+    default_job_group: 'A',
+    currency: null,
+    hire_date: '2020-03-01',
+    termination_date: null,
+    active: true
+};
+
+const jobGroupRow = { code: 'A', description: 'Job group A', rates: [] };
+
+/**
+ * Builds the hours and amounts of each premium category of a row with only regular hours.
+ * @param {string} hours - The regular hours.
+ * @param {string} amount - Their amount.
+ * @returns {Object} - The `<category>_hours` and `<category>_amount` columns.
+ */
+const regularColumns = (hours, amount) => ({
+    regular_hours: hours, regular_amount: amount,
+    overtime_hours: '0', overtime_amount: '0.00',
+    double_time_hours: '0', double_time_amount: '0.00',
+    holiday_hours: '0', holiday_amount: '0.00'
+});
+
+// Employee 1's first pay period of 2023 as the payroll report totals it, and the entries it is made of
+const periodRow = {
+    employee_id: 1, employee_name: 'Jane Doe', currency: 'USD', start_date: '2023-01-01', end_date: '2023-01-15',
+    ...regularColumns('10.00', '300.00'), amount_paid: '300.00'
+};
+const entryRows = [
+    {
+        id: 7, report_id: '42', line: 2, date: '2023-01-02', job_group: 'A', currency: 'USD',
+        hours_worked: '8.00', hourly_rate: '30.00', ...regularColumns('8.00', '240.00'), amount: '240.00'
+    },
+    {
+        id: 9, report_id: '43', line: 5, date: '2023-01-03', job_group: 'A', currency: 'USD',
+        hours_worked: '2.00', hourly_rate: '30.00', ...regularColumns('2.00', '60.00'), amount: '60.00'
+    }
+];
+
+describe('Employee API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should list employees', async () => {
+        mockClient.query.mockResolvedValue({ rows: [employeeRow] });
+        const response = await api.get('/employees?active=true');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            employees: [{
+                id: 1,
+                name: 'Jane Doe',
+                department: 'Warehouse',
+                defaultJobGroup: 'A',
+                currency: null,
+                hireDate: '2020-03-01',
+                terminationDate: null,
+                active: true
+            }]
+        });
+        expect(mockClient.query.mock.calls[0][1]).toEqual([true]);
+    });
+
+    test('Should return 404 for an unknown employee', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.get('/employees/99');
+
+        expect(response.status).toBe(404);
+    });
+
+    test('Should create an employee', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [jobGroupRow] }) // This simulates the job group existing
+            .mockResolvedValueOnce({ rows: [] }) // This simulates no existing employee
+            .mockResolvedValueOnce({ rows: [employeeRow] });
+        const response = await api.post('/employees').send({
+            id: 1, name: ' Jane Doe ', department: 'Warehouse', defaultJobGroup: 'A', hireDate: '2020-03-01'
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.employee.name).toBe('Jane Doe');
+        expect(mockClient.query).toHaveBeenLastCalledWith(
+            expect.stringContaining('INSERT INTO employees'),
+            [1, 'Jane Doe', 'Warehouse', 'A', null, '2020-03-01', null, true]
+        );
+    });
+
+    test('Should pay an employee in their own currency', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] }) // This simulates no existing employee
+            .mockResolvedValueOnce({ rows: [{ ...employeeRow, currency: 'CAD' }] });
+        const response = await api.post('/employees').send({ id: 1, name: 'Jane Doe', currency: 'CAD' });
+        const invalid = await api.patch('/employees/1').send({ currency: 'cad' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.employee.currency).toBe('CAD');
+        expect(mockClient.query).toHaveBeenLastCalledWith(
+            expect.stringContaining('INSERT INTO employees'),
+            [1, 'Jane Doe', null, null, 'CAD', null, null, true]
+        );
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'currency must be an ISO 4217 currency code, e.g. USD, or null' });
+    });
+
+    test('Should not create an employee twice', async () => {
+        mockClient.query.mockResolvedValue({ rows: [employeeRow] });
+        const response = await api.post('/employees').send({ id: 1, name: 'Jane Doe' });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('Should reject invalid employees', async () => {
+        const badId = await api.post('/employees').send({ id: '1', name: 'Jane Doe' });
+        expect(badId.status).toBe(400);
+
+        const noName = await api.post('/employees').send({ id: 1 });
+        expect(noName.status).toBe(400);
+        expect(noName.body).toEqual({ error: 'name is required' });
+
+        const badDates = await api
+            .post('/employees')
+            .send({ id: 1, name: 'Jane Doe', hireDate: '2020-03-01', terminationDate: '2019-12-31' });
+        expect(badDates.body).toEqual({ error: 'terminationDate must not be before hireDate' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should reject an unknown default job group', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.post('/employees').send({ id: 1, name: 'Jane Doe', defaultJobGroup: 'Z' });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'defaultJobGroup must be an existing job group' });
+    });
+
+    test('Should terminate an employee', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [employeeRow] })
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({ rows: [{ ...employeeRow, termination_date: '2024-06-30', active: false }] })
+            .mockResolvedValueOnce({}); // COMMIT
+        const response = await api.patch('/employees/1').send({ terminationDate: '2024-06-30', active: false });
+
+        expect(response.status).toBe(200);
+        expect(response.body.employee).toMatchObject({ terminationDate: '2024-06-30', active: false });
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('termination_date = $2, active = $3'),
+            [1, '2024-06-30', false]
+        );
+    });
+
+    test('Should only change an employee\'s currency once their hours are in closed pay periods', async () => {
+        let openDate = '2023-11-01';
+        mockClient.query.mockImplementation(async (sql) => {
+            if (sql.includes('MIN(e.date)')) {
+                return { rows: [{ date: openDate }] };
+            }
+            return { rows: [{ ...employeeRow, currency: sql.startsWith('UPDATE') ? 'EUR' : null }] };
+        });
+        const open = await api.patch('/employees/1').send({ currency: 'EUR' });
+        openDate = null;
+        const closed = await api.patch('/employees/1').send({ currency: 'EUR' });
+
+        expect(open.status).toBe(409);
+        expect(open.body).toEqual({
+            error: 'Employee 1 has hours recorded from 2023-11-01 in pay periods that aren\'t closed, '
+                + 'the currency can only change once they are'
+        });
+        expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+        expect(closed.status).toBe(200);
+        expect(closed.body.employee.currency).toBe('EUR');
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('e.employee_id = $1'), [1]);
+    });
+
+    test('Should check a termination date against the stored hire date', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [employeeRow] });
+        const response = await api.patch('/employees/1').send({ terminationDate: '2019-01-01' });
+
+        expect(response.status).toBe(400);
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should list an employee\'s pay periods with their totals', async () => {
+        mockClient.query.mockImplementation(async ({ text }) => ({
+            rows: text.includes('GROUP BY currency')
+                ? [{ currency: 'USD', hours: '10.00', amount_paid: '300.00' }]
+                : [periodRow]
+        }));
+        const response = await api.get('/employees/1/pay-periods?startDate=2023-01-01&limit=10');
+        const invalid = await api.get('/employees/1/pay-periods?limit=0');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payPeriods).toEqual([expect.objectContaining({
+            payPeriod: { startDate: '2023-01-01', endDate: '2023-01-15' },
+            amountPaid: '$300.00'
+        })]);
+        expect(response.body.totals).toEqual([expect.objectContaining({ currency: 'USD', amountPaid: '$300.00' })]);
+        expect(response.body.pagination).toEqual({ limit: 10, offset: 0, nextOffset: null });
+        // The periods are the payroll report's rows of this employee
+        expect(mockClient.query.mock.calls[0][0].values).toEqual([[1], '2023-01-01', 11, 0]);
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'limit must be an integer between 1 and 1000' });
+    });
+
+    test('Should explain a pay period entry by entry', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [periodRow] })
+            .mockResolvedValueOnce({ rows: entryRows });
+        const response = await api.get('/employees/1/pay-periods/2023-01-01');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payPeriod).toEqual({ startDate: '2023-01-01', endDate: '2023-01-15' });
+        expect(response.body.totals).toEqual([expect.objectContaining({
+            amountPaid: '$300.00',
+            amountPaidMoney: { amount: '300.00', currency: 'USD' }
+        })]);
+        expect(response.body.entries[0]).toEqual({
+            id: 7,
+            reportId: '42',
+            line: 2,
+            date: '2023-01-02',
+            jobGroup: 'A',
+            hoursWorked: 8,
+            rate: '$30.00',
+            breakdown: {
+                regular: { hours: 8, amount: '$240.00', amountMoney: { amount: '240.00', currency: 'USD' } },
+                overtime: { hours: 0, amount: '$0.00', amountMoney: { amount: '0.00', currency: 'USD' } },
+                doubleTime: { hours: 0, amount: '$0.00', amountMoney: { amount: '0.00', currency: 'USD' } },
+                holiday: { hours: 0, amount: '$0.00', amountMoney: { amount: '0.00', currency: 'USD' } }
+            },
+            amount: '$240.00',
+            amountMoney: { amount: '240.00', currency: 'USD' }
+        });
+        expect(response.body.entries.map(entry => [entry.reportId, entry.line, entry.amount]))
+            .toEqual([['42', 2, '$240.00'], ['43', 5, '$60.00']]);
+        // The entries are priced like the report, and only those of the pay period are returned
+        const { text, values } = mockClient.query.mock.calls[1][0];
+        expect(text).toContain('WHERE period_start = $2::date');
+        expect(values).toEqual([1, '2023-01-01']);
+        // Entries of a closed pay period are priced as they were when it closed, like its totals
+        expect(text).toContain('JOIN pay_period_entries closed ON closed.entry_id = repriced.id');
+    });
+
+    test('Should return 404 for a pay period without hours and reject invalid ones', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const unknown = await api.get('/employees/1/pay-periods/2023-01-01');
+        const invalid = await api.get('/employees/1/pay-periods/01-01-2023');
+        const badLocale = await api.get('/employees/1/pay-periods/2023-01-01?locale=not_a_locale');
+
+        expect(unknown.status).toBe(404);
+        expect(unknown.body).toEqual({ error: 'No hours found for this employee and pay period' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'start must be the start date of a pay period in YYYY-MM-DD format' });
+        expect(badLocale.status).toBe(400);
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should reject an empty update', async () => {
+        const response = await api.patch('/employees/1').send({});
+
+        expect(response.status).toBe(400);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+});
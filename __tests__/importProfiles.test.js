@@ -0,0 +1,139 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+const clerk = `Bearer ${signToken({ sub: 'payroll.clerk', role: 'uploader' })}`;
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const profileRow = {
+    name: 'legacy-export',
+    delimiter: ';',
+    encoding: 'windows-1252',
+    header_aliases: { 'Datum': 'date' },
+    ignore_columns: ['Bemerkung'],
+    updated_at: '2024-01-02T09:00:00'
+};
+
+const profile = {
+    name: 'legacy-export',
+    delimiter: ';',
+    encoding: 'windows-1252',
+    headerAliases: { 'Datum': 'date' },
+    ignoreColumns: ['Bemerkung'],
+    updatedAt: '2024-01-02T09:00:00'
+};
+
+describe('Import Profile API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should list import profiles to uploaders', async () => {
+        mockClient.query.mockResolvedValue({ rows: [profileRow] });
+
+        const response = await api.get('/import-profiles').set('Authorization', clerk);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ importProfiles: [profile] });
+    });
+
+    test('Should return an import profile or 404 for an unknown one', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [profileRow] }).mockResolvedValueOnce({ rows: [] });
+
+        const known = await api.get('/import-profiles/legacy-export');
+        const unknown = await api.get('/import-profiles/missing');
+
+        expect(known.body).toEqual({ importProfile: profile });
+        expect(unknown.status).toBe(404);
+        expect(unknown.body).toEqual({ error: 'Import profile not found' });
+    });
+
+    test('Should store an import profile with its defaults filled in', async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ ...profileRow, delimiter: ',', encoding: 'utf-8' }] });
+
+        const response = await api
+            .put('/import-profiles/legacy-export')
+            .send({ encoding: 'UTF8', headerAliases: { 'Datum': 'Date' }, ignoreColumns: ['Bemerkung'] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.importProfile).toMatchObject({ name: 'legacy-export', delimiter: ',', encoding: 'utf-8' });
+        // Encodings are stored by their canonical name
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO import_profiles'),
+            ['legacy-export', ',', 'utf-8', '{"Datum":"Date"}', '["Bemerkung"]']
+        );
+    });
+
+    test('Should reject invalid import profiles', async () => {
+        const invalid = [
+            [{ delimiter: ';;' }, 'delimiter must be a single character other than a quote or a line break'],
+            [{ delimiter: '"' }, 'delimiter must be a single character other than a quote or a line break'],
+            [{ encoding: 'klingon' }, 'encoding must be a character encoding such as utf-8, utf-16le or windows-1252'],
+            [{ headerAliases: { Datum: 'day' } }, 'headerAliases must map headings to one of the columns date, hours worked, employee id, job group'],
+            [{ headerAliases: ['date'] }, 'headerAliases must map headings to one of the columns date, hours worked, employee id, job group'],
+            [{ ignoreColumns: ['Notes', ' '] }, 'ignoreColumns must be a list of headings']
+        ];
+
+        for (const [body, error] of invalid) {
+            const response = await api.put('/import-profiles/legacy-export').send(body);
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({ error });
+        }
+        const badName = await api.put('/import-profiles/legacy export').send({});
+        expect(badName.body).toEqual({ error: 'Import profile names may only contain letters, digits, - and _' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should remove an import profile', async () => {
+        mockClient.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+        const removed = await api.delete('/import-profiles/legacy-export');
+        const unknown = await api.delete('/import-profiles/legacy-export');
+
+        expect(removed.status).toBe(204);
+        expect(unknown.status).toBe(404);
+    });
+
+    test('Should only let admins change import profiles', async () => {
+        const put = await api.put('/import-profiles/legacy-export').set('Authorization', clerk).send({});
+        const remove = await api.delete('/import-profiles/legacy-export').set('Authorization', clerk);
+        const employee = await api
+            .get('/import-profiles')
+            .set('Authorization', `Bearer ${signToken({ sub: 'jane', role: 'employee', employeeId: 1 })}`);
+
+        expect([put.status, remove.status, employee.status]).toEqual([403, 403, 403]);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,225 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const jobGroupRow = {
+    code: 'A',
+    description: 'Job group A',
+    currency: 'USD',
+    rates: [
+        { rate: '35.00', currency: 'USD', effectiveFrom: '2999-01-01' },
+        { rate: '27.50', currency: 'EUR', effectiveFrom: '1900-01-01' },
+        { rate: '30.00', currency: 'USD', effectiveFrom: '1900-01-01' }
+    ]
+};
+
+describe('Job Group API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should list job groups with their current rate in their currency', async () => {
+        mockClient.query.mockResolvedValue({ rows: [jobGroupRow] });
+        const response = await api.get('/job-groups');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            jobGroups: [{
+                code: 'A',
+                description: 'Job group A',
+                currency: 'USD',
+                currentRate: '30.00',
+                rates: jobGroupRow.rates
+            }]
+        });
+    });
+
+    test('Should return 404 for an unknown job group', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.get('/job-groups/Z');
+
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ error: 'Job group not found' });
+    });
+
+    test('Should create a job group with its first rate', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] }) // This simulates the job group not existing yet
+            .mockResolvedValueOnce({}) // BEGIN
+            .mockResolvedValueOnce({}) // Insert job group
+            .mockResolvedValueOnce({}) // Insert rate
+            .mockResolvedValueOnce({}) // COMMIT
+            .mockResolvedValueOnce({ rows: [{ code: 'C', description: null, rates: [{ rate: '25.00', effectiveFrom: '2024-01-01' }] }] });
+
+        const response = await api
+            .post('/job-groups')
+            .send({ code: 'C', rate: 25, effectiveFrom: '2024-01-01' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.jobGroup.code).toBe('C');
+        // Job groups are paid in dollars unless they say otherwise
+        expect(mockClient.query).toHaveBeenCalledWith(
+            'INSERT INTO job_groups (code, description, currency) VALUES ($1, $2, $3)',
+            ['C', null, 'USD']
+        );
+        expect(mockClient.query).toHaveBeenCalledWith(
+            'INSERT INTO job_group_rates (job_group, currency, hourly_rate, effective_from) VALUES ($1, $2, $3, $4)',
+            ['C', 'USD', 25, '2024-01-01']
+        );
+    });
+
+    test('Should change the currency a job group is paid in', async () => {
+        // Every entry of the job group is within a closed pay period
+        mockClient.query.mockImplementation(async (sql) => (sql.includes('MIN(e.date)')
+            ? { rows: [{ date: null }] }
+            : { rows: [{ ...jobGroupRow, currency: 'EUR' }], rowCount: 1 }));
+        const response = await api.patch('/job-groups/A').send({ currency: 'EUR' });
+        const invalid = await api
+            .post('/job-groups')
+            .send({ code: 'C', currency: 'EURO', rate: 25, effectiveFrom: '2024-01-01' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.jobGroup.currency).toBe('EUR');
+        expect(response.body.jobGroup.currentRate).toBe('27.50');
+        expect(mockClient.query).toHaveBeenCalledWith(
+            'UPDATE job_groups SET currency = $2 WHERE code = $1 AND currency <> $2',
+            ['A', 'EUR']
+        );
+        expect(mockClient.query).toHaveBeenCalledWith('LOCK TABLE timekeeping_entries IN SHARE MODE');
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'currency must be an ISO 4217 currency code, e.g. USD' });
+    });
+
+    test('Should not change the currency of hours in pay periods that aren\'t closed', async () => {
+        mockClient.query.mockImplementation(async (sql) => (sql.includes('MIN(e.date)')
+            ? { rows: [{ date: '2023-11-01' }] }
+            : { rows: [jobGroupRow], rowCount: 1 }));
+        const response = await api.patch('/job-groups/A').send({ currency: 'EUR' });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({
+            error: 'Job group A has hours recorded from 2023-11-01 in pay periods that aren\'t closed, '
+                + 'the currency can only change once they are'
+        });
+        expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    test('Should reject a duplicate job group', async () => {
+        mockClient.query.mockResolvedValue({ rows: [jobGroupRow] });
+        const response = await api
+            .post('/job-groups')
+            .send({ code: 'A', rate: 25, effectiveFrom: '2024-01-01' });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({ error: 'Job group already exists' });
+    });
+
+    test('Should validate the rate and effective date', async () => {
+        const badRate = await api.post('/job-groups').send({ code: 'C', rate: -1, effectiveFrom: '2024-01-01' });
+        expect(badRate.status).toBe(400);
+
+        // Rates are kept in cents, a third decimal would be rounded away
+        const precise = await api.patch('/job-groups/A').send({ rate: 30.125, effectiveFrom: '2999-01-01' });
+        expect(precise.status).toBe(400);
+        expect(precise.body).toEqual({ error: 'rate must be a non-negative number with at most 2 decimal places' });
+
+        const badDate = await api.post('/job-groups').send({ code: 'C', rate: 25, effectiveFrom: '2024-02-31' });
+        expect(badDate.status).toBe(400);
+
+        const missingDate = await api.patch('/job-groups/A').send({ rate: 25 });
+        expect(missingDate.status).toBe(400);
+
+        const rateCurrency = await api.patch('/job-groups/A').send({ description: 'A', rateCurrency: 'EUR' });
+        expect(rateCurrency.status).toBe(400);
+        expect(rateCurrency.body)
+            .toEqual({ error: 'rateCurrency must be an ISO 4217 currency code given with a rate' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should add a new rate with an effective date', async () => {
+        mockClient.query.mockImplementation(async (sql) => ({
+            rows: sql.includes('MAX(e.date)') ? [{ date: '2023-11-14' }] : [jobGroupRow]
+        }));
+        const response = await api
+            .patch('/job-groups/A')
+            .send({ rate: 35.5, effectiveFrom: '2023-11-15' });
+
+        expect(response.status).toBe(200);
+        expect(mockClient.query).toHaveBeenCalledWith('LOCK TABLE timekeeping_entries IN SHARE MODE');
+        // The rate is in the job group's currency, and only its hours paid in it limit when it can take effect
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('MAX(e.date)'), ['A', 'USD']);
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('ON CONFLICT (job_group, currency, effective_from) DO UPDATE'),
+            ['A', 'USD', 35.5, '2023-11-15']
+        );
+    });
+
+    test('Should add a rate for employees paid in another currency', async () => {
+        mockClient.query.mockImplementation(async (sql) => ({
+            rows: sql.includes('MAX(e.date)') ? [{ date: null }] : [jobGroupRow]
+        }));
+        const response = await api
+            .patch('/job-groups/A')
+            .send({ rate: 27.5, rateCurrency: 'EUR', effectiveFrom: '2023-01-01' });
+
+        expect(response.status).toBe(200);
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('MAX(e.date)'), ['A', 'EUR']);
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO job_group_rates'),
+            ['A', 'EUR', 27.5, '2023-01-01']
+        );
+    });
+
+    test('Should not add or overwrite a rate that would reprice recorded hours', async () => {
+        mockClient.query.mockImplementation(async (sql) => ({
+            rows: sql.includes('MAX(e.date)') ? [{ date: '2023-11-14' }] : [jobGroupRow]
+        }));
+        const backdated = await api.patch('/job-groups/A').send({ rate: 35, effectiveFrom: '2023-11-01' });
+        const sameDay = await api.patch('/job-groups/A').send({ rate: 35, effectiveFrom: '2023-11-14' });
+
+        expect(backdated.status).toBe(409);
+        expect(backdated.body).toEqual({
+            error: 'Job group A has hours paid in USD recorded up to 2023-11-14, a new USD rate must take effect after '
+                + 'that date'
+        });
+        expect(sameDay.status).toBe(409);
+        expect(mockClient.query).not.toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO job_group_rates'), expect.anything()
+        );
+        expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+});
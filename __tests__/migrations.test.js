@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MigrationError, loadMigrations, migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+describe('Migration Tests', () => {
+    let dir;
+    let client;
+
+    /**
+     * Writes migration files to a fresh directory and loads them.
+     * @param {Object} files - The file contents by file name.
+     * @returns {Array<Object>} - The migrations returned by loadMigrations().
+     */
+    const migrationFiles = (files) => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.mkdirSync(dir);
+        Object.entries(files).forEach(([name, sql]) => fs.writeFileSync(path.join(dir, name), sql));
+        return loadMigrations(dir);
+    };
+
+    /**
+     * Makes the mocked client report migrations as applied.
+     * @param {Array<Object>} rows - The schema_migrations rows.
+     */
+    const appliedMigrations = (rows) => {
+        client.query.mockImplementation(async (sql) => (
+            /FROM schema_migrations/.test(sql) ? { rows } : { rows: [] }
+        ));
+    };
+
+    /**
+     * Lists the statements run by the mocked client, without the lock and bookkeeping queries.
+     * @returns {Array<string>} - The statements.
+     */
+    const statements = () => client.query.mock.calls
+        .map(([sql]) => sql.trim())
+        .filter(sql => /^(INSERT|DELETE)/.test(sql) || !/pg_advisory|schema_migrations \(|FROM schema_migrations/.test(sql));
+
+    beforeAll(() => {
+        dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-migrations-')), 'migrations');
+    });
+
+    afterAll(() => {
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        client = { query: jest.fn() };
+        appliedMigrations([]);
+    });
+
+    test('Should load the repository migrations, starting with the initial schema', () => {
+        const migrations = loadMigrations();
+
+        expect(migrations[0]).toMatchObject({ version: 1, name: 'initial_schema' });
+        expect(migrations[0].up).toContain('CREATE TABLE IF NOT EXISTS timekeeping_reports');
+        expect(migrations[0].down).toContain('DROP TABLE IF EXISTS timekeeping_reports');
+    });
+
+    test('Should order migrations by version and reject inconsistent files', () => {
+        const migrations = migrationFiles({
+            '0010_widen_job_group.up.sql': 'ALTER TABLE b',
+            '0002_add_column.up.sql': 'ALTER TABLE a',
+            '0002_add_column.down.sql': 'ALTER TABLE a DROP'
+        });
+        expect(migrations.map(migration => [migration.version, migration.down]))
+            .toEqual([[2, 'ALTER TABLE a DROP'], [10, null]]);
+        expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+
+        expect(() => migrationFiles({ 'add_column.sql': '' })).toThrow(MigrationError);
+        expect(() => migrationFiles({ '0002_a.up.sql': '', '0002_b.up.sql': '' }))
+            .toThrow('Migration version 2 is used by more than one migration');
+        expect(() => migrationFiles({ '0003_a.down.sql': '' })).toThrow('Migration 0003_a has no up script');
+    });
+
+    test('Should report applied, pending, changed and missing migrations', async () => {
+        const migrations = migrationFiles({
+            '0001_initial.up.sql': 'CREATE TABLE a ()',
+            '0002_edited.up.sql': 'CREATE TABLE b ()',
+            '0004_new.up.sql': 'CREATE TABLE d ()'
+        });
+        appliedMigrations([
+            { version: 1, name: 'initial', checksum: migrations[0].checksum, applied_at: '2024-01-01T00:00:00' },
+            { version: 2, name: 'edited', checksum: 'f'.repeat(64), applied_at: '2024-01-02T00:00:00' },
+            { version: 3, name: 'removed', checksum: 'f'.repeat(64), applied_at: '2024-01-03T00:00:00' }
+        ]);
+
+        const status = await migrationStatus(client, migrations);
+
+        expect(status.map(migration => [migration.version, migration.status])).toEqual([
+            [1, 'applied'], [2, 'changed'], [3, 'missing'], [4, 'pending']
+        ]);
+        expect(client.query.mock.calls[0][0]).toContain('CREATE TABLE IF NOT EXISTS schema_migrations');
+    });
+
+    test('Should apply pending migrations in order, each in its own transaction', async () => {
+        const migrations = migrationFiles({
+            '0001_initial.up.sql': 'CREATE TABLE a ()',
+            '0002_second.up.sql': 'CREATE TABLE b ()',
+            '0003_third.up.sql': 'CREATE TABLE c ()'
+        });
+        appliedMigrations([{ version: 1, name: 'initial', checksum: migrations[0].checksum, applied_at: null }]);
+
+        const applied = await migrateUp(client, migrations, { to: 2 });
+
+        expect(applied.map(migration => migration.version)).toEqual([2]);
+        expect(statements()).toEqual([
+            'BEGIN',
+            'CREATE TABLE b ()',
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            'COMMIT'
+        ]);
+        expect(client.query).toHaveBeenCalledWith(expect.any(String), [2, 'second', migrations[1].checksum]);
+        expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_lock($1)', expect.any(Array));
+        expect(client.query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1)', expect.any(Array));
+    });
+
+    test('Should roll back a failed migration and stop', async () => {
+        const migrations = migrationFiles({
+            '0001_broken.up.sql': 'CREATE TABLE',
+            '0002_later.up.sql': 'CREATE TABLE b ()'
+        });
+        client.query.mockImplementation(async (sql) => {
+            if (sql === 'CREATE TABLE') {
+                throw new Error('syntax error at end of input');
+            }
+            return { rows: [] };
+        });
+
+        await expect(migrateUp(client, migrations))
+            .rejects.toThrow('Migration 0001_broken failed: syntax error at end of input');
+        expect(statements()).toEqual(['BEGIN', 'CREATE TABLE', 'ROLLBACK']);
+        expect(client.query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1)', expect.any(Array));
+    });
+
+    test('Should refuse to migrate when an applied migration was changed', async () => {
+        const migrations = migrationFiles({ '0001_initial.up.sql': 'CREATE TABLE a (id INTEGER)' });
+        appliedMigrations([{ version: 1, name: 'initial', checksum: 'f'.repeat(64), applied_at: null }]);
+
+        await expect(migrateUp(client, migrations))
+            .rejects.toThrow('Applied migration 0001_initial was changed after it was applied');
+        expect(statements()).toEqual([]);
+    });
+
+    test('Should revert the latest migrations, newest first', async () => {
+        const migrations = migrationFiles({
+            '0001_initial.up.sql': 'CREATE TABLE a ()',
+            '0001_initial.down.sql': 'DROP TABLE a',
+            '0002_second.up.sql': 'CREATE TABLE b ()',
+            '0002_second.down.sql': 'DROP TABLE b',
+            '0003_pending.up.sql': 'CREATE TABLE c ()'
+        });
+        appliedMigrations(migrations.slice(0, 2).map(({ version, name, checksum }) => ({ version, name, checksum })));
+
+        const reverted = await migrateDown(client, migrations, { steps: 5 });
+
+        expect(reverted.map(migration => migration.version)).toEqual([2, 1]);
+        expect(statements()).toEqual([
+            'BEGIN', 'DROP TABLE b', 'DELETE FROM schema_migrations WHERE version = $1', 'COMMIT',
+            'BEGIN', 'DROP TABLE a', 'DELETE FROM schema_migrations WHERE version = $1', 'COMMIT'
+        ]);
+    });
+
+    test('Should refuse to revert a migration without a down script', async () => {
+        const migrations = migrationFiles({ '0001_initial.up.sql': 'CREATE TABLE a ()' });
+        appliedMigrations([{ version: 1, name: 'initial', checksum: migrations[0].checksum }]);
+
+        await expect(migrateDown(client, migrations)).rejects.toThrow('Migration 0001_initial has no down script');
+        expect(statements()).toEqual([]);
+    });
+});
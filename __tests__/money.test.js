@@ -0,0 +1,461 @@
+const { Client } = require('pg');
+
+/*
+    The property tests price random time reports in a real database and compare the report with exact totals
+    calculated here in integer cents, and with SQL SUM over the entries. They run against the database named by
+    TEST_PGDATABASE, which they empty and migrate, so never point it at one holding data. Without it they are
+    skipped locally, the CI workflow (.github/workflows/test.yml) provides one so they always run there. The other
+    database settings are the usual ones, see lib/config.js.
+*/
+const TEST_DATABASE = process.env.TEST_PGDATABASE;
+if (TEST_DATABASE) {
+    process.env.PGDATABASE = TEST_DATABASE;
+}
+
+const db = require('../lib/db');
+const { getConfig, databaseOptions } = require('../lib/config');
+const { loadMigrations, migrateUp } = require('../lib/migrations');
+const { isCurrency, roundToCentsSql, formatAmount, toMoney } = require('../lib/money');
+const {
+    buildReportQuery, buildPeriodTotalsQuery, getPayrollReport, getPayStub, getPayPeriodEntries
+} = require('../lib/report');
+const { getAnalytics } = require('../lib/analytics');
+const { PeriodClosedError, createPayPeriod, closePayPeriod } = require('../lib/payPeriodClosing');
+const { setSchedule } = require('../lib/paySchedules');
+
+// Random time reports priced by each property, and the seed they are generated from so a failure can be replayed
+const RUNS = 25;
+const SEED = Number(process.env.TEST_SEED) || 20231114;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so every run generates the same reports.
+ * @param {number} seed - The seed.
+ * @returns {Function} - Returns the next number in [0, 1) on every call.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Formats a whole number of hundredths as a decimal string with two decimals, e.g. 12345n as '123.45'.
+ * @param {bigint} hundredths - The number of hundredths.
+ * @returns {string} - The decimal string.
+ */
+function formatHundredths(hundredths) {
+    const digits = hundredths.toString().padStart(3, '0');
+    return `${digits.slice(0, -2)}.${digits.slice(-2)}`;
+}
+
+/**
+ * Prices an entry in integer cents under the rounding policy, independently of the SQL.
+ * @param {number} hours - Hours worked in hundredths of an hour.
+ * @param {number} rate - Hourly rate in cents.
+ * @param {number} multiplier - Pay multiplier in hundredths.
+ * @returns {bigint} - The amount in cents, half a cent rounded up.
+ */
+function priceInCents(hours, rate, multiplier) {
+    // hours x rate x multiplier is in millionths of a cent here
+    const exact = BigInt(hours) * BigInt(rate) * BigInt(multiplier);
+    return (exact + 5000n) / 10000n;
+}
+
+/**
+ * Generates a random time report for the first half of January 2024, one semi-monthly pay period.
+ * Hours and rates are chosen so that many amounts end in half a cent or less.
+ * @param {Function} random - The generator returned by createRandom().
+ * @returns {Object} - `{ rates, holidays, entries }`, rates in cents by job group, holidays as dates and each
+ * entry as `{ date, hours, employeeId, jobGroup }` with hours in hundredths.
+ */
+function generateReport(random) {
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const rates = {
+        A: 1000 + 100 * Math.floor(random() * 50) + pick([0, 1, 5, 33, 50, 99]),
+        B: pick([1001, 1005, 2033])
+    };
+    const days = Array.from({ length: 15 }, (_, index) => `2024-01-${String(index + 1).padStart(2, '0')}`);
+    const holidays = days.filter(() => random() < 0.2);
+    const entries = Array.from({ length: 1 + Math.floor(random() * 40) }, () => ({
+        date: pick(days),
+        hours: pick([1, 5, 25, 33, 50, 75]) + 100 * Math.floor(random() * 12),
+        employeeId: 1 + Math.floor(random() * 4),
+        jobGroup: pick(['A', 'B'])
+    }));
+    return { rates, holidays, entries };
+}
+
+describe('Money Tests', () => {
+    test('Should round to cents half up in exact decimal arithmetic', () => {
+        expect(roundToCentsSql('hours_worked * hourly_rate')).toBe('ROUND(hours_worked * hourly_rate, 2)');
+        expect(priceInCents(50, 1001, 100)).toBe(501n); // 5.005 rounds up
+        expect(priceInCents(25, 1005, 150)).toBe(377n); // 3.76875
+        expect(formatHundredths(5n)).toBe('0.05');
+    });
+
+    test('Should return amounts as a string and as a structured amount with its currency', () => {
+        expect(formatAmount('1975.00')).toBe('$1975.00');
+        expect(toMoney('1975.00')).toEqual({ amount: '1975.00', currency: 'USD' });
+        expect(formatAmount('1975.00', 'EUR')).toBe('€1975.00');
+        expect(toMoney('1975.00', 'CAD')).toEqual({ amount: '1975.00', currency: 'CAD' });
+    });
+
+    test('Should format amounts exactly in their currency for a locale', () => {
+        expect(formatAmount('1975.50', 'CAD', 'en-CA')).toBe('$1,975.50');
+        expect(formatAmount('1975.50', 'EUR', 'de-DE')).toBe('1.975,50\u00a0€');
+        // Decimal strings aren't converted to floating point, so large amounts keep every cent
+        expect(formatAmount('9007199254740993.05', 'USD', 'en-US')).toBe('$9,007,199,254,740,993.05');
+        expect(isCurrency('CAD')).toBe(true);
+        expect(isCurrency('cad')).toBe(false);
+        expect(isCurrency('ABC')).toBe(false);
+    });
+
+    test('Should round every entry to cents and total the rounded amounts', () => {
+        const { text } = buildReportQuery({});
+        for (const column of ['regular', 'overtime', 'double_time', 'holiday']) {
+            expect(text).toMatch(new RegExp(`ROUND\\([^,]+\\* hourly_rate[^,]*, 2\\)\\s+AS ${column}_amount`));
+            expect(text).toContain(`COALESCE(SUM(${column}_amount), 0.00) AS ${column}_amount`);
+        }
+        // Pay stub lines are sums of the same cents
+        expect(buildPeriodTotalsQuery(1, '2024-01-01', '2024-01-15').text).not.toMatch(/ROUND\(SUM/);
+    });
+});
+
+const describeWithDatabase = TEST_DATABASE ? describe : describe.skip;
+
+describeWithDatabase('Money Property Tests', () => {
+    let client;
+
+    beforeAll(async () => {
+        client = new Client(databaseOptions(getConfig()));
+        await client.connect();
+        await migrateUp(client, loadMigrations());
+        await client.query('DELETE FROM timekeeping_reports');
+        await client.query('DELETE FROM pay_periods');
+        await client.query('DELETE FROM pay_schedules');
+        await client.query('DELETE FROM overtime_rules');
+    });
+
+    afterAll(async () => {
+        await client.query('DELETE FROM timekeeping_reports');
+        await client.query('DELETE FROM pay_periods');
+        await client.query(`UPDATE job_groups SET currency = 'USD'`);
+        await client.end();
+        await db.pool.end();
+    });
+
+    /**
+     * Replaces the stored time reports, rates and holidays with a generated report. Rates are in the currency of
+     * their job group.
+     * @param {Object} generated - The report returned by generateReport().
+     * @returns {Promise<void>} - A promise that resolves once it is stored.
+     */
+    const store = async ({ rates, holidays, entries }) => {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM timekeeping_reports');
+        await client.query('DELETE FROM holidays');
+        for (const [jobGroup, rate] of Object.entries(rates)) {
+            await client.query('DELETE FROM job_group_rates WHERE job_group = $1', [jobGroup]);
+            await client.query(
+                `INSERT INTO job_group_rates (job_group, currency, hourly_rate, effective_from)
+                 SELECT code, currency, $2, '1900-01-01' FROM job_groups WHERE code = $1`,
+                [jobGroup, formatHundredths(BigInt(rate))]
+            );
+        }
+        await client.query(`INSERT INTO holidays (date, name) SELECT unnest($1::date[]), 'Holiday'`, [holidays]);
+        await client.query(`INSERT INTO timekeeping_reports (report_id, filename) VALUES ('property', 'property.csv')`);
+        await client.query(
+            `INSERT INTO timekeeping_entries (report_id, date, hours_worked, employee_id, job_group)
+             SELECT 'property', * FROM unnest($1::date[], $2::numeric[], $3::int[], $4::text[])`,
+            [
+                entries.map(entry => entry.date),
+                entries.map(entry => formatHundredths(BigInt(entry.hours))),
+                entries.map(entry => entry.employeeId),
+                entries.map(entry => entry.jobGroup)
+            ]
+        );
+        await client.query('COMMIT');
+    };
+
+    test('Should pay each employee the exact sum of their entries rounded to cents', async () => {
+        const random = createRandom(SEED);
+        for (let run = 0; run < RUNS; run++) {
+            const generated = generateReport(random);
+            await store(generated);
+
+            const expected = new Map();
+            generated.entries.forEach(({ date, hours, employeeId, jobGroup }) => {
+                const multiplier = generated.holidays.includes(date) ? 150 : 100;
+                const cents = priceInCents(hours, generated.rates[jobGroup], multiplier);
+                expected.set(String(employeeId), (expected.get(String(employeeId)) || 0n) + cents);
+            });
+            const summed = await client.query(
+                `SELECT employee_id::text, SUM(ROUND(e.hours_worked * r.hourly_rate
+                     * CASE WHEN h.date IS NULL THEN 1 ELSE 1.5 END, 2))::text AS amount
+                 FROM timekeeping_entries e
+                 JOIN job_group_rates r ON r.job_group = e.job_group
+                 LEFT JOIN holidays h ON h.date = e.date
+                 GROUP BY employee_id`
+            );
+            const { employeeReports } = await getPayrollReport({});
+
+            const context = `run ${run} of seed ${SEED}`;
+            expect({ context, employees: employeeReports.map(r => r.employeeId).sort() })
+                .toEqual({ context, employees: [...expected.keys()].sort() });
+            for (const employeeReport of employeeReports) {
+                const cents = expected.get(employeeReport.employeeId);
+                const sum = summed.rows.find(row => row.employee_id === employeeReport.employeeId).amount;
+                const categories = Object.values(employeeReport.breakdown)
+                    .reduce((total, { amount }) => total + BigInt(amount.replace(/[$.]/g, '')), 0n);
+                expect({ context, amountPaid: employeeReport.amountPaidMoney.amount, categories })
+                    .toEqual({ context, amountPaid: formatHundredths(cents), categories: cents });
+                expect(sum).toBe(formatHundredths(cents));
+            }
+        }
+    });
+
+    test('Should total each currency apart', async () => {
+        // Job group B is paid in Canadian dollars, so employees working in both are paid in two currencies
+        await client.query(`UPDATE job_groups SET currency = 'CAD' WHERE code = 'B'`);
+        try {
+            const random = createRandom(SEED + 2);
+            for (let run = 0; run < RUNS; run++) {
+                const generated = generateReport(random);
+                await store(generated);
+
+                const expected = new Map();
+                generated.entries.forEach(({ date, hours, employeeId, jobGroup }) => {
+                    const multiplier = generated.holidays.includes(date) ? 150 : 100;
+                    const key = `${employeeId} ${jobGroup === 'B' ? 'CAD' : 'USD'}`;
+                    const cents = priceInCents(hours, generated.rates[jobGroup], multiplier);
+                    expected.set(key, (expected.get(key) || 0n) + cents);
+                });
+                const { employeeReports, totals } = await getPayrollReport({});
+
+                const context = `run ${run} of seed ${SEED + 2}`;
+                const paid = Object.fromEntries(employeeReports.map(({ employeeId, amountPaidMoney }) => [
+                    `${employeeId} ${amountPaidMoney.currency}`, amountPaidMoney.amount
+                ]));
+                const byCurrency = {};
+                for (const [key, cents] of expected) {
+                    const currency = key.split(' ')[1];
+                    byCurrency[currency] = (byCurrency[currency] || 0n) + cents;
+                }
+                expect({ context, paid }).toEqual({
+                    context,
+                    paid: Object.fromEntries([...expected].map(([key, cents]) => [key, formatHundredths(cents)]))
+                });
+                const currencies = totals.map(total => [total.currency, total.amountPaidMoney.amount]);
+                expect({ context, totals: currencies }).toEqual({
+                    context,
+                    totals: Object.keys(byCurrency).sort()
+                        .map(currency => [currency, formatHundredths(byCurrency[currency])])
+                });
+            }
+        } finally {
+            await client.query(`UPDATE job_groups SET currency = 'USD'`);
+        }
+    });
+
+    test('Should pay employees in their own currency with the rates in it', async () => {
+        const random = createRandom(SEED + 8);
+        try {
+            for (let run = 0; run < RUNS; run++) {
+                await client.query('DELETE FROM employees');
+                const generated = generateReport(random);
+                await store(generated);
+                const paid = await getPayrollReport({});
+                // One employee is paid in euros, at rates 1.11 higher than the dollar ones
+                const employeeId = Number(paid.employeeReports[0].employeeId);
+                await client.query(
+                    `INSERT INTO employees (id, name, currency) VALUES ($1, 'Property', 'EUR')`,
+                    [employeeId]
+                );
+                await client.query(
+                    `INSERT INTO job_group_rates (job_group, currency, hourly_rate, effective_from)
+                     SELECT job_group, 'EUR', hourly_rate + 1.11, effective_from FROM job_group_rates`
+                );
+
+                let cents = 0n;
+                generated.entries.filter(entry => entry.employeeId === employeeId)
+                    .forEach(({ date, hours, jobGroup }) => {
+                        const multiplier = generated.holidays.includes(date) ? 150 : 100;
+                        cents += priceInCents(hours, BigInt(generated.rates[jobGroup]) + 111n, multiplier);
+                    });
+                const { employeeReports } = await getPayrollReport({ employeeIds: [employeeId] });
+                expect({ run, paid: employeeReports.map(report => report.amountPaidMoney) })
+                    .toEqual({ run, paid: [{ amount: formatHundredths(cents), currency: 'EUR' }] });
+                await client.query(`DELETE FROM job_group_rates WHERE currency = 'EUR'`);
+            }
+        } finally {
+            await client.query('DELETE FROM employees');
+            await client.query(`DELETE FROM job_group_rates WHERE currency = 'EUR'`);
+        }
+    });
+
+    test('Should reconcile analytics with the payroll report', async () => {
+        await client.query(`UPDATE job_groups SET currency = 'CAD' WHERE code = 'B'`);
+        try {
+            const random = createRandom(SEED + 3);
+            for (let run = 0; run < RUNS; run++) {
+                const generated = generateReport(random);
+                await store(generated);
+                const { totals } = await getPayrollReport({});
+                const byPeriod = await getAnalytics({ groupBy: ['payPeriod'] });
+                const byJobGroup = await getAnalytics({ groupBy: ['jobGroup'] });
+
+                // Each job group is paid in a currency of its own here, so its cost is that currency's total
+                const costs = (groups) => groups.flatMap(group => group.costs)
+                    .map(cost => [cost.currency, cost.amountMoney.amount])
+                    .sort(([a], [b]) => a.localeCompare(b));
+                const paid = totals.map(total => [total.currency, total.amountPaidMoney.amount]);
+                const context = `run ${run} of seed ${SEED + 3}`;
+                expect({ context, costs: costs(byPeriod.groups) }).toEqual({ context, costs: paid });
+                expect({ context, costs: costs(byJobGroup.groups) }).toEqual({ context, costs: paid });
+                expect({ context, headcount: byPeriod.totals.headcount })
+                    .toEqual({ context, headcount: new Set(generated.entries.map(entry => entry.employeeId)).size });
+            }
+        } finally {
+            await client.query(`UPDATE job_groups SET currency = 'USD'`);
+        }
+    });
+
+    /**
+     * Closes the pay period of the generated reports, 2024-01-01 to 2024-01-15, then raises every rate.
+     * @returns {Promise<void>} - A promise that resolves once the rates are raised.
+     */
+    const closeAndRaiseRates = async () => {
+        const payPeriod = await createPayPeriod('2024-01-01', '2024-01-15');
+        await closePayPeriod(payPeriod.id, { actor: 'property' });
+        await client.query(
+            `INSERT INTO job_group_rates (job_group, currency, hourly_rate, effective_from)
+             SELECT job_group, currency, hourly_rate + 7.77, '2000-01-01' FROM job_group_rates`
+        );
+    };
+
+    test('Should report closed pay periods as they were paid', async () => {
+        const random = createRandom(SEED + 4);
+        try {
+            for (let run = 0; run < RUNS; run++) {
+                await client.query('DELETE FROM pay_periods');
+                await store(generateReport(random));
+                const paid = await getPayrollReport({});
+                await closeAndRaiseRates();
+
+                // Monthly pay periods would take the closed period's entries into a period of their own
+                await expect(setSchedule(null, { type: 'monthly', anchorDate: null, weekStart: 1 }))
+                    .rejects.toThrow(PeriodClosedError);
+                expect({ run, report: await getPayrollReport({}) }).toEqual({ run, report: paid });
+            }
+        } finally {
+            await client.query('DELETE FROM pay_periods');
+        }
+    });
+
+    test('Should keep the currency closed pay periods were paid in', async () => {
+        const random = createRandom(SEED + 5);
+        // The employee name comes from the master data, the rest is what was paid
+        const paidAmounts = ({ employeeReports, totals }) => ({
+            employeeReports: employeeReports.map(({ employeeName, ...employeeReport }) => employeeReport),
+            totals
+        });
+        try {
+            for (let run = 0; run < RUNS; run++) {
+                await client.query('DELETE FROM pay_periods');
+                await client.query('DELETE FROM employees');
+                await store(generateReport(random));
+                const paid = await getPayrollReport({});
+                const employeeId = Number(paid.employeeReports[0].employeeId);
+                const { lines } = await getPayStub(employeeId, '2024-01-01');
+                await closeAndRaiseRates();
+
+                // Job group B and one employee are paid in other currencies from now on
+                await client.query(`UPDATE job_groups SET currency = 'CAD' WHERE code = 'B'`);
+                await client.query(
+                    `INSERT INTO employees (id, name, currency) VALUES ($1, 'Property', 'EUR')`,
+                    [employeeId]
+                );
+                expect({ run, ...paidAmounts(await getPayrollReport({})) }).toEqual({ run, ...paidAmounts(paid) });
+                expect({ run, lines: (await getPayStub(employeeId, '2024-01-01')).lines }).toEqual({ run, lines });
+                await client.query(`UPDATE job_groups SET currency = 'USD'`);
+            }
+        } finally {
+            await client.query('DELETE FROM pay_periods');
+            await client.query('DELETE FROM employees');
+            await client.query(`UPDATE job_groups SET currency = 'USD'`);
+        }
+    });
+
+    test('Should explain closed pay periods entry by entry as they were paid', async () => {
+        const random = createRandom(SEED + 6);
+        try {
+            for (let run = 0; run < RUNS; run++) {
+                await client.query('DELETE FROM pay_periods');
+                await store(generateReport(random));
+                await closeAndRaiseRates();
+                const { employeeReports } = await getPayrollReport({});
+
+                for (const { employeeId, amountPaidMoney } of employeeReports) {
+                    const { totals, entries } = await getPayPeriodEntries(Number(employeeId), '2024-01-01');
+                    const priced = entries
+                        .reduce((total, entry) => total + BigInt(entry.amountMoney.amount.replace('.', '')), 0n);
+                    expect({ run, employeeId, totals: totals.map(total => total.amountPaidMoney) })
+                        .toEqual({ run, employeeId, totals: [amountPaidMoney] });
+                    expect({ run, employeeId, entries: formatHundredths(priced) })
+                        .toEqual({ run, employeeId, entries: amountPaidMoney.amount });
+                }
+            }
+        } finally {
+            await client.query('DELETE FROM pay_periods');
+        }
+    });
+
+    test('Should reconcile analytics with the payroll report for closed pay periods', async () => {
+        await client.query(`UPDATE job_groups SET currency = 'CAD' WHERE code = 'B'`);
+        const random = createRandom(SEED + 7);
+        try {
+            for (let run = 0; run < RUNS; run++) {
+                await client.query('DELETE FROM pay_periods');
+                await store(generateReport(random));
+                await closeAndRaiseRates();
+                const { totals } = await getPayrollReport({});
+                const byPeriod = await getAnalytics({ groupBy: ['payPeriod'] });
+                const byJobGroup = await getAnalytics({ groupBy: ['jobGroup'] });
+
+                const costs = (groups) => groups.flatMap(group => group.costs)
+                    .map(cost => [cost.currency, cost.amountMoney.amount])
+                    .sort(([a], [b]) => a.localeCompare(b));
+                const paid = totals.map(total => [total.currency, total.amountPaidMoney.amount]);
+                expect({ run, costs: costs(byPeriod.groups) }).toEqual({ run, costs: paid });
+                expect({ run, costs: costs(byJobGroup.groups) }).toEqual({ run, costs: paid });
+            }
+        } finally {
+            await client.query('DELETE FROM pay_periods');
+            await client.query(`UPDATE job_groups SET currency = 'USD'`);
+        }
+    });
+
+    test('Should total pay stub lines and priced entries to the amount paid', async () => {
+        const random = createRandom(SEED + 1);
+        for (let run = 0; run < RUNS; run++) {
+            await store(generateReport(random));
+            const { employeeReports } = await getPayrollReport({});
+
+            for (const { employeeId, amountPaidMoney } of employeeReports) {
+                const payStub = await getPayStub(Number(employeeId), '2024-01-01');
+                const lines = payStub.lines
+                    .reduce((total, line) => total + BigInt(line.amount.replace(/[$.]/g, '')), 0n);
+                const { entries } = await getPayPeriodEntries(Number(employeeId), '2024-01-01');
+                const priced = entries
+                    .reduce((total, entry) => total + BigInt(entry.amountMoney.amount.replace('.', '')), 0n);
+                expect({ run, employeeId, lines: formatHundredths(lines), entries: formatHundredths(priced) })
+                    .toEqual({ run, employeeId, lines: amountPaidMoney.amount, entries: amountPaidMoney.amount });
+            }
+        }
+    });
+});
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { formatOf, supportedFormats, emptyFileError, readRows } = require('../lib/parsers');
+const { ValidationError } = require('../lib/validation');
+
+describe('Time Report Parser Tests', () => {
+    let dir;
+
+    /**
+     * Reads every row of a file.
+     * @param {string} filePath - The path to the file.
+     * @param {string} format - The format to read it in.
+     * @param {Object} [profile] - The import profile to read it with.
+     * @returns {Promise<Array<Object>>} - A promise that resolves to the `{ line, row }` of every row.
+     */
+    const allRows = async (filePath, format, profile) => {
+        const rows = [];
+        for await (const row of readRows(filePath, format, profile)) {
+            rows.push(row);
+        }
+        return rows;
+    };
+
+    /**
+     * Reads a file expecting it to be rejected.
+     * @param {string} filePath - The path to the file.
+     * @param {string} format - The format to read it in.
+     * @param {Object} [profile] - The import profile to read it with.
+     * @returns {Promise<Array<Object>>} - A promise that resolves to the errors of the ValidationError raised.
+     */
+    const rejection = async (filePath, format, profile) => {
+        const error = await allRows(filePath, format, profile).catch(caught => caught);
+        expect(error).toBeInstanceOf(ValidationError);
+        return error.errors;
+    };
+
+    /**
+     * Writes a workbook with a single worksheet.
+     * @param {string} name - The file name.
+     * @param {Array<Array>} rows - The values of each row, an empty array leaving the row blank.
+     * @returns {Promise<string>} - A promise that resolves to the path of the file.
+     */
+    const workbook = async (name, rows) => {
+        const book = new ExcelJS.Workbook();
+        const sheet = book.addWorksheet('Hours');
+        rows.forEach(values => sheet.addRow(values));
+        book.addWorksheet('Notes').addRow(['Ignored']);
+        const filePath = path.join(dir, name);
+        await book.xlsx.writeFile(filePath);
+        return filePath;
+    };
+
+    /**
+     * Writes a text file.
+     * @param {string} name - The file name.
+     * @param {string|Buffer} content - The content.
+     * @returns {string} - The path of the file.
+     */
+    const textFile = (name, content) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-parsers-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Should choose the format from the file extension', () => {
+        expect(formatOf('time-report-1.csv')).toBe('csv');
+        expect(formatOf('time-report-1.XLSX')).toBe('xlsx');
+        expect(formatOf('time-report-1.json')).toBe('json');
+        expect(formatOf('time-report-1.xls')).toBeNull();
+        expect(supportedFormats()).toBe('CSV, XLSX and JSON');
+        expect(emptyFileError('json')).toBe('Invalid JSON format: File Empty');
+    });
+
+    test('Should read CSV files unchanged', async () => {
+        const rows = await allRows(path.resolve(__dirname, 'time-report-1.csv'), 'csv');
+
+        expect(rows[0]).toEqual({ line: 2, row: { date: '04/01/2023', 'hours worked': '10', 'employee id': '1', 'job group': 'A' } });
+        expect(rows).toHaveLength(4);
+    });
+
+    test('Should match CSV headings regardless of case, spacing and a UTF-8 byte order mark', async () => {
+        const filePath = textFile('headings.csv', '\uFEFF Date ,HOURS  WORKED,Employee_ID,jobGroup\n14/11/2023,7.5,1,A\n');
+
+        expect(await allRows(filePath, 'csv')).toEqual([
+            { line: 2, row: { date: '14/11/2023', 'hours worked': '7.5', 'employee id': '1', 'job group': 'A' } }
+        ]);
+    });
+
+    test('Should read CSV files with the delimiter and encoding of an import profile', async () => {
+        const expected = [{ line: 2, row: { date: '14/11/2023', 'hours worked': '7,5', 'employee id': '1', 'job group': 'Zürich' } }];
+        const content = 'date\thours worked\temployee id\tjob group\n14/11/2023\t7,5\t1\tZürich\n';
+        const utf16 = textFile('utf16.csv', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(content, 'utf16le')]));
+        const latin1 = textFile('latin1.csv', Buffer.from(content, 'latin1'));
+
+        expect(await allRows(utf16, 'csv', { delimiter: '\t', encoding: 'utf-16le' })).toEqual(expected);
+        expect(await allRows(latin1, 'csv', { delimiter: '\t', encoding: 'windows-1252' })).toEqual(expected);
+    });
+
+    test('Should rename aliased headings and drop ignored columns in every format', async () => {
+        const profile = { headerAliases: { 'Work Day': 'date', 'Hrs': 'hours worked' }, ignoreColumns: ['Cost Centre'] };
+        const csv = textFile('aliases.csv', 'work day,hrs,employee id,job group,cost centre\n14/11/2023,8,1,A,CC-1\n');
+        const json = textFile('aliases.json', JSON.stringify([
+            { workDay: '14/11/2023', HRS: 8, employeeId: 1, jobGroup: 'A', costCentre: 'CC-1' }
+        ]));
+        const xlsx = await workbook('aliases.xlsx', [
+            ['Work Day', 'Hrs', 'Employee ID', 'Job Group', 'Cost Centre'],
+            ['14/11/2023', 8, 1, 'A', 'CC-1']
+        ]);
+        const expected = { date: '14/11/2023', 'hours worked': '8', 'employee id': '1', 'job group': 'A' };
+
+        expect((await allRows(csv, 'csv', profile))[0].row).toEqual(expected);
+        expect((await allRows(json, 'json', profile))[0].row).toEqual(expected);
+        expect((await allRows(xlsx, 'xlsx', profile))[0].row).toEqual(expected);
+    });
+
+    test('Should report headings that map to the same column', async () => {
+        const filePath = textFile('twice.csv', 'date,day,hours worked,employee id,job group\n14/11/2023,14/11/2023,8,1,A\n');
+
+        expect(await rejection(filePath, 'csv', { headerAliases: { day: 'date' } })).toEqual([
+            { line: 1, column: 'header', value: 'date,date,hours worked,employee id,job group', message: 'Headers appear more than once: date' }
+        ]);
+    });
+
+    test('Should read the first worksheet of a workbook into CSV rows', async () => {
+        const filePath = await workbook('hours.xlsx', [
+            ['Date', 'Hours Worked', 'employee_id', 'jobGroup', 'Notes'],
+            [new Date(Date.UTC(2023, 10, 14)), 7.5, 1, 'A', 'Night shift'],
+            [],
+            ['15/11/2023', { formula: '4+4', result: 8 }, 2, { richText: [{ text: 'B' }] }],
+            [new Date(Date.UTC(2023, 10, 16)), null, 3, 'A']
+        ]);
+
+        const rows = await allRows(filePath, 'xlsx');
+
+        // Lines are worksheet row numbers, the blank row is skipped and extra columns are kept
+        expect(rows).toEqual([
+            { line: 2, row: { date: '2023-11-14', 'hours worked': '7.5', 'employee id': '1', 'job group': 'A', notes: 'Night shift' } },
+            { line: 4, row: { date: '15/11/2023', 'hours worked': '8', 'employee id': '2', 'job group': 'B', notes: undefined } },
+            { line: 5, row: { date: '2023-11-16', 'hours worked': undefined, 'employee id': '3', 'job group': 'A', notes: undefined } }
+        ]);
+    });
+
+    test('Should report missing worksheet headings', async () => {
+        const filePath = await workbook('headings.xlsx', [['Date', 'Hours', 'Employee ID', 'Job Group'], ['2023-11-14', 8, 1, 'A']]);
+
+        expect(await rejection(filePath, 'xlsx')).toEqual([
+            { line: 1, column: 'header', value: 'date,hours,employee id,job group', message: 'Missing headers: hours worked' }
+        ]);
+    });
+
+    test('Should read the entries of a JSON array into CSV rows', async () => {
+        const filePath = textFile('hours.json', JSON.stringify([
+            { date: '2023-11-14', 'hours worked': 7.5, 'employee id': '1', 'job group': 'A' },
+            { date: '2023-11-15', hoursWorked: '8', employeeId: 2, jobGroup: null },
+            { date: null, hours_worked: null },
+            'not an entry'
+        ]));
+
+        const rows = await allRows(filePath, 'json');
+
+        // Lines are positions in the array, blank entries are skipped and entries that aren't objects are kept
+        // so their missing columns are reported
+        expect(rows).toEqual([
+            { line: 1, row: { date: '2023-11-14', 'hours worked': '7.5', 'employee id': '1', 'job group': 'A' } },
+            { line: 2, row: { date: '2023-11-15', 'hours worked': '8', 'employee id': '2', 'job group': undefined } },
+            { line: 4, row: {} }
+        ]);
+        expect(await allRows(textFile('empty.json', ' [ ] '), 'json')).toEqual([]);
+    });
+
+    test('Should reject a JSON file that is not an array of entries', async () => {
+        const object = textFile('object.json', '{ "entries": [] }');
+        const truncated = textFile('truncated.json', '[{ "date": "2023-11-14" },');
+
+        expect(await rejection(object, 'json')).toEqual([{
+            line: null, column: null, value: null, message: 'The file is not a valid JSON file: Top-level object should be an array.'
+        }]);
+        expect((await rejection(truncated, 'json'))[0].message).toMatch(/^The file is not a valid JSON file: /);
+    });
+
+    test('Should reject a file whose content is in another format than its name', async () => {
+        const csv = path.resolve(__dirname, 'time-report-1.csv');
+        const json = textFile('named.csv', '[]');
+
+        expect(await rejection(csv, 'xlsx')).toEqual([
+            { line: null, column: null, value: null, message: 'The file is named as XLSX but holds CSV data' }
+        ]);
+        expect((await rejection(json, 'csv'))[0].message).toBe('The file is named as CSV but holds JSON data');
+        expect((await rejection(textFile('empty.xlsx', ''), 'xlsx'))[0].message).toMatch(/^The file is not a valid XLSX file: /);
+    });
+});
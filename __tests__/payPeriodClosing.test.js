@@ -0,0 +1,230 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const periodRow = {
+    id: 1,
+    start_date: '2023-01-01',
+    end_date: '2023-01-15',
+    status: 'open',
+    closed_at: null,
+    closed_by: null,
+    reopened_at: null,
+    reopened_by: null
+};
+
+const payPeriod = {
+    id: 1,
+    startDate: '2023-01-01',
+    endDate: '2023-01-15',
+    status: 'open',
+    closedAt: null,
+    closedBy: null,
+    reopenedAt: null,
+    reopenedBy: null
+};
+
+const closedRow = { ...periodRow, status: 'closed', closed_at: '2023-01-20T09:00:00', closed_by: 'payroll.admin' };
+
+/**
+ * Simulates a database holding pay period 1, answering each query by what it runs.
+ * @param {Object} row - The pay_periods row before the request.
+ * @returns {Function} - The query implementation.
+ */
+const storedPeriod = (row) => async (query) => {
+    // The totals are kept by a query built as { text, values }
+    const sql = typeof query === 'string' ? query : query.text;
+    if (sql.startsWith('SELECT id, status')) {
+        return { rows: [row] };
+    }
+    // Only an open period closes and only a closed one reopens
+    if (sql.includes("SET status = 'closed'")) {
+        return { rows: row.status === 'open' ? [closedRow] : [] };
+    }
+    if (sql.includes("SET status = 'open'")) {
+        return { rows: row.status === 'closed' ? [{ ...periodRow, reopened_by: 'payroll.admin' }] : [] };
+    }
+    return { rows: [] };
+};
+
+/**
+ * Lists the statements run against the mocked database, without their parameters.
+ * @returns {Array<string>} - The first three words of each statement.
+ */
+const statements = () => mockClient.query.mock.calls
+    .map(([query]) => (typeof query === 'string' ? query : query.text).trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('Pay Period API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should list the pay periods with a status', async () => {
+        mockClient.query.mockResolvedValue({ rows: [periodRow] });
+
+        const response = await api.get('/pay-periods?status=open');
+        const invalid = await api.get('/pay-periods?status=paid');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ payPeriods: [payPeriod] });
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('WHERE status = $1'), ['open']);
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'status must be one of open, closed' });
+    });
+
+    test('Should return a pay period with the totals kept when it closed', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [closedRow] })
+            .mockResolvedValueOnce({
+                rows: [{ employee_id: 1, start_date: '2023-01-01', end_date: '2023-01-15', amount_paid: '300.00' }]
+            });
+
+        const response = await api.get('/pay-periods/1');
+        const unknown = await api.get('/pay-periods/abc');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payPeriod).toMatchObject({ status: 'closed', closedBy: 'payroll.admin' });
+        expect(response.body.totals).toEqual([{
+            employeeId: '1',
+            payPeriod: { startDate: '2023-01-01', endDate: '2023-01-15' },
+            amountPaid: '$300.00',
+            amountPaidMoney: { amount: '300.00', currency: 'USD' }
+        }]);
+        expect(unknown.status).toBe(404);
+    });
+
+    test('Should open the pay period starting on a date under the default schedule', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] }) // This simulates no pay schedule being stored
+            .mockResolvedValueOnce({ rows: [] }) // This simulates no overlapping pay period
+            .mockResolvedValueOnce({ rows: [periodRow] });
+
+        const response = await api.post('/pay-periods').send({ startDate: '2023-01-01' });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toEqual({ payPeriod });
+        expect(mockClient.query).toHaveBeenLastCalledWith(
+            expect.stringContaining('INSERT INTO pay_periods'),
+            ['2023-01-01', '2023-01-15']
+        );
+    });
+
+    test('Should reject a pay period that does not start a period or overlaps another', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const midPeriod = await api.post('/pay-periods').send({ startDate: '2023-01-03' });
+        const invalid = await api.post('/pay-periods').send({ startDate: '01/01/2023' });
+
+        mockClient.query.mockReset();
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [] }) // This simulates no pay schedule being stored
+            .mockResolvedValueOnce({ rows: [periodRow] });
+        const overlapping = await api.post('/pay-periods').send({ startDate: '2023-01-01' });
+
+        expect(midPeriod.status).toBe(400);
+        expect(midPeriod.body).toEqual({
+            error: 'startDate must be the first day of a pay period, the one containing it starts on 2023-01-01'
+        });
+        expect(invalid.status).toBe(400);
+        expect(overlapping.status).toBe(409);
+        expect(overlapping.body).toEqual({ error: 'Pay period overlaps an existing one' });
+        expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO'), expect.anything());
+    });
+
+    test('Should close an open pay period and keep its totals', async () => {
+        mockClient.query.mockImplementation(storedPeriod(periodRow));
+
+        const response = await api.post('/pay-periods/1/close');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payPeriod).toMatchObject({ status: 'closed', closedBy: 'payroll.admin' });
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining("SET status = 'closed'"),
+            [1, 'payroll.admin']
+        );
+        // The totals and the pricing of their entries are kept in the transaction that closes the period
+        expect(mockClient.query).toHaveBeenCalledWith({
+            text: expect.stringContaining('INSERT INTO pay_period_totals'),
+            values: [1, '2023-01-01', '2023-01-15']
+        });
+        expect(mockClient.query).toHaveBeenCalledWith({
+            text: expect.stringContaining('INSERT INTO pay_period_entries'),
+            values: [1, '2023-01-01', '2023-01-15']
+        });
+        expect(statements()).toEqual([
+            'SELECT id, status,', 'BEGIN', 'UPDATE pay_periods SET', 'WITH rules AS', 'COMMIT'
+        ]);
+    });
+
+    test('Should not close a closed pay period or reopen an open one', async () => {
+        mockClient.query.mockImplementation(storedPeriod(closedRow));
+        const closed = await api.post('/pay-periods/1/close');
+
+        mockClient.query.mockImplementation(storedPeriod(periodRow));
+        const reopened = await api.post('/pay-periods/1/reopen');
+
+        mockClient.query.mockImplementation(async () => ({ rows: [] }));
+        const unknown = await api.post('/pay-periods/2/close');
+
+        expect(closed.status).toBe(409);
+        expect(closed.body).toEqual({ error: 'Pay period is already closed' });
+        expect(reopened.status).toBe(409);
+        expect(reopened.body).toEqual({ error: 'Pay period is not closed' });
+        expect(unknown.status).toBe(404);
+        expect(statements()).not.toContain('WITH rules AS');
+    });
+
+    test('Should reopen a closed pay period and drop its totals and entry pricing', async () => {
+        mockClient.query.mockImplementation(storedPeriod(closedRow));
+
+        const response = await api.post('/pay-periods/1/reopen');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payPeriod).toMatchObject({ status: 'open', reopenedBy: 'payroll.admin' });
+        expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM pay_period_entries WHERE pay_period_id = $1', [1]);
+        expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM pay_period_totals WHERE pay_period_id = $1', [1]);
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('Should only let admins manage pay periods', async () => {
+        const response = await api
+            .post('/pay-periods/1/close')
+            .set('Authorization', `Bearer ${signToken({ sub: 'payroll.clerk', role: 'uploader' })}`);
+
+        expect(response.status).toBe(403);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+});
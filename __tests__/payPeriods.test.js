@@ -0,0 +1,35 @@
+const { getPayPeriod } = require('../lib/payPeriods');
+
+describe('Pay Period Calculation Tests', () => {
+    test('Should default to semi-monthly periods', () => {
+        expect(getPayPeriod('2023-01-15')).toEqual({ startDate: '2023-01-01', endDate: '2023-01-15' });
+        expect(getPayPeriod('2023-01-16')).toEqual({ startDate: '2023-01-16', endDate: '2023-01-31' });
+        // Leap and non-leap Februaries
+        expect(getPayPeriod('2024-02-20')).toEqual({ startDate: '2024-02-16', endDate: '2024-02-29' });
+        expect(getPayPeriod('2023-02-20')).toEqual({ startDate: '2023-02-16', endDate: '2023-02-28' });
+    });
+
+    test('Should calculate monthly periods', () => {
+        const schedule = { type: 'monthly' };
+        expect(getPayPeriod('2023-12-31', schedule)).toEqual({ startDate: '2023-12-01', endDate: '2023-12-31' });
+        expect(getPayPeriod('2024-02-01', schedule)).toEqual({ startDate: '2024-02-01', endDate: '2024-02-29' });
+    });
+
+    test('Should calculate weekly periods from the week start across a year boundary', () => {
+        // 2024-01-01 is a Monday
+        const schedule = { type: 'weekly', anchorDate: null, weekStart: 1 };
+        expect(getPayPeriod('2023-12-30', schedule)).toEqual({ startDate: '2023-12-25', endDate: '2023-12-31' });
+        expect(getPayPeriod('2024-01-01', schedule)).toEqual({ startDate: '2024-01-01', endDate: '2024-01-07' });
+
+        const sundays = { type: 'weekly', anchorDate: null, weekStart: 0 };
+        expect(getPayPeriod('2024-01-01', sundays)).toEqual({ startDate: '2023-12-31', endDate: '2024-01-06' });
+    });
+
+    test('Should calculate bi-weekly periods from the anchor date', () => {
+        const schedule = { type: 'biweekly', anchorDate: '2024-01-05', weekStart: 5 };
+        expect(getPayPeriod('2024-01-05', schedule)).toEqual({ startDate: '2024-01-05', endDate: '2024-01-18' });
+        expect(getPayPeriod('2024-01-31', schedule)).toEqual({ startDate: '2024-01-19', endDate: '2024-02-01' });
+        // Dates before the anchor fall in earlier cycles
+        expect(getPayPeriod('2023-12-25', schedule)).toEqual({ startDate: '2023-12-22', endDate: '2024-01-04' });
+    });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const jobGroupRow = { code: 'A', description: 'Job group A', rates: [] };
+
+/**
+ * Answers the queries of a pay schedule change, for an existing job group.
+ * @param {Object} scheduleRow - The pay_schedules row the change stores.
+ * @param {Array<Object>} [moved] - The closed pay periods the change would re-cut, as found after it.
+ * @returns {Function} - A mock implementation of query().
+ */
+const scheduleChange = (scheduleRow, moved = []) => async (sql) => {
+    if (sql.includes('FROM job_groups')) {
+        return { rows: [jobGroupRow] };
+    }
+    if (sql.includes('INSERT INTO pay_schedules')) {
+        return { rows: [scheduleRow] };
+    }
+    if (sql.includes(') moved')) {
+        return { rows: moved };
+    }
+    return { rows: [], rowCount: 1 };
+};
+
+describe('Pay Schedule API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should fall back to semi-monthly when no default schedule is stored', async () => {
+        mockClient.query.mockResolvedValue({
+            rows: [{ job_group: 'B', schedule_type: 'weekly', anchor_date: null, week_start: 1 }]
+        });
+        const response = await api.get('/pay-schedules');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            paySchedules: {
+                default: { type: 'semimonthly', anchorDate: null, weekStart: 1 },
+                jobGroups: [{ jobGroup: 'B', type: 'weekly', anchorDate: null, weekStart: 1 }]
+            }
+        });
+    });
+
+    test('Should set a job group schedule with the week starting on the anchor date', async () => {
+        mockClient.query.mockImplementation(scheduleChange(
+            { job_group: 'A', schedule_type: 'biweekly', anchor_date: '2024-01-05', week_start: 5 }
+        ));
+        const response = await api
+            .put('/pay-schedules/A')
+            .send({ type: 'biweekly', anchorDate: '2024-01-05' });
+
+        expect(response.status).toBe(200);
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('ON CONFLICT (job_group)'),
+            ['A', 'biweekly', '2024-01-05', 5]
+        );
+        expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('Should set the company wide default schedule', async () => {
+        mockClient.query.mockImplementation(scheduleChange(
+            { job_group: null, schedule_type: 'monthly', anchor_date: null, week_start: 1 }
+        ));
+        const response = await api.put('/pay-schedules/default').send({ type: 'monthly' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ paySchedule: { type: 'monthly', anchorDate: null, weekStart: 1 } });
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('ON CONFLICT ((job_group IS NULL)) WHERE job_group IS NULL'),
+            [null, 'monthly', null, 1]
+        );
+    });
+
+    test('Should not change schedules that would re-cut a closed pay period', async () => {
+        mockClient.query.mockImplementation(scheduleChange(
+            { job_group: null, schedule_type: 'monthly', anchor_date: null, week_start: 1 },
+            [{ start_date: '2023-02-01', end_date: '2023-02-15' }]
+        ));
+        const changed = await api.put('/pay-schedules/default').send({ type: 'monthly' });
+        const removed = await api.delete('/pay-schedules/A');
+
+        const error = 'The pay schedule change would re-cut the closed pay period 2023-02-01 to 2023-02-15';
+        expect(changed.status).toBe(409);
+        expect(changed.body).toEqual({ error });
+        expect(removed.status).toBe(409);
+        expect(removed.body).toEqual({ error });
+        // The entries of closed periods are compared before and after the change, which is rolled back
+        expect(mockClient.query).toHaveBeenCalledWith('LOCK TABLE pay_periods IN SHARE MODE');
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TEMP TABLE kept_entries'));
+        expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+        expect(mockClient.query).not.toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('Should reject invalid schedules', async () => {
+        const badType = await api.put('/pay-schedules/default').send({ type: 'daily' });
+        expect(badType.status).toBe(400);
+
+        // 2024-01-05 is a Friday
+        const mismatch = await api
+            .put('/pay-schedules/default')
+            .send({ type: 'weekly', anchorDate: '2024-01-05', weekStart: 1 });
+        expect(mismatch.status).toBe(400);
+        expect(mismatch.body).toEqual({ error: 'anchorDate must fall on weekStart' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should return 404 when setting the schedule of an unknown job group', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.put('/pay-schedules/Z').send({ type: 'weekly' });
+
+        expect(response.status).toBe(404);
+    });
+
+    test('Should return the pay period containing a date', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [jobGroupRow] })
+            .mockResolvedValueOnce({
+                rows: [{ job_group: 'A', schedule_type: 'weekly', anchor_date: null, week_start: 1 }]
+            });
+        const response = await api.get('/pay-schedules/A/period?date=2023-12-30');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payPeriod).toEqual({ startDate: '2023-12-25', endDate: '2023-12-31' });
+    });
+
+    test('Should not remove the default schedule', async () => {
+        const response = await api.delete('/pay-schedules/default');
+
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+describe('Overtime Rule and Holiday API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should return the default overtime rules when none are saved', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.get('/overtime-rules');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            overtimeRules: {
+                dailyThreshold: null,
+                dailyDoubleTimeThreshold: null,
+                weeklyThreshold: null,
+                overtimeMultiplier: '1.50',
+                doubleTimeMultiplier: '2.00',
+                holidayMultiplier: '1.50'
+            }
+        });
+    });
+
+    test('Should save overtime rules with defaults for omitted fields', async () => {
+        mockClient.query.mockResolvedValue({
+            rows: [{
+                daily_threshold: '8.00', daily_double_threshold: '12.00', weekly_threshold: '40.00',
+                overtime_multiplier: '1.50', double_time_multiplier: '2.00', holiday_multiplier: '1.50'
+            }]
+        });
+        const response = await api
+            .put('/overtime-rules')
+            .send({ dailyThreshold: 8, dailyDoubleTimeThreshold: 12, weeklyThreshold: 40 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.overtimeRules.weeklyThreshold).toBe('40.00');
+        expect(mockClient.query.mock.calls[0][1]).toEqual([8, 12, 40, 1.5, 2, 1.5]);
+    });
+
+    test('Should reject invalid overtime rules', async () => {
+        const negative = await api.put('/overtime-rules').send({ dailyThreshold: -8 });
+        expect(negative.status).toBe(400);
+
+        const discount = await api.put('/overtime-rules').send({ overtimeMultiplier: 0.5 });
+        expect(discount.status).toBe(400);
+
+        const inverted = await api
+            .put('/overtime-rules')
+            .send({ dailyThreshold: 12, dailyDoubleTimeThreshold: 8 });
+        expect(inverted.status).toBe(400);
+        expect(inverted.body).toEqual({ error: 'dailyDoubleTimeThreshold must be greater than dailyThreshold' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should list the holidays of a year', async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ date: '2024-01-01', name: "New Year's Day" }] });
+        const response = await api.get('/holidays?year=2024');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ holidays: [{ date: '2024-01-01', name: "New Year's Day" }] });
+        expect(mockClient.query.mock.calls[0][1]).toEqual([2024]);
+    });
+
+    test('Should add a holiday', async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ date: '2024-07-01', name: 'Canada Day' }] });
+        const response = await api.post('/holidays').send({ date: '2024-07-01', name: ' Canada Day ' });
+
+        expect(response.status).toBe(201);
+        expect(mockClient.query.mock.calls[0][1]).toEqual(['2024-07-01', 'Canada Day']);
+    });
+
+    test('Should reject a holiday without a valid date or name', async () => {
+        const badDate = await api.post('/holidays').send({ date: '2024-13-01', name: 'Nope' });
+        expect(badDate.status).toBe(400);
+
+        const noName = await api.post('/holidays').send({ date: '2024-07-01' });
+        expect(noName.status).toBe(400);
+    });
+
+    test('Should return 404 when removing a date that is not a holiday', async () => {
+        mockClient.query.mockResolvedValue({ rowCount: 0 });
+        const response = await api.delete('/holidays/2024-07-02');
+
+        expect(response.status).toBe(404);
+    });
+});
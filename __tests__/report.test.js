@@ -1,22 +1,104 @@
 const request = require('supertest');
+const zlib = require('zlib');
 const app = require('../index');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
 
 // Mocking the 'pg' module to prevent database intractions during the tests
 jest.mock('pg', () => {
     // Create function mocks to track calls
     const mClient = {
-        connect: jest.fn(),
         query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
         end: jest.fn()
     };
-    // Provides mocked Client  constructor so we use mocks instead of the real client object
-    return { Client: jest.fn(() => mClient) };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+/**
+ * Builds a row as returned by the report query for a pay period with only regular hours.
+ * @param {number} employeeId - The employee's id.
+ * @param {string} startDate - The start of the pay period.
+ * @param {string} endDate - The end of the pay period.
+ * @param {string} hours - The regular hours worked.
+ * @param {string} amount - The amount paid.
+ * @returns {Object} - The row.
+ */
+const regularRow = (employeeId, startDate, endDate, hours, amount) => ({
+    employee_id: employeeId, start_date: startDate, end_date: endDate, currency: 'USD',
+    regular_hours: hours, regular_amount: amount,
+    overtime_hours: '0', overtime_amount: '0.00',
+    double_time_hours: '0', double_time_amount: '0.00',
+    holiday_hours: '0', holiday_amount: '0.00',
+    amount_paid: amount
+});
+
+/**
+ * Builds the amount of a premium category expected in dollars.
+ * @param {number} hours - The hours worked.
+ * @param {string} amount - The amount paid, e.g. '$450.00'.
+ * @returns {Object} - The hours and amount, formatted and structured.
+ */
+const dollars = (hours, amount) => ({ hours, amount, amountMoney: { amount: amount.slice(1), currency: 'USD' } });
+
+/**
+ * Builds the breakdown expected for a pay period with only regular hours.
+ * @param {number} hours - The regular hours worked.
+ * @param {string} amount - The amount paid.
+ * @returns {Object} - The breakdown.
+ */
+const regularBreakdown = (hours, amount) => ({
+    regular: dollars(hours, amount),
+    overtime: dollars(0, '$0.00'),
+    doubleTime: dollars(0, '$0.00'),
+    holiday: dollars(0, '$0.00')
+});
+
+/**
+ * Simulates the report queries, answering the totals by currency apart from the employee pay periods.
+ * @param {Array<Object>} rows - The rows of the report query.
+ * @param {Array<Object>} [totals] - The rows of the currency totals query.
+ * @returns {Function} - The query implementation.
+ */
+const storedReport = (rows, totals = []) => async ({ text }) => ({
+    rows: text.includes('GROUP BY currency') ? totals : rows
 });
 
-// "Import" the mocked Client
-const { Client } = require('pg');
-// "Create" the mocked Client
-const mockClient = new Client();
+/**
+ * Reads a PDF response body into a buffer.
+ * @param {Object} res - The response stream.
+ * @param {Function} callback - Receives the body.
+ */
+const pdfBody = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+/**
+ * Extracts the text drawn in a PDF rendered by PDFKit, which draws it with the WinAnsi encoding of the built-in
+ * fonts in compressed content streams.
+ * @param {Buffer} pdf - The PDF document.
+ * @returns {Array<string>} - The text of each text operation, in order.
+ */
+const pdfText = (pdf) => [...pdf.toString('latin1').matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)]
+    .map(([, stream]) => zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1'))
+    .flatMap(content => [...content.matchAll(/\[(.*?)\] TJ/g)])
+    .map(([, glyphs]) => [...glyphs.matchAll(/<([0-9a-f]*)>/g)]
+        .map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1').replace(/\x80/g, '€'))
+        .join(''));
 
 describe('Payroll Report API Tests', () => {
     beforeAll(() => {
@@ -40,15 +122,13 @@ describe('Payroll Report API Tests', () => {
 
     test('Should return a valid payroll report for a set of records', async () => {
         // Mocking database response for report endpoint
-        mockClient.query.mockResolvedValue({
-            rows: [
-                { date: '2023-01-04', hours_worked: 10, employee_id: 1, job_group: 'A' },
-                { date: '2023-01-14', hours_worked: 5, employee_id: 1, job_group: 'A' },
-                { date: '2023-01-20', hours_worked: 3, employee_id: 2, job_group: 'B' },
-                { date: '2023-01-20', hours_worked: 4, employee_id: 1, job_group: 'A' },
-            ]
-        });
-        const response = await request(app).get('/report');
+        // Mocking the database response for report endpoint, the totals are calculated by the query
+        mockClient.query.mockImplementation(storedReport([
+            regularRow(1, '2023-01-01', '2023-01-15', '15.00', '450.00'),
+            regularRow(1, '2023-01-16', '2023-01-31', '4.00', '120.00'),
+            regularRow(2, '2023-01-16', '2023-01-31', '3.00', '60.00'),
+        ], [{ currency: 'USD', hours: '22.00', amount_paid: '630.00' }]));
+        const response = await api.get('/report');
 
         expect(response.status).toBe(200);
         expect(response.body).toEqual({
@@ -60,7 +140,9 @@ describe('Payroll Report API Tests', () => {
                             startDate: '2023-01-01',
                             endDate: '2023-01-15',
                         },
-                        amountPaid: '$450.00'
+                        breakdown: regularBreakdown(15, '$450.00'),
+                        amountPaid: '$450.00',
+                        amountPaidMoney: { amount: '450.00', currency: 'USD' }
                     },
                     {
                         employeeId: '1',
@@ -68,7 +150,9 @@ describe('Payroll Report API Tests', () => {
                             startDate: '2023-01-16',
                             endDate: '2023-01-31',
                         },
-                        amountPaid: '$120.00'
+                        breakdown: regularBreakdown(4, '$120.00'),
+                        amountPaid: '$120.00',
+                        amountPaidMoney: { amount: '120.00', currency: 'USD' }
                     },
                     {
                         employeeId: '2',
@@ -76,7 +160,17 @@ describe('Payroll Report API Tests', () => {
                             startDate: '2023-01-16',
                             endDate: '2023-01-31'
                         },
-                        amountPaid: '$60.00'
+                        breakdown: regularBreakdown(3, '$60.00'),
+                        amountPaid: '$60.00',
+                        amountPaidMoney: { amount: '60.00', currency: 'USD' }
+                    }
+                ],
+                totals: [
+                    {
+                        currency: 'USD',
+                        hours: 22,
+                        amountPaid: '$630.00',
+                        amountPaidMoney: { amount: '630.00', currency: 'USD' }
                     }
                 ]
             }
@@ -88,12 +182,13 @@ describe('Payroll Report API Tests', () => {
         mockClient.query.mockResolvedValue({
             rows: [],
         });
-        const response = await request(app).get('/report');
+        const response = await api.get('/report');
 
         expect(response.status).toBe(200);
         expect(response.body).toEqual({
             payrollReport: {
-                employeeReports: []
+                employeeReports: [],
+                totals: []
             }
         });
     });
@@ -101,11 +196,313 @@ describe('Payroll Report API Tests', () => {
     test('Should handle database errors gracefully', async () => {
         // Mock a database error to ensure error handling
         mockClient.query.mockRejectedValue(new Error('Database error'));
-        const response = await request(app).get('/report');
+        const response = await api.get('/report');
 
         expect(response.status).toBe(500);
         expect(response.body).toEqual({
             error: 'Internal server error'
         });
     });
-});
\ No newline at end of file
+
+    test('Should pass the employee, report and pay period filters to the query', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.get('/report?employeeId=1,2&employeeId=3&reportId=42&payPeriod=2023-01-16');
+
+        expect(response.status).toBe(200);
+        const { text, values } = mockClient.query.mock.calls[0][0];
+        expect(values).toEqual([[1, 2, 3], ['42'], '2023-01-16']);
+        expect(text).toContain('e.employee_id = ANY($1::int[])');
+        expect(text).toContain('e.report_id = ANY($2::text[])');
+        expect(text).toContain('period_start = $3::date');
+    });
+
+    test('Should select the pay periods overlapping a date range', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        await api.get('/report?startDate=2023-01-10&endDate=2023-01-20');
+
+        const { text, values } = mockClient.query.mock.calls[0][0];
+        expect(values).toEqual(['2023-01-10', '2023-01-20']);
+        expect(text).toContain('period_end >= $1::date');
+        expect(text).toContain('period_start <= $2::date');
+    });
+
+    test('Should report the totals kept for closed pay periods', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        await api.get('/report');
+        await api.get('/report?reportId=42');
+
+        // Each report runs its own query and one that totals it by currency
+        const [all, , filtered] = mockClient.query.mock.calls.map(([query]) => query.text);
+        // Closed periods are reported as kept, in the currencies they were paid in, and not calculated again
+        expect(all).toContain('currency::text AS currency');
+        expect(all).toContain('FROM pay_period_totals\n');
+        expect(all).toContain('AND kept.period_start = priced.period_start');
+        expect(all).not.toContain('kept.currency');
+        expect(all).toContain('UNION ALL\n                SELECT * FROM kept');
+        // The kept totals cover every report, so they don't apply to a single one
+        expect(filtered).toContain('FROM pay_period_totals\n            WHERE false');
+    });
+
+    test('Should paginate the employee reports', async () => {
+        // The query asks for one row more than the limit to detect a next page
+        mockClient.query.mockImplementation(storedReport([
+            regularRow(1, '2023-01-16', '2023-01-31', '4.00', '120.00'),
+            regularRow(2, '2023-01-16', '2023-01-31', '3.00', '60.00'),
+        ]));
+        const response = await api.get('/report?limit=1&offset=1');
+
+        expect(response.status).toBe(200);
+        expect(mockClient.query.mock.calls[0][0].values).toEqual([2, 1]);
+        // The totals by currency cover every page
+        expect(mockClient.query.mock.calls[1][0].values).toEqual([]);
+        expect(response.body).toEqual({
+            payrollReport: {
+                employeeReports: [
+                    {
+                        employeeId: '1',
+                        payPeriod: { startDate: '2023-01-16', endDate: '2023-01-31' },
+                        breakdown: regularBreakdown(4, '$120.00'),
+                        amountPaid: '$120.00',
+                        amountPaidMoney: { amount: '120.00', currency: 'USD' }
+                    }
+                ],
+                pagination: { limit: 1, offset: 1, nextOffset: 2 },
+                totals: []
+            }
+        });
+    });
+
+    test('Should reject invalid filters', async () => {
+        const cases = [
+            ['/report?employeeId=abc', 'employeeId must be a list of numeric employee ids'],
+            ['/report?startDate=2023-02-30', 'startDate must be a date in YYYY-MM-DD format'],
+            ['/report?startDate=2023-02-01&endDate=2023-01-01', 'startDate must not be after endDate'],
+            ['/report?payPeriod=01/16/2023', 'payPeriod must be the start date of a pay period in YYYY-MM-DD format'],
+            ['/report?limit=0', 'limit must be an integer between 1 and 1000'],
+            ['/report?offset=-1', 'offset must be a non-negative integer'],
+            ['/report?locale=not_a_locale', 'locale must be a supported locale, e.g. en-US or fr-CA'],
+        ];
+        for (const [url, error] of cases) {
+            const response = await api.get(url);
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({ error });
+        }
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should break out overtime, double time and holiday pay', async () => {
+        mockClient.query.mockResolvedValue({
+            rows: [{
+                employee_id: 1, start_date: '2024-01-01', end_date: '2024-01-15', currency: 'USD',
+                regular_hours: '40.00', regular_amount: '1120.00',
+                overtime_hours: '12.00', overtime_amount: '510.00',
+                double_time_hours: '2.00', double_time_amount: '120.00',
+                holiday_hours: '5.00', holiday_amount: '225.00',
+                amount_paid: '1975.00'
+            }]
+        });
+        const response = await api.get('/report');
+
+        expect(response.status).toBe(200);
+        expect(response.body.payrollReport.employeeReports[0]).toEqual({
+            employeeId: '1',
+            payPeriod: { startDate: '2024-01-01', endDate: '2024-01-15' },
+            breakdown: {
+                regular: dollars(40, '$1120.00'),
+                overtime: dollars(12, '$510.00'),
+                doubleTime: dollars(2, '$120.00'),
+                holiday: dollars(5, '$225.00')
+            },
+            amountPaid: '$1975.00',
+            amountPaidMoney: { amount: '1975.00', currency: 'USD' }
+        });
+        // Premiums come from the stored rules and holiday calendar
+        const { text } = mockClient.query.mock.calls[0][0];
+        expect(text).toContain('FROM overtime_rules');
+        expect(text).toContain('LEFT JOIN holidays h ON h.date = e.date');
+    });
+
+    test('Should include the employee name from the master data', async () => {
+        mockClient.query.mockResolvedValue({
+            rows: [{ ...regularRow(1, '2023-01-01', '2023-01-15', '15.00', '450.00'), employee_name: 'Jane Doe' }]
+        });
+        const response = await api.get('/report');
+
+        expect(response.body.payrollReport.employeeReports[0]).toMatchObject({ employeeId: '1', employeeName: 'Jane Doe' });
+        expect(mockClient.query.mock.calls[0][0].text).toContain('LEFT JOIN employees emp ON emp.id = totals.employee_id');
+    });
+
+    test('Should export the payroll report as CSV', async () => {
+        mockClient.query.mockResolvedValue({
+            rows: [
+                { ...regularRow(1, '2023-01-01', '2023-01-15', '15.00', '450.00'), employee_name: 'Doe, Jane' },
+                { ...regularRow(2, '2023-01-16', '2023-01-31', '3.00', '60.00'), employee_name: null }
+            ]
+        });
+        const response = await api.get('/report?format=csv');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/csv/);
+        expect(response.headers['content-disposition']).toBe('attachment; filename="payroll-report.csv"');
+        expect(response.text.split('\r\n')).toEqual([
+            'employee id,employee name,pay period start,pay period end,currency,regular hours,regular amount,overtime hours,' +
+                'overtime amount,double time hours,double time amount,holiday hours,holiday amount,amount paid',
+            '1,"Doe, Jane",2023-01-01,2023-01-15,USD,15,450.00,0,0.00,0,0.00,0,0.00,450.00',
+            '2,,2023-01-16,2023-01-31,USD,3,60.00,0,0.00,0,0.00,0,0.00,60.00',
+            ''
+        ]);
+    });
+
+    test('Should report each currency apart and total the report by currency', async () => {
+        // Employee 1 worked in a Canadian and a European job group during the same pay period
+        mockClient.query.mockImplementation(storedReport([
+            { ...regularRow(1, '2023-01-01', '2023-01-15', '10.00', '1250.50'), currency: 'CAD' },
+            { ...regularRow(1, '2023-01-01', '2023-01-15', '5.00', '200.00'), currency: 'EUR' }
+        ], [
+            { currency: 'CAD', hours: '10.00', amount_paid: '1250.50' },
+            { currency: 'EUR', hours: '5.00', amount_paid: '200.00' }
+        ]));
+        const response = await api.get('/report?locale=fr-CA');
+        // Locales separate the currency symbol with a no-break space
+
+        expect(response.status).toBe(200);
+        const { employeeReports, totals } = response.body.payrollReport;
+        expect(employeeReports.map(({ payPeriod, breakdown, amountPaid, amountPaidMoney }) => ({
+            payPeriod, regular: breakdown.regular, amountPaid, amountPaidMoney
+        }))).toEqual([
+            {
+                payPeriod: { startDate: '2023-01-01', endDate: '2023-01-15' },
+                regular: {
+                    hours: 10, amount: '1\u00a0250,50\u00a0$', amountMoney: { amount: '1250.50', currency: 'CAD' }
+                },
+                amountPaid: '1\u00a0250,50\u00a0$',
+                amountPaidMoney: { amount: '1250.50', currency: 'CAD' }
+            },
+            {
+                payPeriod: { startDate: '2023-01-01', endDate: '2023-01-15' },
+                regular: { hours: 5, amount: '200,00\u00a0€', amountMoney: { amount: '200.00', currency: 'EUR' } },
+                amountPaid: '200,00\u00a0€',
+                amountPaidMoney: { amount: '200.00', currency: 'EUR' }
+            }
+        ]);
+        expect(totals.map(({ currency, amountPaid }) => ({ currency, amountPaid }))).toEqual([
+            { currency: 'CAD', amountPaid: '1\u00a0250,50\u00a0$' },
+            { currency: 'EUR', amountPaid: '200,00\u00a0€' }
+        ]);
+        // Entries are paid in their employee's currency, or else their job group's
+        const [{ text }, { text: totalsText }] = mockClient.query.mock.calls.map(([query]) => query);
+        expect(text).toContain("COALESCE(emp.currency, g.currency, 'USD') AS currency");
+        expect(text).toContain('GROUP BY employee_id, period_start, period_end, currency');
+        expect(totalsText).toContain('GROUP BY currency');
+    });
+
+    test('Should format amounts and dates for a locale', async () => {
+        mockClient.query.mockImplementation(storedReport([
+            {
+                ...regularRow(1, '2023-01-16', '2023-01-31', '7.50', '1975.25'),
+                currency: 'EUR',
+                employee_name: 'Jane Doe'
+            }
+        ]));
+        const json = await api.get('/report?locale=de-DE');
+        const csv = await api.get('/report?locale=de-DE&format=csv');
+        const unlocalised = await api.get('/report');
+
+        expect(json.body.payrollReport.employeeReports[0]).toMatchObject({
+            payPeriod: { startDate: '16.01.2023', endDate: '31.01.2023' },
+            amountPaid: '1.975,25\u00a0€'
+        });
+        // Spreadsheets read numbers back without the currency symbol and grouping separators
+        expect(csv.text.split('\r\n')[1])
+            .toBe('1,Jane Doe,16.01.2023,31.01.2023,EUR,"7,5","1975,25",0,"0,00",0,"0,00",0,"0,00","1975,25"');
+        expect(unlocalised.body.payrollReport.employeeReports[0]).toMatchObject({
+            payPeriod: { startDate: '2023-01-16', endDate: '2023-01-31' },
+            amountPaid: '€1975.25'
+        });
+    });
+
+    test('Should choose CSV from the Accept header and reject unknown formats', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const negotiated = await api.get('/report').set('Accept', 'text/csv');
+        expect(negotiated.status).toBe(200);
+        expect(negotiated.headers['content-type']).toMatch(/^text\/csv/);
+
+        const json = await api.get('/report').set('Accept', 'application/json');
+        expect(json.body).toEqual({ payrollReport: { employeeReports: [], totals: [] } });
+
+        const unknown = await api.get('/report?format=xml');
+        expect(unknown.status).toBe(400);
+        expect(unknown.body).toEqual({ error: 'format must be json or csv' });
+    });
+
+    test('Should render a pay stub as a PDF', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [regularRow(1, '2023-01-01', '2023-01-15', '15.00', '450.00')] })
+            .mockResolvedValueOnce({
+                rows: [{ job_group: 'A', hourly_rate: '30.00', currency: 'USD', hours: '15.00', amount: '450.00' }]
+            });
+        const response = await api.get('/report/pay-stubs/1?payPeriod=2023-01-01').buffer(true).parse(pdfBody);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/pdf');
+        expect(response.headers['content-disposition']).toBe('attachment; filename="pay-stub-1-2023-01-01.pdf"');
+        expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+        // The lines are totalled for the employee and pay period only
+        const [{ text, values }] = mockClient.query.mock.calls[1];
+        expect(text).toContain('GROUP BY job_group, hourly_rate, currency');
+        expect(values).toEqual([1, '2023-01-01']);
+    });
+
+    test('Should draw pay stub amounts formatted for a locale with characters the PDF fonts have', async () => {
+        /**
+         * Renders a pay stub of 15 hours in a currency and returns its text.
+         * @param {string} currency - The currency the hours were paid in.
+         * @param {string} locale - The locale of the pay stub.
+         * @returns {Promise<Array<string>>} - The text of the pay stub.
+         */
+        const payStubText = async (currency, locale) => {
+            mockClient.query
+                .mockResolvedValueOnce({
+                    rows: [{ ...regularRow(1, '2023-01-01', '2023-01-15', '15.00', '1975.50'), currency }]
+                })
+                .mockResolvedValueOnce({
+                    rows: [{ job_group: 'A', hourly_rate: '131.70', currency, hours: '15.00', amount: '1975.50' }]
+                });
+            const response = await api
+                .get(`/report/pay-stubs/1?payPeriod=2023-01-01&locale=${locale}`)
+                .buffer(true)
+                .parse(pdfBody);
+            expect(response.status).toBe(200);
+            return pdfText(response.body);
+        };
+
+        // The rupee sign isn't in the fonts, the currency code is drawn instead
+        const rupees = await payStubText('INR', 'hi-IN');
+        expect(rupees).toEqual(expect.arrayContaining(['15.00', 'INR 131.70', 'INR 1,975.50']));
+        // French separates thousands with a narrow no-break space, drawn as a space
+        const euros = await payStubText('EUR', 'fr-FR');
+        expect(euros).toEqual(expect.arrayContaining(['15,00', '131,70 €', '1 975,50 €']));
+        // Arabic digits, separators and the abbreviated pound sign are drawn in Latin script
+        const pounds = await payStubText('EGP', 'ar-EG');
+        expect(pounds).toEqual(expect.arrayContaining(['15.00', '131.70 EGP', '1,975.50 EGP']));
+    });
+
+    test('Should return 404 for a pay stub without hours', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+        const response = await api.get('/report/pay-stubs/1?payPeriod=2023-01-01');
+
+        expect(response.status).toBe(404);
+    });
+
+    test('Should reject invalid pay stub requests', async () => {
+        const badEmployee = await api.get('/report/pay-stubs/abc?payPeriod=2023-01-01');
+        expect(badEmployee.status).toBe(400);
+
+        const missingPeriod = await api.get('/report/pay-stubs/1');
+        expect(missingPeriod.status).toBe(400);
+
+        const badLocale = await api.get('/report/pay-stubs/1?payPeriod=2023-01-01&locale=not_a_locale');
+        expect(badLocale.status).toBe(400);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,242 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const app = require('../index');
+const timesheets = require('../lib/timesheets');
+const { signToken } = require('../lib/auth');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const reportRow = { report_id: '1', filename: 'time-report-1.csv', version: 1 };
+
+/**
+ * Simulates a database holding report 1, answering each query by what it selects.
+ * @param {string} sql - The query text.
+ * @returns {Object} - The query result.
+ */
+function storedReport(sql) {
+    if (sql.startsWith('SELECT report_id, filename, version')) {
+        return { rows: [reportRow] };
+    }
+    if (sql.includes('FOR UPDATE')) {
+        return { rows: [{ version: 1 }] };
+    }
+    if (sql.startsWith('INSERT INTO timekeeping_report_versions')) {
+        return { rows: [{ entry_count: 4 }] };
+    }
+    if (sql.startsWith('UPDATE timekeeping_reports')) {
+        return { rows: [{ ...reportRow, filename: 'corrected.csv', version: 2 }] };
+    }
+    if (sql.startsWith('DELETE FROM timekeeping_reports')) {
+        return { rowCount: 1 };
+    }
+    return { rows: [] };
+}
+
+describe('Report Correction API Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should replace the entries of a report and keep the previous version', async () => {
+        mockClient.query.mockImplementation(async (sql) => storedReport(sql));
+        const response = await api
+            .put('/reports/1')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'), 'corrected.csv');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            message: 'Report replaced successfully',
+            report: { reportId: '1', filename: 'corrected.csv', version: 2, rowCount: 4 }
+        });
+        const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+        expect(statements).toEqual(expect.arrayContaining(['BEGIN', 'COMMIT']));
+        // The old version is saved before its entries are removed, all inside the transaction
+        const saved = statements.indexOf('INSERT INTO timekeeping_report_versions');
+        const removed = statements.indexOf('DELETE FROM timekeeping_entries');
+        expect(saved).toBeGreaterThan(statements.indexOf('BEGIN'));
+        expect(removed).toBeGreaterThan(saved);
+        expect(statements.indexOf('COMMIT')).toBeGreaterThan(removed);
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO timekeeping_report_versions'),
+            ['1', 'replaced']
+        );
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO audit_events'),
+            ['payroll.admin', 'replace', '1', 4, 4, expect.stringMatching(/^[0-9a-f]{64}$/)]
+        );
+    });
+
+    test('Should not change a report when the corrected file is invalid', async () => {
+        mockClient.query.mockImplementation(async (sql) => storedReport(sql));
+        const response = await api
+            .put('/reports/5')
+            .attach('file', path.resolve(__dirname, 'time-report-5.csv'));
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors.length).toBeGreaterThan(0);
+        // The file is rejected while it is staged, before the report is touched
+        const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+        expect(statements).toContain('ROLLBACK');
+        expect(statements).not.toContain('INSERT INTO timekeeping_report_versions');
+        expect(statements).not.toContain('DELETE FROM timekeeping_entries');
+    });
+
+    test('Should return 404 when replacing an unknown report', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api
+            .put('/reports/99')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'), 'time-report-99.csv');
+
+        expect(response.status).toBe(404);
+        expect(mockClient.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    test('Should reject a file named after another report', async () => {
+        const response = await api
+            .put('/reports/2')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'File is for report 1, not report 2' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should answer when the uploaded file is already gone', async () => {
+        mockClient.query.mockImplementation(async (sql) => storedReport(sql));
+        // The file is removed and removing it again fails, as when it was cleaned up elsewhere
+        const unlink = jest.spyOn(timesheets, 'unlinkAsync').mockImplementation(async (filePath) => {
+            await fs.promises.unlink(filePath);
+            throw Object.assign(new Error(`ENOENT: no such file or directory, unlink '${filePath}'`), { code: 'ENOENT' });
+        });
+        const replaced = await api
+            .put('/reports/1')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'), 'corrected.csv');
+        const rejected = await api
+            .put('/reports/2')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+        const removals = unlink.mock.calls.length;
+        unlink.mockRestore();
+
+        expect(replaced.status).toBe(200);
+        expect(rejected.status).toBe(400);
+        expect(rejected.body).toEqual({ error: 'File is for report 1, not report 2' });
+        expect(removals).toBe(2);
+    });
+
+    test('Should delete a report and keep the deleted version', async () => {
+        mockClient.query.mockImplementation(async (sql) => storedReport(sql));
+        const response = await api.delete('/reports/1');
+
+        expect(response.status).toBe(204);
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO timekeeping_report_versions'),
+            ['1', 'deleted']
+        );
+        expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM timekeeping_reports WHERE report_id = $1', ['1']);
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO audit_events'),
+            ['payroll.admin', 'delete', '1', 0, 4, null]
+        );
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('Should return 404 when deleting an unknown report', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const response = await api.delete('/reports/99');
+
+        expect(response.status).toBe(404);
+        expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO'), expect.anything());
+    });
+
+    test('Should refuse to replace or delete a report with entries in a closed pay period', async () => {
+        mockClient.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM pay_periods p')) {
+                return { rows: [{ start_date: '2023-01-01', end_date: '2023-01-15' }] };
+            }
+            return storedReport(sql);
+        });
+        const replaced = await api
+            .put('/reports/1')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'), 'corrected.csv');
+        const deleted = await api.delete('/reports/1');
+
+        const error = 'Report 1 has entries in the closed pay period 2023-01-01 to 2023-01-15';
+        expect(replaced.status).toBe(409);
+        expect(replaced.body).toEqual({ error });
+        expect(deleted.status).toBe(409);
+        expect(deleted.body).toEqual({ error });
+        expect(mockClient.query).toHaveBeenCalledWith('LOCK TABLE pay_periods IN SHARE MODE');
+        expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE FROM'), ['1']);
+        expect(mockClient.query).not.toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('Should roll back a failed deletion', async () => {
+        mockClient.query.mockImplementation(async (sql) => {
+            if (sql.startsWith('DELETE')) {
+                throw new Error('Database error');
+            }
+            return storedReport(sql);
+        });
+        const response = await api.delete('/reports/1');
+
+        expect(response.status).toBe(500);
+        expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    test('Should list the previous versions of a report', async () => {
+        mockClient.query.mockResolvedValue({
+            rows: [{
+                version: 1,
+                filename: 'time-report-1.csv',
+                reason: 'replaced',
+                entries: [{ date: '2023-01-04', hoursWorked: '10.00', employeeId: 1, jobGroup: 'A' }],
+                uploaded_at: '2024-01-01T09:00:00',
+                superseded_at: '2024-01-02T09:00:00'
+            }]
+        });
+        const response = await api.get('/reports/1/versions');
+
+        expect(response.status).toBe(200);
+        expect(response.body.versions).toEqual([{
+            version: 1,
+            filename: 'time-report-1.csv',
+            reason: 'replaced',
+            uploadedAt: '2024-01-01T09:00:00',
+            supersededAt: '2024-01-02T09:00:00',
+            entries: [{ date: '2023-01-04', hoursWorked: '10.00', employeeId: 1, jobGroup: 'A' }]
+        }]);
+    });
+});
@@ -1,23 +1,161 @@
 const request = require('supertest');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const app = require('../index');
+const { signToken } = require('../lib/auth');
+const { BATCH_SIZE } = require('../lib/timesheets');
+const { MAX_ISSUES } = require('../lib/validation');
+const { runNextUploadJob } = require('../lib/uploadJobs');
+const ExcelJS = require('exceljs');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
 
 // Mocking the 'pg' module to prevent database intractions during the tests
 jest.mock('pg', () => {
     // Create function mocks to track calls
     const mClient = {
-        connect: jest.fn(),
         query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
         end: jest.fn()
     };
-    // Provides mocked Client  constructor so we use mocks instead of the real client object
-    return { Client: jest.fn(() => mClient) };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
 });
 
-// "Import" the mocked Client
-const { Client } = require('pg');
-// "Create" the mocked Client
-const mockClient = new Client();
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+/**
+ * Answers the queries of the upload_jobs table from a list of jobs kept in memory.
+ * @param {Array<Object>} jobs - The upload_jobs rows, updated by the queries.
+ * @param {string} sql - The query.
+ * @param {Array} values - Its parameters.
+ * @returns {Object|null} - The result, or null when the query isn't about upload jobs.
+ */
+const uploadJobsQuery = (jobs, sql, values) => {
+    if (sql.includes('INSERT INTO upload_jobs')) {
+        const [report_id, filename, file_path, date_format, importProfile, actor, webhook_url] = values;
+        const job = {
+            id: `00000000-0000-4000-8000-${String(jobs.length + 1).padStart(12, '0')}`,
+            report_id, filename, file_path, date_format, import_profile: JSON.parse(importProfile), actor, webhook_url,
+            state: 'queued', row_count: null,
+            rows_processed: 0, errors: [], warnings: null, error: null, created_at: '2024-01-01T09:00:00',
+            started_at: null, finished_at: null
+        };
+        jobs.push(job);
+        return { rows: [job] };
+    }
+    if (sql.includes("SET state = 'processing'")) {
+        const job = jobs.find(candidate => candidate.state === 'queued');
+        if (job) {
+            Object.assign(job, { state: 'processing', started_at: '2024-01-01T09:00:01' });
+        }
+        return { rows: job ? [job] : [] };
+    }
+    if (sql.includes('SET state = $2')) {
+        const job = jobs.find(candidate => candidate.id === values[0]);
+        const [, state, rowCount, rowsProcessed, errors, warnings, error] = values;
+        Object.assign(job, {
+            state, row_count: rowCount === null ? job.row_count : rowCount, rows_processed: rowsProcessed,
+            errors: JSON.parse(errors), warnings: JSON.parse(warnings), error, finished_at: '2024-01-01T09:00:02'
+        });
+        return { rows: [job] };
+    }
+    if (sql.includes('upload_jobs')) {
+        return { rows: [] };
+    }
+    return null;
+};
+
+// The hash of the entries of every upload, see checkContent()
+const CONTENT_HASH = 'c0ffee'.padEnd(64, '0');
+
+/**
+ * Simulates the database by answering each query by what it runs. Queries a test doesn't care about return no rows.
+ * @param {Object} [answers] - The rows returned by the queries checking an upload.
+ * @param {Array<Object>} [answers.unpriced] - The entries whose job group has no pay rate, see findUnpricedEntries().
+ * @param {Array<Object>} [answers.employeeIssues] - The entries whose employee can't be paid, see findEmployeeIssues().
+ * @param {Array<Object>} [answers.duplicates] - The staged rows repeating an employee and date.
+ * @param {Array<Object>} [answers.profiles] - The import_profiles rows.
+ * @param {Array<Object>} [answers.sameContent] - The reports holding the same entries as the upload.
+ * @param {Array<Object>} [answers.closed] - The staged rows falling into a closed pay period.
+ * @param {Array<Object>} [answers.anomalies] - The anomalies found by the upload rules, each listed when its rule is.
+ */
+const database = ({
+    unpriced = [], employeeIssues = [], duplicates = [], profiles = [], sameContent = [], closed = [], anomalies = []
+} = {}) => {
+    const jobs = [];
+    mockClient.query.mockImplementation(async (sql, values) => {
+        const jobsResult = uploadJobsQuery(jobs, sql, values);
+        if (jobsResult) {
+            return jobsResult;
+        }
+        if (sql.includes('FROM import_profiles')) {
+            return { rows: profiles.filter(profile => profile.name === values[0]) };
+        }
+        if (sql.includes('FROM job_group_rates')) {
+            return { rows: unpriced };
+        }
+        if (sql.includes('LEFT JOIN employees')) {
+            return { rows: employeeIssues };
+        }
+        if (sql.includes('first_line')) {
+            return { rows: duplicates };
+        }
+        if (sql.includes('AS content_hash')) {
+            return { rows: [{ content_hash: CONTENT_HASH }] };
+        }
+        if (sql.includes('WHERE content_hash')) {
+            return { rows: sameContent };
+        }
+        if (sql.includes('FROM ingest_entries i')) {
+            return { rows: closed };
+        }
+        if (sql.startsWith('SELECT rule')) {
+            return { rows: anomalies.filter(anomaly => values[0].includes(anomaly.rule)) };
+        }
+        return { rows: [] };
+    });
+};
+
+/**
+ * Lists the statements run against the mocked database, without their parameters.
+ * @returns {Array<string>} - The first three words of each statement.
+ */
+const statements = () => mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+
+/**
+ * Checks that an upload was queued, then runs its job the way a worker would.
+ * @param {Object} response - The supertest response to the upload.
+ * @returns {Promise<Object>} - A promise that resolves to the finished job.
+ */
+const processUpload = async (response) => {
+    expect(response.status).toBe(202);
+    return runNextUploadJob();
+};
+
+/**
+ * Writes a time report of generated rows to a temporary directory.
+ * @param {string} filename - The file name.
+ * @param {number} count - The number of rows.
+ * @param {Function} row - Returns the CSV line of a row from its index.
+ * @returns {string} - The path of the file.
+ */
+const generatedReport = (filename, count, row) => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-upload-')), filename);
+    const rows = Array.from({ length: count }, (_, index) => row(index));
+    fs.writeFileSync(filePath, ['date,hours worked,employee id,job group', ...rows].join('\n'));
+    return filePath;
+};
 
 describe('File Upload API Tests', () => {
     beforeAll(() => {
@@ -40,22 +178,400 @@ describe('File Upload API Tests', () => {
     });
 
     test('Should successfully upload a valid CSV file', async () => {
-        // Mock the database query responding no existing report_id
-        mockClient.query.mockResolvedValue({});
-        mockClient.query
-            .mockResolvedValueOnce({ rows: [] }) // This simulates no existing report
-            .mockResolvedValueOnce({}); // This simulates a successful insertion
+        // Simulates no existing report, every job group having a pay rate and every employee being on file
+        database();
 
-        const response = await request(app).post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+        const response = await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
 
-        expect(response.status).toBe(201);
+        expect(response.status).toBe(202);
         expect(response.body).toEqual({
-            message: 'File uploaded and data stored successfully'
+            message: 'Upload accepted',
+            job: expect.objectContaining({ reportId: '1', filename: 'time-report-1.csv', state: 'queued' })
         });
+        expect(response.headers.location).toBe(`/uploads/${response.body.job.jobId}`);
+        // The file waits on disk for a worker, which stores it and removes it
+        const filePath = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO upload_jobs'))[1][2];
+        expect(fs.existsSync(filePath)).toBe(true);
+
+        const job = await runNextUploadJob();
+
+        expect(job).toMatchObject({ jobId: response.body.job.jobId, state: 'completed', rowCount: 4, rowsProcessed: 4, errors: [], warnings: [] });
+        expect(statements()).toContain('INSERT INTO timekeeping_entries');
+        expect(fs.existsSync(filePath)).toBe(false);
     }, 30000);
 
+    test('Should record the authenticated uploader and the file checksum', async () => {
+        database();
+        const filePath = path.resolve(__dirname, 'time-report-1.csv');
+        const checksum = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+        const response = await api
+            .post('/upload')
+            .set('Authorization', `Bearer ${signToken({ sub: 'payroll.clerk', role: 'uploader' })}`)
+            .attach('file', filePath);
+        await processUpload(response);
+
+        expect(mockClient.query).toHaveBeenCalledWith(
+            'INSERT INTO timekeeping_reports (report_id, filename, uploaded_by) VALUES ($1, $2, $3)',
+            ['1', 'time-report-1.csv', 'payroll.clerk']
+        );
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO audit_events'),
+            ['payroll.clerk', 'upload', '1', 4, 0, checksum]
+        );
+        // The event is written in the same transaction as the entries
+        const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim());
+        const recorded = statements.findIndex(sql => sql.startsWith('INSERT INTO audit_events'));
+        expect(recorded).toBeLessThan(statements.indexOf('COMMIT'));
+    });
+
+    test('Should stream the rows into the database in batches', async () => {
+        database();
+        const rowCount = BATCH_SIZE * 2 + 1;
+        const filePath = generatedReport('time-report-8.csv', rowCount, (index) =>
+            `${(index % 28) + 1}/01/2023,8,${index + 1},A`);
+
+        const job = await processUpload(await api.post('/upload').attach('file', filePath));
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+
+        expect(job.state).toBe('completed');
+        const staged = mockClient.query.mock.calls
+            .filter(([sql]) => sql.startsWith('INSERT INTO ingest_entries'))
+            .map(([, values]) => values[0].length);
+        expect(staged).toEqual([BATCH_SIZE, BATCH_SIZE, 1]);
+        // The staged rows are copied in one statement, in the transaction that checked them
+        expect(statements().filter(sql => sql === 'INSERT INTO timekeeping_entries')).toHaveLength(1);
+        expect(statements().indexOf('INSERT INTO timekeeping_entries')).toBeLessThan(statements().indexOf('COMMIT'));
+        expect(mockClient.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO audit_events'),
+            ['payroll.admin', 'upload', '8', rowCount, 0, expect.any(String)]
+        );
+    });
+
+    test('Should list the first problems of a file with too many to list', async () => {
+        database();
+        const filePath = generatedReport('time-report-9.csv', MAX_ISSUES + 5, (index) => `01/01/2023,lots,${index + 1},A`);
+
+        const job = await processUpload(await api.post('/upload').attach('file', filePath));
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toHaveLength(MAX_ISSUES + 1);
+        expect(job.errors[0]).toEqual({ line: 2, column: 'hours worked', value: 'lots', message: 'hours worked must be a number' });
+        expect(job.errors[MAX_ISSUES]).toEqual({
+            line: null, column: null, value: null, message: '5 more problems of this kind were found but not listed'
+        });
+    });
+
+    test('Should reject a file larger than the upload limit', async () => {
+        process.env.MAX_UPLOAD_MB = '1';
+        const filePath = generatedReport('time-report-10.csv', 60000, (index) => `01/01/2023,8,${index + 1},A`);
+        const uploads = fs.readdirSync('uploads').length;
+
+        const response = await api.post('/upload').attach('file', filePath);
+        delete process.env.MAX_UPLOAD_MB;
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+
+        expect(response.status).toBe(413);
+        expect(response.body).toEqual({ error: 'File is larger than the upload limit of 1 MB' });
+        // The part of the file that was received is removed
+        expect(fs.readdirSync('uploads')).toHaveLength(uploads);
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should reject a CSV file with an unknown job group', async () => {
+        // This simulates an unpriced entry
+        database({ unpriced: [{ employee_id: 2, job_group: 'B', date: '2023-01-20', currency: 'USD' }] });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+
+        expect(job).toMatchObject({
+            state: 'failed',
+            error: 'Validation failed',
+            errors: [
+                { line: 4, column: 'job group', value: 'B', message: 'Unknown job group or no USD pay rate in effect on 2023-01-20' }
+            ],
+            warnings: []
+        });
+        // Nothing should have been written, the staged rows are rolled back
+        expect(statements()).toContain('ROLLBACK');
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should reject rows of an employee paid in a currency their job group has no rate in', async () => {
+        // Employee 1 is paid in euros, job group A only has rates in its own currency
+        database({ unpriced: [{ employee_id: 1, job_group: 'A', date: '2023-01-20', currency: 'EUR' }] });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+
+        expect(job).toMatchObject({
+            state: 'failed',
+            errors: [
+                { line: 5, column: 'job group', value: 'A', message: 'Unknown job group or no EUR pay rate in effect on 2023-01-20' }
+            ]
+        });
+        const check = mockClient.query.mock.calls.find(([sql]) => sql.includes('FROM job_group_rates'));
+        expect(check[0]).toContain('r.currency = COALESCE(emp.currency, g.currency)');
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should warn about rows for unknown or terminated employees', async () => {
+        database({
+            employeeIssues: [
+                { employee_id: 1, date: '2023-01-20', problem: 'terminated', hire_date: null, termination_date: '2023-01-15' },
+                { employee_id: 2, date: '2023-01-20', problem: 'unknown', hire_date: null, termination_date: null }
+            ]
+        });
+
+        const response = await api.post('/upload/validate').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(200);
+        expect(response.body.warnings).toEqual([
+            { line: 4, column: 'employee id', value: '2', message: 'Unknown employee 2' },
+            { line: 5, column: 'employee id', value: '1', message: 'Employee 1 was terminated on 2023-01-15' }
+        ]);
+    });
+
+    test('Should reject rows for unknown employees when EMPLOYEE_CHECK is reject', async () => {
+        process.env.EMPLOYEE_CHECK = 'reject';
+        database({
+            employeeIssues: [{ employee_id: 2, date: '2023-01-20', problem: 'unknown', hire_date: null, termination_date: null }]
+        });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+        delete process.env.EMPLOYEE_CHECK;
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([
+            { line: 4, column: 'employee id', value: '2', message: 'Unknown employee 2' }
+        ]);
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should report every invalid row by line and column', async () => {
+        // This simulates the database finding the second row for employee 3 on 2023-03-03
+        database({ duplicates: [{ line: 7, employee_id: 3, date: '2023-03-03', first_line: 6, total: '1' }] });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-5.csv')));
+
+        expect(job).toMatchObject({
+            state: 'failed',
+            error: 'Validation failed',
+            errors: [
+                { line: 2, column: 'date', value: '31/02/2023', message: 'date must be a valid date in DD/MM/YYYY format' },
+                { line: 3, column: 'hours worked', value: 'abc', message: 'hours worked must be a number' },
+                { line: 4, column: 'hours worked', value: '-4', message: 'hours worked must not be negative' },
+                { line: 5, column: 'employee id', value: '', message: 'employee id is required' },
+                { line: 7, column: 'employee id', value: '3', message: 'Duplicate entry for employee 3 on 2023-03-03 (first seen on line 6)' }
+            ],
+            warnings: []
+        });
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should refuse a file repeating an employee and date', async () => {
+        // This simulates the database finding the second row for employee 1 on 2023-01-01
+        database({ duplicates: [{ line: 3, employee_id: 1, date: '2023-01-01', first_line: 2, total: '1' }] });
+        const filePath = generatedReport('time-report-11.csv', 2, (index) => `2023-01-01,${index + 4},1,A`);
+
+        const response = await api.post('/upload/validate').attach('file', filePath);
+
+        expect(response.status).toBe(422);
+        expect(response.body).toEqual({
+            error: 'Validation failed',
+            errors: [
+                { line: 3, column: 'employee id', value: '1', message: 'Duplicate entry for employee 1 on 2023-01-01 (first seen on line 2)' }
+            ],
+            warnings: []
+        });
+        expect(statements()).toContain('ROLLBACK');
+        expect(statements()).not.toContain('INSERT INTO timekeeping_reports');
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should only read hours written as decimal numbers', async () => {
+        database();
+        const hours = ['0x10', '1e1', ' 8 ', '7.5', '.25', '1.005', 'Infinity'];
+        const filePath = generatedReport('time-report-10.csv', hours.length, (index) =>
+            `01/01/2023,${hours[index]},${index + 1},A`);
+
+        const job = await processUpload(await api.post('/upload').attach('file', filePath));
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+
+        // Number() and the database read hex and exponents, so 0x10 would be paid as 16 hours
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([
+            { line: 2, column: 'hours worked', value: '0x10', message: 'hours worked must be a number' },
+            { line: 3, column: 'hours worked', value: '1e1', message: 'hours worked must be a number' },
+            { line: 7, column: 'hours worked', value: '1.005', message: 'hours worked must not have more than 2 decimal places' },
+            { line: 8, column: 'hours worked', value: 'Infinity', message: 'hours worked must be a number' }
+        ]);
+        const staged = mockClient.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO ingest_entries'));
+        expect(staged[1][2]).toEqual(['8', '7.5', '.25']);
+    });
+
+    test('Should report missing headers as a validation error', async () => {
+        database();
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-6.csv')));
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([
+            { line: 1, column: 'header', value: 'date,hours,employee id,job group', message: 'Missing headers: hours worked' }
+        ]);
+    });
+
+    test('Should validate a file without storing it', async () => {
+        database();
+
+        const response = await api.post('/upload/validate').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ message: 'File is valid', rowCount: 4, dateFormat: 'DD/MM/YYYY', warnings: [] });
+        // The rows are checked in a transaction that stores nothing
+        expect(statements()).not.toContain('INSERT INTO timekeeping_reports');
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should treat ?dryRun=true as a validation request', async () => {
+        database();
+
+        const response = await api.post('/upload?dryRun=true').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(200);
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should reject a file that mixes date formats', async () => {
+        database();
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-7.csv')));
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([{
+            line: 4,
+            column: 'date',
+            value: '20/01/2023',
+            message: 'File mixes date formats: this date is DD/MM/YYYY or MM/DD/YYYY but the other dates are YYYY-MM-DD'
+        }]);
+    });
+
+    test('Should read the dates in the declared format', async () => {
+        database();
+
+        // 14/01/2023 is not a valid MM/DD/YYYY date
+        const response = await api
+            .post('/upload/validate')
+            .field('dateFormat', 'MM/DD/YYYY')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors.map(error => error.line)).toEqual([3, 4, 5]);
+        expect(response.body.errors[0].message).toBe('date must be a valid date in MM/DD/YYYY format');
+    });
+
+    test('Should reject an unsupported date format', async () => {
+        const response = await api
+            .post('/upload?dateFormat=YYYYMMDD')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'dateFormat must be one of DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, YYYY/MM/DD' });
+    });
+
+    test('Should store XLSX and JSON time reports like CSV ones', async () => {
+        database();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-upload-'));
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Hours');
+        worksheet.addRow(['Date', 'Hours Worked', 'Employee ID', 'Job Group']);
+        worksheet.addRow([new Date(Date.UTC(2023, 0, 14)), 7.5, 1, 'A']);
+        worksheet.addRow([new Date(Date.UTC(2023, 0, 20)), 3, 2, 'B']);
+        await workbook.xlsx.writeFile(path.join(dir, 'time-report-11.xlsx'));
+        fs.writeFileSync(path.join(dir, 'time-report-12.json'), JSON.stringify([
+            { date: '2023-01-14', hoursWorked: 7.5, employeeId: 1, jobGroup: 'A' },
+            { date: '2023-01-20', hoursWorked: 3, employeeId: 2, jobGroup: 'B' }
+        ]));
+
+        const xlsx = await processUpload(await api.post('/upload').attach('file', path.join(dir, 'time-report-11.xlsx')));
+        const json = await processUpload(await api.post('/upload').attach('file', path.join(dir, 'time-report-12.json')));
+        fs.rmSync(dir, { recursive: true, force: true });
+
+        expect([xlsx, json]).toEqual([
+            expect.objectContaining({ reportId: '11', state: 'completed', rowCount: 2 }),
+            expect.objectContaining({ reportId: '12', state: 'completed', rowCount: 2 })
+        ]);
+        // Both are staged like the rows of a CSV file
+        const staged = mockClient.query.mock.calls.filter(([sql]) => sql.startsWith('INSERT INTO ingest_entries'));
+        expect(staged.map(([, values]) => values.slice(1))).toEqual([
+            [['2023-01-14', '2023-01-20'], ['7.5', '3'], ['1', '2'], ['A', 'B']],
+            [['2023-01-14', '2023-01-20'], ['7.5', '3'], ['1', '2'], ['A', 'B']]
+        ]);
+    });
+
+    test('Should reject a file whose content does not match its extension', async () => {
+        database();
+
+        const response = await api
+            .post('/upload/validate')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'), 'time-report-1.xlsx');
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { line: null, column: null, value: null, message: 'The file is named as XLSX but holds CSV data' }
+        ]);
+    });
+
+    test('Should read an upload with the import profile it names', async () => {
+        database({
+            profiles: [{
+                name: 'legacy-export',
+                delimiter: ';',
+                encoding: 'windows-1252',
+                header_aliases: { 'Datum': 'date', 'Stunden': 'hours worked', 'Personalnummer': 'employee id', 'Gruppe': 'job group' },
+                ignore_columns: ['Bemerkung'],
+                updated_at: '2024-01-01T09:00:00'
+            }]
+        });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-upload-'));
+        const filePath = path.join(dir, 'time-report-13.csv');
+        fs.writeFileSync(filePath, Buffer.from('Datum;Stunden;Personalnummer;Gruppe;Bemerkung\n14/01/2023;7.5;1;A;K\xf6ln\n', 'latin1'));
+
+        const response = await api.post('/upload').field('profile', 'legacy-export').attach('file', filePath);
+        const job = await processUpload(response);
+        fs.rmSync(dir, { recursive: true, force: true });
+
+        expect(job).toMatchObject({ reportId: '13', state: 'completed', rowCount: 1 });
+        // The profile is queued with the job, so changing it later doesn't change how the upload is read
+        const queued = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO upload_jobs'));
+        expect(JSON.parse(queued[1][4])).toMatchObject({ name: 'legacy-export', delimiter: ';' });
+        const staged = mockClient.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO ingest_entries'));
+        expect(staged[1].slice(1)).toEqual([['2023-01-14'], ['7.5'], ['1'], ['A']]);
+    });
+
+    test('Should reject an upload naming an unknown import profile', async () => {
+        database();
+
+        const response = await api
+            .post('/upload')
+            .query({ profile: 'missing' })
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'Unknown import profile: missing' });
+        expect(statements()).not.toContain('INSERT INTO upload_jobs');
+    });
+
     test('Should fail to upload an empty CSV file', async () => {
-        const response = await request(app).post('/upload').attach('file', path.resolve(__dirname, 'time-report-2.csv'));
+        database();
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-2.csv')));
+
+        expect(job).toMatchObject({ state: 'failed', error: 'Invalid CSV format: File Empty', rowsProcessed: 0 });
+    });
+
+    test('Should reject an empty CSV file when validating it', async () => {
+        const response = await api.post('/upload/validate').attach('file', path.resolve(__dirname, 'time-report-2.csv'));
 
         expect(response.status).toBe(400);
         expect(response.body).toEqual({
@@ -63,8 +579,45 @@ describe('File Upload API Tests', () => {
         });
     });
 
+    test('Should refuse a second upload of a report while the first is queued', async () => {
+        database();
+        const file = path.resolve(__dirname, 'time-report-1.csv');
+
+        await api.post('/upload').attach('file', file);
+        const pending = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO upload_jobs'))[1][2];
+        mockClient.query.mockImplementation(async (sql) => (
+            sql.includes('FROM upload_jobs WHERE report_id') ? { rows: [{ '?column?': 1 }] } : { rows: [] }
+        ));
+        const response = await api.post('/upload').attach('file', file);
+        fs.rmSync(pending, { force: true });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({ error: 'An upload of this report is already in progress' });
+    });
+
+    test('Should refuse the second of two uploads of a report queued at the same time', async () => {
+        const uploads = fs.readdirSync('uploads').length;
+        // Neither upload finds the other pending, the unique index on pending jobs refuses the second one
+        const queued = Object.assign(
+            new Error('duplicate key value violates unique constraint "idx_upload_jobs_pending_report"'),
+            { code: '23505', constraint: 'idx_upload_jobs_pending_report' }
+        );
+        mockClient.query.mockImplementation(async (sql) => {
+            if (sql.includes('INSERT INTO upload_jobs')) {
+                throw queued;
+            }
+            return { rows: [] };
+        });
+
+        const response = await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({ error: 'An upload of this report is already in progress' });
+        expect(fs.readdirSync('uploads')).toHaveLength(uploads);
+    });
+
     test('Should fail to upload with no file provided', async () => {
-        const response = await request(app).post('/upload');
+        const response = await api.post('/upload');
 
         expect(response.status).toBe(400);
         expect(response.body).toEqual({
@@ -72,12 +625,174 @@ describe('File Upload API Tests', () => {
         });
     });
 
+    test('Should take the report id from a form field or header before the file name', async () => {
+        database();
+        const filePath = path.resolve(__dirname, 'time-report-1.csv');
+
+        const field = await processUpload(await api.post('/upload').field('reportId', 'ACME-2023.01').attach('file', filePath));
+        const header = await processUpload(
+            await api.post('/upload').set('X-Report-Id', 'payroll_7').attach('file', filePath, 'hours.csv')
+        );
+        const validated = await api.post('/upload/validate').field('reportId', 'ACME-2023.02').attach('file', filePath, 'hours.csv');
+
+        expect(field).toMatchObject({ reportId: 'ACME-2023.01', filename: 'time-report-1.csv', state: 'completed' });
+        expect(header).toMatchObject({ reportId: 'payroll_7', filename: 'hours.csv', state: 'completed' });
+        expect(validated.status).toBe(200);
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('WHERE content_hash'), [CONTENT_HASH, 'ACME-2023.02']);
+    });
+
+    test('Should reject an invalid report id, or a file name without one when none is given', async () => {
+        database();
+        const filePath = path.resolve(__dirname, 'time-report-1.csv');
+
+        const invalid = await api.post('/upload').field('reportId', '../1').attach('file', filePath);
+        const missing = await api.post('/upload').attach('file', filePath, 'hours.csv');
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({
+            error: 'reportId may only contain letters, digits, ., - and _, starting with a letter or digit'
+        });
+        expect(missing.status).toBe(400);
+        expect(missing.body).toEqual({
+            error: 'No report id given. Send a reportId form field or an X-Report-Id header, '
+                + 'or name the file time-report-<id>.csv, .xlsx or .json'
+        });
+        expect(statements()).not.toContain('INSERT INTO upload_jobs');
+    });
+
+    test('Should warn about entries already uploaded under another report id', async () => {
+        database({ sameContent: [{ report_id: '7' }] });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+
+        expect(job).toMatchObject({ state: 'completed', rowCount: 4 });
+        expect(job.warnings).toEqual([
+            { line: null, column: null, value: null, message: 'The same entries were already uploaded as report 7' }
+        ]);
+        // The report keeps the hash of its entries, so later uploads are compared with it
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('SET content_hash'), ['1', CONTENT_HASH]);
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('pg_advisory_xact_lock'), [CONTENT_HASH]);
+    });
+
+    test('Should reject entries already uploaded when DUPLICATE_CONTENT is reject', async () => {
+        process.env.DUPLICATE_CONTENT = 'reject';
+        database({ sameContent: [{ report_id: '7' }] });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+        delete process.env.DUPLICATE_CONTENT;
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([
+            { line: null, column: null, value: null, message: 'The same entries were already uploaded as report 7' }
+        ]);
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should reject entries falling into a closed pay period', async () => {
+        database({
+            closed: [
+                { line: 2, date: '2023-01-04', start_date: '2023-01-01', end_date: '2023-01-15', total: '3' },
+                { line: 3, date: '2023-01-14', start_date: '2023-01-01', end_date: '2023-01-15', total: '3' }
+            ]
+        });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([
+            { line: 2, column: 'date', value: '2023-01-04', message: 'date falls in the closed pay period 2023-01-01 to 2023-01-15' },
+            { line: 3, column: 'date', value: '2023-01-14', message: 'date falls in the closed pay period 2023-01-01 to 2023-01-15' },
+            { line: null, column: null, value: null, message: '1 more problems of this kind were found but not listed' }
+        ]);
+        // The pay periods can't close while the upload checks its entries against them
+        expect(statements()).toContain('LOCK TABLE pay_periods');
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+    });
+
+    test('Should warn about anomalies and keep them for review', async () => {
+        database({
+            anomalies: [{
+                rule: 'mixedJobGroups', line: 4, column_name: 'job group', value: 'A, B',
+                message: 'Employee 2 worked in job groups A, B on 2023-01-20', total: '1'
+            }]
+        });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+
+        expect(job).toMatchObject({ state: 'completed', rowCount: 4 });
+        expect(job.warnings).toEqual([{
+            line: 4, column: 'job group', value: 'A, B', message: 'Employee 2 worked in job groups A, B on 2023-01-20',
+            rule: 'mixedJobGroups'
+        }]);
+        // Every rule checks the staged entries, and what they found is stored with the report once its entries are
+        const rules = mockClient.query.mock.calls
+            .filter(([sql]) => sql.includes('INSERT INTO ingest_anomalies'))
+            .map(([, values]) => values[0]);
+        expect(rules).toEqual(['dailyHours', 'futureDates', 'duplicateEntries', 'mixedJobGroups']);
+        expect(statements().indexOf('INSERT INTO anomalies')).toBeGreaterThan(statements().indexOf('INSERT INTO timekeeping_entries'));
+        expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM anomalies WHERE report_id = $1', ['1']);
+    });
+
+    test('Should reject anomalies found by rules set to reject', async () => {
+        database({
+            anomalies: [
+                {
+                    rule: 'dailyHours', line: 5, column_name: 'hours worked', value: '30',
+                    message: 'Employee 1 worked 30 hours on 2023-01-20, more than the 24 allowed in a day', total: '1'
+                },
+                {
+                    rule: 'duplicateEntries', line: 5, column_name: 'employee id', value: '1',
+                    message: 'Employee 1 already has hours on 2023-01-20 in report 7', total: '1'
+                }
+            ]
+        });
+
+        const job = await processUpload(await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-1.csv')));
+
+        expect(job.state).toBe('failed');
+        expect(job.errors).toEqual([{
+            line: 5, column: 'hours worked', value: '30',
+            message: 'Employee 1 worked 30 hours on 2023-01-20, more than the 24 allowed in a day', rule: 'dailyHours'
+        }]);
+        expect(job.warnings).toEqual([{
+            line: 5, column: 'employee id', value: '1', message: 'Employee 1 already has hours on 2023-01-20 in report 7',
+            rule: 'duplicateEntries'
+        }]);
+        expect(statements()).not.toContain('INSERT INTO timekeeping_entries');
+        expect(statements()).not.toContain('INSERT INTO anomalies');
+    });
+
+    test('Should run each anomaly rule as configured', async () => {
+        process.env.ANOMALY_DAILY_HOURS = 'warn';
+        process.env.ANOMALY_MAX_DAILY_HOURS = '12';
+        process.env.ANOMALY_DUPLICATE_ENTRIES = 'off';
+        database({
+            anomalies: [{
+                rule: 'dailyHours', line: 5, column_name: 'hours worked', value: '14',
+                message: 'Employee 1 worked 14 hours on 2023-01-20, more than the 12 allowed in a day', total: '1'
+            }]
+        });
+
+        const response = await api.post('/upload/validate').attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+        delete process.env.ANOMALY_DAILY_HOURS;
+        delete process.env.ANOMALY_MAX_DAILY_HOURS;
+        delete process.env.ANOMALY_DUPLICATE_ENTRIES;
+
+        expect(response.status).toBe(200);
+        expect(response.body.warnings).toEqual([expect.objectContaining({ line: 5, rule: 'dailyHours' })]);
+        const checked = mockClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ingest_anomalies'));
+        expect(checked.map(([, values]) => values[0])).toEqual(['dailyHours', 'futureDates', 'mixedJobGroups']);
+        expect(checked[0][1]).toEqual(['dailyHours', 12, '1']);
+        // A validation request stores nothing, not even the anomalies it found
+        expect(statements()).not.toContain('INSERT INTO anomalies');
+    });
+
     test('Should fail to upload a non-CSV file', async () => {
-        const response = await request(app).post('/upload').attach('file', path.resolve(__dirname, 'time-report-3.txt'));
+        const response = await api.post('/upload').attach('file', path.resolve(__dirname, 'time-report-3.txt'));
 
         expect(response.status).toBe(400);
         expect(response.body).toEqual({
-            error: 'Only CSV files are allowed'
+            error: 'Only CSV, XLSX and JSON files are allowed'
         });
     });
 });
\ No newline at end of file
@@ -0,0 +1,245 @@
+const request = require('supertest');
+const path = require('path');
+const axios = require('axios');
+const app = require('../index');
+const { signToken } = require('../lib/auth');
+const { runNextUploadJob } = require('../lib/uploadJobs');
+
+// Tokens are signed with a test secret, requests are made as a payroll admin unless a test says otherwise
+process.env.JWT_SECRET = 'test-secret';
+const api = request.agent(app).set('Authorization', `Bearer ${signToken({ sub: 'payroll.admin', role: 'admin' })}`);
+const clerk = `Bearer ${signToken({ sub: 'payroll.clerk', role: 'uploader' })}`;
+
+// Webhooks are posted through axios, which the tests watch instead of sending anything, and only to allowed hosts
+jest.mock('axios');
+process.env.WEBHOOK_HOSTS = 'example.com';
+
+// Mocking the 'pg' module to prevent database intractions during the tests
+jest.mock('pg', () => {
+    // Create function mocks to track calls
+    const mClient = {
+        query: jest.fn(),
+        on: jest.fn(),
+        release: jest.fn(),
+        end: jest.fn()
+    };
+    // Queries and transactions check out the same mocked client, so one mock tracks every query
+    mClient.connect = async () => mClient;
+    // Provides mocked Pool constructor so we use mocks instead of the real pool object
+    return { Pool: jest.fn(() => mClient) };
+});
+
+// "Import" the mocked Pool
+const { Pool } = require('pg');
+// "Create" the mocked Pool, which is also the client it checks out
+const mockClient = new Pool();
+
+const JOB_ID = '3f2b8c1e-9a4d-4e6f-8b1a-2c3d4e5f6a7b';
+
+const jobRow = (fields = {}) => ({
+    id: JOB_ID,
+    report_id: '42',
+    filename: 'time-report-42.csv',
+    actor: 'payroll.admin',
+    state: 'completed',
+    row_count: 31,
+    rows_processed: 31,
+    errors: [],
+    warnings: [],
+    error: null,
+    created_at: '2024-01-02T09:00:00',
+    started_at: '2024-01-02T09:00:01',
+    finished_at: '2024-01-02T09:00:02',
+    ...fields
+});
+
+describe('Upload Job Tests', () => {
+    beforeAll(() => {
+        // Mock console.error to supress error messages during tests
+        jest.spyOn(global.console, 'error').mockImplementation(() => jest.fn());
+    });
+
+    afterAll(() => {
+        global.console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        // Reset queued mock responses so tests don't impact each other
+        jest.resetAllMocks();
+    });
+
+    test('Should report the state and progress of an upload job', async () => {
+        mockClient.query.mockResolvedValue({ rows: [jobRow({ state: 'processing', rows_processed: 10, finished_at: null })] });
+
+        const response = await api.get(`/uploads/${JOB_ID}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            job: {
+                jobId: JOB_ID,
+                reportId: '42',
+                filename: 'time-report-42.csv',
+                uploadedBy: 'payroll.admin',
+                state: 'processing',
+                rowCount: 31,
+                rowsProcessed: 10,
+                errors: [],
+                warnings: [],
+                error: null,
+                createdAt: '2024-01-02T09:00:00',
+                startedAt: '2024-01-02T09:00:01',
+                finishedAt: null
+            }
+        });
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('FROM upload_jobs WHERE id = $1'), [JOB_ID]);
+    });
+
+    test('Should return 404 for an unknown job or a job id that is not a UUID', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        const unknown = await api.get(`/uploads/${JOB_ID}`);
+        const malformed = await api.get('/uploads/42');
+
+        expect(unknown.status).toBe(404);
+        expect(unknown.body).toEqual({ error: 'Upload job not found' });
+        expect(malformed.status).toBe(404);
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should only show uploaders the jobs of their own uploads', async () => {
+        mockClient.query.mockResolvedValue({ rows: [jobRow()] });
+
+        const others = await api.get(`/uploads/${JOB_ID}`).set('Authorization', clerk);
+        mockClient.query.mockResolvedValue({ rows: [jobRow({ actor: 'payroll.clerk' })] });
+        const own = await api.get(`/uploads/${JOB_ID}`).set('Authorization', clerk);
+        const employee = await api
+            .get(`/uploads/${JOB_ID}`)
+            .set('Authorization', `Bearer ${signToken({ sub: 'jane', role: 'employee', employeeId: 1 })}`);
+
+        expect(others.status).toBe(404);
+        expect(own.status).toBe(200);
+        expect(employee.status).toBe(403);
+    });
+
+    test('Should stream the outcome of a finished job as a server-sent event and end the stream', async () => {
+        mockClient.query.mockResolvedValue({ rows: [jobRow({ state: 'failed', error: 'Report ID already exists' })] });
+
+        const response = await api.get(`/uploads/${JOB_ID}/events`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+        const events = response.text.trim().split('\n\n');
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatch(/^event: failed\ndata: /);
+        expect(JSON.parse(events[0].split('data: ')[1])).toMatchObject({ jobId: JOB_ID, error: 'Report ID already exists' });
+    });
+
+    test('Should stream progress until the job is finished', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [jobRow({ state: 'processing', rows_processed: 0, finished_at: null })] })
+            .mockResolvedValueOnce({ rows: [jobRow({ state: 'processing', rows_processed: 0, finished_at: null })] })
+            .mockResolvedValueOnce({ rows: [jobRow({ state: 'processing', rows_processed: 20, finished_at: null })] })
+            .mockResolvedValue({ rows: [jobRow()] });
+
+        const response = await api.get(`/uploads/${JOB_ID}/events`);
+
+        // An unchanged job isn't sent again
+        const events = response.text.trim().split('\n\n').map(event => event.split('\n')[0]);
+        expect(events).toEqual(['event: progress', 'event: progress', 'event: completed']);
+    }, 10000);
+
+    test('Should reject a webhook that is not an http or https URL', async () => {
+        const response = await api
+            .post('/upload')
+            .field('webhookUrl', 'ftp://example.com/done')
+            .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'webhookUrl must be an http or https URL' });
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should reject a webhook whose host is not allowed', async () => {
+        const hosts = ['localhost', '127.0.0.1', '169.254.169.254', '10.0.0.5', '192.168.1.1', 'example.com.evil.test'];
+        for (const host of hosts) {
+            const response = await api
+                .post('/upload')
+                .field('webhookUrl', `http://${host}/hooks/uploads`)
+                .attach('file', path.resolve(__dirname, 'time-report-1.csv'));
+
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({
+                error: `webhookUrl host ${host} is not allowed, see the WEBHOOK_HOSTS setting`
+            });
+        }
+        expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    test('Should not post to a webhook whose host is no longer allowed', async () => {
+        const stalled = jobRow({
+            state: 'failed',
+            error: 'The upload was interrupted too many times',
+            file_path: path.join(__dirname, 'no-such-upload.csv'),
+            webhook_url: 'http://169.254.169.254/latest/meta-data'
+        });
+        mockClient.query.mockImplementation(async (sql) => (
+            sql.includes('attempts >= $1') ? { rows: [stalled] } : { rows: [] }
+        ));
+
+        await expect(runNextUploadJob()).resolves.toBeNull();
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('Should post a finished job to its webhook', async () => {
+        const claimed = {
+            id: JOB_ID,
+            report_id: '42',
+            filename: 'time-report-42.csv',
+            file_path: path.join(__dirname, 'no-such-upload.csv'),
+            date_format: null,
+            actor: 'payroll.admin',
+            webhook_url: 'https://example.com/hooks/uploads'
+        };
+        mockClient.query.mockImplementation(async (sql) => {
+            if (sql.includes("SET state = 'processing'")) {
+                return { rows: [claimed] };
+            }
+            if (sql.includes('SET state = $2')) {
+                return { rows: [jobRow({ state: 'failed', error: 'The uploaded file is no longer available' })] };
+            }
+            return { rows: [] };
+        });
+        axios.post.mockResolvedValue({ status: 204 });
+
+        const job = await runNextUploadJob();
+
+        expect(job).toMatchObject({ state: 'failed', error: 'The uploaded file is no longer available' });
+        expect(axios.post).toHaveBeenCalledWith(
+            'https://example.com/hooks/uploads',
+            { event: 'upload.failed', job },
+            expect.objectContaining({ timeout: expect.any(Number), maxRedirects: 0 })
+        );
+    });
+
+    test('Should fail jobs that were interrupted too often and notify their webhook', async () => {
+        const stalled = jobRow({
+            state: 'failed',
+            error: 'The upload was interrupted too many times',
+            file_path: path.join(__dirname, 'no-such-upload.csv'),
+            webhook_url: 'https://example.com/hooks/uploads'
+        });
+        mockClient.query.mockImplementation(async (sql) => (
+            sql.includes('attempts >= $1') ? { rows: [stalled] } : { rows: [] }
+        ));
+        axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+        // No job is left to claim, a webhook that fails doesn't stop the worker
+        await expect(runNextUploadJob()).resolves.toBeNull();
+        expect(axios.post).toHaveBeenCalledWith(
+            'https://example.com/hooks/uploads',
+            { event: 'upload.failed', job: expect.objectContaining({ jobId: JOB_ID, error: 'The upload was interrupted too many times' }) },
+            expect.any(Object)
+        );
+        expect(axios.post.mock.calls[0][1].job).not.toHaveProperty('filePath');
+    });
+});
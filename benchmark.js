@@ -0,0 +1,230 @@
+const { fork } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { requireConfig } = require('./lib/config');
+
+const USAGE = `Usage:
+  node benchmark.js [rows]   Upload a generated time report of rows rows (100000 by default) through each ingestion path`;
+
+// Each path runs in a process of its own, so their memory use can't be mixed up
+const PATHS = {
+    buffered: 'Buffered: every row parsed into memory, then one INSERT per row through Promise.all',
+    streaming: 'Streaming: rows validated as they are read and inserted in batches through a staging table'
+};
+
+/**
+ * Finds a job group with a pay rate in its currency, so the generated rows are priced, and the first date it is
+ * priced on.
+ * @param {Object} db - The database module.
+ * @returns {Promise<Object|null>} - A promise that resolves to `{ jobGroup, from }`, or null when no job group has
+ * a pay rate.
+ */
+async function pricedJobGroup(db) {
+    const result = await db.query(
+        `SELECT job_group, to_char(min(effective_from), 'YYYY-MM-DD') AS effective_from
+         FROM job_group_rates r
+         JOIN job_groups g ON g.code = r.job_group AND g.currency = r.currency
+         GROUP BY job_group
+         ORDER BY job_group
+         LIMIT 1`
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    return { jobGroup: result.rows[0].job_group, from: result.rows[0].effective_from };
+}
+
+/**
+ * Writes a time report with a row per employee and day, dated over the year after a date.
+ * @param {string} filePath - Where to write the file.
+ * @param {number} rows - The number of rows.
+ * @param {Object} priced - The job group of every row and the first date it is priced on, see pricedJobGroup().
+ * @returns {Promise<void>} - A promise that resolves once the file is written.
+ */
+function writeTimeReport(filePath, rows, { jobGroup, from }) {
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(filePath).on('error', reject).on('finish', resolve);
+        const start = new Date(`${from}T00:00:00Z`);
+        let index = 0;
+        const write = () => {
+            let ok = true;
+            while (index < rows && ok) {
+                const date = new Date(start.getTime() + (index % 365) * 24 * 60 * 60 * 1000);
+                const day = String(date.getUTCDate()).padStart(2, '0');
+                const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+                const employeeId = Math.floor(index / 365) + 1;
+                ok = out.write(`${day}/${month}/${date.getUTCFullYear()},7.5,${employeeId},${jobGroup}\n`);
+                index += 1;
+            }
+            if (index < rows) {
+                out.once('drain', write);
+            } else {
+                out.end();
+            }
+        };
+        out.write('date,hours worked,employee id,job group\n');
+        write();
+    });
+}
+
+/**
+ * Stores a time report the way uploads were stored before streaming ingestion: every row is held in memory and
+ * checked in one pass, then inserted with a statement per row, all queued at once.
+ * @param {string} filePath - The path to the CSV file.
+ * @param {string} reportId - The id to store the report under.
+ * @returns {Promise<number>} - A promise that resolves to the number of rows stored.
+ */
+async function ingestBuffered(filePath, reportId) {
+    const db = require('./lib/db');
+    const { readRows } = require('./lib/parsers');
+    const { resolveDateFormat, validateRow, checkEntries } = require('./lib/validation');
+    const { createDateFormatDetector } = require('./lib/dates');
+
+    const rows = [];
+    for await (const row of readRows(filePath)) {
+        rows.push(row);
+    }
+    const detector = createDateFormatDetector();
+    rows.forEach(({ row }) => detector.add(row.date));
+    const dates = resolveDateFormat(detector.result());
+    const entries = rows.map(({ line, row }) => validateRow(line, row, dates).entry);
+    if (entries.some(entry => entry === null)) {
+        throw new Error('The generated time report is invalid');
+    }
+    await checkEntries(entries);
+
+    await db.withTransaction(async (client) => {
+        await client.query(
+            'INSERT INTO timekeeping_reports (report_id, filename, uploaded_by) VALUES ($1, $2, $3)',
+            [reportId, path.basename(filePath), 'benchmark']
+        );
+        await Promise.all(entries.map(entry => client.query(
+            'INSERT INTO timekeeping_entries (report_id, date, hours_worked, employee_id, job_group) VALUES ($1, $2, $3, $4, $5)',
+            [reportId, entry.date, entry.hours_worked, entry.employee_id, entry.job_group]
+        )));
+    });
+    return entries.length;
+}
+
+/**
+ * Stores a time report the way uploads are stored now, see storeReport().
+ * @param {string} filePath - The path to the CSV file.
+ * @param {string} reportId - The id to store the report under.
+ * @returns {Promise<number>} - A promise that resolves to the number of rows stored.
+ */
+async function ingestStreaming(filePath, reportId) {
+    const { openTimesheet, checksumFile, storeReport } = require('./lib/timesheets');
+
+    const timesheet = await openTimesheet(filePath);
+    const checksum = await checksumFile(filePath);
+    const stored = await storeReport(reportId, path.basename(filePath), timesheet, { actor: 'benchmark', checksum });
+    return stored.rowCount;
+}
+
+/**
+ * Runs one ingestion path in this process, reports its duration and peak memory to the parent process and
+ * deletes the stored report again.
+ * @param {string} name - The path, a key of PATHS.
+ * @param {string} filePath - The path to the CSV file.
+ * @returns {Promise<void>} - A promise that resolves once the result is sent.
+ */
+async function runPath(name, filePath) {
+    // Unknown employees are reported as warnings, however the server is configured
+    process.env.EMPLOYEE_CHECK = 'warn';
+    const db = require('./lib/db');
+    const reportId = `benchmark-${process.pid}`;
+    const started = process.hrtime.bigint();
+    try {
+        const rowCount = await (name === 'buffered' ? ingestBuffered : ingestStreaming)(filePath, reportId);
+        const ms = Number(process.hrtime.bigint() - started) / 1e6;
+        process.send({ rowCount, ms, peakRssMb: process.resourceUsage().maxRSS / 1024 });
+    } catch (error) {
+        process.send({ error: error.message });
+    } finally {
+        await db.query('DELETE FROM timekeeping_reports WHERE report_id = $1', [reportId]);
+        await db.pool.end();
+    }
+}
+
+/**
+ * Runs an ingestion path in a child process.
+ * @param {string} name - The path, a key of PATHS.
+ * @param {string} filePath - The path to the CSV file.
+ * @returns {Promise<Object>} - A promise that resolves to the result sent by runPath().
+ */
+function measure(name, filePath) {
+    return new Promise((resolve, reject) => {
+        let result = null;
+        fork(__filename, ['--path', name, filePath])
+            .on('message', (message) => {
+                result = message;
+            })
+            .on('error', reject)
+            .on('exit', (code) => {
+                if (result) {
+                    resolve(result);
+                } else {
+                    reject(new Error(`The ${name} run exited with code ${code}`));
+                }
+            });
+    });
+}
+
+/**
+ * Generates a time report and uploads it through each ingestion path against the configured database. The
+ * reports are deleted afterwards, their upload events stay in the append-only audit log.
+ * @param {Array<string>} args - The command line arguments.
+ * @returns {Promise<void>} - A promise that resolves once every path was measured.
+ */
+async function main([rowsArgument]) {
+    const rows = rowsArgument === undefined ? 100000 : Number(rowsArgument);
+    if (!Number.isInteger(rows) || rows < 1) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    requireConfig();
+    const db = require('./lib/db');
+    let priced;
+    try {
+        priced = await pricedJobGroup(db);
+    } finally {
+        await db.pool.end();
+    }
+    if (!priced) {
+        console.error('Add a job group with a pay rate first, see POST /job-groups');
+        process.exitCode = 1;
+        return;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-benchmark-'));
+    try {
+        const filePath = path.join(dir, 'time-report-benchmark.csv');
+        await writeTimeReport(filePath, rows, priced);
+        console.log(`${rows} rows, ${(fs.statSync(filePath).size / 1024 / 1024).toFixed(1)} MB, job group ${priced.jobGroup}\n`);
+        for (const name of Object.keys(PATHS)) {
+            const result = await measure(name, filePath);
+            if (result.error) {
+                throw new Error(`${name}: ${result.error}`);
+            }
+            console.log(PATHS[name]);
+            console.log(`  ${result.rowCount} rows in ${(result.ms / 1000).toFixed(2)} s ` +
+                `(${Math.round(result.rowCount / (result.ms / 1000))} rows/s), peak memory ${result.peakRssMb.toFixed(0)} MB\n`);
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+if (process.argv[2] === '--path') {
+    runPath(process.argv[3], process.argv[4]).catch(error => {
+        console.error(`Error running the benchmark: ${error.message}`);
+        process.exitCode = 1;
+    });
+} else {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`Error running the benchmark: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
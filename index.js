@@ -1,246 +1,192 @@
 const express = require('express');
-const multer = require('multer');
-const { Client } = require('pg');
-const csv = require('csv-parser');
-const fs = require('fs');
-const util = require('util');
-const path = require('path');
+const { requireConfig } = require('./lib/config');
+// Stop with a list of the configuration problems before anything connects to the database
+const config = requireConfig();
+const db = require('./lib/db');
+const { ValidationError } = require('./lib/validation');
+const {
+    upload,
+    unlinkAsync,
+    checkUploadRequest,
+    resolveReportId,
+    openTimesheet,
+    checkTimesheet
+} = require('./lib/timesheets');
+const { formatOf, emptyFileError } = require('./lib/parsers');
+const { getProfile } = require('./lib/importProfiles');
+const { checkWebhookUrl, createUploadJob, hasPendingUpload, startUploadWorkers } = require('./lib/uploadJobs');
+const { requestActor } = require('./lib/audit');
+const { parseReportQuery, getPayrollReport, getPayStub } = require('./lib/report');
+const { payrollReportToCsv, renderPayStub } = require('./lib/export');
+const { isISODate } = require('./lib/dates');
+const { isLocale } = require('./lib/locale');
+const { ROLES, authenticate, authorize } = require('./lib/auth');
+const jobGroupsRouter = require('./routes/jobGroups');
+const paySchedulesRouter = require('./routes/paySchedules');
+const overtimeRulesRouter = require('./routes/overtimeRules');
+const holidaysRouter = require('./routes/holidays');
+const reportsRouter = require('./routes/reports');
+const auditRouter = require('./routes/audit');
+const employeesRouter = require('./routes/employees');
+const uploadsRouter = require('./routes/uploads');
+const importProfilesRouter = require('./routes/importProfiles');
+const payPeriodsRouter = require('./routes/payPeriods');
+const analyticsRouter = require('./routes/analytics');
+const anomaliesRouter = require('./routes/anomalies');
 
 const app = express();
-const port = 4489;
-// Using async file deletion
-const unlinkAsync = util.promisify(fs.unlink); 
 
-// Configure middleware for handling file uploads of max size (No DoS attacks)
-const upload = multer({
-    dest: 'uploads/',
-    limits: { fileSize: 5 * 1024 * 1024 }
-});
-
-// Connect to Database
-const client = new Client({
-    user: 'postgres',
-    host: 'localhost',
-    database: 'timekeeping',
-    password: 'password',
-    port: 5433
-});
-
-
-/**
- * Processes a CSV file into an array of objects representing each row.
- * @param {string} filePath - The path to the CSV file that is being processed.
- * @returns {Promise<Array<Object>>} - A promise that resolves to an array of objects defined from the CSV file.
- */
-const processCSVFile = (filePath) => {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        let headersValidated = false;
-        const requiredHeaders = ['date', 'hours worked', 'employee id', 'job group'];
-
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('headers', (headers) => {
-                // Validate that all required headers are present
-                const missingHeaders = requiredHeaders.filter(header => !headers.includes(header));
-                if (missingHeaders.length > 0) {
-                    reject(new Error(`CSV format error: Missing headers: ${missingHeaders.join(', ')}`));
-                }
-                headersValidated = true;
-            })
-            .on('data', (row) => {
-                // Check if the row is not empty
-                const isEmpty = Object.values(row).every(value => value === undefined || value.trim() === '');
-                if (!isEmpty) {
-                    results.push(row);
-                }
-            })
-            .on('end', () => {
-                if (!headersValidated) {
-                    reject(new Error('CSV format error: Headers not found'));
-                } else {
-                    resolve(results);
-                }
-            })
-            .on('error', (err) => reject(err));
-    });
-};
+app.use(express.json());
+// Every endpoint needs a token, checked before an upload is written to disk
+app.use(authenticate);
+app.use('/job-groups', authorize(ROLES.admin), jobGroupsRouter);
+app.use('/pay-schedules', authorize(ROLES.admin), paySchedulesRouter);
+app.use('/pay-periods', authorize(ROLES.admin), payPeriodsRouter);
+app.use('/overtime-rules', authorize(ROLES.admin), overtimeRulesRouter);
+app.use('/holidays', authorize(ROLES.admin), holidaysRouter);
+app.use('/reports', authorize(ROLES.admin), reportsRouter);
+app.use('/audit', authorize(ROLES.admin), auditRouter);
+app.use('/anomalies', authorize(ROLES.admin), anomaliesRouter);
+app.use('/employees', authorize(ROLES.admin), employeesRouter);
+app.use('/analytics', authorize(ROLES.admin), analyticsRouter);
+app.use('/uploads', authorize(ROLES.admin, ROLES.uploader), uploadsRouter);
+// Uploaders can look up the profiles to upload with, changing them is up to admins
+app.use('/import-profiles', authorize(ROLES.admin, ROLES.uploader), importProfilesRouter);
 
 /**
- * Calculates the pay period that contains the specified date.
- * @param {Date} date - The date that is within the pay period we are trying to find.
- * @returns {Object} - An object containing the start and end dates of the pay period.
+ * Builds the handler shared by the upload and validation endpoints. Uploads are queued and stored by a background
+ * worker: the response is a 202 with the id of the job, whose progress and outcome GET /uploads/:jobId reports.
+ * Validation runs while the client waits, the rows are streamed through the same checks in a transaction that
+ * keeps nothing, and all the problems found are returned together with a 422 status.
+ * @param {boolean} alwaysDryRun - When true the file is only validated, otherwise only when ?dryRun=true is set.
+ * @returns {Function} - The Express.js route handler.
  */
-function getPayPeriod(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-
-    if (date.getDate() <= 15) {
-        return {
-            startDate: `${year}-${month.toString().padStart(2, '0')}-01`,
-            endDate: `${year}-${month.toString().padStart(2, '0')}-15`,
-        };
-    }
-
-    const lastDayOfMonth = new Date(year, month, 0).getDate();
-    return {
-        startDate: `${year}-${month.toString().padStart(2, '0')}-16`,
-        endDate: `${year}-${month.toString().padStart(2, '0')}-${lastDayOfMonth}`
-    };
-}
-
-client.connect();
-
-/**
- * Handles the file upload process and adds the entries to the database.
- * Endpoint: POST /upload
- * Middleware: upload.single('file') - Handles the uploaded file and writes it to disk then provides it via req.file
- * @param {Object} req - The Express.js request object.
- * @param {Object} res - The Express.js response object.
- */
-app.post('/upload', upload.single('file'), async (req, res) => {
+const handleUpload = (alwaysDryRun) => async (req, res) => {
     const file = req.file;
-    if (!file) {
-        return res.status(400).json({ error: 'No file uploaded' });
-    }
-    if (path.extname(file.originalname).toLowerCase() !== '.csv') {
-        await unlinkAsync(file.path);
-        return res.status(400).json({ error: 'Only CSV files are allowed' });
+    const dryRun = alwaysDryRun || req.query.dryRun === 'true';
+    // The date format, import profile and webhook can be declared as form fields or query parameters
+    const dateFormat = (req.body && req.body.dateFormat) || req.query.dateFormat;
+    const profileName = (req.body && req.body.profile) || req.query.profile;
+    const webhookUrl = (req.body && req.body.webhookUrl) || req.query.webhookUrl;
+    const requestError = checkUploadRequest(file, dateFormat) || checkWebhookUrl(webhookUrl);
+    if (requestError) {
+        if (file) {
+            await unlinkAsync(file.path);
+        }
+        return res.status(400).json({ error: requestError });
     }
     try {
-        // Extract the report_id from the filename
-        const fileName = path.basename(file.originalname, '.csv'); // e.g., 'time-report-42'
-        const match = fileName.match(/^time-report-(\d+)$/); // Regex to extract the numeric ID
-
-        // Validate the filename format
-        if (!match) {
+        // The report id is a form field or header, tools that can set neither name the file time-report-<id>
+        const { reportId, error: reportIdError } = resolveReportId(
+            (req.body && req.body.reportId) || req.get('X-Report-Id'),
+            file.originalname
+        );
+        if (reportIdError) {
             await unlinkAsync(file.path); // Clean up uploaded file
-            return res.status(400).json({ error: 'Invalid file name format. Expected format: time-report-x.csv' });
+            return res.status(400).json({ error: reportIdError });
         }
 
-        const reportId = match[1]; // Extracted report_id from filename
+        // A queued upload is read with the profile as it is now, even if the profile changes before it is stored
+        const profile = profileName === undefined ? undefined : await getProfile(String(profileName));
+        if (profile === null) {
+            await unlinkAsync(file.path);
+            return res.status(400).json({ error: `Unknown import profile: ${profileName}` });
+        }
 
-        // Check if the report_id already exists
-        const existingReport = await client.query('SELECT * FROM timekeeping_reports WHERE report_id = $1', [reportId]);
+        // Check if the report_id already exists, or is being uploaded
+        const existingReport = await db.query('SELECT * FROM timekeeping_reports WHERE report_id = $1', [reportId]);
         if (JSON.stringify(existingReport) !== "{}" && existingReport.rows.length > 0) {
             await unlinkAsync(file.path); // Clean up uploaded file
             return res.status(409).json({ error: 'Report ID already exists' });
         }
-
-        const results = await processCSVFile(file.path); // Process the CSV asynchronously
-        if (!Array.isArray(results) || results.length === 0) {
-            console.error(JSON.stringify(results));
+        if (!dryRun && await hasPendingUpload(reportId)) {
             await unlinkAsync(file.path);
-            return res.status(400).json({ error: 'Invalid CSV format: File Empty' });
+            return res.status(409).json({ error: 'An upload of this report is already in progress' });
         }
 
-        // Begin database transaction. This allows us to ensure that the full file gets inserted in case of an error
-        await client.query('BEGIN');
-        // Track the report that was uploaded and its ID
-        await client.query(
-            'INSERT INTO timekeeping_reports (report_id, filename) VALUES ($1, $2)',
-            [reportId, file.originalname]
-        );
-
-        // Async insert of elements, this ensures that we don't waste time inserting sequentially
-        const insertPromises = results.map(row => {
-            const { date, "hours worked": hours_worked, "employee id": employee_id, "job group": job_group } = row;
-
-            if (!date || hours_worked === undefined || employee_id === undefined || !job_group) {
-                console.error(`raw: ${JSON.stringify(row)}`)
-                console.error(`date: ${date}\nhours_worked: ${hours_worked}\nemployee_id: ${employee_id}\njob_group: ${job_group}`)
-                throw new Error('CSV format error: Missing required fields in one or more rows');
-            }
-            // Parse and reformat the date from DD/MM/YYYY to YYYY-MM-DD
-            const dateParts = date.split('/');
-            if (dateParts.length !== 3) {
-                throw new Error(`CSV format error: Invalid date format in row: ${JSON.stringify(row)}`);
+        if (dryRun) {
+            const format = formatOf(file.originalname);
+            const timesheet = await openTimesheet(file.path, { dateFormat, format, profile });
+            if (!timesheet) {
+                await unlinkAsync(file.path);
+                return res.status(400).json({ error: emptyFileError(format) });
             }
-            const [day, month, year] = dateParts;
-            const formattedDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+            const { rowCount, warnings } = await checkTimesheet(timesheet, reportId);
+            await unlinkAsync(file.path);
+            return res.json({ message: 'File is valid', rowCount, dateFormat: timesheet.dates.format, warnings });
+        }
 
-            return client.query(
-                'INSERT INTO timekeeping_entries (report_id, date, hours_worked, employee_id, job_group) VALUES ($1, $2, $3, $4, $5)',
-                [reportId, formattedDate, hours_worked, employee_id, job_group]
-            );
+        // The worker removes the file once it is stored
+        const job = await createUploadJob({
+            reportId,
+            filename: file.originalname,
+            filePath: file.path,
+            dateFormat,
+            profile,
+            actor: requestActor(req),
+            webhookUrl
         });
-        // Ensure that all inserts completed
-        await Promise.all(insertPromises);
-        // Write changes to database
-        await client.query('COMMIT');
-        
-        await unlinkAsync(file.path); // Clean up uploaded file after processing
-        res.status(201).json({ message: 'File uploaded and data stored successfully' });
+        if (!job) {
+            await unlinkAsync(file.path);
+            return res.status(409).json({ error: 'An upload of this report is already in progress' });
+        }
+        res.status(202).location(`/uploads/${job.jobId}`).json({ message: 'Upload accepted', job });
     } catch (error) {
-        // In case of a failure, remove all changes to the database
-        await client.query('ROLLBACK');
+        if (error instanceof ValidationError) {
+            await unlinkAsync(file.path);
+            return res.status(422).json({ error: error.message, errors: error.errors, warnings: error.warnings });
+        }
         console.error('Error processing file:', error);
+        await unlinkAsync(file.path).catch(() => {});
         res.status(500).json({ error: 'Internal server error' });
     }
-});
-
-// Define pay rates for the job groups
-const jobGroupRates = {
-    A: 30,
-    B: 20
 };
 
 /**
- * Generates and returns the payroll report based on the timekeeping entries.
+ * Checks an uploaded time report without storing it.
+ * Endpoint: POST /upload/validate
+ * Middleware: upload.single('file') - Handles the uploaded file and writes it to disk then provides it via req.file
+ */
+app.post('/upload/validate', authorize(ROLES.admin, ROLES.uploader), upload.single('file'), handleUpload(true));
+
+/**
+ * Queues an uploaded time report to be validated and stored by a background worker.
+ * Endpoint: POST /upload (?dryRun=true behaves like POST /upload/validate, dateFormat declares the date format,
+ * profile names the import profile to read the file with, webhookUrl is posted the job once it is finished,
+ * the reportId form field or X-Report-Id header names the report, otherwise taken from a time-report-<id> file name)
+ * Middleware: upload.single('file') - Handles the uploaded file and writes it to disk then provides it via req.file
+ */
+app.post('/upload', authorize(ROLES.admin, ROLES.uploader), upload.single('file'), handleUpload(false));
+
+/**
+ * Generates and returns the payroll report based on the timekeeping entries. Employees only see their own rows.
  * Endpoint: GET /report
+ * Query: employeeId (one or many), startDate/endDate or payPeriod (YYYY-MM-DD), reportId, limit/offset,
+ * format (json or csv, otherwise chosen from the Accept header), locale (e.g. fr-CA) to format numbers and dates
  * @param {Object} req - The Express.js request object.
  * @param {Object} res - The Express.js response object.
  */
-app.get('/report', async (req, res) => {
+app.get('/report', authorize(ROLES.admin, ROLES.employee), async (req, res) => {
+    const format = req.query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv' });
+    }
+    const { filters, error } = parseReportQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (req.user.role === ROLES.employee) {
+        if (filters.employeeIds && filters.employeeIds.some(id => id !== req.user.employeeId)) {
+            return res.status(403).json({ error: 'Employees can only view their own pay' });
+        }
+        filters.employeeIds = [req.user.employeeId];
+    }
     try {
-        const query = `
-            SELECT date, hours_worked, employee_id, job_group
-            FROM timekeeping_entries
-            ORDER BY employee_id, date;
-        `;
-        const result = await client.query(query);
-        const timekeepingData = result.rows;
-
-        const payrollReport = { employeeReports: [] };
-        const employeePayData = {};
-
-        // Combine the entries for each employee per pay period
-        timekeepingData.forEach((row) => {
-            const employeeId = row.employee_id;
-            const hoursWorked = row.hours_worked;
-            const jobGroup = row.job_group;
-            const payRate = jobGroupRates[jobGroup];
-            const date = new Date(row.date);
-
-            const payPeriod = getPayPeriod(date);
-
-            const key = `${employeeId}-${payPeriod.startDate}-${payPeriod.endDate}`;
-            if (!employeePayData[key]) {
-                employeePayData[key] = {
-                    employeeId,
-                    payPeriod,
-                    amountPaid: 0
-                };
-            }
-            // Calculate and sum the amount paid
-            employeePayData[key].amountPaid += hoursWorked * payRate;
-        });
-        // format report
-        for (const key in employeePayData) {
-            const employeeData = employeePayData[key];
-            payrollReport.employeeReports.push({
-                employeeId: employeeData.employeeId.toString(),
-                payPeriod: employeeData.payPeriod,
-                amountPaid: `$${employeeData.amountPaid.toFixed(2)}`
-            });
+        const payrollReport = await getPayrollReport(filters);
+        if (format === 'csv') {
+            return res.attachment('payroll-report.csv').type('text/csv')
+                .send(payrollReportToCsv(payrollReport, filters.locale));
         }
-        // sort report
-        payrollReport.employeeReports.sort((a, b) => {
-            if (a.employeeId === b.employeeId) {
-                return new Date(a.payPeriod.startDate) - new Date(b.payPeriod.startDate);
-            }
-            return a.employeeId - b.employeeId;
-        });
         res.json({ payrollReport });
     } catch (error) {
         console.error('Error retrieving payroll report:', error);
@@ -248,15 +194,55 @@ app.get('/report', async (req, res) => {
     }
 })
 
+/**
+ * Renders an employee's pay stub for one pay period as a PDF download. Employees only get their own.
+ * Endpoint: GET /report/pay-stubs/:employeeId?payPeriod=YYYY-MM-DD&locale=fr-CA (locale optional)
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+app.get('/report/pay-stubs/:employeeId', authorize(ROLES.admin, ROLES.employee), async (req, res) => {
+    const { employeeId } = req.params;
+    const { payPeriod, locale } = req.query;
+    if (!/^\d+$/.test(employeeId) || Number(employeeId) > 2147483647) {
+        return res.status(400).json({ error: 'employeeId must be a numeric employee id' });
+    }
+    if (!isISODate(payPeriod)) {
+        return res.status(400).json({ error: 'payPeriod must be the start date of a pay period in YYYY-MM-DD format' });
+    }
+    if (locale !== undefined && !isLocale(locale)) {
+        return res.status(400).json({ error: 'locale must be a supported locale, e.g. en-US or fr-CA' });
+    }
+    if (req.user.role === ROLES.employee && Number(employeeId) !== req.user.employeeId) {
+        return res.status(403).json({ error: 'Employees can only view their own pay' });
+    }
+    try {
+        const payStub = await getPayStub(Number(employeeId), payPeriod, { locale });
+        if (!payStub) {
+            return res.status(404).json({ error: 'No hours found for this employee and pay period' });
+        }
+        const pdf = await renderPayStub(payStub, locale);
+        res.attachment(`pay-stub-${employeeId}-${payPeriod}.pdf`).type('application/pdf').send(pdf);
+    } catch (error) {
+        console.error('Error generating pay stub:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /* 
     This is to start the server when not in test mode. Jest doesn't use the actual server functionality, 
     it only executes the raw endpoint and checks the response. If you check package.json, you can see how
     we bypass this when running jest tests.
 */ 
 if (process.env.NODE_ENV !== 'test') {
+    const { port, jwtSecret } = config;
+    if (!jwtSecret) {
+        console.error('JWT_SECRET (jwtSecret in the config file) must be set to verify access tokens');
+        process.exit(1);
+    }
     app.listen(port, () => {
         console.log(`Server is running on port ${port}`);
     });
+    startUploadWorkers(config.uploadWorkers);
 }
 
 module.exports = app;
\ No newline at end of file
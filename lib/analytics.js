@@ -0,0 +1,168 @@
+const db = require('./db');
+const { toList, parseReportQuery, pricedEntriesSql, amountSql } = require('./report');
+const { formatAmount, toMoney } = require('./money');
+const { formatDate } = require('./locale');
+
+// What GET /analytics can group by, with the SQL columns of the priced entries each one groups on
+const DIMENSIONS = {
+    payPeriod: ['period_start', 'period_end'],
+    jobGroup: ['job_group'],
+    month: ['month']
+};
+
+/**
+ * Validates the GET /analytics query string and converts it into analytics filters.
+ * @param {Object} query - The Express.js request query object.
+ * @returns {Object} - Either `{ filters }` or `{ error }` describing the first invalid parameter.
+ */
+function parseAnalyticsQuery(query) {
+    const { startDate, endDate, locale } = query;
+    const { filters, error } = parseReportQuery({ startDate, endDate, locale });
+    if (error) {
+        return { error };
+    }
+
+    const groupBy = toList(query.groupBy);
+    if (groupBy.some(dimension => !Object.hasOwn(DIMENSIONS, dimension))) {
+        return { error: `groupBy must be a list of ${Object.keys(DIMENSIONS).join(', ')}` };
+    }
+    filters.groupBy = groupBy.length > 0 ? [...new Set(groupBy)] : ['payPeriod'];
+
+    return { filters };
+}
+
+/**
+ * Builds the SQL that totals the priced timekeeping entries dated within the date range by the given dimensions:
+ * for each group its hours, headcount and average hours per employee, and its cost in each currency. Each group
+ * has a row where `all_currencies` is true, with its hours and headcount over every currency, followed by a row
+ * for each currency it was paid in. Without dimensions there is a single group, the whole date range, which has its
+ * all_currencies row even when no entries are dated within it.
+ *
+ * Entries are priced by pricedEntriesSql(), as in the payroll report, with the entries of the week before the
+ * date range so their overtime is the same, and entries of closed pay periods as they were priced when they
+ * closed. So over whole pay periods the costs equal the report's amounts paid, kept totals included.
+ * @param {Object} filters - The filters produced by parseAnalyticsQuery().
+ * @param {Array<string>} dimensions - The dimensions to group by, see DIMENSIONS.
+ * @returns {Object} - The parameterised query as `{ text, values }`.
+ */
+function buildAnalyticsQuery(filters, dimensions) {
+    const { add: param, values } = db.queryParams();
+    const entryConditions = [];
+    const dateConditions = [];
+    if (filters.startDate) {
+        const startDate = param(filters.startDate);
+        // Weekly overtime counts the hours of the work week, which can start up to 6 days before the range
+        entryConditions.push(`e.date > ${startDate}::date - 7`);
+        dateConditions.push(`date >= ${startDate}::date`);
+    }
+    if (filters.endDate) {
+        const endDate = param(filters.endDate);
+        entryConditions.push(`e.date <= ${endDate}::date`);
+        dateConditions.push(`date <= ${endDate}::date`);
+    }
+    const where = (conditions) => conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const columns = dimensions.flatMap(dimension => DIMENSIONS[dimension]);
+    const groups = columns.length > 0 ? `(${columns.join(', ')}), (${columns.join(', ')}, currency)` : '(), (currency)';
+    const select = columns.map(column => (['period_start', 'period_end'].includes(column)
+        ? `to_char(${column}, 'YYYY-MM-DD') AS ${column}`
+        : column));
+
+    const text = `
+        WITH ${pricedEntriesSql(where(entryConditions))},
+        selected AS (
+            SELECT priced.*, to_char(date, 'YYYY-MM') AS month
+            FROM priced
+            ${where(dateConditions)}
+        )
+        SELECT ${select.map(column => `${column}, `).join('')}currency, GROUPING(currency) = 1 AS all_currencies,
+            COALESCE(SUM(hours_worked), 0)::text AS hours,
+            COUNT(DISTINCT employee_id)::int AS headcount,
+            COALESCE(ROUND(SUM(hours_worked) / NULLIF(COUNT(DISTINCT employee_id), 0), 2), 0)::text AS average_hours,
+            ${amountSql()}::text AS amount
+        FROM selected
+        GROUP BY GROUPING SETS (${groups})
+        ORDER BY ${columns.map(column => `${column}, `).join('')}all_currencies DESC, currency;
+    `;
+    return { text, values };
+}
+
+/**
+ * Converts the rows of one group of the analytics query into its summary.
+ * @param {Array<Object>} rows - The rows of the group, its all_currencies row first, see buildAnalyticsQuery().
+ * @param {string} [locale] - The locale to format amounts and dates for.
+ * @returns {Object} - The hours, headcount, average hours per employee and the costs of the group.
+ */
+function formatSummary([all, ...currencies], locale) {
+    return {
+        hours: Number(all.hours),
+        headcount: all.headcount,
+        averageHoursPerEmployee: Number(all.average_hours),
+        costs: currencies.map(row => ({
+            currency: row.currency,
+            hours: Number(row.hours),
+            amount: formatAmount(row.amount, row.currency, locale),
+            amountMoney: toMoney(row.amount, row.currency)
+        }))
+    };
+}
+
+/**
+ * Splits the rows of the analytics query into its groups, each starting with its all_currencies row.
+ * @param {Array<Object>} rows - The rows, see buildAnalyticsQuery().
+ * @returns {Array<Array<Object>>} - The rows of each group.
+ */
+function groupRows(rows) {
+    const groups = [];
+    for (const row of rows) {
+        if (row.all_currencies) {
+            groups.push([row]);
+        } else {
+            groups[groups.length - 1].push(row);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Summarises the labour cost of the timekeeping entries dated within the date range: the hours, headcount, average
+ * hours per employee and cost in each currency of every group, and of the whole range. Costs in different
+ * currencies are never added up. Closed pay periods cost what was paid for them, in the currencies it was paid
+ * in, whatever changed since they closed.
+ * @param {Object} filters - The filters produced by parseAnalyticsQuery().
+ * @returns {Promise<Object>} - A promise that resolves to `{ groupBy, groups, totals }`.
+ */
+async function getAnalytics(filters) {
+    const result = await db.query(buildAnalyticsQuery(filters, filters.groupBy));
+    const groups = groupRows(result.rows).map(rows => {
+        const group = {};
+        for (const dimension of filters.groupBy) {
+            if (dimension === 'payPeriod') {
+                group.payPeriod = {
+                    startDate: formatDate(rows[0].period_start, filters.locale),
+                    endDate: formatDate(rows[0].period_end, filters.locale)
+                };
+            } else if (dimension === 'jobGroup') {
+                group.jobGroup = rows[0].job_group;
+            } else {
+                group.month = rows[0].month;
+            }
+        }
+        return { ...group, ...formatSummary(rows, filters.locale) };
+    });
+
+    // The grouping set of the whole range has a row even without entries, so the totals always have one
+    const totals = await db.query(buildAnalyticsQuery(filters, []));
+    return {
+        groupBy: filters.groupBy,
+        groups,
+        totals: formatSummary(totals.rows, filters.locale)
+    };
+}
+
+module.exports = {
+    DIMENSIONS,
+    parseAnalyticsQuery,
+    buildAnalyticsQuery,
+    getAnalytics
+};
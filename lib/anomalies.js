@@ -0,0 +1,278 @@
+const db = require('./db');
+const { getConfig } = require('./config');
+const { isISODate } = require('./dates');
+const { parsePagination, pageSql, pageOf } = require('./pagination');
+const { MAX_ISSUES, ValidationError, issue, createIssueList } = require('./validation');
+
+/*
+    The rules that check the entries of every upload for anomalies, by their setting in the anomalies section of
+    the config. Each builds a query over the staged entries (ingest_entries, see stageTimesheet() in
+    timesheets.js) returning the line, employee_id, date, column_name, value and message of what it finds.
+    Entries of the other stored reports count too, the report being uploaded or replaced doesn't.
+*/
+const ANOMALY_RULES = {
+    // More hours in a day for an employee than the maxDailyHours setting allows, reported on the day's last line
+    dailyHours: (param, { reportId, maxDailyHours }) => {
+        const maximum = param(maxDailyHours);
+        return `
+            SELECT line, employee_id, date, 'hours worked', trim_scale(total)::text,
+                format('Employee %s worked %s hours on %s, more than the %s allowed in a day',
+                    employee_id, trim_scale(total), to_char(date, 'YYYY-MM-DD'), ${maximum}::int)
+            FROM (
+                SELECT max(line) AS line, employee_id, date, SUM(hours_worked) + COALESCE((
+                    SELECT SUM(hours_worked) FROM timekeeping_entries stored
+                    WHERE stored.employee_id = staged.employee_id AND stored.date = staged.date
+                        AND stored.report_id IS DISTINCT FROM ${param(reportId)}
+                ), 0) AS total
+                FROM ingest_entries staged
+                GROUP BY employee_id, date
+            ) days
+            WHERE total > ${maximum}::int`;
+    },
+    // Hours logged for a day that hasn't come yet
+    futureDates: () => `
+        SELECT line, employee_id, date, 'date', to_char(date, 'YYYY-MM-DD'), 'date is in the future'
+        FROM ingest_entries
+        WHERE date > CURRENT_DATE`,
+    // An employee and date that another report already has hours for
+    duplicateEntries: (param, { reportId }) => `
+        SELECT staged.line, staged.employee_id, staged.date, 'employee id', staged.employee_id::text,
+            format('Employee %s already has hours on %s in report %s',
+                staged.employee_id, to_char(staged.date, 'YYYY-MM-DD'), other.report_id)
+        FROM ingest_entries staged
+        JOIN LATERAL (
+            SELECT report_id FROM timekeeping_entries stored
+            WHERE stored.employee_id = staged.employee_id AND stored.date = staged.date
+                AND stored.report_id IS DISTINCT FROM ${param(reportId)}
+            ORDER BY stored.id
+            LIMIT 1
+        ) other ON true`,
+    // An employee working in more than one job group on the same day, reported on the day's last line
+    mixedJobGroups: (param, { reportId }) => `
+        SELECT max(line), employee_id, date, 'job group', string_agg(DISTINCT job_group, ', ' ORDER BY job_group),
+            format('Employee %s worked in job groups %s on %s',
+                employee_id, string_agg(DISTINCT job_group, ', ' ORDER BY job_group), to_char(date, 'YYYY-MM-DD'))
+        FROM (
+            SELECT line, employee_id, date, job_group FROM ingest_entries
+            UNION ALL
+            SELECT NULL, employee_id, date, job_group FROM timekeeping_entries stored
+            WHERE stored.report_id IS DISTINCT FROM ${param(reportId)}
+                AND (stored.employee_id, stored.date) IN (SELECT employee_id, date FROM ingest_entries)
+        ) days
+        GROUP BY employee_id, date
+        HAVING count(DISTINCT job_group) > 1`
+};
+
+/**
+ * Reads what each upload rule does from the anomalies section of the config.
+ * @returns {Object} - 'warn', 'reject' or 'off' by rule, see ANOMALY_RULES, and the `maxDailyHours` setting.
+ */
+function anomalySettings() {
+    return getConfig().anomalies;
+}
+
+/**
+ * Lists the staged anomalies found by some of the rules, up to MAX_ISSUES of them.
+ * @param {Object} client - The client of the transaction that staged them.
+ * @param {Array<string>} rules - The rules, see ANOMALY_RULES.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the anomalies as problems, see issue(), with
+ * their `rule`, sorted by line.
+ */
+async function listStagedAnomalies(client, rules) {
+    const problems = createIssueList();
+    if (rules.length === 0) {
+        return problems.list();
+    }
+    const result = await client.query(
+        `SELECT rule, line, column_name, value, message, count(*) OVER () AS total
+         FROM ingest_anomalies
+         WHERE rule = ANY($1::text[])
+         ORDER BY line, rule
+         LIMIT $2`,
+        [rules, MAX_ISSUES]
+    );
+    result.rows.forEach(row => problems.add({
+        ...issue(row.line, row.column_name, row.value, row.message),
+        rule: row.rule
+    }));
+    if (result.rows.length > 0) {
+        problems.omit(Number(result.rows[0].total) - result.rows.length);
+    }
+    return problems.list();
+}
+
+/**
+ * Runs the upload rules over the staged entries of a time report. What a rule set to 'reject' finds rejects the
+ * upload, what a rule set to 'warn' finds is added to the warnings and kept in a temporary ingest_anomalies table
+ * for recordAnomalies(). Must be called inside the transaction that staged the entries, see stageTimesheet().
+ * @param {Object} client - The client of the transaction.
+ * @param {string} [reportId] - The id of the report the entries are for, whose stored entries don't count.
+ * @param {Object} imported - What stageTimesheet() resolved to.
+ * @returns {Promise<Object>} - A promise that resolves to `imported` with the anomalies added to its warnings.
+ * Rejects with a ValidationError listing the anomalies found by rules set to 'reject'.
+ */
+async function checkAnomalies(client, reportId, imported) {
+    const settings = anomalySettings();
+    await client.query(
+        `CREATE TEMP TABLE ingest_anomalies (
+             rule TEXT NOT NULL,
+             line INTEGER,
+             employee_id INTEGER,
+             date DATE,
+             column_name TEXT,
+             value TEXT,
+             message TEXT NOT NULL
+         ) ON COMMIT DROP`
+    );
+    const checked = Object.keys(ANOMALY_RULES).filter(rule => settings[rule] !== 'off');
+    for (const rule of checked) {
+        const { add: param, values } = db.queryParams([rule]);
+        const found = ANOMALY_RULES[rule](param, { reportId, maxDailyHours: settings.maxDailyHours });
+        await client.query(
+            `INSERT INTO ingest_anomalies (rule, line, employee_id, date, column_name, value, message)
+             SELECT $1, found.* FROM (${found}) found`,
+            values
+        );
+    }
+
+    const errors = await listStagedAnomalies(client, checked.filter(rule => settings[rule] === 'reject'));
+    const warnings = [
+        ...imported.warnings,
+        ...await listStagedAnomalies(client, checked.filter(rule => settings[rule] === 'warn'))
+    ];
+    if (errors.length > 0) {
+        throw new ValidationError(errors, warnings);
+    }
+    return { ...imported, warnings };
+}
+
+/**
+ * Keeps the anomalies found by checkAnomalies() with the report they were found in, in place of those found in
+ * its previous version. Must be called inside the same transaction.
+ * @param {Object} client - The client of the transaction.
+ * @param {string} reportId - The id of the report.
+ * @returns {Promise<void>} - A promise that resolves once they are stored.
+ */
+async function recordAnomalies(client, reportId) {
+    await client.query('DELETE FROM anomalies WHERE report_id = $1', [reportId]);
+    await client.query(
+        `INSERT INTO anomalies (report_id, rule, line, column_name, value, employee_id, date, message)
+         SELECT $1, rule, line, column_name, value, employee_id, date, message
+         FROM ingest_anomalies
+         ORDER BY line, rule`,
+        [reportId]
+    );
+}
+
+/**
+ * Validates the GET /anomalies query string and converts it into filters.
+ * @param {Object} query - The Express.js request query object.
+ * @returns {Object} - Either `{ filters }` or `{ error }` describing the first invalid parameter.
+ */
+function parseAnomalyQuery(query) {
+    const filters = {};
+
+    if (query.reportId !== undefined) {
+        if (typeof query.reportId !== 'string' || query.reportId.trim() === '') {
+            return { error: 'reportId must be a single value' };
+        }
+        filters.reportId = query.reportId.trim();
+    }
+
+    if (query.rule !== undefined) {
+        if (!Object.hasOwn(ANOMALY_RULES, query.rule)) {
+            return { error: `rule must be one of ${Object.keys(ANOMALY_RULES).join(', ')}` };
+        }
+        filters.rule = query.rule;
+    }
+
+    if (query.employeeId !== undefined) {
+        if (!/^\d+$/.test(query.employeeId) || Number(query.employeeId) > 2147483647) {
+            return { error: 'employeeId must be a numeric employee id' };
+        }
+        filters.employeeId = Number(query.employeeId);
+    }
+
+    for (const name of ['startDate', 'endDate']) {
+        if (query[name] !== undefined) {
+            if (!isISODate(query[name])) {
+                return { error: `${name} must be a date in YYYY-MM-DD format` };
+            }
+            filters[name] = query[name];
+        }
+    }
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+        return { error: 'startDate must not be after endDate' };
+    }
+
+    const { page, error } = parsePagination(query);
+    if (error) {
+        return { error };
+    }
+    Object.assign(filters, page);
+
+    return { filters };
+}
+
+/**
+ * Retrieves a page of the anomalies kept for review, newest report first and in the order of its file.
+ * @param {Object} filters - The filters returned by parseAnomalyQuery(). The date range applies to the dates
+ * of the entries.
+ * @returns {Promise<Object>} - A promise that resolves to `{ anomalies, pagination }`.
+ */
+async function listAnomalies(filters) {
+    const { add: param, values } = db.queryParams();
+
+    const conditions = [];
+    if (filters.reportId) {
+        conditions.push(`report_id = ${param(filters.reportId)}`);
+    }
+    if (filters.rule) {
+        conditions.push(`rule = ${param(filters.rule)}`);
+    }
+    if (filters.employeeId !== undefined) {
+        conditions.push(`employee_id = ${param(filters.employeeId)}`);
+    }
+    if (filters.startDate) {
+        conditions.push(`date >= ${param(filters.startDate)}::date`);
+    }
+    if (filters.endDate) {
+        conditions.push(`date <= ${param(filters.endDate)}::date`);
+    }
+
+    const result = await db.query(
+        `SELECT id, report_id, rule, line, column_name, value, employee_id, message,
+             to_char(date, 'YYYY-MM-DD') AS date,
+             to_char(detected_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS detected_at
+         FROM anomalies
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY detected_at DESC, report_id, line, id
+         ${pageSql(filters, param)}`,
+        values
+    );
+
+    const { rows, pagination } = pageOf(result.rows, filters);
+    return {
+        anomalies: rows.map(row => ({
+            id: row.id,
+            reportId: row.report_id,
+            rule: row.rule,
+            line: row.line,
+            column: row.column_name,
+            value: row.value,
+            employeeId: row.employee_id,
+            date: row.date,
+            message: row.message,
+            detectedAt: row.detected_at
+        })),
+        pagination
+    };
+}
+
+module.exports = {
+    ANOMALY_RULES,
+    checkAnomalies,
+    recordAnomalies,
+    parseAnomalyQuery,
+    listAnomalies
+};
@@ -0,0 +1,140 @@
+const db = require('./db');
+const { isISODate } = require('./dates');
+const { parsePagination, pageSql, pageOf } = require('./pagination');
+
+// Changes to time reports that are recorded in the audit log
+const AUDIT_ACTIONS = ['upload', 'replace', 'delete'];
+
+/**
+ * Identifies who made a request, from the user its token was issued to.
+ * @param {Object} req - The Express.js request object, after authenticate().
+ * @returns {string} - The actor.
+ */
+function requestActor(req) {
+    return req.user.sub.slice(0, 255);
+}
+
+/**
+ * Appends an event to the audit log. Call it inside the transaction that makes the change, so the change and
+ * its event are stored together or not at all.
+ * @param {Object} client - The client of that transaction, see withTransaction() in db.js.
+ * @param {Object} event - The event to record.
+ * @param {string} event.actor - Who made the change, see requestActor().
+ * @param {string} event.action - What was done, one of AUDIT_ACTIONS.
+ * @param {string} event.reportId - The time report that was changed.
+ * @param {number} event.rowsAdded - The number of entries stored by the change.
+ * @param {number} event.rowsRemoved - The number of entries removed by the change.
+ * @param {string} [event.checksum] - The SHA-256 of the uploaded CSV file, if there was one.
+ * @returns {Promise<void>} - A promise that resolves once the event is stored.
+ */
+async function recordAuditEvent(client, { actor, action, reportId, rowsAdded, rowsRemoved, checksum }) {
+    await client.query(
+        `INSERT INTO audit_events (actor, action, report_id, rows_added, rows_removed, checksum)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [actor, action, reportId, rowsAdded, rowsRemoved, checksum || null]
+    );
+}
+
+/**
+ * Validates the GET /audit query string and converts it into audit log filters.
+ * @param {Object} query - The Express.js request query object.
+ * @returns {Object} - Either `{ filters }` or `{ error }` describing the first invalid parameter.
+ */
+function parseAuditQuery(query) {
+    const filters = {};
+
+    for (const name of ['reportId', 'actor']) {
+        if (query[name] !== undefined) {
+            if (typeof query[name] !== 'string' || query[name].trim() === '') {
+                return { error: `${name} must be a single value` };
+            }
+            filters[name] = query[name].trim();
+        }
+    }
+
+    if (query.action !== undefined) {
+        if (!AUDIT_ACTIONS.includes(query.action)) {
+            return { error: `action must be one of ${AUDIT_ACTIONS.join(', ')}` };
+        }
+        filters.action = query.action;
+    }
+
+    for (const name of ['startDate', 'endDate']) {
+        if (query[name] !== undefined) {
+            if (!isISODate(query[name])) {
+                return { error: `${name} must be a date in YYYY-MM-DD format` };
+            }
+            filters[name] = query[name];
+        }
+    }
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+        return { error: 'startDate must not be after endDate' };
+    }
+
+    const { page, error } = parsePagination(query);
+    if (error) {
+        return { error };
+    }
+    Object.assign(filters, page);
+
+    return { filters };
+}
+
+/**
+ * Retrieves a page of the audit log, newest first.
+ * @param {Object} filters - The filters returned by parseAuditQuery().
+ * @returns {Promise<Object>} - A promise that resolves to `{ events, pagination }`.
+ */
+async function listAuditEvents(filters) {
+    const { add: param, values } = db.queryParams();
+
+    const conditions = [];
+    if (filters.reportId) {
+        conditions.push(`report_id = ${param(filters.reportId)}`);
+    }
+    if (filters.actor) {
+        conditions.push(`actor = ${param(filters.actor)}`);
+    }
+    if (filters.action) {
+        conditions.push(`action = ${param(filters.action)}`);
+    }
+    if (filters.startDate) {
+        conditions.push(`occurred_at >= ${param(filters.startDate)}::date`);
+    }
+    if (filters.endDate) {
+        conditions.push(`occurred_at < ${param(filters.endDate)}::date + 1`);
+    }
+
+    const result = await db.query(
+        `SELECT id, actor, action, report_id, rows_added, rows_removed, checksum,
+             to_char(occurred_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS occurred_at
+         FROM audit_events
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         ${pageSql(filters, param)}`,
+        values
+    );
+
+    const { rows, pagination } = pageOf(result.rows, filters);
+    return {
+        events: rows.map(row => ({
+            id: row.id,
+            occurredAt: row.occurred_at,
+            actor: row.actor,
+            action: row.action,
+            reportId: row.report_id,
+            rowsAdded: row.rows_added,
+            rowsRemoved: row.rows_removed,
+            checksum: row.checksum
+        })),
+        pagination
+    };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    requestActor,
+    recordAuditEvent,
+    parseAuditQuery,
+    listAuditEvents
+};
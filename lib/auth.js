@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const { getConfig } = require('./config');
+
+// Roles a token can carry. Uploaders can only submit time reports, employees can only see their own pay
+const ROLES = {
+    admin: 'admin',
+    uploader: 'uploader',
+    employee: 'employee'
+};
+
+// Tokens are signed with HMAC SHA-256, other algorithms are refused when verifying
+const ALGORITHM = 'HS256';
+
+/**
+ * Reads the secret tokens are signed with from the jwtSecret setting.
+ * @returns {string} - The secret.
+ */
+function jwtSecret() {
+    const secret = getConfig().jwtSecret;
+    if (!secret) {
+        throw new Error('JWT_SECRET (jwtSecret in the config file) is not set');
+    }
+    return secret;
+}
+
+/**
+ * Issues a token for a user.
+ * @param {Object} user - The user the token is for.
+ * @param {string} user.sub - The user name, recorded as the actor of the changes they make.
+ * @param {string} user.role - One of ROLES.
+ * @param {number} [user.employeeId] - The employee id the user may see, required for the employee role.
+ * @param {string|number} [expiresIn] - How long the token is valid, e.g. '8h'.
+ * @returns {string} - The signed token.
+ */
+function signToken({ sub, role, employeeId }, expiresIn = '8h') {
+    const claims = employeeId === undefined ? { role } : { role, employeeId };
+    return jwt.sign(claims, jwtSecret(), { algorithm: ALGORITHM, subject: sub, expiresIn });
+}
+
+/**
+ * Verifies a token and checks its claims.
+ * @param {string} token - The token from the Authorization header.
+ * @returns {Object|null} - The user as `{ sub, role, employeeId }`, or null if the token is invalid or expired.
+ */
+function verifyToken(token) {
+    let claims;
+    try {
+        claims = jwt.verify(token, jwtSecret(), { algorithms: [ALGORITHM] });
+    } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+            return null;
+        }
+        throw error;
+    }
+    if (typeof claims.sub !== 'string' || claims.sub === '' || !Object.values(ROLES).includes(claims.role)) {
+        return null;
+    }
+    if (claims.role === ROLES.employee && !(Number.isInteger(claims.employeeId) && claims.employeeId > 0)) {
+        return null;
+    }
+    return { sub: claims.sub, role: claims.role, employeeId: claims.employeeId };
+}
+
+/**
+ * Middleware that requires a valid bearer token and makes its user available as req.user.
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ * @param {Function} next - Passes control to the next handler.
+ */
+function authenticate(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    let user;
+    try {
+        user = verifyToken(token);
+    } catch (error) {
+        console.error('Error verifying token:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+}
+
+/**
+ * Builds middleware that only lets users with one of the given roles through.
+ * @param {...string} roles - The roles allowed, see ROLES.
+ * @returns {Function} - The Express.js middleware.
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have access to this resource' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    signToken,
+    verifyToken,
+    authenticate,
+    authorize
+};
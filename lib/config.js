@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+
+// Config file read when CONFIG_FILE isn't set, if it exists
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// Config files read by getConfig(), by path. They are read once, the environment is read on every call
+const configFiles = new Map();
+
+// A host name or IPv4 address, as a URL has it
+const HOST_NAME = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+
+// What an upload rule can do with what it finds: list it as a warning, refuse the upload, or not check at all
+const RULE_MODES = ['warn', 'reject', 'off'];
+
+/*
+    Every setting, by its path in the config file, with the environment variable that overrides it, the kind of
+    value it takes and the value used when neither sets it. The database defaults suit a local development server,
+    there is no default password or token secret.
+*/
+const SETTINGS = {
+    'port': { env: 'PORT', type: 'port', default: 4489 },
+    'jwtSecret': { env: 'JWT_SECRET', type: 'string', default: null },
+    'employeeCheck': { env: 'EMPLOYEE_CHECK', type: ['warn', 'reject'], default: 'warn' },
+    'duplicateContent': { env: 'DUPLICATE_CONTENT', type: ['warn', 'reject'], default: 'warn' },
+    // Rules checking uploaded entries for anomalies, see lib/anomalies.js
+    'anomalies.maxDailyHours': { env: 'ANOMALY_MAX_DAILY_HOURS', type: 'count', default: 24 },
+    'anomalies.dailyHours': { env: 'ANOMALY_DAILY_HOURS', type: RULE_MODES, default: 'reject' },
+    'anomalies.futureDates': { env: 'ANOMALY_FUTURE_DATES', type: RULE_MODES, default: 'reject' },
+    'anomalies.duplicateEntries': { env: 'ANOMALY_DUPLICATE_ENTRIES', type: RULE_MODES, default: 'warn' },
+    'anomalies.mixedJobGroups': { env: 'ANOMALY_MIXED_JOB_GROUPS', type: RULE_MODES, default: 'warn' },
+    'maxUploadMb': { env: 'MAX_UPLOAD_MB', type: 'count', default: 100 },
+    'uploadWorkers': { env: 'UPLOAD_WORKERS', type: 'count', default: 1 },
+    // Upload webhooks are only posted to these hosts, so uploads can't have the server call internal addresses
+    'webhookHosts': { env: 'WEBHOOK_HOSTS', type: 'hosts', default: [] },
+    'database.host': { env: 'PGHOST', type: 'string', default: 'localhost' },
+    'database.port': { env: 'PGPORT', type: 'port', default: 5433 },
+    'database.name': { env: 'PGDATABASE', type: 'string', default: 'timekeeping' },
+    'database.user': { env: 'PGUSER', type: 'string', default: 'postgres' },
+    'database.password': { env: 'PGPASSWORD', type: 'string', default: null },
+    'database.poolSize': { env: 'PGPOOLSIZE', type: 'count', default: 10 },
+    // Used by migrate.js to create the database, the database settings are used when these aren't set
+    'setup.database': { env: 'SETUP_PGDATABASE', type: 'string', default: 'postgres' },
+    'setup.user': { env: 'SETUP_PGUSER', type: 'string', default: null },
+    'setup.password': { env: 'SETUP_PGPASSWORD', type: 'string', default: null }
+};
+
+/**
+ * Raised when the configuration is invalid. Carries every problem found, not just the first.
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array<string>} problems - Every invalid setting, described for the person starting the process.
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Converts a setting from the config file or the environment into its value.
+ * @param {*} value - The raw value. Environment variables are always strings.
+ * @param {string|Array<string>} type - 'port', 'count', 'string', 'hosts' (host names, as an array or comma
+ * separated), or the list of values allowed.
+ * @returns {Object} - Either `{ value }` or `{ error }` describing what is expected.
+ */
+function parseSetting(value, type) {
+    if (type === 'port') {
+        const port = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        return Number.isInteger(port) && port >= 1 && port <= 65535
+            ? { value: port }
+            : { error: 'must be a port number between 1 and 65535' };
+    }
+    if (type === 'count') {
+        const count = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        return Number.isInteger(count) && count >= 1 ? { value: count } : { error: 'must be a whole number above 0' };
+    }
+    if (type === 'hosts') {
+        const hosts = typeof value === 'string' ? value.split(',').map(host => host.trim()).filter(Boolean) : value;
+        return Array.isArray(hosts) && hosts.every(host => typeof host === 'string' && HOST_NAME.test(host))
+            ? { value: hosts.map(host => host.toLowerCase()) }
+            : { error: 'must be a list of host names, e.g. hooks.example.com' };
+    }
+    if (Array.isArray(type)) {
+        return type.includes(value) ? { value } : { error: `must be one of ${type.join(', ')}` };
+    }
+    return typeof value === 'string' && value !== '' ? { value } : { error: 'must be a non-empty string' };
+}
+
+/**
+ * Flattens the config file into settings keyed by their path, e.g. `{ database: { port } }` into `database.port`.
+ * @param {Object} object - The parsed config file, or one of its sections.
+ * @param {string} [prefix] - The path of the section.
+ * @returns {Object} - The settings keyed by path.
+ */
+function flatten(object, prefix = '') {
+    const settings = {};
+    Object.entries(object).forEach(([key, value]) => {
+        const name = `${prefix}${key}`;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) && !SETTINGS[name]) {
+            Object.assign(settings, flatten(value, `${name}.`));
+        } else {
+            settings[name] = value;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Reads and parses a JSON config file.
+ * @param {string} filePath - The config file.
+ * @param {boolean} required - Whether a missing file is a problem, rather than meaning there is no file.
+ * @returns {Object} - Either `{ settings }`, keyed by path, or `{ error }`.
+ */
+function readConfigFile(filePath, required) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !required) {
+            return { settings: {} };
+        }
+        return { error: `Config file ${filePath} could not be read: ${error.message}` };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { error: `Config file ${filePath} is not valid JSON: ${error.message}` };
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { error: `Config file ${filePath} must contain a JSON object` };
+    }
+    return { settings: flatten(parsed) };
+}
+
+/**
+ * Builds the configuration from the defaults, the config file and the environment, in increasing order of
+ * precedence. Every setting is validated and all problems are reported together.
+ * @param {Object} [env] - The environment variables.
+ * @param {Map} [files] - Config files already read, by path. A file that isn't in it is read and added.
+ * @returns {Object} - The configuration, with `anomalies`, `database` and `setup` sections.
+ * @throws {ConfigError} - When the config file or a setting is invalid.
+ */
+function loadConfig(env = process.env, files = new Map()) {
+    const problems = [];
+    const filePath = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+    if (!files.has(filePath)) {
+        files.set(filePath, readConfigFile(filePath, Boolean(env.CONFIG_FILE)));
+    }
+    const file = files.get(filePath);
+    if (file.error) {
+        problems.push(file.error);
+    }
+    const fileSettings = file.settings || {};
+    Object.keys(fileSettings)
+        .filter(name => !SETTINGS[name])
+        .forEach(name => problems.push(`${name} in ${filePath} is not a known setting`));
+
+    const config = {};
+    Object.entries(SETTINGS).forEach(([name, setting]) => {
+        let value = setting.default;
+        let source = null;
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            value = env[setting.env];
+            source = setting.env;
+        } else if (fileSettings[name] !== undefined) {
+            value = fileSettings[name];
+            source = `${name} in ${filePath}`;
+        }
+        if (source) {
+            const parsed = parseSetting(value, setting.type);
+            if (parsed.error) {
+                problems.push(`${source} ${parsed.error}`);
+            }
+            value = parsed.value;
+        }
+
+        const [section, key] = name.split('.');
+        if (key) {
+            config[section] = config[section] || {};
+            config[section][key] = value;
+        } else {
+            config[section] = value;
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+/**
+ * Returns the current configuration. The config file is only read the first time, the environment is read on
+ * every call so a setting changed at runtime, e.g. by a test, takes effect without a restart.
+ * @returns {Object} - The configuration returned by loadConfig().
+ * @throws {ConfigError} - When the config file or a setting is invalid.
+ */
+function getConfig() {
+    return loadConfig(process.env, configFiles);
+}
+
+/**
+ * Returns the configuration for a process that is starting up. When it is invalid, the problems are printed and
+ * the process exits, rather than failing later with a less helpful error.
+ * @returns {Object} - The configuration returned by loadConfig().
+ */
+function requireConfig() {
+    try {
+        return getConfig();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Converts the database settings into pg connection options.
+ * @param {Object} config - The configuration returned by getConfig().
+ * @returns {Object} - The options for a pg Client. A Pool also takes `max` from database.poolSize.
+ */
+function databaseOptions(config) {
+    const { host, port, name, user, password } = config.database;
+    return { host, port, database: name, user, password: password === null ? undefined : password };
+}
+
+module.exports = {
+    SETTINGS,
+    ConfigError,
+    loadConfig,
+    getConfig,
+    requireConfig,
+    databaseOptions
+};
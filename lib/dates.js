@@ -0,0 +1,150 @@
+/**
+ * Checks whether a value is a real calendar date written as YYYY-MM-DD.
+ * @param {string} value - The value to check.
+ * @returns {boolean} - True when the value is a valid ISO date.
+ */
+function isISODate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Date formats accepted in time reports, by name. Formats sharing a pattern can't be told apart by shape alone.
+const DATE_FORMATS = new Map();
+
+// The format time reports have always used, preferred when a file's dates fit several formats
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+/**
+ * Registers a date format that time reports may use.
+ * @param {string} name - The name uploads use to declare the format, e.g. 'DD/MM/YYYY'.
+ * @param {RegExp} pattern - Matches a date in this format, capturing its three parts.
+ * @param {Function} toParts - Maps the captured parts to `[year, month, day]`.
+ */
+function registerDateFormat(name, pattern, toParts) {
+    DATE_FORMATS.set(name, { pattern, toParts });
+}
+
+registerDateFormat('DD/MM/YYYY', /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, ([day, month, year]) => [year, month, day]);
+registerDateFormat('MM/DD/YYYY', /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, ([month, day, year]) => [year, month, day]);
+registerDateFormat('YYYY-MM-DD', /^(\d{4})-(\d{1,2})-(\d{1,2})$/, ([year, month, day]) => [year, month, day]);
+registerDateFormat('YYYY/MM/DD', /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, ([year, month, day]) => [year, month, day]);
+
+/**
+ * Converts a date written in one of the registered formats to YYYY-MM-DD.
+ * @param {string} value - The date to convert. Day and month may omit their leading zero.
+ * @param {string} format - The name of the format the date is written in.
+ * @returns {string|null} - The ISO date, or null if the value is not a real date in that format.
+ */
+function parseDate(value, format) {
+    const { pattern, toParts } = DATE_FORMATS.get(format);
+    const match = pattern.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+    const [year, month, day] = toParts(match.slice(1));
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return isISODate(date) ? date : null;
+}
+
+/**
+ * Lists the formats whose pattern a date matches, whether or not it is a real date in them.
+ * @param {string} value - The date.
+ * @returns {Array<string>} - The names of the matching formats.
+ */
+function formatsMatching(value) {
+    return [...DATE_FORMATS.keys()].filter(name => DATE_FORMATS.get(name).pattern.test(String(value).trim()));
+}
+
+/**
+ * Works out which registered format a file's dates are written in, one date at a time, so a file of any size can
+ * be checked without keeping its dates. See detectDateFormat() for how the format is chosen.
+ * @returns {Object} - `{ add, result }`: add(value) counts a date, result() returns `{ format, ambiguous, shape }`
+ * for the dates counted so far, shape being the formats matching the most common shape of date, or null.
+ */
+function createDateFormatDetector() {
+    // How many dates have each shape, and how many of them are real dates in each format of that shape
+    const groups = new Map();
+
+    const add = (value) => {
+        const key = formatsMatching(value).join('|');
+        if (key === '') {
+            return;
+        }
+        const group = groups.get(key) || { count: 0, valid: new Map(key.split('|').map(name => [name, 0])) };
+        group.count += 1;
+        group.valid.forEach((valid, name) => {
+            if (parseDate(value, name) !== null) {
+                group.valid.set(name, valid + 1);
+            }
+        });
+        groups.set(key, group);
+    };
+
+    const result = () => {
+        if (groups.size === 0) {
+            return { format: null, ambiguous: [], shape: null };
+        }
+        const [mainKey, main] = [...groups.entries()].sort((a, b) => b[1].count - a[1].count)[0];
+        const shape = mainKey.split('|');
+        // Prefer the formats in which the most dates are real, e.g. 13/01/2023 rules out MM/DD/YYYY
+        const best = Math.max(...main.valid.values());
+        const ambiguous = shape.filter(name => main.valid.get(name) === best);
+        if (ambiguous.length === 1) {
+            return { format: ambiguous[0], ambiguous: [], shape };
+        }
+        return { format: ambiguous.includes(DEFAULT_DATE_FORMAT) ? DEFAULT_DATE_FORMAT : null, ambiguous, shape };
+    };
+
+    return { add, result };
+}
+
+/**
+ * Checks whether a date has a different shape than the dates of a file, e.g. 20/01/2023 in a YYYY-MM-DD file.
+ * @param {string} value - The date.
+ * @param {Array<string>|null} shape - The shape of the file's dates, returned by a date format detector.
+ * @returns {Array<string>|null} - The formats the date's shape matches when it differs, otherwise null. Dates
+ * matching no format at all are not different in shape, they are invalid.
+ */
+function differentShape(value, shape) {
+    const formats = formatsMatching(value);
+    if (!shape || formats.length === 0 || formats.join('|') === shape.join('|')) {
+        return null;
+    }
+    return formats;
+}
+
+/**
+ * Works out which registered format a file's dates are written in.
+ *
+ * When the dates are real dates in more than one format (e.g. 01/02/2023) the file is ambiguous: the default
+ * DD/MM/YYYY format is assumed if it is one of them, otherwise no format is chosen. When the dates have
+ * different shapes (e.g. 2023-01-02 and 03/01/2023) the file mixes formats and the lines that differ from the
+ * most common shape are returned. Dates that are impossible in the chosen format are left for the caller.
+ * @param {Array<Object>} dates - The dates as `{ line, value }`.
+ * @returns {Object} - `{ format, ambiguous, mixed }`: the chosen format or null, the formats the dates fit
+ * equally well, and the `{ line, value, formats }` of dates whose shape differs from the rest.
+ */
+function detectDateFormat(dates) {
+    const detector = createDateFormatDetector();
+    dates.forEach(date => detector.add(date.value));
+    const { format, ambiguous, shape } = detector.result();
+    const mixed = dates
+        .map(date => ({ ...date, formats: differentShape(date.value, shape) }))
+        .filter(date => date.formats !== null);
+    return { format, ambiguous, mixed };
+}
+
+module.exports = {
+    DATE_FORMATS,
+    DEFAULT_DATE_FORMAT,
+    isISODate,
+    registerDateFormat,
+    parseDate,
+    createDateFormatDetector,
+    differentShape,
+    detectDateFormat
+};
@@ -0,0 +1,114 @@
+const { Pool } = require('pg');
+const { getConfig, databaseOptions } = require('./config');
+
+// Errors raised while the database is unreachable or restarting: refused or dropped connections, and the
+// admin_shutdown (57P01) and cannot_connect_now (57P03) server errors
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', '57P01', '57P03'];
+
+// Checking out a client is retried this many times while the database comes back, waiting a little longer each time
+const CONNECT_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 200;
+
+// Connect to Database. Each query or transaction checks out its own client, so requests never share a transaction
+const config = getConfig();
+const pool = new Pool({ ...databaseOptions(config), max: config.database.poolSize });
+
+// A client whose connection drops while it is idle is removed from the pool, the next checkout opens a new one
+pool.on('error', (error) => {
+    console.error('Idle database connection lost:', error.message);
+});
+
+/**
+ * Tells whether an error means the connection to the database is gone, rather than a query being wrong.
+ * @param {Error} error - The error.
+ * @returns {boolean} - True for connection errors.
+ */
+function isConnectionError(error) {
+    return CONNECTION_ERRORS.includes(error.code) || /Connection terminated/.test(error.message);
+}
+
+/**
+ * Checks out a client from the pool, retrying while the database can't be reached.
+ * @returns {Promise<Object>} - A promise that resolves to the client. It must be released after use.
+ */
+async function connect() {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await pool.connect();
+        } catch (error) {
+            if (attempt >= CONNECT_ATTEMPTS || !isConnectionError(error)) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+        }
+    }
+}
+
+/**
+ * Runs a single query on a client from the pool.
+ * @param {string} text - The SQL statement.
+ * @param {Array} [values] - The values of its parameters.
+ * @returns {Promise<Object>} - A promise that resolves to the pg result.
+ */
+async function query(text, values) {
+    const client = await connect();
+    let broken = false;
+    try {
+        return await client.query(text, values);
+    } catch (error) {
+        broken = isConnectionError(error);
+        throw error;
+    } finally {
+        // Releasing with an error closes the client instead of returning a dead connection to the pool
+        client.release(broken);
+    }
+}
+
+/**
+ * Runs a task in a transaction on a client of its own. The transaction is committed when the task resolves
+ * and rolled back when it throws, then the client is returned to the pool.
+ * @param {Function} task - Receives the client and returns a promise. Every query of the transaction must use it.
+ * @returns {Promise<*>} - A promise that resolves to the task's result.
+ */
+async function withTransaction(task) {
+    const client = await connect();
+    let broken = false;
+    try {
+        await client.query('BEGIN');
+        const result = await task(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        broken = isConnectionError(error);
+        if (!broken) {
+            await client.query('ROLLBACK').catch(() => {
+                broken = true;
+            });
+        }
+        throw error;
+    } finally {
+        client.release(broken);
+    }
+}
+
+/**
+ * Collects the parameters of a query while its SQL is built.
+ * @param {Array} [values] - Values the query already has, e.g. [rule] for '$1'.
+ * @returns {Object} - `{ add, values }`: add(value) appends a value and returns its placeholder, e.g. '$2'.
+ */
+function queryParams(values = []) {
+    return {
+        add: (value) => {
+            values.push(value);
+            return `$${values.length}`;
+        },
+        values
+    };
+}
+
+module.exports = {
+    pool,
+    query,
+    withTransaction,
+    queryParams
+};
@@ -0,0 +1,170 @@
+const db = require('./db');
+const { getConfig } = require('./config');
+const { checkCurrencyChange } = require('./jobGroups');
+
+// Employee properties as used by the API, with the column that stores them
+const EMPLOYEE_COLUMNS = {
+    name: 'name',
+    department: 'department',
+    defaultJobGroup: 'default_job_group',
+    currency: 'currency',
+    hireDate: 'hire_date',
+    terminationDate: 'termination_date',
+    active: 'active'
+};
+
+const employeeColumns = `
+    id, name, department, default_job_group, currency, active,
+    to_char(hire_date, 'YYYY-MM-DD') AS hire_date,
+    to_char(termination_date, 'YYYY-MM-DD') AS termination_date
+`;
+
+/**
+ * Reads how uploads should treat unknown, inactive and terminated employees from the employeeCheck setting.
+ * @returns {string} - 'reject' to refuse such rows, or 'warn' to store them with a warning.
+ */
+function employeeCheckMode() {
+    return getConfig().employeeCheck;
+}
+
+/**
+ * Converts an employees row into the shape returned by the API.
+ * @param {Object} row - An employees row.
+ * @returns {Object} - The employee.
+ */
+function formatEmployee(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        department: row.department,
+        defaultJobGroup: row.default_job_group,
+        currency: row.currency,
+        hireDate: row.hire_date,
+        terminationDate: row.termination_date,
+        active: row.active
+    };
+}
+
+/**
+ * Retrieves every employee, optionally only the active or inactive ones.
+ * @param {boolean} [active] - When set, only employees with this active flag are listed.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the employees ordered by id.
+ */
+async function listEmployees(active) {
+    const result = await db.query(
+        `SELECT ${employeeColumns} FROM employees
+         WHERE $1::boolean IS NULL OR active = $1::boolean
+         ORDER BY id`,
+        [active === undefined ? null : active]
+    );
+    return result.rows.map(formatEmployee);
+}
+
+/**
+ * Retrieves a single employee.
+ * @param {number} id - The employee id used in time reports.
+ * @returns {Promise<Object|null>} - A promise that resolves to the employee, or null if it does not exist.
+ */
+async function getEmployee(id) {
+    const result = await db.query(`SELECT ${employeeColumns} FROM employees WHERE id = $1`, [id]);
+    return result.rows.length > 0 ? formatEmployee(result.rows[0]) : null;
+}
+
+/**
+ * Creates an employee.
+ * @param {Object} employee - The employee to create.
+ * @param {number} employee.id - The employee id used in time reports.
+ * @param {string} employee.name - The employee's full name.
+ * @param {string} [employee.department] - The department the employee works in.
+ * @param {string} [employee.defaultJobGroup] - The job group the employee usually works in.
+ * @param {string} [employee.currency] - The ISO 4217 code of the currency the employee is paid in, whatever job
+ * group they work in, with each job group's rates in it. Without one they are paid in each job group's currency.
+ * @param {string} [employee.hireDate] - The first day (YYYY-MM-DD) the employee can work.
+ * @param {string} [employee.terminationDate] - The last day (YYYY-MM-DD) the employee can work.
+ * @param {boolean} [employee.active] - Whether the employee is active, true by default.
+ * @returns {Promise<Object>} - A promise that resolves to the created employee.
+ */
+async function createEmployee({ id, name, department, defaultJobGroup, currency, hireDate, terminationDate, active }) {
+    const result = await db.query(
+        `INSERT INTO employees (id, name, department, default_job_group, currency, hire_date, termination_date, active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${employeeColumns}`,
+        [
+            id, name, department || null, defaultJobGroup || null, currency || null, hireDate || null,
+            terminationDate || null, active === undefined ? true : active
+        ]
+    );
+    return formatEmployee(result.rows[0]);
+}
+
+/**
+ * Updates the given properties of an employee, leaving the others unchanged. The currency can only change while
+ * every entry of the employee is within a closed pay period, so hours already recorded are never repriced.
+ * @param {number} id - The employee id used in time reports.
+ * @param {Object} changes - The properties to change, see createEmployee(). Optional ones may be set to null.
+ * @returns {Promise<Object|null>} - A promise that resolves to the updated employee, or null if it does not exist.
+ * Rejects with a RepricingError, changing nothing, when the currency would change for entries in pay periods that
+ * aren't closed.
+ */
+async function updateEmployee(id, changes) {
+    const { add: param, values } = db.queryParams([id]);
+    const assignments = Object.entries(EMPLOYEE_COLUMNS)
+        .filter(([property]) => changes[property] !== undefined)
+        .map(([property, column]) => `${column} = ${param(changes[property])}`);
+    return db.withTransaction(async (client) => {
+        if (changes.currency !== undefined) {
+            const changed = await client.query(
+                'SELECT 1 FROM employees WHERE id = $1 AND currency IS DISTINCT FROM $2',
+                [id, changes.currency]
+            );
+            if (changed.rows.length > 0) {
+                await checkCurrencyChange(client, 'employee_id', id, `Employee ${id}`);
+            }
+        }
+        const result = await client.query(
+            `UPDATE employees SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING ${employeeColumns}`,
+            values
+        );
+        return result.rows.length > 0 ? formatEmployee(result.rows[0]) : null;
+    });
+}
+
+/**
+ * Finds the entries whose employee isn't on file, is inactive, or wasn't employed on the entry's date.
+ * @param {Array<Object>} entries - Entries with `employee_id` and `date` (YYYY-MM-DD) properties.
+ * @param {Object} [client] - The client to query with, the pool by default. Pass the client of a transaction to
+ * query from inside it.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the distinct employee/date pairs with their
+ * problem: 'unknown', 'inactive', 'terminated' or 'not_hired', and the employee's hire and termination dates.
+ */
+async function findEmployeeIssues(entries, client = db) {
+    const result = await client.query(
+        `SELECT v.employee_id, to_char(v.date, 'YYYY-MM-DD') AS date,
+             CASE
+                 WHEN e.id IS NULL THEN 'unknown'
+                 WHEN NOT e.active THEN 'inactive'
+                 WHEN e.termination_date < v.date THEN 'terminated'
+                 ELSE 'not_hired'
+             END AS problem,
+             to_char(e.hire_date, 'YYYY-MM-DD') AS hire_date,
+             to_char(e.termination_date, 'YYYY-MM-DD') AS termination_date
+         FROM (SELECT DISTINCT * FROM unnest($1::int[], $2::date[]) AS u(employee_id, date)) v
+         LEFT JOIN employees e ON e.id = v.employee_id
+         WHERE e.id IS NULL OR NOT e.active OR e.termination_date < v.date OR e.hire_date > v.date
+         ORDER BY 1, 2`,
+        [entries.map(entry => Number(entry.employee_id)), entries.map(entry => entry.date)]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    EMPLOYEE_COLUMNS,
+    employeeCheckMode,
+    listEmployees,
+    getEmployee,
+    createEmployee,
+    updateEmployee,
+    findEmployeeIssues
+};
@@ -0,0 +1,174 @@
+const PDFDocument = require('pdfkit');
+const { DEFAULT_LOCALE, formatDecimal } = require('./locale');
+
+// Writers of the hours and of the amount of a premium category, in the locale the report is written for.
+// Amounts are written without the currency symbol so spreadsheets read them as numbers
+const hoursOf = (category) => (report, locale) => formatDecimal(report.breakdown[category].hours, locale);
+const amountOf = (category) => (report, locale) =>
+    formatDecimal(report.breakdown[category].amountMoney.amount, locale, 2);
+
+// Columns of the CSV export, in order, with the value each employee report provides for them
+const CSV_COLUMNS = [
+    ['employee id', report => report.employeeId],
+    ['employee name', report => report.employeeName || ''],
+    ['pay period start', report => report.payPeriod.startDate],
+    ['pay period end', report => report.payPeriod.endDate],
+    ['currency', report => report.amountPaidMoney.currency],
+    ['regular hours', hoursOf('regular')],
+    ['regular amount', amountOf('regular')],
+    ['overtime hours', hoursOf('overtime')],
+    ['overtime amount', amountOf('overtime')],
+    ['double time hours', hoursOf('doubleTime')],
+    ['double time amount', amountOf('doubleTime')],
+    ['holiday hours', hoursOf('holiday')],
+    ['holiday amount', amountOf('holiday')],
+    ['amount paid', (report, locale) => formatDecimal(report.amountPaidMoney.amount, locale, 2)]
+];
+
+// Labels of the premium categories on a pay stub, see PAY_CATEGORIES in report.js
+const CATEGORY_LABELS = {
+    regular: 'Regular',
+    overtime: 'Overtime',
+    doubleTime: 'Double time',
+    holiday: 'Holiday'
+};
+
+// Characters the built-in PDF fonts draw besides printable ASCII and Latin-1, as they encode text in WinAnsi
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+// Replacements for the characters of formatted numbers the built-in PDF fonts can't draw: minus signs and the
+// Arabic decimal and thousands separators
+const NUMBER_CHARACTERS = { '\u2212': '-', '\u066b': '.', '\u066c': ',' };
+
+/**
+ * Checks whether the built-in PDF fonts can draw a character.
+ * @param {string} char - The character.
+ * @returns {boolean} - True when it is in the WinAnsi encoding.
+ */
+const isDrawable = (char) =>
+    (char >= ' ' && char <= '~') || (char >= '\u00a0' && char <= '\u00ff') || WIN_ANSI_EXTRAS.has(char);
+
+/**
+ * Rewrites text formatted for a locale with the characters the built-in PDF fonts can draw, e.g. '₹1,975.50' is
+ * drawn as 'INR 1,975.50' and '1 975,50 €' with a plain space. The locale's digits are written as 0-9, spaces
+ * as plain spaces, and other characters that can't be drawn as the currency code, or '?' in text without one.
+ * @param {string} text - The text, e.g. an amount formatted by formatAmount() in money.js.
+ * @param {string} [locale] - The locale the text was formatted for.
+ * @param {string} [currency] - The currency of the amount in the text, if any.
+ * @returns {string} - The text to draw.
+ */
+function drawableText(text, locale, currency) {
+    const digits = [...new Intl.NumberFormat(locale || DEFAULT_LOCALE, { useGrouping: false }).format(9876543210)];
+    // Characters that can't be drawn are marked with a NUL first, so a run of them is replaced once
+    const marked = [...text].map(char => {
+        const digit = digits.indexOf(char);
+        if (digit !== -1) {
+            return String(9 - digit);
+        }
+        if (/\p{Zs}/u.test(char)) {
+            return ' ';
+        }
+        if (/\p{Cf}/u.test(char)) {
+            return '';
+        }
+        const replacement = NUMBER_CHARACTERS[char] || char;
+        return isDrawable(replacement) ? replacement : '\0';
+    }).join('');
+    // Abbreviated currency symbols such as 'ج.م.' end with periods, which belong to the symbol
+    return marked.replace(/\0[\0.]*/g, (symbol, offset) => {
+        if (!currency) {
+            return '?';
+        }
+        return /[\d-]/.test(marked.charAt(offset + symbol.length)) ? `${currency} ` : currency;
+    });
+}
+
+/**
+ * Quotes a CSV value when it contains a delimiter, quote or line break.
+ * @param {*} value - The value to write.
+ * @returns {string} - The CSV field.
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes the employee reports of a payroll report as CSV, one row per employee, pay period and currency.
+ * @param {Object} payrollReport - The payroll report returned by getPayrollReport().
+ * @param {string} [locale] - The locale the report was generated for, numbers are written the way it writes them.
+ * @returns {string} - The CSV document, header line first.
+ */
+function payrollReportToCsv(payrollReport, locale) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    payrollReport.employeeReports.forEach(report => {
+        lines.push(CSV_COLUMNS
+            .map(([, value]) => csvField(value(report, locale)))
+            .join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Renders a pay stub as a single page PDF. Rendering happens in process, nothing is sent to another service. The
+ * built-in fonts only draw Western European text, so text is written with drawableText().
+ * @param {Object} payStub - The pay stub returned by getPayStub().
+ * @param {string} [locale] - The locale the pay stub was gathered for, hours are written the way it writes them.
+ * @returns {Promise<Buffer>} - A promise that resolves to the PDF document.
+ */
+function renderPayStub(payStub, locale) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', (err) => reject(err));
+
+        doc.info.Title = `Pay stub for employee ${payStub.employeeId}`;
+        doc.fontSize(20).text('Pay Stub');
+        doc.moveDown(0.5);
+        const employee = `${payStub.employeeId}${payStub.employeeName ? ` - ${payStub.employeeName}` : ''}`;
+        doc.fontSize(11)
+            .text(drawableText(`Employee: ${employee}`, locale))
+            .text(drawableText(`Pay period: ${payStub.payPeriod.startDate} to ${payStub.payPeriod.endDate}`, locale));
+        doc.moveDown();
+
+        // Fixed column positions keep the figures aligned without a table library
+        const columns = [50, 200, 320, 440];
+        const row = (cells, currency) => {
+            const y = doc.y;
+            cells.forEach((cell, index) => doc.text(drawableText(String(cell), locale, currency), columns[index], y, {
+                width: index === 0 ? 140 : 100,
+                align: index === 0 ? 'left' : 'right'
+            }));
+            doc.x = columns[0];
+            doc.moveDown(0.3);
+        };
+
+        doc.font('Helvetica-Bold');
+        row(['Job group', 'Hours', 'Rate', 'Amount']);
+        doc.font('Helvetica');
+        payStub.lines.forEach(line => {
+            row([line.jobGroup, formatDecimal(line.hours, locale, 2), line.rate, line.amount], line.currency);
+        });
+
+        // Earnings in different currencies are listed and paid separately, never added up
+        payStub.earnings.forEach(({ currency, breakdown, amountPaid }) => {
+            doc.moveDown();
+            doc.font('Helvetica-Bold');
+            row([payStub.earnings.length > 1 ? `Earnings (${currency})` : 'Earnings', 'Hours', '', 'Amount']);
+            doc.font('Helvetica');
+            Object.entries(CATEGORY_LABELS).forEach(([category, label]) => {
+                const { hours, amount } = breakdown[category];
+                row([label, formatDecimal(hours, locale, 2), '', amount], currency);
+            });
+            doc.moveDown();
+
+            doc.font('Helvetica-Bold');
+            row(['Amount paid', '', '', amountPaid], currency);
+        });
+        doc.end();
+    });
+}
+
+module.exports = { payrollReportToCsv, renderPayStub };
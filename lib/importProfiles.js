@@ -0,0 +1,77 @@
+const db = require('./db');
+
+const profileColumns = `name, delimiter, encoding, header_aliases, ignore_columns,
+    to_char(updated_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS updated_at`;
+
+/**
+ * Converts an import_profiles row into the shape used by the API and the parsers.
+ * @param {Object} row - An import_profiles row.
+ * @returns {Object} - The import profile.
+ */
+function formatProfile(row) {
+    return {
+        name: row.name,
+        delimiter: row.delimiter,
+        encoding: row.encoding,
+        headerAliases: row.header_aliases,
+        ignoreColumns: row.ignore_columns,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Retrieves every import profile.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the profiles, ordered by name.
+ */
+async function listProfiles() {
+    const result = await db.query(`SELECT ${profileColumns} FROM import_profiles ORDER BY name`);
+    return result.rows.map(formatProfile);
+}
+
+/**
+ * Retrieves an import profile.
+ * @param {string} name - The name of the profile.
+ * @returns {Promise<Object|null>} - A promise that resolves to the profile, or null if it doesn't exist.
+ */
+async function getProfile(name) {
+    const result = await db.query(`SELECT ${profileColumns} FROM import_profiles WHERE name = $1`, [name]);
+    return result.rows.length > 0 ? formatProfile(result.rows[0]) : null;
+}
+
+/**
+ * Creates an import profile, or replaces the settings of an existing one.
+ * @param {string} name - The name of the profile.
+ * @param {Object} profile - The settings to store.
+ * @param {string} profile.delimiter - The character separating the columns of a CSV file.
+ * @param {string} profile.encoding - The character encoding of a CSV file, see TextDecoder.
+ * @param {Object} profile.headerAliases - The column each heading stands for, by heading.
+ * @param {Array<string>} profile.ignoreColumns - The headings of columns that are not read.
+ * @returns {Promise<Object>} - A promise that resolves to the stored profile.
+ */
+async function setProfile(name, { delimiter, encoding, headerAliases, ignoreColumns }) {
+    const result = await db.query(
+        `INSERT INTO import_profiles (name, delimiter, encoding, header_aliases, ignore_columns)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO UPDATE SET
+             delimiter = EXCLUDED.delimiter,
+             encoding = EXCLUDED.encoding,
+             header_aliases = EXCLUDED.header_aliases,
+             ignore_columns = EXCLUDED.ignore_columns,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING ${profileColumns}`,
+        [name, delimiter, encoding, JSON.stringify(headerAliases), JSON.stringify(ignoreColumns)]
+    );
+    return formatProfile(result.rows[0]);
+}
+
+/**
+ * Removes an import profile. Uploads already queued with it keep the settings they were queued with.
+ * @param {string} name - The name of the profile.
+ * @returns {Promise<boolean>} - A promise that resolves to true if a profile was removed.
+ */
+async function deleteProfile(name) {
+    const result = await db.query('DELETE FROM import_profiles WHERE name = $1', [name]);
+    return result.rowCount > 0;
+}
+
+module.exports = { listProfiles, getProfile, setProfile, deleteProfile };
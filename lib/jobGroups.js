@@ -0,0 +1,226 @@
+const db = require('./db');
+const { DEFAULT_CURRENCY } = require('./money');
+
+/**
+ * Raised when a change would reprice hours that are already recorded.
+ */
+class RepricingError extends Error {
+    /**
+     * @param {string} message - What can't be changed, and from when it could be.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'RepricingError';
+    }
+}
+
+// Selects each job group with its full rate history in every currency, newest rate first
+const jobGroupQuery = `
+    SELECT g.code, g.description, g.currency,
+        COALESCE(
+            json_agg(
+                json_build_object(
+                    'rate', r.hourly_rate::text,
+                    'currency', r.currency,
+                    'effectiveFrom', to_char(r.effective_from, 'YYYY-MM-DD')
+                )
+                ORDER BY r.effective_from DESC, r.currency
+            ) FILTER (WHERE r.id IS NOT NULL),
+            '[]'
+        ) AS rates
+    FROM job_groups g
+    LEFT JOIN job_group_rates r ON r.job_group = g.code
+`;
+
+/**
+ * Converts a job group row into the shape returned by the API.
+ * @param {Object} row - A row produced by the job group query.
+ * @returns {Object} - The job group with its rate history and the rate in its currency in force today.
+ */
+function formatJobGroup(row) {
+    const today = new Date().toISOString().slice(0, 10);
+    const current = row.rates.find(rate => rate.currency === row.currency && rate.effectiveFrom <= today);
+    return {
+        code: row.code,
+        description: row.description,
+        currency: row.currency,
+        currentRate: current ? current.rate : null,
+        rates: row.rates
+    };
+}
+
+/**
+ * Retrieves every job group and its rate history.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the list of job groups.
+ */
+async function listJobGroups() {
+    const result = await db.query(`${jobGroupQuery} GROUP BY g.code, g.description, g.currency ORDER BY g.code`);
+    return result.rows.map(formatJobGroup);
+}
+
+/**
+ * Retrieves a single job group and its rate history.
+ * @param {string} code - The job group code, e.g. 'A'.
+ * @returns {Promise<Object|null>} - A promise that resolves to the job group, or null if it does not exist.
+ */
+async function getJobGroup(code) {
+    const result = await db.query(`${jobGroupQuery} WHERE g.code = $1 GROUP BY g.code, g.description, g.currency`, [code]);
+    return result.rows.length > 0 ? formatJobGroup(result.rows[0]) : null;
+}
+
+/**
+ * Creates a job group with its first pay rate.
+ * @param {Object} jobGroup - The job group to create.
+ * @param {string} jobGroup.code - The job group code as it appears in uploaded time reports.
+ * @param {string} [jobGroup.description] - A human readable description of the job group.
+ * @param {string} [jobGroup.currency] - The ISO 4217 code of the currency it is paid in, DEFAULT_CURRENCY when
+ * not given.
+ * @param {number} jobGroup.rate - The hourly pay rate, in that currency.
+ * @param {string} jobGroup.effectiveFrom - The first date (YYYY-MM-DD) the rate applies to.
+ * @returns {Promise<Object>} - A promise that resolves to the created job group.
+ */
+async function createJobGroup({ code, description, currency, rate, effectiveFrom }) {
+    await db.withTransaction(async (client) => {
+        await client.query(
+            'INSERT INTO job_groups (code, description, currency) VALUES ($1, $2, $3)',
+            [code, description || null, currency || DEFAULT_CURRENCY]
+        );
+        await client.query(
+            'INSERT INTO job_group_rates (job_group, currency, hourly_rate, effective_from) VALUES ($1, $2, $3, $4)',
+            [code, currency || DEFAULT_CURRENCY, rate, effectiveFrom]
+        );
+    });
+    return getJobGroup(code);
+}
+
+/**
+ * Refuses a currency change while hours it would reprice are recorded, i.e. entries of the job group or the
+ * employee outside closed pay periods. Entries within closed ones keep the currency they were paid in. Uploads
+ * storing entries finish first, new ones wait until the transaction ends.
+ * @param {Object} client - The client of the transaction making the change.
+ * @param {string} column - The entries column to match, 'job_group' or 'employee_id'.
+ * @param {string|number} value - The job group code or employee id.
+ * @param {string} subject - What changes currency, for the error, e.g. 'Job group A'.
+ * @returns {Promise<void>} - A promise that resolves when nothing would be repriced, or rejects with a
+ * RepricingError.
+ */
+async function checkCurrencyChange(client, column, value, subject) {
+    await client.query('LOCK TABLE timekeeping_entries IN SHARE MODE');
+    const open = await client.query(
+        `SELECT to_char(MIN(e.date), 'YYYY-MM-DD') AS date
+         FROM timekeeping_entries e
+         WHERE e.${column} = $1
+           AND NOT EXISTS (
+               SELECT 1 FROM pay_periods p
+               WHERE p.status = 'closed' AND e.date BETWEEN p.start_date AND p.end_date
+           )`,
+        [value]
+    );
+    const openDate = open.rows[0].date;
+    if (openDate) {
+        throw new RepricingError(`${subject} has hours recorded from ${openDate} in pay periods that aren't closed, `
+            + 'the currency can only change once they are');
+    }
+}
+
+/**
+ * Updates a job group's description or currency and/or schedules a new pay rate. Setting a rate for an effective
+ * date and currency that already has one replaces it. A rate can only take effect after the latest entry of the
+ * job group paid in its currency, so hours already recorded are never repriced, and uploads wait for the change.
+ * For the same reason the currency can only change while every entry of the job group is within a closed pay
+ * period. Rates are kept per currency, so the job group needs rates in a new currency before hours are paid in it.
+ * @param {string} code - The job group code.
+ * @param {Object} changes - The changes to apply.
+ * @param {string} [changes.description] - A new description.
+ * @param {string} [changes.currency] - The ISO 4217 code of a new currency.
+ * @param {number} [changes.rate] - A new hourly pay rate.
+ * @param {string} [changes.rateCurrency] - The ISO 4217 code of the rate's currency, the job group's (the new one,
+ * if it changes) when not given.
+ * @param {string} [changes.effectiveFrom] - The first date (YYYY-MM-DD) the new rate applies to.
+ * @returns {Promise<Object>} - A promise that resolves to the updated job group. Rejects with a RepricingError,
+ * changing nothing, when the rate would take effect on or before the latest entry it would price, or when the
+ * currency would change for entries in pay periods that aren't closed.
+ */
+async function updateJobGroup(code, { description, currency, rate, rateCurrency, effectiveFrom }) {
+    await db.withTransaction(async (client) => {
+        if (description !== undefined) {
+            await client.query('UPDATE job_groups SET description = $2 WHERE code = $1', [code, description]);
+        }
+        if (currency !== undefined) {
+            const changed = await client.query(
+                'UPDATE job_groups SET currency = $2 WHERE code = $1 AND currency <> $2',
+                [code, currency]
+            );
+            if (changed.rowCount > 0) {
+                await checkCurrencyChange(client, 'job_group', code, `Job group ${code}`);
+            }
+        }
+        if (rate !== undefined) {
+            // Uploads storing entries of the job group finish first, new ones wait until the rate is in
+            await client.query('LOCK TABLE timekeeping_entries IN SHARE MODE');
+            const priceIn = rateCurrency
+                || (await client.query('SELECT currency FROM job_groups WHERE code = $1', [code])).rows[0].currency;
+            const latest = await client.query(
+                `SELECT to_char(MAX(e.date), 'YYYY-MM-DD') AS date
+                 FROM timekeeping_entries e
+                 JOIN job_groups g ON g.code = e.job_group
+                 LEFT JOIN employees emp ON emp.id = e.employee_id
+                 WHERE e.job_group = $1 AND COALESCE(emp.currency, g.currency) = $2`,
+                [code, priceIn]
+            );
+            const latestDate = latest.rows[0].date;
+            if (latestDate && effectiveFrom <= latestDate) {
+                throw new RepricingError(`Job group ${code} has hours paid in ${priceIn} recorded up to `
+                    + `${latestDate}, a new ${priceIn} rate must take effect after that date`);
+            }
+            await client.query(
+                `INSERT INTO job_group_rates (job_group, currency, hourly_rate, effective_from) VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (job_group, currency, effective_from) DO UPDATE SET hourly_rate = EXCLUDED.hourly_rate`,
+                [code, priceIn, rate, effectiveFrom]
+            );
+        }
+    });
+    return getJobGroup(code);
+}
+
+/**
+ * Finds the entries whose job group has no pay rate in force on the entry's date in the currency the entry is paid
+ * in, the employee's or else the job group's. Either the job group does not exist, it has no rates in that
+ * currency, or its first one starts after that date.
+ * @param {Array<Object>} entries - Entries with `employee_id`, `job_group` and `date` (YYYY-MM-DD) properties.
+ * @param {Object} [client] - The client to query with, the pool by default. Pass the client of a transaction to
+ * query from inside it.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the distinct unpriced employee/job group/date
+ * triples, with the currency they would be paid in.
+ */
+async function findUnpricedEntries(entries, client = db) {
+    const result = await client.query(
+        `SELECT DISTINCT v.employee_id, v.job_group, to_char(v.date, 'YYYY-MM-DD') AS date,
+             COALESCE(emp.currency, g.currency, '${DEFAULT_CURRENCY}')::text AS currency
+         FROM unnest($1::int[], $2::text[], $3::date[]) AS v(employee_id, job_group, date)
+         LEFT JOIN employees emp ON emp.id = v.employee_id
+         LEFT JOIN job_groups g ON g.code = v.job_group
+         WHERE NOT EXISTS (
+             SELECT 1 FROM job_group_rates r
+             WHERE r.job_group = v.job_group AND r.currency = COALESCE(emp.currency, g.currency)
+               AND r.effective_from <= v.date
+         )
+         ORDER BY 1, 2, 3`,
+        [
+            entries.map(entry => Number(entry.employee_id)),
+            entries.map(entry => entry.job_group),
+            entries.map(entry => entry.date)
+        ]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    RepricingError,
+    checkCurrencyChange,
+    listJobGroups,
+    getJobGroup,
+    createJobGroup,
+    updateJobGroup,
+    findUnpricedEntries
+};
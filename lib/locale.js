@@ -0,0 +1,57 @@
+// The locale reports are formatted for when none is requested. Amounts keep their original look in it, see
+// formatAmount() in money.js, and dates stay in YYYY-MM-DD format
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Checks whether a value is a BCP 47 locale tag that numbers and dates can be formatted for, e.g. 'fr-CA'.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True when the locale is valid and supported.
+ */
+function isLocale(value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(value).length > 0;
+    } catch (error) {
+        // supportedLocalesOf() throws a RangeError on a malformed tag
+        return false;
+    }
+}
+
+/**
+ * Formats a decimal number for a locale, without grouping separators so spreadsheets read it back as a number.
+ * @param {number|string} value - The number, or a decimal string which is formatted exactly.
+ * @param {string} [locale] - The locale, DEFAULT_LOCALE when not given.
+ * @param {number} [minimumFractionDigits] - The decimals always written, 2 for amounts. At most 2 are written.
+ * @returns {string} - The formatted number, e.g. '1975,50' for 'de-DE'.
+ */
+function formatDecimal(value, locale, minimumFractionDigits = 0) {
+    return new Intl.NumberFormat(locale || DEFAULT_LOCALE, {
+        minimumFractionDigits,
+        maximumFractionDigits: 2,
+        useGrouping: false
+    }).format(value);
+}
+
+/**
+ * Formats a date as a short numeric date for a locale, e.g. '31/01/2023' for 'en-GB'.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @param {string} [locale] - The locale. Without one the date is returned as it is.
+ * @returns {string} - The formatted date.
+ */
+function formatDate(date, locale) {
+    if (!locale) {
+        return date;
+    }
+    // A calendar date has no time zone, format it as midnight UTC in UTC so it can't move to another day
+    return new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' })
+        .format(new Date(`${date}T00:00:00Z`));
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    isLocale,
+    formatDecimal,
+    formatDate
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named <version>_<name>.up.sql and <version>_<name>.down.sql, e.g. 0002_add_employees.up.sql
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Key of the advisory lock held while migrating, so two runs against the same database can't interleave
+const LOCK_KEY = 4489013;
+
+/**
+ * Raised when the migration files are inconsistent or a migration fails. Nothing of the failing migration is kept.
+ */
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+/**
+ * Reads the migration files.
+ * @param {string} [dir] - The directory holding the migration files.
+ * @returns {Array<Object>} - The migrations as `{ version, name, up, down, checksum }`, oldest first. `down` is
+ * null when the migration can't be reverted, `checksum` is the SHA-256 of the up script.
+ * @throws {MigrationError} - When a file is misnamed, a version is used twice or an up script is missing.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+    fs.readdirSync(dir).sort().forEach(file => {
+        const match = MIGRATION_FILE.exec(file);
+        if (!match) {
+            throw new MigrationError(`${file} is not named <version>_<name>.up.sql or <version>_<name>.down.sql`);
+        }
+        const [, digits, name, direction] = match;
+        const version = Number(digits);
+        const migration = migrations.get(version) || { version, name, up: null, down: null };
+        if (migration.name !== name || migration[direction] !== null) {
+            throw new MigrationError(`Migration version ${version} is used by more than one migration`);
+        }
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf-8');
+        migrations.set(version, migration);
+    });
+
+    return [...migrations.values()]
+        .sort((a, b) => a.version - b.version)
+        .map(migration => {
+            if (migration.up === null) {
+                throw new MigrationError(`Migration ${migrationLabel(migration)} has no up script`);
+            }
+            return { ...migration, checksum: crypto.createHash('sha256').update(migration.up).digest('hex') };
+        });
+}
+
+/**
+ * Names a migration in messages.
+ * @param {Object} migration - A migration, or a schema_migrations row.
+ * @returns {string} - The label, e.g. `0001_initial_schema`.
+ */
+function migrationLabel({ version, name }) {
+    return `${String(version).padStart(4, '0')}_${name}`;
+}
+
+/**
+ * Creates the table that records which migrations have been applied, if it doesn't exist yet.
+ * @param {Object} client - A connected pg client.
+ * @returns {Promise<void>} - A promise that resolves once the table exists.
+ */
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Reports every migration, whether it is on disk, applied, or both.
+ * @param {Object} client - A connected pg client.
+ * @param {Array<Object>} migrations - The migrations returned by loadMigrations().
+ * @returns {Promise<Array<Object>>} - A promise that resolves to `{ version, name, status, appliedAt }` by
+ * version. The status is 'applied', 'pending', 'changed' when the up script was edited after it was applied,
+ * or 'missing' when an applied migration has no file anymore.
+ */
+async function migrationStatus(client, migrations) {
+    await ensureMigrationsTable(client);
+    const result = await client.query(
+        `SELECT version, name, checksum, to_char(applied_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS applied_at
+         FROM schema_migrations
+         ORDER BY version`
+    );
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        if (!row) {
+            return { version: migration.version, name: migration.name, status: 'pending', appliedAt: null };
+        }
+        return {
+            version: migration.version,
+            name: migration.name,
+            status: row.checksum === migration.checksum ? 'applied' : 'changed',
+            appliedAt: row.applied_at
+        };
+    });
+    result.rows
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .forEach(row => status.push({
+            version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at
+        }));
+
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Runs a migration script and records the result in one transaction, so a failed migration leaves no trace.
+ * @param {Object} client - A connected pg client.
+ * @param {Object} migration - The migration.
+ * @param {string} script - The up or down script to run.
+ * @param {string} record - The statement that updates schema_migrations.
+ * @param {Array} values - The values of that statement.
+ * @returns {Promise<void>} - A promise that resolves once the migration is committed.
+ */
+async function runMigration(client, migration, script, record, values) {
+    try {
+        await client.query('BEGIN');
+        await client.query(script);
+        await client.query(record, values);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new MigrationError(`Migration ${migrationLabel(migration)} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Holds the migration lock while running a task.
+ * @param {Object} client - A connected pg client.
+ * @param {Function} task - The task, returning a promise.
+ * @returns {Promise<*>} - A promise that resolves to the task's result.
+ */
+async function withMigrationLock(client, task) {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+        return await task();
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+}
+
+/**
+ * Applies the pending migrations, oldest first. Refuses to start when an applied migration was edited or removed.
+ * @param {Object} client - A connected pg client.
+ * @param {Array<Object>} migrations - The migrations returned by loadMigrations().
+ * @param {Object} [options] - Options.
+ * @param {number} [options.to] - Only apply migrations up to this version.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the migrations applied.
+ * @throws {MigrationError} - When the applied migrations don't match the files or a migration fails.
+ */
+async function migrateUp(client, migrations, { to } = {}) {
+    return withMigrationLock(client, async () => {
+        const status = await migrationStatus(client, migrations);
+        const mismatch = status.find(migration => ['changed', 'missing'].includes(migration.status));
+        if (mismatch) {
+            const problem = mismatch.status === 'changed' ? 'was changed after it was applied' : 'has no file anymore';
+            throw new MigrationError(`Applied migration ${migrationLabel(mismatch)} ${problem}`);
+        }
+
+        const pending = migrations.filter(migration =>
+            status.some(entry => entry.version === migration.version && entry.status === 'pending') &&
+            (to === undefined || migration.version <= to));
+        for (const migration of pending) {
+            await runMigration(
+                client,
+                migration,
+                migration.up,
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            );
+        }
+        return pending;
+    });
+}
+
+/**
+ * Reverts the most recently applied migrations, newest first.
+ * @param {Object} client - A connected pg client.
+ * @param {Array<Object>} migrations - The migrations returned by loadMigrations().
+ * @param {Object} [options] - Options.
+ * @param {number} [options.steps] - How many migrations to revert, 1 by default.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the migrations reverted.
+ * @throws {MigrationError} - When a migration to revert has no down script or fails.
+ */
+async function migrateDown(client, migrations, { steps = 1 } = {}) {
+    return withMigrationLock(client, async () => {
+        const status = await migrationStatus(client, migrations);
+        const reverting = status
+            .filter(migration => migration.status !== 'pending')
+            .reverse()
+            .slice(0, steps)
+            .map(entry => migrations.find(migration => migration.version === entry.version) || entry);
+
+        const irreversible = reverting.find(migration => !migration.down);
+        if (irreversible) {
+            throw new MigrationError(`Migration ${migrationLabel(irreversible)} has no down script`);
+        }
+
+        for (const migration of reverting) {
+            await runMigration(
+                client,
+                migration,
+                migration.down,
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            );
+        }
+        return reverting;
+    });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationError,
+    loadMigrations,
+    migrationLabel,
+    migrationStatus,
+    migrateUp,
+    migrateDown
+};
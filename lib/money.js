@@ -0,0 +1,72 @@
+const { DEFAULT_LOCALE } = require('./locale');
+
+/*
+    Rounding policy. Pay is calculated by the database in exact decimal (NUMERIC) arithmetic, never in floating
+    point. The amount an entry contributes to each premium category, hours x rate x multiplier, is rounded to
+    whole cents once, half up (half a cent rounds away from zero), and every total is an exact sum of those cents.
+    So the category amounts of an employee's pay period, its pay stub lines and its entries all add up to the
+    amount paid, and no total drifts however many entries it covers.
+
+    Amounts in different currencies are never added up, every total is kept per currency.
+*/
+
+// ISO 4217 code of the currency of job groups that don't set one, and of everything paid before currencies
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Builds the SQL that rounds an amount to whole cents under the rounding policy.
+ * @param {string} expression - The SQL expression of the exact amount, a NUMERIC.
+ * @returns {string} - The rounded SQL expression.
+ */
+function roundToCentsSql(expression) {
+    // ROUND() on NUMERIC rounds halves away from zero, unlike banker's rounding on floating point values
+    return `ROUND(${expression}, 2)`;
+}
+
+/**
+ * Checks whether a value is an ISO 4217 currency code amounts can be formatted in, e.g. 'CAD'.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True when the code is a known currency.
+ */
+function isCurrency(value) {
+    return typeof value === 'string' && /^[A-Z]{3}$/.test(value) && Intl.supportedValuesOf('currency').includes(value);
+}
+
+/**
+ * Formats an amount for display in its currency. Without a locale amounts keep their original look, with the
+ * currency symbol and no grouping separators, e.g. '$480.00' or '€1975.00'. With one they are formatted the
+ * way the locale writes them, e.g. '1 975,00 $' for CAD in 'fr-CA'. Amounts are in cents in every currency, so
+ * they are always written with two decimals.
+ * @param {string} amount - The amount as a decimal string with two decimals, as returned by the database.
+ * Decimal strings are formatted exactly.
+ * @param {string} [currency] - The currency of the amount, DEFAULT_CURRENCY when not given.
+ * @param {string} [locale] - The locale to format for, see isLocale() in locale.js.
+ * @returns {string} - The formatted amount.
+ */
+function formatAmount(amount, currency = DEFAULT_CURRENCY, locale) {
+    return new Intl.NumberFormat(locale || DEFAULT_LOCALE, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        useGrouping: Boolean(locale)
+    }).format(amount);
+}
+
+/**
+ * Converts an amount into the structured form returned by the API next to its formatted string.
+ * @param {string} amount - The amount as a decimal string with two decimals, as returned by the database.
+ * @param {string} [currency] - The currency of the amount, DEFAULT_CURRENCY when not given.
+ * @returns {Object} - The amount as `{ amount, currency }`, amount staying a decimal string so it stays exact.
+ */
+function toMoney(amount, currency = DEFAULT_CURRENCY) {
+    return { amount, currency };
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isCurrency,
+    roundToCentsSql,
+    formatAmount,
+    toMoney
+};
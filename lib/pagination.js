@@ -0,0 +1,51 @@
+// Page size of the listing endpoints when no limit is given, and its upper bound so a single request can't pull
+// the whole table
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Validates the limit and offset of a query string.
+ * @param {Object} query - The Express.js request query object.
+ * @returns {Object} - Either `{ page }` with its `limit` and `offset`, or `{ error }` describing the invalid one.
+ */
+function parsePagination(query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+    return { page: { limit, offset } };
+}
+
+/**
+ * Builds the LIMIT and OFFSET of a page. One extra row is fetched so we know whether another page follows.
+ * @param {Object} page - The `limit` and `offset` returned by parsePagination().
+ * @param {Function} param - Adds a query parameter and returns its placeholder, see queryParams() in db.js.
+ * @returns {string} - The SQL clauses.
+ */
+function pageSql({ limit, offset }, param) {
+    return `LIMIT ${param(limit + 1)} OFFSET ${param(offset)}`;
+}
+
+/**
+ * Cuts the rows fetched with pageSql() down to the page.
+ * @param {Array<Object>} rows - The rows, one more than the limit when another page follows.
+ * @param {Object} page - The `limit` and `offset` returned by parsePagination().
+ * @returns {Object} - `{ rows, pagination }`, pagination being `{ limit, offset, nextOffset }` with a null
+ * nextOffset on the last page.
+ */
+function pageOf(rows, { limit, offset }) {
+    return {
+        rows: rows.slice(0, limit),
+        pagination: { limit, offset, nextOffset: rows.length > limit ? offset + limit : null }
+    };
+}
+
+module.exports = {
+    parsePagination,
+    pageSql,
+    pageOf
+};
@@ -0,0 +1,391 @@
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { ValidationError, validateHeaders, issue } = require('./validation');
+
+// Bytes read from the start of a file to tell its format from its content
+const HEAD_BYTES = 512;
+
+// Every XLSX workbook is a ZIP archive, which starts with a local file header
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// How a time report is read when the upload names no import profile. A profile sets the delimiter and encoding of
+// CSV files, and for every format the column each heading stands for and the columns that aren't read
+const DEFAULT_PROFILE = { delimiter: ',', encoding: 'utf-8', headerAliases: {}, ignoreColumns: [] };
+
+/**
+ * Tells whether the start of a file is the start of a ZIP archive.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {boolean} - True for a ZIP archive.
+ */
+function isZip(head) {
+    return head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE);
+}
+
+/**
+ * Tells whether the start of a file is the start of a JSON array or object.
+ * @param {Buffer} head - The first bytes of the file.
+ * @returns {boolean} - True for JSON.
+ */
+function isJson(head) {
+    return /^\uFEFF?\s*[[{]/.test(head.toString('utf8'));
+}
+
+/**
+ * Checks the header line of a time report.
+ * @param {Array<string>|null} headers - The column names, or null when the file has no header line.
+ * @throws {ValidationError} - When the header line is missing or lacks a required column.
+ */
+function checkHeaders(headers) {
+    if (!headers) {
+        throw new ValidationError([issue(1, 'header', null, 'Headers not found')]);
+    }
+    const headerErrors = validateHeaders(headers);
+    if (headerErrors.length > 0) {
+        throw new ValidationError(headerErrors);
+    }
+}
+
+/**
+ * Converts a heading or JSON key into the column name used by time reports, so ' Hours  Worked', 'hours_worked'
+ * and 'hoursWorked' all name the 'hours worked' column.
+ * @param {*} name - The heading or key.
+ * @returns {string} - The column name.
+ */
+function columnName(name) {
+    return String(name)
+        .trim()
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[\s_-]+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Creates the function naming the column a heading stands for under an import profile: its alias if it has one,
+ * otherwise the heading itself, compared by columnName().
+ * @param {Object} profile - The import profile, see DEFAULT_PROFILE.
+ * @returns {Function} - Takes a heading and returns the column name, or null for a column that isn't read.
+ */
+function headerMapper({ headerAliases = {}, ignoreColumns = [] }) {
+    const aliases = new Map(
+        Object.entries(headerAliases).map(([alias, column]) => [columnName(alias), columnName(column)])
+    );
+    const ignored = new Set(ignoreColumns.map(columnName));
+    return (heading) => {
+        const name = columnName(heading);
+        if (ignored.has(name)) {
+            return null;
+        }
+        return aliases.get(name) || name;
+    };
+}
+
+/**
+ * Creates a stream decoding text in an encoding into UTF-8. A byte order mark at the start is dropped.
+ * @param {string} encoding - The encoding, any label TextDecoder supports.
+ * @returns {stream.Transform} - The stream.
+ */
+function decodeText(encoding) {
+    const decoder = new TextDecoder(encoding);
+    return new stream.Transform({
+        transform(chunk, bufferEncoding, callback) {
+            callback(null, decoder.decode(chunk, { stream: true }));
+        },
+        flush(callback) {
+            callback(null, decoder.decode());
+        }
+    });
+}
+
+/**
+ * Tells whether every value of a row is blank.
+ * @param {Object} row - The row, keyed by column name.
+ * @returns {boolean} - True when the row has no values.
+ */
+function isEmptyRow(row) {
+    return Object.values(row).every(value => value === undefined || value.trim() === '');
+}
+
+/**
+ * Wraps an error raised while parsing a file's content into a ValidationError, so it is reported like any other
+ * problem with the file.
+ * @param {string} label - The name of the format, e.g. 'JSON'.
+ * @param {Error} error - The error raised by the parser.
+ * @returns {ValidationError} - The error to throw.
+ */
+function unreadableFile(label, error) {
+    if (error instanceof ValidationError) {
+        return error;
+    }
+    return new ValidationError([issue(null, null, null, `The file is not a valid ${label} file: ${error.message}`)]);
+}
+
+/**
+ * Reads the rows of a CSV file one at a time. The file is only read as fast as the rows are consumed, so
+ * memory use doesn't grow with the size of the file.
+ * @param {string} filePath - The path to the CSV file that is being read.
+ * @param {Object} profile - The import profile, see DEFAULT_PROFILE.
+ * @returns {AsyncGenerator<Object>} - Yields `{ line, row }` for every row that isn't empty, where row is defined
+ * from the CSV file and line is its line number in the file (the header being line 1). Throws a ValidationError
+ * when the headers are missing or incomplete.
+ */
+async function* readCsvRows(filePath, profile) {
+    let headers = null;
+    let headersChecked = false;
+    let line = 1;
+    const mapHeader = headerMapper(profile);
+    const parser = csv({ separator: profile.delimiter, mapHeaders: ({ header }) => mapHeader(header) })
+        .on('headers', (names) => {
+            headers = names.filter(name => name !== null);
+        });
+    // Errors of any stream end the iteration below, the callback has nothing left to do
+    stream.pipeline(fs.createReadStream(filePath), decodeText(profile.encoding), parser, () => {});
+
+    for await (const row of parser) {
+        if (!headersChecked) {
+            checkHeaders(headers);
+            headersChecked = true;
+        }
+        line += 1;
+        // Check if the row is not empty
+        if (!isEmptyRow(row)) {
+            yield { line, row };
+        }
+    }
+    if (!headersChecked) {
+        checkHeaders(headers);
+    }
+}
+
+/**
+ * Converts the value of a spreadsheet cell into the text a CSV file would hold. Dates become YYYY-MM-DD,
+ * formulas their result and rich text its plain text.
+ * @param {*} value - The cell value read by ExcelJS.
+ * @returns {string|undefined} - The text, or undefined for an empty cell.
+ */
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    if (value instanceof Date) {
+        // Spreadsheet dates have no time zone, ExcelJS reads them as midnight UTC
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if ('result' in value) {
+            return cellText(value.result);
+        }
+        if ('text' in value) {
+            return cellText(value.text);
+        }
+        if (value.error) {
+            return value.error;
+        }
+    }
+    return String(value);
+}
+
+/**
+ * Reads the rows of the first worksheet of an XLSX workbook one at a time. The first row that isn't empty holds
+ * the column headings.
+ * @param {string} filePath - The path to the XLSX file that is being read.
+ * @param {Object} profile - The import profile, see DEFAULT_PROFILE.
+ * @returns {AsyncGenerator<Object>} - Yields `{ line, row }` for every row that isn't empty, where line is its row
+ * number in the worksheet. Throws a ValidationError when the headings are missing or incomplete, or the file is
+ * not a workbook.
+ */
+async function* readXlsxRows(filePath, profile) {
+    const mapHeader = headerMapper(profile);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+        worksheets: 'emit',
+        sharedStrings: 'cache',
+        // Styles tell dates apart from numbers
+        styles: 'cache',
+        hyperlinks: 'ignore',
+        entries: 'ignore'
+    });
+    let headers = null;
+    try {
+        for await (const worksheet of workbook) {
+            for await (const { number, values } of worksheet) {
+                if (!headers) {
+                    const headings = values.map(value => cellText(value) || '');
+                    if (headings.some(Boolean)) {
+                        headers = headings.map(heading => (heading ? mapHeader(heading) : null));
+                        checkHeaders(headers.filter(Boolean));
+                    }
+                    continue;
+                }
+                const row = {};
+                headers.forEach((name, index) => {
+                    if (name) {
+                        row[name] = cellText(values[index]);
+                    }
+                });
+                if (!isEmptyRow(row)) {
+                    yield { line: number, row };
+                }
+            }
+            break;
+        }
+    } catch (error) {
+        throw unreadableFile('XLSX', error);
+    }
+    if (!headers) {
+        checkHeaders(null);
+    }
+}
+
+/**
+ * Converts a value of a JSON entry into the text a CSV file would hold.
+ * @param {*} value - The value.
+ * @returns {string|undefined} - The text, or undefined for null.
+ */
+function jsonText(value) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Reads the entries of a JSON array one at a time. Each entry is an object holding the columns of a row, keyed
+ * by the CSV column names or their camelCase or snake_case forms.
+ * @param {string} filePath - The path to the JSON file that is being read.
+ * @param {Object} profile - The import profile, see DEFAULT_PROFILE.
+ * @returns {AsyncGenerator<Object>} - Yields `{ line, row }` for every entry that isn't empty, where line is the
+ * position of the entry in the array, starting at 1. Throws a ValidationError when the file is not a JSON array.
+ */
+async function* readJsonRows(filePath, profile) {
+    const mapHeader = headerMapper(profile);
+    const parser = StreamArray.withParser();
+    stream.pipeline(fs.createReadStream(filePath), parser, () => {});
+    try {
+        for await (const { key, value } of parser) {
+            const row = {};
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, text]) => {
+                    const name = mapHeader(key);
+                    if (name) {
+                        row[name] = jsonText(text);
+                    }
+                });
+            }
+            // Entries that aren't objects have none of the columns, and are reported as such
+            if (!isEmptyRow(row) || Object.keys(row).length === 0) {
+                yield { line: key + 1, row };
+            }
+        }
+    } catch (error) {
+        throw unreadableFile('JSON', error);
+    }
+}
+
+// The formats a time report can be uploaded in. Each parser reads its files into the rows of a CSV time report,
+// keyed by column name with text values, so every format is validated and stored the same way. detect() tells
+// whether the start of a file is in the format
+const PARSERS = [
+    {
+        format: 'csv',
+        label: 'CSV',
+        extensions: ['.csv'],
+        detect: (head) => !isZip(head) && !isJson(head),
+        readRows: readCsvRows
+    },
+    {
+        format: 'xlsx',
+        label: 'XLSX',
+        extensions: ['.xlsx'],
+        detect: isZip,
+        readRows: readXlsxRows
+    },
+    {
+        format: 'json',
+        label: 'JSON',
+        extensions: ['.json'],
+        detect: isJson,
+        readRows: readJsonRows
+    }
+];
+
+/**
+ * Finds the format of an uploaded file from its name.
+ * @param {string} filename - The name of the uploaded file.
+ * @returns {string|null} - The format, e.g. 'csv', or null when no parser reads files with its extension.
+ */
+function formatOf(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    const parser = PARSERS.find(candidate => candidate.extensions.includes(extension));
+    return parser ? parser.format : null;
+}
+
+/**
+ * Lists the formats time reports can be uploaded in.
+ * @returns {string} - e.g. 'CSV, XLSX and JSON'.
+ */
+function supportedFormats() {
+    const labels = PARSERS.map(parser => parser.label);
+    return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Describes an uploaded file that holds no rows.
+ * @param {string} format - The format of the file.
+ * @returns {string} - The error to report.
+ */
+function emptyFileError(format) {
+    return `Invalid ${PARSERS.find(parser => parser.format === format).label} format: File Empty`;
+}
+
+/**
+ * Reads the start of a file.
+ * @param {string} filePath - The path to the file.
+ * @returns {Promise<Buffer>} - A promise that resolves to at most HEAD_BYTES bytes.
+ */
+async function readHead(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Reads the rows of an uploaded time report one at a time, with the parser of its format. The content of the
+ * file must match the format its name gives.
+ * @param {string} filePath - The path to the file that is being read.
+ * @param {string} [format] - The format of the file, see formatOf(). CSV when omitted.
+ * @param {Object} [profile] - The import profile to read it with, DEFAULT_PROFILE when omitted.
+ * @returns {AsyncGenerator<Object>} - Yields `{ line, row }` for every row that isn't empty, row being keyed by
+ * the CSV column names. Throws a ValidationError when the content doesn't match the format, or the file can't
+ * be read as a time report.
+ */
+async function* readRows(filePath, format = 'csv', profile = DEFAULT_PROFILE) {
+    const parser = PARSERS.find(candidate => candidate.format === format);
+    const head = await readHead(filePath);
+    const detected = head.length > 0 ? PARSERS.find(candidate => candidate.detect(head)) : parser;
+    if (detected !== parser) {
+        throw new ValidationError([
+            issue(null, null, null, `The file is named as ${parser.label} but holds ${detected.label} data`)
+        ]);
+    }
+    yield* parser.readRows(filePath, { ...DEFAULT_PROFILE, ...profile });
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PARSERS,
+    columnName,
+    formatOf,
+    supportedFormats,
+    emptyFileError,
+    readRows
+};
@@ -0,0 +1,300 @@
+const db = require('./db');
+const { MAX_ISSUES } = require('./validation');
+const { buildPeriodTotalsQuery } = require('./report');
+const { scheduleJoinSql, payPeriodSql } = require('./payPeriods');
+const { formatAmount, toMoney } = require('./money');
+
+// SQLSTATE of an exclusion constraint violation, raised when two overlapping pay periods are created at once
+const EXCLUSION_VIOLATION = '23P01';
+
+const periodColumns = `id, status, closed_by, reopened_by,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+    to_char(closed_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS closed_at,
+    to_char(reopened_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS reopened_at`;
+
+/**
+ * Raised when a change would alter the entries of a closed pay period.
+ */
+class PeriodClosedError extends Error {
+    /**
+     * @param {string} message - What can't be changed.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'PeriodClosedError';
+    }
+}
+
+/**
+ * Converts a pay_periods row into the shape returned by the API.
+ * @param {Object} row - A pay_periods row.
+ * @returns {Object} - The pay period.
+ */
+function formatPayPeriod(row) {
+    return {
+        id: row.id,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        status: row.status,
+        closedAt: row.closed_at,
+        closedBy: row.closed_by,
+        reopenedAt: row.reopened_at,
+        reopenedBy: row.reopened_by
+    };
+}
+
+/**
+ * Retrieves the pay periods, oldest first.
+ * @param {Object} [filters] - Filters.
+ * @param {string} [filters.status] - Only periods with this status, 'open' or 'closed'.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the pay periods.
+ */
+async function listPayPeriods({ status } = {}) {
+    const result = status
+        ? await db.query(`SELECT ${periodColumns} FROM pay_periods WHERE status = $1 ORDER BY start_date`, [status])
+        : await db.query(`SELECT ${periodColumns} FROM pay_periods ORDER BY start_date`);
+    return result.rows.map(formatPayPeriod);
+}
+
+/**
+ * Retrieves a pay period.
+ * @param {number} id - The id of the pay period.
+ * @returns {Promise<Object|null>} - A promise that resolves to the pay period, or null if it doesn't exist.
+ */
+async function findPayPeriod(id) {
+    const result = await db.query(`SELECT ${periodColumns} FROM pay_periods WHERE id = $1`, [id]);
+    return result.rows.length > 0 ? formatPayPeriod(result.rows[0]) : null;
+}
+
+/**
+ * Retrieves the totals kept when a pay period closed, one per employee pay period within it and currency.
+ * @param {number} id - The id of the pay period.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the totals, none while the period is open.
+ */
+async function getPeriodTotals(id) {
+    const result = await db.query(
+        `SELECT employee_id, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+             to_char(end_date, 'YYYY-MM-DD') AS end_date, currency,
+             (regular_amount + overtime_amount + double_time_amount + holiday_amount)::text AS amount_paid
+         FROM pay_period_totals
+         WHERE pay_period_id = $1
+         ORDER BY employee_id, start_date, currency`,
+        [id]
+    );
+    return result.rows.map(row => ({
+        employeeId: row.employee_id.toString(),
+        payPeriod: { startDate: row.start_date, endDate: row.end_date },
+        amountPaid: formatAmount(row.amount_paid, row.currency),
+        amountPaidMoney: toMoney(row.amount_paid, row.currency)
+    }));
+}
+
+/**
+ * Finds a pay period that shares a date with a date range.
+ * @param {string} startDate - The first day of the range (YYYY-MM-DD).
+ * @param {string} endDate - The last day of the range (YYYY-MM-DD).
+ * @returns {Promise<Object|null>} - A promise that resolves to the first such pay period, or null if there is none.
+ */
+async function findOverlappingPeriod(startDate, endDate) {
+    const result = await db.query(
+        `SELECT ${periodColumns} FROM pay_periods
+         WHERE start_date <= $2::date AND end_date >= $1::date
+         ORDER BY start_date
+         LIMIT 1`,
+        [startDate, endDate]
+    );
+    return result.rows.length > 0 ? formatPayPeriod(result.rows[0]) : null;
+}
+
+/**
+ * Creates an open pay period.
+ * @param {string} startDate - Its first day (YYYY-MM-DD).
+ * @param {string} endDate - Its last day (YYYY-MM-DD).
+ * @returns {Promise<Object|null>} - A promise that resolves to the pay period, or null if it overlaps another
+ * one, e.g. created by a concurrent request.
+ */
+async function createPayPeriod(startDate, endDate) {
+    try {
+        const result = await db.query(
+            `INSERT INTO pay_periods (start_date, end_date) VALUES ($1, $2) RETURNING ${periodColumns}`,
+            [startDate, endDate]
+        );
+        return formatPayPeriod(result.rows[0]);
+    } catch (error) {
+        if (error.code === EXCLUSION_VIOLATION) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Locks the pay periods against being closed or reopened until the end of the transaction. Uploads and
+ * corrections take it before checking their entries against the closed periods, so a period can't close between
+ * the check and the commit. They don't block each other.
+ * @param {Object} client - The client of the transaction.
+ * @returns {Promise<void>} - A promise that resolves once the lock is held.
+ */
+async function lockPayPeriods(client) {
+    await client.query('LOCK TABLE pay_periods IN SHARE MODE');
+}
+
+/**
+ * Closes an open pay period and keeps the report totals, pay stub lines and entry pricing of the employee pay
+ * periods within it, see buildPeriodTotalsQuery(). Waits for uploads and corrections that are checking their entries.
+ * @param {number} id - The id of the pay period.
+ * @param {Object} audit - Who closed it, as `{ actor }`.
+ * @returns {Promise<Object|null>} - A promise that resolves to the closed pay period, or null if it isn't open.
+ */
+async function closePayPeriod(id, { actor }) {
+    return db.withTransaction(async (client) => {
+        const result = await client.query(
+            `UPDATE pay_periods SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = $2
+             WHERE id = $1 AND status = 'open'
+             RETURNING ${periodColumns}`,
+            [id, actor]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+        const payPeriod = formatPayPeriod(result.rows[0]);
+        await client.query(buildPeriodTotalsQuery(id, payPeriod.startDate, payPeriod.endDate));
+        return payPeriod;
+    });
+}
+
+/**
+ * Reopens a closed pay period, so its entries can change again and the report calculates its totals again.
+ * @param {number} id - The id of the pay period.
+ * @param {Object} audit - Who reopened it, as `{ actor }`.
+ * @returns {Promise<Object|null>} - A promise that resolves to the reopened pay period, or null if it isn't closed.
+ */
+async function reopenPayPeriod(id, { actor }) {
+    return db.withTransaction(async (client) => {
+        const result = await client.query(
+            `UPDATE pay_periods SET status = 'open', reopened_at = CURRENT_TIMESTAMP, reopened_by = $2
+             WHERE id = $1 AND status = 'closed'
+             RETURNING ${periodColumns}`,
+            [id, actor]
+        );
+        if (result.rows.length === 0) {
+            return null;
+        }
+        await client.query('DELETE FROM pay_period_entries WHERE pay_period_id = $1', [id]);
+        await client.query('DELETE FROM pay_period_totals WHERE pay_period_id = $1', [id]);
+        return formatPayPeriod(result.rows[0]);
+    });
+}
+
+/**
+ * Finds the staged entries of an upload that fall into a closed pay period. Must be called inside the
+ * transaction that staged them, see stageTimesheet(), and holds lockPayPeriods() until it ends.
+ * @param {Object} client - The client of the transaction.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the first MAX_ISSUES such entries in line order,
+ * as `{ line, date, start_date, end_date, total }`, total counting them all.
+ */
+async function findStagedEntriesInClosedPeriods(client) {
+    await lockPayPeriods(client);
+    const result = await client.query(
+        `SELECT i.line, to_char(i.date, 'YYYY-MM-DD') AS date,
+             to_char(p.start_date, 'YYYY-MM-DD') AS start_date, to_char(p.end_date, 'YYYY-MM-DD') AS end_date,
+             count(*) OVER () AS total
+         FROM ingest_entries i
+         JOIN pay_periods p ON p.status = 'closed' AND i.date BETWEEN p.start_date AND p.end_date
+         ORDER BY i.line
+         LIMIT $1`,
+        [MAX_ISSUES]
+    );
+    return result.rows;
+}
+
+/**
+ * Checks that none of the stored entries of a report fall into a closed pay period, before they are replaced or
+ * deleted. Must be called inside the transaction changing them, and holds lockPayPeriods() until it ends.
+ * @param {Object} client - The client of the transaction.
+ * @param {string} reportId - The id of the report.
+ * @returns {Promise<void>} - A promise that resolves when the entries can change. Rejects with a
+ * PeriodClosedError naming the first closed pay period they fall into.
+ */
+async function checkReportIsOpen(client, reportId) {
+    await lockPayPeriods(client);
+    const result = await client.query(
+        `SELECT to_char(p.start_date, 'YYYY-MM-DD') AS start_date, to_char(p.end_date, 'YYYY-MM-DD') AS end_date
+         FROM pay_periods p
+         WHERE p.status = 'closed' AND EXISTS (
+             SELECT 1 FROM timekeeping_entries e
+             WHERE e.report_id = $1 AND e.date BETWEEN p.start_date AND p.end_date
+         )
+         ORDER BY p.start_date
+         LIMIT 1`,
+        [reportId]
+    );
+    if (result.rows.length > 0) {
+        const [period] = result.rows;
+        throw new PeriodClosedError(
+            `Report ${reportId} has entries in the closed pay period ${period.start_date} to ${period.end_date}`
+        );
+    }
+}
+
+/**
+ * Builds the SQL listing the entries behind the totals kept for closed pay periods: those falling, under the pay
+ * schedules as they stand, into an employee pay period that has kept totals.
+ * @returns {string} - The query, selecting the `id` of each entry and the `start_date` and `end_date` of its period.
+ */
+function keptEntriesSql() {
+    const period = payPeriodSql('e.date', 's');
+    return `
+        SELECT e.id, t.start_date, t.end_date
+        FROM pay_period_totals t
+        JOIN timekeeping_entries e ON e.employee_id = t.employee_id AND e.date BETWEEN t.start_date AND t.end_date
+        ${scheduleJoinSql('e', 's')}
+        WHERE ${period.start} = t.start_date AND ${period.end} = t.end_date
+        GROUP BY e.id, t.start_date, t.end_date`;
+}
+
+/**
+ * Changes the pay schedules unless the change would move entries into or out of the employee pay periods of a
+ * closed pay period, whose kept totals would then no longer be those of its entries. Must be called inside the
+ * transaction making the change, and holds lockPayPeriods() until it ends.
+ * @param {Object} client - The client of the transaction.
+ * @param {Function} change - Makes the change with the client, returning a promise.
+ * @returns {Promise<*>} - A promise that resolves to what the change resolved to. Rejects with a PeriodClosedError
+ * naming the first employee pay period the change would re-cut.
+ */
+async function keepClosedPeriods(client, change) {
+    await lockPayPeriods(client);
+    await client.query(`CREATE TEMP TABLE kept_entries ON COMMIT DROP AS ${keptEntriesSql()}`);
+    const result = await change();
+    const moved = await client.query(
+        `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+         FROM (
+             (SELECT * FROM kept_entries EXCEPT ${keptEntriesSql()})
+             UNION ALL
+             (${keptEntriesSql()} EXCEPT SELECT * FROM kept_entries)
+         ) moved
+         ORDER BY start_date
+         LIMIT 1`
+    );
+    if (moved.rows.length > 0) {
+        const [period] = moved.rows;
+        throw new PeriodClosedError(
+            `The pay schedule change would re-cut the closed pay period ${period.start_date} to ${period.end_date}`
+        );
+    }
+    return result;
+}
+
+module.exports = {
+    PeriodClosedError,
+    listPayPeriods,
+    findPayPeriod,
+    getPeriodTotals,
+    findOverlappingPeriod,
+    createPayPeriod,
+    closePayPeriod,
+    reopenPayPeriod,
+    findStagedEntriesInClosedPeriods,
+    checkReportIsOpen,
+    keepClosedPeriods
+};
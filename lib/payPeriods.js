@@ -0,0 +1,138 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEDULE_TYPES = ['weekly', 'biweekly', 'semimonthly', 'monthly'];
+
+// Used when neither the job group nor the company has a schedule configured
+const DEFAULT_SCHEDULE = { type: 'semimonthly', anchorDate: null, weekStart: 1 };
+
+// 1970-01-04 was a Sunday, adding the week start (0 = Sunday) gives the default anchor for weekly schedules
+const EPOCH_SUNDAY = '1970-01-04';
+
+/**
+ * Converts a YYYY-MM-DD date into a UTC timestamp so calculations are not affected by the server time zone.
+ * @param {string} date - The date to convert.
+ * @returns {number} - Milliseconds since the epoch at midnight UTC.
+ */
+function toUTC(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Formats a UTC timestamp as YYYY-MM-DD.
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} - The formatted date.
+ */
+function formatUTC(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the day of the week of a date.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @returns {number} - The day of the week, 0 = Sunday.
+ */
+function dayOfWeek(date) {
+    return new Date(toUTC(date)).getUTCDay();
+}
+
+/**
+ * Calculates the pay period that contains the specified date.
+ * Weekly and bi-weekly periods repeat every 7 or 14 days from the schedule's anchor date, which defaults
+ * to a date falling on the schedule's week start. Semi-monthly periods run from the 1st to the 15th and
+ * from the 16th to the end of the month, monthly periods cover the whole month.
+ * @param {string} date - The date (YYYY-MM-DD) that is within the pay period we are trying to find.
+ * @param {Object} [schedule] - The pay schedule, defaults to semi-monthly.
+ * @returns {Object} - An object containing the start and end dates of the pay period.
+ */
+function getPayPeriod(date, schedule = DEFAULT_SCHEDULE) {
+    const time = toUTC(date);
+    const [year, month, day] = date.split('-').map(Number);
+
+    switch (schedule.type) {
+        case 'weekly':
+        case 'biweekly': {
+            const length = schedule.type === 'weekly' ? 7 : 14;
+            const anchor = schedule.anchorDate
+                ? toUTC(schedule.anchorDate)
+                : toUTC(EPOCH_SUNDAY) + (schedule.weekStart ?? DEFAULT_SCHEDULE.weekStart) * DAY_MS;
+            const offset = Math.floor((time - anchor) / DAY_MS / length) * length;
+            const start = anchor + offset * DAY_MS;
+            return {
+                startDate: formatUTC(start),
+                endDate: formatUTC(start + (length - 1) * DAY_MS)
+            };
+        }
+        case 'monthly':
+            return {
+                startDate: formatUTC(Date.UTC(year, month - 1, 1)),
+                endDate: formatUTC(Date.UTC(year, month, 0))
+            };
+        default:
+            if (day <= 15) {
+                return {
+                    startDate: formatUTC(Date.UTC(year, month - 1, 1)),
+                    endDate: formatUTC(Date.UTC(year, month - 1, 15))
+                };
+            }
+            return {
+                startDate: formatUTC(Date.UTC(year, month - 1, 16)),
+                endDate: formatUTC(Date.UTC(year, month, 0))
+            };
+    }
+}
+
+/**
+ * Builds the SQL join that finds the pay schedule of an entry: the job group's own schedule when it has one,
+ * otherwise the company wide default. Columns are NULL when no schedule is configured at all.
+ * @param {string} entry - The SQL alias of the timekeeping entry.
+ * @param {string} alias - The SQL alias to give the schedule.
+ * @returns {string} - The LEFT JOIN LATERAL clause.
+ */
+function scheduleJoinSql(entry, alias) {
+    return `LEFT JOIN LATERAL (
+                SELECT schedule_type, anchor_date, week_start
+                FROM pay_schedules
+                WHERE job_group = ${entry}.job_group OR job_group IS NULL
+                ORDER BY job_group NULLS LAST
+                LIMIT 1
+            ) ${alias} ON true`;
+}
+
+/**
+ * Builds the SQL expressions that compute the pay period of a date column, mirroring getPayPeriod().
+ * @param {string} column - The SQL date expression, e.g. 'e.date'.
+ * @param {string} schedule - The SQL alias of the joined pay schedule, see scheduleJoinSql().
+ * @returns {Object} - An object containing the `start` and `end` SQL expressions.
+ */
+function payPeriodSql(column, schedule) {
+    const type = `COALESCE(${schedule}.schedule_type, '${DEFAULT_SCHEDULE.type}')`;
+    const anchor = `COALESCE(${schedule}.anchor_date, DATE '${EPOCH_SUNDAY}' + COALESCE(${schedule}.week_start, ${DEFAULT_SCHEDULE.weekStart}))`;
+    const length = `CASE ${type} WHEN 'weekly' THEN 7 ELSE 14 END`;
+    const cycleStart = `(${anchor} + (FLOOR((${column} - ${anchor})::numeric / ${length}) * ${length})::int)`;
+    const monthStart = `date_trunc('month', ${column})::date`;
+    const monthEnd = `(date_trunc('month', ${column}) + INTERVAL '1 month - 1 day')::date`;
+    return {
+        start: `CASE
+                WHEN ${type} IN ('weekly', 'biweekly') THEN ${cycleStart}
+                WHEN ${type} = 'monthly' OR EXTRACT(DAY FROM ${column}) <= 15 THEN ${monthStart}
+                ELSE ${monthStart} + 15 END`,
+        end: `CASE
+                WHEN ${type} IN ('weekly', 'biweekly') THEN ${cycleStart} + ${length} - 1
+                WHEN ${type} = 'monthly' OR EXTRACT(DAY FROM ${column}) > 15 THEN ${monthEnd}
+                ELSE ${monthStart} + 14 END`
+    };
+}
+
+// No pay period is longer than this, used to narrow the entries scanned for a date range
+const MAX_PERIOD_DAYS = 31;
+
+module.exports = {
+    SCHEDULE_TYPES,
+    DEFAULT_SCHEDULE,
+    MAX_PERIOD_DAYS,
+    dayOfWeek,
+    getPayPeriod,
+    scheduleJoinSql,
+    payPeriodSql
+};
@@ -0,0 +1,91 @@
+const db = require('./db');
+const { DEFAULT_SCHEDULE } = require('./payPeriods');
+const { keepClosedPeriods } = require('./payPeriodClosing');
+
+const scheduleColumns = `job_group, schedule_type, to_char(anchor_date, 'YYYY-MM-DD') AS anchor_date, week_start`;
+
+/**
+ * Converts a pay schedule row into the shape used by the API and getPayPeriod().
+ * @param {Object} row - A pay_schedules row.
+ * @returns {Object} - The pay schedule.
+ */
+function formatSchedule(row) {
+    return {
+        type: row.schedule_type,
+        anchorDate: row.anchor_date,
+        weekStart: row.week_start
+    };
+}
+
+/**
+ * Retrieves the company wide default schedule and every job group specific schedule.
+ * @returns {Promise<Object>} - A promise that resolves to `{ default, jobGroups }`.
+ */
+async function listSchedules() {
+    const result = await db.query(`SELECT ${scheduleColumns} FROM pay_schedules ORDER BY job_group NULLS FIRST`);
+    const defaultRow = result.rows.find(row => row.job_group === null);
+    return {
+        default: defaultRow ? formatSchedule(defaultRow) : { ...DEFAULT_SCHEDULE },
+        jobGroups: result.rows
+            .filter(row => row.job_group !== null)
+            .map(row => ({ jobGroup: row.job_group, ...formatSchedule(row) }))
+    };
+}
+
+/**
+ * Retrieves the schedule in effect for a job group, falling back to the company wide default.
+ * @param {string|null} jobGroup - The job group code, or null for the company wide default.
+ * @returns {Promise<Object>} - A promise that resolves to the pay schedule.
+ */
+async function getSchedule(jobGroup) {
+    const result = await db.query(
+        `SELECT ${scheduleColumns} FROM pay_schedules
+         WHERE job_group = $1 OR job_group IS NULL
+         ORDER BY job_group NULLS LAST
+         LIMIT 1`,
+        [jobGroup]
+    );
+    return result.rows.length > 0 ? formatSchedule(result.rows[0]) : { ...DEFAULT_SCHEDULE };
+}
+
+/**
+ * Sets the pay schedule for a job group, or the company wide default.
+ * @param {string|null} jobGroup - The job group code, or null for the company wide default.
+ * @param {Object} schedule - The schedule to store.
+ * @param {string} schedule.type - One of weekly, biweekly, semimonthly or monthly.
+ * @param {string|null} schedule.anchorDate - The first day (YYYY-MM-DD) of any weekly or bi-weekly period.
+ * @param {number} schedule.weekStart - The day the work week starts on, 0 = Sunday.
+ * @returns {Promise<Object>} - A promise that resolves to the stored schedule. Rejects with a PeriodClosedError
+ * when it would re-cut a closed pay period, see keepClosedPeriods().
+ */
+async function setSchedule(jobGroup, { type, anchorDate, weekStart }) {
+    // The company wide default is the single row without a job group
+    const conflict = jobGroup === null ? '((job_group IS NULL)) WHERE job_group IS NULL' : '(job_group)';
+    const result = await db.withTransaction(client => keepClosedPeriods(client, () => client.query(
+        `INSERT INTO pay_schedules (job_group, schedule_type, anchor_date, week_start) VALUES ($1, $2, $3, $4)
+         ON CONFLICT ${conflict} DO UPDATE SET
+             schedule_type = EXCLUDED.schedule_type,
+             anchor_date = EXCLUDED.anchor_date,
+             week_start = EXCLUDED.week_start,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING ${scheduleColumns}`,
+        [jobGroup, type, anchorDate, weekStart]
+    )));
+    return formatSchedule(result.rows[0]);
+}
+
+/**
+ * Removes a job group's own schedule so it falls back to the company wide default.
+ * @param {string} jobGroup - The job group code.
+ * @returns {Promise<boolean>} - A promise that resolves to true if a schedule was removed. Rejects with a
+ * PeriodClosedError when the default would re-cut a closed pay period, see keepClosedPeriods().
+ */
+async function deleteSchedule(jobGroup) {
+    const result = await db.withTransaction(client => keepClosedPeriods(
+        client,
+        () => client.query('DELETE FROM pay_schedules WHERE job_group = $1', [jobGroup])
+    ));
+    return result.rowCount > 0;
+}
+
+module.exports = { listSchedules, getSchedule, setSchedule, deleteSchedule };
@@ -0,0 +1,137 @@
+const db = require('./db');
+
+// Used until overtime rules are saved: no overtime thresholds, so every hour is paid at the regular rate
+const DEFAULT_OVERTIME_RULES = {
+    dailyThreshold: null,
+    dailyDoubleTimeThreshold: null,
+    weeklyThreshold: null,
+    overtimeMultiplier: '1.50',
+    doubleTimeMultiplier: '2.00',
+    holidayMultiplier: '1.50'
+};
+
+const ruleColumns = `
+    daily_threshold::text, daily_double_threshold::text, weekly_threshold::text,
+    overtime_multiplier::text, double_time_multiplier::text, holiday_multiplier::text
+`;
+
+/**
+ * Converts an overtime_rules row into the shape used by the API.
+ * @param {Object} row - An overtime_rules row.
+ * @returns {Object} - The overtime rules.
+ */
+function formatRules(row) {
+    return {
+        dailyThreshold: row.daily_threshold,
+        dailyDoubleTimeThreshold: row.daily_double_threshold,
+        weeklyThreshold: row.weekly_threshold,
+        overtimeMultiplier: row.overtime_multiplier,
+        doubleTimeMultiplier: row.double_time_multiplier,
+        holidayMultiplier: row.holiday_multiplier
+    };
+}
+
+/**
+ * Retrieves the overtime rules, or the defaults when none have been saved.
+ * @returns {Promise<Object>} - A promise that resolves to the overtime rules.
+ */
+async function getOvertimeRules() {
+    const result = await db.query(`SELECT ${ruleColumns} FROM overtime_rules`);
+    return result.rows.length > 0 ? formatRules(result.rows[0]) : { ...DEFAULT_OVERTIME_RULES };
+}
+
+/**
+ * Saves the overtime rules. A null threshold disables that rule.
+ * @param {Object} rules - The complete set of overtime rules, see DEFAULT_OVERTIME_RULES.
+ * @returns {Promise<Object>} - A promise that resolves to the saved overtime rules.
+ */
+async function setOvertimeRules(rules) {
+    const result = await db.query(
+        `INSERT INTO overtime_rules (id, daily_threshold, daily_double_threshold, weekly_threshold,
+             overtime_multiplier, double_time_multiplier, holiday_multiplier)
+         VALUES (TRUE, $1, $2, $3, $4, $5, $6)
+         ON CONFLICT (id) DO UPDATE SET
+             daily_threshold = EXCLUDED.daily_threshold,
+             daily_double_threshold = EXCLUDED.daily_double_threshold,
+             weekly_threshold = EXCLUDED.weekly_threshold,
+             overtime_multiplier = EXCLUDED.overtime_multiplier,
+             double_time_multiplier = EXCLUDED.double_time_multiplier,
+             holiday_multiplier = EXCLUDED.holiday_multiplier,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING ${ruleColumns}`,
+        [
+            rules.dailyThreshold, rules.dailyDoubleTimeThreshold, rules.weeklyThreshold,
+            rules.overtimeMultiplier, rules.doubleTimeMultiplier, rules.holidayMultiplier
+        ]
+    );
+    return formatRules(result.rows[0]);
+}
+
+/**
+ * Retrieves the statutory holiday calendar, optionally limited to one year.
+ * @param {number} [year] - The calendar year to list.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the holidays in date order.
+ */
+async function listHolidays(year) {
+    const result = await db.query(
+        `SELECT to_char(date, 'YYYY-MM-DD') AS date, name FROM holidays
+         WHERE $1::int IS NULL OR EXTRACT(YEAR FROM date) = $1::int
+         ORDER BY date`,
+        [year === undefined ? null : year]
+    );
+    return result.rows;
+}
+
+/**
+ * Adds a statutory holiday, or renames it if the date is already a holiday.
+ * @param {string} date - The holiday's date (YYYY-MM-DD).
+ * @param {string} name - The holiday's name.
+ * @returns {Promise<Object>} - A promise that resolves to the saved holiday.
+ */
+async function addHoliday(date, name) {
+    const result = await db.query(
+        `INSERT INTO holidays (date, name) VALUES ($1, $2)
+         ON CONFLICT (date) DO UPDATE SET name = EXCLUDED.name
+         RETURNING to_char(date, 'YYYY-MM-DD') AS date, name`,
+        [date, name]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Removes a statutory holiday.
+ * @param {string} date - The holiday's date (YYYY-MM-DD).
+ * @returns {Promise<boolean>} - A promise that resolves to true if a holiday was removed.
+ */
+async function deleteHoliday(date) {
+    const result = await db.query('DELETE FROM holidays WHERE date = $1', [date]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Builds the SQL that selects the overtime rules as a single row, falling back to the defaults.
+ * Thresholds that are disabled come back as infinity so they never trigger.
+ * @returns {string} - The SELECT statement.
+ */
+function overtimeRulesSql() {
+    const d = DEFAULT_OVERTIME_RULES;
+    return `
+            SELECT COALESCE(daily_threshold, 'Infinity') AS daily_threshold,
+                COALESCE(daily_double_threshold, 'Infinity') AS daily_double_threshold,
+                COALESCE(weekly_threshold, 'Infinity') AS weekly_threshold,
+                overtime_multiplier, double_time_multiplier, holiday_multiplier
+            FROM overtime_rules
+            UNION ALL
+            SELECT 'Infinity', 'Infinity', 'Infinity', ${d.overtimeMultiplier}, ${d.doubleTimeMultiplier}, ${d.holidayMultiplier}
+            WHERE NOT EXISTS (SELECT 1 FROM overtime_rules)`;
+}
+
+module.exports = {
+    DEFAULT_OVERTIME_RULES,
+    getOvertimeRules,
+    setOvertimeRules,
+    listHolidays,
+    addHoliday,
+    deleteHoliday,
+    overtimeRulesSql
+};
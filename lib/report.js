@@ -0,0 +1,589 @@
+const db = require('./db');
+const { DEFAULT_SCHEDULE, MAX_PERIOD_DAYS, scheduleJoinSql, payPeriodSql } = require('./payPeriods');
+const { overtimeRulesSql } = require('./premiums');
+const { isISODate } = require('./dates');
+const { DEFAULT_CURRENCY, roundToCentsSql, formatAmount, toMoney } = require('./money');
+const { isLocale, formatDate } = require('./locale');
+const { parsePagination, pageSql, pageOf } = require('./pagination');
+
+/**
+ * Reads a query string parameter that may be repeated (?a=1&a=2) or comma separated (?a=1,2).
+ * @param {string|Array<string>|undefined} value - The raw query string value.
+ * @returns {Array<string>} - The individual values, trimmed and without blanks.
+ */
+function toList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return [].concat(value)
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(item => item !== '');
+}
+
+/**
+ * Validates the GET /report query string and converts it into report filters.
+ * @param {Object} query - The Express.js request query object.
+ * @returns {Object} - Either `{ filters }` or `{ error }` describing the first invalid parameter.
+ */
+function parseReportQuery(query) {
+    const filters = {};
+
+    const employeeIds = toList(query.employeeId);
+    if (employeeIds.some(id => !/^\d+$/.test(id))) {
+        return { error: 'employeeId must be a list of numeric employee ids' };
+    }
+    if (employeeIds.length > 0) {
+        filters.employeeIds = employeeIds.map(Number);
+    }
+
+    const reportIds = toList(query.reportId);
+    if (reportIds.length > 0) {
+        filters.reportIds = reportIds;
+    }
+
+    for (const name of ['startDate', 'endDate']) {
+        if (query[name] !== undefined) {
+            if (!isISODate(query[name])) {
+                return { error: `${name} must be a date in YYYY-MM-DD format` };
+            }
+            filters[name] = query[name];
+        }
+    }
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+        return { error: 'startDate must not be after endDate' };
+    }
+
+    if (query.payPeriod !== undefined) {
+        if (!isISODate(query.payPeriod)) {
+            return { error: 'payPeriod must be the start date of a pay period in YYYY-MM-DD format' };
+        }
+        filters.payPeriod = query.payPeriod;
+    }
+
+    // The report is only paged when a page is asked for
+    if (query.limit !== undefined || query.offset !== undefined) {
+        const { page, error } = parsePagination(query);
+        if (error) {
+            return { error };
+        }
+        Object.assign(filters, page);
+    }
+
+    if (query.locale !== undefined) {
+        if (!isLocale(query.locale)) {
+            return { error: 'locale must be a supported locale, e.g. en-US or fr-CA' };
+        }
+        filters.locale = query.locale;
+    }
+
+    return { filters };
+}
+
+// Premium categories broken out on every employee report, with their SQL column prefix
+const PAY_CATEGORIES = {
+    regular: 'regular',
+    overtime: 'overtime',
+    doubleTime: 'double_time',
+    holiday: 'holiday'
+};
+
+// Weekly overtime looks back to the start of the work week, which can begin up to 6 days before the pay period
+const LOOKBACK_DAYS = MAX_PERIOD_DAYS + 7;
+
+/**
+ * Builds the common table expressions that price every timekeeping entry. The last one, `priced`, has one
+ * row per entry with its pay period and the hours and amount it contributes to each premium category.
+ *
+ * Entries on a statutory holiday are paid with the holiday multiplier and don't count towards overtime.
+ * The other hours of each day are split, in upload order, into regular hours up to the daily threshold,
+ * overtime up to the daily double time threshold and double time beyond it. Regular hours beyond the
+ * weekly threshold of a work week, which starts on the pay schedule's week start, become overtime too.
+ * Each entry is paid in its employee's currency, or else in its job group's, with its job group's rate in that
+ * currency, and its amounts are rounded to cents in it, see lib/money.js. Entries within a closed pay period are
+ * priced as they were when it closed, with the rate, currency, pay period and amounts kept in pay_period_entries.
+ * @param {string} where - The WHERE clause selecting the entries (alias `e`) to price, or ''.
+ * @returns {string} - The CTEs, to be placed after WITH.
+ */
+function pricedEntriesSql(where) {
+    const period = payPeriodSql('e.date', 's');
+    return `
+        rules AS (${overtimeRulesSql()}
+        ),
+        entries AS (
+            SELECT e.id, e.report_id, e.line, e.employee_id, e.date, e.job_group, e.hours_worked, r.hourly_rate,
+                COALESCE(emp.currency, g.currency, '${DEFAULT_CURRENCY}') AS currency,
+                ${period.start} AS period_start,
+                ${period.end} AS period_end,
+                e.date - ((EXTRACT(DOW FROM e.date)::int - COALESCE(s.week_start, ${DEFAULT_SCHEDULE.weekStart}) + 7) % 7) AS work_week,
+                CASE WHEN h.date IS NULL THEN e.hours_worked ELSE 0 END AS counted_hours,
+                o.*
+            FROM timekeeping_entries e
+            CROSS JOIN rules o
+            LEFT JOIN employees emp ON emp.id = e.employee_id
+            LEFT JOIN job_groups g ON g.code = e.job_group
+            LEFT JOIN LATERAL (
+                SELECT hourly_rate
+                FROM job_group_rates
+                WHERE job_group = e.job_group AND currency = COALESCE(emp.currency, g.currency)
+                    AND effective_from <= e.date
+                ORDER BY effective_from DESC
+                LIMIT 1
+            ) r ON true
+            ${scheduleJoinSql('e', 's')}
+            LEFT JOIN holidays h ON h.date = e.date
+            ${where}
+        ),
+        daily AS (
+            SELECT entries.*,
+                SUM(counted_hours) OVER (PARTITION BY employee_id, date ORDER BY id) AS day_total
+            FROM entries
+        ),
+        daily_split AS (
+            SELECT daily.*,
+                GREATEST(LEAST(day_total, daily_threshold) - (day_total - counted_hours), 0) AS daily_regular,
+                GREATEST(LEAST(day_total, daily_double_threshold) - GREATEST(day_total - counted_hours, daily_threshold), 0) AS daily_overtime,
+                GREATEST(day_total - GREATEST(day_total - counted_hours, daily_double_threshold), 0) AS double_time_hours
+            FROM daily
+        ),
+        weekly AS (
+            SELECT daily_split.*,
+                SUM(daily_regular) OVER (PARTITION BY employee_id, work_week ORDER BY date, id) AS week_total
+            FROM daily_split
+        ),
+        weekly_split AS (
+            SELECT weekly.*,
+                GREATEST(week_total - GREATEST(week_total - daily_regular, weekly_threshold), 0) AS weekly_overtime
+            FROM weekly
+        ),
+        repriced AS (
+            SELECT id, report_id, line, employee_id, date, job_group, hours_worked, hourly_rate, currency,
+                period_start, period_end,
+                daily_regular - weekly_overtime AS regular_hours,
+                ${roundToCentsSql('(daily_regular - weekly_overtime) * hourly_rate')} AS regular_amount,
+                daily_overtime + weekly_overtime AS overtime_hours,
+                ${roundToCentsSql('(daily_overtime + weekly_overtime) * hourly_rate * overtime_multiplier')}
+                    AS overtime_amount,
+                double_time_hours,
+                ${roundToCentsSql('double_time_hours * hourly_rate * double_time_multiplier')} AS double_time_amount,
+                hours_worked - counted_hours AS holiday_hours,
+                ${roundToCentsSql('(hours_worked - counted_hours) * hourly_rate * holiday_multiplier')}
+                    AS holiday_amount
+            FROM weekly_split
+        ),
+        priced AS (
+            SELECT repriced.* FROM repriced
+            WHERE NOT EXISTS (SELECT 1 FROM pay_period_entries closed WHERE closed.entry_id = repriced.id)
+            UNION ALL
+            SELECT id, report_id, line, employee_id, date, job_group, hours_worked, closed.hourly_rate, closed.currency,
+                closed.period_start, closed.period_end,
+                ${Object.values(PAY_CATEGORIES).map(column => `closed.${column}_hours, closed.${column}_amount`)
+                    .join(',\n                ')}
+            FROM repriced
+            JOIN pay_period_entries closed ON closed.entry_id = repriced.id
+        )`;
+}
+
+/**
+ * Builds the SQL columns that total the hours and amount of each premium category over priced entries. The
+ * amounts are already in cents, so their totals are exact.
+ * @returns {string} - The select list, see pricedEntriesSql().
+ */
+function categoryTotalsSql() {
+    return Object.values(PAY_CATEGORIES).map(column => `SUM(${column}_hours) AS ${column}_hours,
+                COALESCE(SUM(${column}_amount), 0.00) AS ${column}_amount`).join(',\n                ');
+}
+
+/**
+ * Builds the common table expressions that group the timekeeping entries into employee pay periods and total
+ * them, one row per currency the employee was paid in during the period. The last one is `totals`.
+ * Each entry is priced with the rate that was in force for its job group on the entry's date, and falls into
+ * a pay period according to its job group's pay schedule.
+ * A date range selects every pay period that overlaps it, so totals always cover whole periods. Employee and
+ * report filters select the entries, so overtime is only counted across the selected entries.
+ * Employee pay periods within a closed pay period report the totals kept when it closed, as they were paid and in
+ * the currencies they were paid in, whatever changed since. Their entries aren't totalled again, except when the
+ * report is filtered by report, as the kept totals cover every report: its share is totalled from the pricing kept
+ * for its entries.
+ * @param {Object} filters - The filters produced by parseReportQuery().
+ * @param {Function} param - Adds a query parameter and returns its placeholder, e.g. '$1'.
+ * @returns {string} - The CTEs, WITH included.
+ */
+function employeeTotalsSql(filters, param) {
+    const entryConditions = [];
+    const keptConditions = [];
+    const periodConditions = [];
+    if (filters.employeeIds) {
+        const employeeIds = param(filters.employeeIds);
+        entryConditions.push(`e.employee_id = ANY(${employeeIds}::int[])`);
+        keptConditions.push(`employee_id = ANY(${employeeIds}::int[])`);
+    }
+    if (filters.reportIds) {
+        entryConditions.push(`e.report_id = ANY(${param(filters.reportIds)}::text[])`);
+        keptConditions.push('false');
+    }
+    if (filters.startDate) {
+        const startDate = param(filters.startDate);
+        entryConditions.push(`e.date > ${startDate}::date - ${LOOKBACK_DAYS}`);
+        periodConditions.push(`period_end >= ${startDate}::date`);
+    }
+    if (filters.endDate) {
+        const endDate = param(filters.endDate);
+        entryConditions.push(`e.date < ${endDate}::date + ${MAX_PERIOD_DAYS}`);
+        periodConditions.push(`period_start <= ${endDate}::date`);
+    }
+    if (filters.payPeriod) {
+        const payPeriod = param(filters.payPeriod);
+        entryConditions.push(`e.date > ${payPeriod}::date - 7 AND e.date < ${payPeriod}::date + ${MAX_PERIOD_DAYS}`);
+        periodConditions.push(`period_start = ${payPeriod}::date`);
+    }
+
+    const where = (conditions) => conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const totalColumns = Object.values(PAY_CATEGORIES).flatMap(column => [`${column}_hours`, `${column}_amount`]);
+
+    return `
+        WITH ${pricedEntriesSql(where(entryConditions))},
+        kept AS (
+            SELECT employee_id, start_date AS period_start, end_date AS period_end, currency::text AS currency,
+                ${totalColumns.join(', ')}
+            FROM pay_period_totals
+            ${where(keptConditions)}
+        ),
+        calculated AS (
+            SELECT employee_id, period_start, period_end, currency,
+                ${categoryTotalsSql()}
+            FROM priced
+            WHERE NOT EXISTS (
+                SELECT 1 FROM kept
+                WHERE kept.employee_id = priced.employee_id
+                    AND kept.period_start = priced.period_start
+                    AND kept.period_end = priced.period_end
+            )
+            GROUP BY employee_id, period_start, period_end, currency
+        ),
+        totals AS (
+            SELECT * FROM (
+                SELECT employee_id, period_start, period_end, currency, ${totalColumns.join(', ')} FROM calculated
+                UNION ALL
+                SELECT * FROM kept
+            ) periods
+            ${where(periodConditions)}
+        )`;
+}
+
+/**
+ * Builds the SQL of the payroll report, one row per employee pay period and currency, see employeeTotalsSql().
+ * @param {Object} filters - The filters produced by parseReportQuery().
+ * @returns {Object} - The parameterised query as `{ text, values }`.
+ */
+function buildReportQuery(filters) {
+    const { add: param, values } = db.queryParams();
+    const columns = Object.values(PAY_CATEGORIES);
+    const ctes = employeeTotalsSql(filters, param);
+
+    const pagination = filters.limit !== undefined ? pageSql(filters, param) : '';
+
+    const text = `${ctes}
+        SELECT employee_id, emp.name AS employee_name, totals.currency,
+            to_char(period_start, 'YYYY-MM-DD') AS start_date,
+            to_char(period_end, 'YYYY-MM-DD') AS end_date,
+            ${columns.map(column => `${column}_hours::text, ${column}_amount::text`).join(',\n            ')},
+            (${columns.map(column => `${column}_amount`).join(' + ')})::text AS amount_paid
+        FROM totals
+        LEFT JOIN employees emp ON emp.id = totals.employee_id
+        ORDER BY employee_id, period_start, totals.currency
+        ${pagination};
+    `;
+    return { text, values };
+}
+
+/**
+ * Builds the SQL that totals the payroll report by currency, over every page of it.
+ * @param {Object} filters - The filters produced by parseReportQuery().
+ * @returns {Object} - The parameterised query as `{ text, values }`.
+ */
+function buildCurrencyTotalsQuery(filters) {
+    const { add: param, values } = db.queryParams();
+    const columns = Object.values(PAY_CATEGORIES);
+
+    const text = `${employeeTotalsSql(filters, param)}
+        SELECT currency,
+            SUM(${columns.map(column => `${column}_hours`).join(' + ')})::text AS hours,
+            SUM(${columns.map(column => `${column}_amount`).join(' + ')})::text AS amount_paid
+        FROM totals
+        GROUP BY currency
+        ORDER BY currency;
+    `;
+    return { text, values };
+}
+
+/**
+ * Converts the hours and amounts of each premium category of a row into a breakdown.
+ * @param {Object} row - A row with the `<category>_hours` and `<category>_amount` columns and its `currency`.
+ * @param {string} [locale] - The locale to format amounts for.
+ * @returns {Object} - The breakdown by premium category, see PAY_CATEGORIES.
+ */
+function formatBreakdown(row, locale) {
+    return Object.fromEntries(Object.entries(PAY_CATEGORIES).map(([category, column]) => [category, {
+        hours: Number(row[`${column}_hours`]),
+        amount: formatAmount(row[`${column}_amount`], row.currency, locale),
+        amountMoney: toMoney(row[`${column}_amount`], row.currency)
+    }]));
+}
+
+/**
+ * Converts a row of the report query into an employee report.
+ * @param {Object} row - A row produced by buildReportQuery().
+ * @param {string} [locale] - The locale to format amounts and dates for.
+ * @returns {Object} - The employee report.
+ */
+function formatEmployeeReport(row, locale) {
+    return {
+        employeeId: row.employee_id.toString(),
+        employeeName: row.employee_name,
+        payPeriod: {
+            startDate: formatDate(row.start_date, locale),
+            endDate: formatDate(row.end_date, locale)
+        },
+        breakdown: formatBreakdown(row, locale),
+        amountPaid: formatAmount(row.amount_paid, row.currency, locale),
+        amountPaidMoney: toMoney(row.amount_paid, row.currency)
+    };
+}
+
+/**
+ * Generates the payroll report for the given filters. An employee paid in several currencies during a pay
+ * period has an employee report for each, and the report is totalled by currency rather than across them.
+ * @param {Object} filters - The filters produced by parseReportQuery().
+ * @returns {Promise<Object>} - A promise that resolves to the payroll report.
+ */
+async function getPayrollReport(filters) {
+    const result = await db.query(buildReportQuery(filters));
+    let rows = result.rows;
+
+    const payrollReport = { employeeReports: [] };
+    if (filters.limit !== undefined) {
+        const page = pageOf(rows, filters);
+        rows = page.rows;
+        payrollReport.pagination = page.pagination;
+    }
+
+    payrollReport.employeeReports = rows.map(row => formatEmployeeReport(row, filters.locale));
+    const totals = await db.query(buildCurrencyTotalsQuery(filters));
+    payrollReport.totals = totals.rows.map(row => ({
+        currency: row.currency,
+        hours: Number(row.hours),
+        amountPaid: formatAmount(row.amount_paid, row.currency, filters.locale),
+        amountPaidMoney: toMoney(row.amount_paid, row.currency)
+    }));
+    return payrollReport;
+}
+
+/**
+ * Builds the SQL expression that totals the amounts of every premium category of grouped priced entries.
+ * @returns {string} - The expression, an exact sum of cents.
+ */
+function amountSql() {
+    return `SUM(${Object.values(PAY_CATEGORIES).map(column => `${column}_amount`).join(' + ')})`;
+}
+
+/**
+ * Builds the SQL that totals one employee's pay period by job group, pay rate and currency, for the lines of a
+ * pay stub. A period within a closed pay period has the lines kept when it closed.
+ * @param {number} employeeId - The employee's id.
+ * @param {string} payPeriod - The start date of the pay period (YYYY-MM-DD).
+ * @returns {Object} - The parameterised query as `{ text, values }`.
+ */
+function buildPayStubQuery(employeeId, payPeriod) {
+    const text = `
+        WITH ${pricedEntriesSql(`WHERE e.employee_id = $1 AND e.date > $2::date - 7 AND e.date < $2::date + ${MAX_PERIOD_DAYS}`)},
+        closed AS (
+            SELECT line->>'jobGroup' AS job_group, line->>'rate' AS hourly_rate, currency::text,
+                line->>'hours' AS hours, line->>'amount' AS amount
+            FROM pay_period_totals, jsonb_array_elements(lines) line
+            WHERE employee_id = $1 AND start_date = $2::date
+        )
+        SELECT * FROM (
+            SELECT * FROM closed
+            UNION ALL
+            SELECT job_group, hourly_rate::text, currency,
+                SUM(hours_worked)::text AS hours,
+                ${amountSql()}::text AS amount
+            FROM priced
+            WHERE period_start = $2::date AND NOT EXISTS (SELECT 1 FROM closed)
+            GROUP BY job_group, hourly_rate, currency
+        ) lines
+        ORDER BY currency, job_group, hourly_rate::numeric;
+    `;
+    return { text, values: [employeeId, payPeriod] };
+}
+
+/**
+ * Builds the SQL that keeps the report totals and pay stub lines of every employee pay period within a pay
+ * period that is being closed, one row per currency, see buildReportQuery() and buildPayStubQuery(), and how each
+ * of their entries was priced, see pricedEntriesSql(). Employee pay periods that only partly overlap it, under a
+ * job group's own schedule, aren't kept.
+ * @param {number} payPeriodId - The id of the pay period.
+ * @param {string} startDate - Its first day (YYYY-MM-DD).
+ * @param {string} endDate - Its last day (YYYY-MM-DD).
+ * @returns {Object} - The parameterised query as `{ text, values }`, inserting into pay_period_entries and
+ * pay_period_totals.
+ */
+function buildPeriodTotalsQuery(payPeriodId, startDate, endDate) {
+    const columns = Object.values(PAY_CATEGORIES);
+    const text = `
+        WITH ${pricedEntriesSql(`WHERE e.date > $2::date - ${LOOKBACK_DAYS}
+            AND e.date < $3::date + ${MAX_PERIOD_DAYS}`)},
+        contained AS (
+            SELECT * FROM priced WHERE period_start >= $2::date AND period_end <= $3::date
+        ),
+        totals AS (
+            SELECT employee_id, period_start, period_end, currency,
+                ${categoryTotalsSql()}
+            FROM contained
+            GROUP BY employee_id, period_start, period_end, currency
+        ),
+        lines AS (
+            SELECT employee_id, period_start, period_end, currency,
+                jsonb_agg(jsonb_build_object(
+                    'jobGroup', job_group, 'rate', hourly_rate::text, 'hours', hours::text, 'amount', amount::text
+                ) ORDER BY job_group, hourly_rate) AS lines
+            FROM (
+                SELECT employee_id, period_start, period_end, currency, job_group, hourly_rate,
+                    SUM(hours_worked) AS hours,
+                    ${amountSql()} AS amount
+                FROM contained
+                GROUP BY employee_id, period_start, period_end, currency, job_group, hourly_rate
+            ) grouped
+            GROUP BY employee_id, period_start, period_end, currency
+        ),
+        kept_entries AS (
+            INSERT INTO pay_period_entries (entry_id, pay_period_id, period_start, period_end, currency, hourly_rate,
+                ${columns.map(column => `${column}_hours, ${column}_amount`).join(', ')})
+            SELECT id, $1, period_start, period_end, currency, hourly_rate,
+                ${columns.map(column => `${column}_hours, ${column}_amount`).join(', ')}
+            FROM contained
+        )
+        INSERT INTO pay_period_totals (pay_period_id, employee_id, start_date, end_date, currency,
+            ${columns.map(column => `${column}_hours, ${column}_amount`).join(', ')}, lines)
+        SELECT $1, employee_id, period_start, period_end, currency,
+            ${columns.map(column => `${column}_hours, ${column}_amount`).join(', ')}, lines
+        FROM totals
+        JOIN lines USING (employee_id, period_start, period_end, currency);
+    `;
+    return { text, values: [payPeriodId, startDate, endDate] };
+}
+
+/**
+ * Gathers what an employee's pay stub shows for one pay period: the hours, rate and amount of each job group
+ * worked, and for each currency paid in the premium breakdown and total of the payroll report.
+ * @param {number} employeeId - The employee's id.
+ * @param {string} payPeriod - The start date of the pay period (YYYY-MM-DD).
+ * @param {Object} [options] - Options.
+ * @param {string} [options.locale] - The locale to format amounts and dates for.
+ * @returns {Promise<Object|null>} - A promise that resolves to the pay stub, or null if the employee has no
+ * hours in that pay period.
+ */
+async function getPayStub(employeeId, payPeriod, { locale } = {}) {
+    const report = await db.query(buildReportQuery({ employeeIds: [employeeId], payPeriod }));
+    if (report.rows.length === 0) {
+        return null;
+    }
+    const employeeReports = report.rows.map(row => formatEmployeeReport(row, locale));
+    const result = await db.query(buildPayStubQuery(employeeId, payPeriod));
+    return {
+        employeeId: employeeReports[0].employeeId,
+        employeeName: employeeReports[0].employeeName,
+        payPeriod: employeeReports[0].payPeriod,
+        earnings: employeeReports.map(({ breakdown, amountPaid, amountPaidMoney }) => ({
+            currency: amountPaidMoney.currency,
+            breakdown,
+            amountPaid,
+            amountPaidMoney
+        })),
+        lines: result.rows.map(row => ({
+            jobGroup: row.job_group,
+            currency: row.currency,
+            rate: formatAmount(row.hourly_rate, row.currency, locale),
+            hours: Number(row.hours),
+            amount: formatAmount(row.amount, row.currency, locale)
+        }))
+    };
+}
+
+/**
+ * Builds the SQL that prices each timekeeping entry of one employee's pay period, the way the payroll report
+ * does before totalling them.
+ * @param {number} employeeId - The employee's id.
+ * @param {string} payPeriod - The start date of the pay period (YYYY-MM-DD).
+ * @returns {Object} - The parameterised query as `{ text, values }`.
+ */
+function buildPeriodEntriesQuery(employeeId, payPeriod) {
+    const columns = Object.values(PAY_CATEGORIES);
+    const text = `
+        WITH ${pricedEntriesSql(`WHERE e.employee_id = $1
+            AND e.date > $2::date - 7 AND e.date < $2::date + ${MAX_PERIOD_DAYS}`)}
+        SELECT id, report_id, line, to_char(date, 'YYYY-MM-DD') AS date, job_group, currency,
+            hours_worked::text, hourly_rate::text,
+            ${columns.map(column => `${column}_hours::text, ${column}_amount::text`).join(',\n            ')},
+            (${columns.map(column => `${column}_amount`).join(' + ')})::text AS amount
+        FROM priced
+        WHERE period_start = $2::date
+        ORDER BY date, id;
+    `;
+    return { text, values: [employeeId, payPeriod] };
+}
+
+/**
+ * Explains an employee's pay period entry by entry: its totals as the payroll report has them, and every
+ * timekeeping entry within it with the rate applied, the amount it adds to each premium category and the
+ * report and line it was uploaded in. The amounts of the entries add up to the amount paid in each currency,
+ * see lib/money.js. In a closed pay period both are the ones kept when it closed, see pricedEntriesSql().
+ * @param {number} employeeId - The employee's id.
+ * @param {string} payPeriod - The start date of the pay period (YYYY-MM-DD).
+ * @param {Object} [options] - Options.
+ * @param {string} [options.locale] - The locale to format amounts and dates for.
+ * @returns {Promise<Object|null>} - A promise that resolves to `{ payPeriod, totals, entries }`, or null if the
+ * employee has no hours in that pay period.
+ */
+async function getPayPeriodEntries(employeeId, payPeriod, { locale } = {}) {
+    const report = await db.query(buildReportQuery({ employeeIds: [employeeId], payPeriod }));
+    if (report.rows.length === 0) {
+        return null;
+    }
+    const employeeReports = report.rows.map(row => formatEmployeeReport(row, locale));
+    const result = await db.query(buildPeriodEntriesQuery(employeeId, payPeriod));
+    return {
+        payPeriod: employeeReports[0].payPeriod,
+        totals: employeeReports.map(({ breakdown, amountPaid, amountPaidMoney }) => ({
+            breakdown,
+            amountPaid,
+            amountPaidMoney
+        })),
+        entries: result.rows.map(row => ({
+            id: row.id,
+            reportId: row.report_id,
+            line: row.line,
+            date: formatDate(row.date, locale),
+            jobGroup: row.job_group,
+            hoursWorked: Number(row.hours_worked),
+            rate: formatAmount(row.hourly_rate, row.currency, locale),
+            breakdown: formatBreakdown(row, locale),
+            amount: formatAmount(row.amount, row.currency, locale),
+            amountMoney: toMoney(row.amount, row.currency)
+        }))
+    };
+}
+
+module.exports = {
+    toList,
+    parseReportQuery,
+    pricedEntriesSql,
+    amountSql,
+    buildReportQuery,
+    buildCurrencyTotalsQuery,
+    buildPeriodTotalsQuery,
+    getPayrollReport,
+    getPayStub,
+    getPayPeriodEntries
+};
@@ -0,0 +1,550 @@
+const multer = require('multer');
+const fs = require('fs');
+const util = require('util');
+const crypto = require('crypto');
+const path = require('path');
+const db = require('./db');
+const { getConfig } = require('./config');
+const {
+    MAX_ISSUES,
+    ValidationError,
+    issue,
+    createIssueList,
+    resolveDateFormat,
+    validateRow,
+    duplicateIssue,
+    checkEntries
+} = require('./validation');
+const { DATE_FORMATS, createDateFormatDetector } = require('./dates');
+const { recordAuditEvent } = require('./audit');
+const { findStagedEntriesInClosedPeriods, checkReportIsOpen } = require('./payPeriodClosing');
+const { checkAnomalies, recordAnomalies } = require('./anomalies');
+const { readRows, formatOf, supportedFormats } = require('./parsers');
+
+// SQLSTATE of a unique constraint violation, raised when two uploads of the same report race each other
+const UNIQUE_VIOLATION = '23505';
+
+// Rows sent to the database in one statement while a file is imported. Only one batch is held in memory
+const BATCH_SIZE = 1000;
+
+// Report ids appear in URLs such as /reports/:reportId, so they are kept to characters that need no escaping
+const REPORT_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,254}$/;
+
+// File names the report id is taken from when an upload doesn't declare one, e.g. time-report-42.csv
+const REPORT_FILE_NAME = /^time-report-(\d+)$/;
+
+// Using async file deletion
+const unlinkAsync = util.promisify(fs.unlink);
+
+/*
+    Handles file uploads of at most the maxUploadMb setting (No DoS attacks). The limit is read on every request,
+    and a larger file is answered with a 413 status once multer has removed what it had written.
+*/
+const upload = {
+    /**
+     * Accepts a single file and writes it to disk.
+     * @param {string} field - The form field holding the file.
+     * @returns {Function} - The Express.js middleware, which provides the file via req.file.
+     */
+    single: (field) => (req, res, next) => {
+        const { maxUploadMb } = getConfig();
+        const accept = multer({ dest: 'uploads/', limits: { fileSize: maxUploadMb * 1024 * 1024 } }).single(field);
+        accept(req, res, (error) => {
+            if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File is larger than the upload limit of ${maxUploadMb} MB` });
+            }
+            next(error);
+        });
+    }
+};
+
+/**
+ * Calculates the SHA-256 checksum of an uploaded file, so the audit log can identify the exact file received.
+ * @param {string} filePath - The path to the uploaded file.
+ * @returns {Promise<string>} - A promise that resolves to the checksum as a hex string.
+ */
+const checksumFile = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', (err) => reject(err));
+    });
+};
+
+/**
+ * Checks the parts of an upload request that don't depend on the content of the file.
+ * @param {Object} file - The uploaded file provided by multer, if any.
+ * @param {string} [dateFormat] - The date format declared by the upload.
+ * @returns {string|null} - The error to respond with, or null when the request is acceptable.
+ */
+function checkUploadRequest(file, dateFormat) {
+    if (!file) {
+        return 'No file uploaded';
+    }
+    if (!formatOf(file.originalname)) {
+        return `Only ${supportedFormats()} files are allowed`;
+    }
+    if (dateFormat !== undefined && !DATE_FORMATS.has(dateFormat)) {
+        return `dateFormat must be one of ${[...DATE_FORMATS.keys()].join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Works out which report an upload is for: the id it declares, or else the number in a file named
+ * time-report-<id>.
+ * @param {string} [declared] - The report id declared by the upload.
+ * @param {string} filename - The name of the uploaded file.
+ * @returns {Object} - Either `{ reportId }` or `{ error }`.
+ */
+function resolveReportId(declared, filename) {
+    if (declared !== undefined && declared !== '') {
+        return REPORT_ID.test(declared)
+            ? { reportId: declared }
+            : { error: 'reportId may only contain letters, digits, ., - and _, starting with a letter or digit' };
+    }
+    const match = path.basename(filename, path.extname(filename)).match(REPORT_FILE_NAME);
+    if (!match) {
+        return {
+            error: 'No report id given. Send a reportId form field or an X-Report-Id header, '
+                + 'or name the file time-report-<id>.csv, .xlsx or .json'
+        };
+    }
+    return { reportId: match[1] };
+}
+
+/**
+ * Reads how uploads should treat entries already stored as another report from the duplicateContent setting.
+ * @returns {string} - 'reject' to refuse such uploads, or 'warn' to store them with a warning.
+ */
+function duplicateContentMode() {
+    return getConfig().duplicateContent;
+}
+
+/**
+ * Reads an uploaded time report once to check its headers, count its rows and, unless it is declared, work out
+ * the format of its dates. The rows themselves are checked while they are imported. Nothing is written to the
+ * database.
+ * @param {string} filePath - The path to the uploaded file.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.dateFormat] - The format the dates are written in, detected when omitted.
+ * @param {string} [options.format] - The format of the file, see formatOf(). CSV when omitted.
+ * @param {Object} [options.profile] - The import profile to read it with, the default layout when omitted.
+ * @returns {Promise<Object|null>} - A promise that resolves to the timesheet to pass to checkTimesheet(),
+ * storeReport() or replaceReport(), with the number of rows that aren't empty as `rowCount`, or null when the file
+ * has no rows. Rejects with a ValidationError when the
+ * headers are missing or incomplete, or the file can't be read in its format.
+ */
+async function openTimesheet(filePath, { dateFormat, format = 'csv', profile } = {}) {
+    const detector = createDateFormatDetector();
+    let rowCount = 0;
+    for await (const { row } of readRows(filePath, format, profile)) {
+        rowCount += 1;
+        if (!dateFormat && row.date !== undefined && row.date.trim() !== '') {
+            detector.add(row.date);
+        }
+    }
+    if (rowCount === 0) {
+        return null;
+    }
+    const dates = resolveDateFormat(dateFormat ? null : detector.result(), dateFormat);
+    return { filePath, format, profile, rowCount, dates };
+}
+
+/**
+ * Validates the rows of a time report while copying them into a temporary ingest_entries table, a batch at a
+ * time. Each batch is checked against the job group rates and the employees as it is copied, and rows for the
+ * same employee on the same date as an earlier row, or in a closed pay period, are found once the whole file is
+ * in, as errors. Must be called
+ * inside a transaction, the table is dropped when it ends.
+ * @param {Object} client - The client of the transaction.
+ * @param {Object} timesheet - The timesheet returned by openTimesheet().
+ * @param {Function} [onProgress] - Called with the number of rows read so far after each batch is checked.
+ * @returns {Promise<Object>} - A promise that resolves to `{ rowCount, warnings, dateFormat }`. Rejects with a
+ * ValidationError listing the problems found, up to MAX_ISSUES of each kind, so the caller rolls back.
+ */
+async function stageTimesheet(client, { filePath, format, profile, dates }, onProgress = () => {}) {
+    const errors = createIssueList();
+    const warnings = createIssueList();
+    dates.errors.forEach(errors.add);
+    dates.warnings.forEach(warnings.add);
+
+    await client.query(
+        `CREATE TEMP TABLE ingest_entries (
+             line INTEGER NOT NULL,
+             date DATE NOT NULL,
+             hours_worked NUMERIC NOT NULL,
+             employee_id INTEGER NOT NULL,
+             job_group TEXT NOT NULL
+         ) ON COMMIT DROP`
+    );
+
+    let batch = [];
+    let rowCount = 0;
+    let rowsRead = 0;
+    const flush = async () => {
+        await client.query(
+            `INSERT INTO ingest_entries (line, date, hours_worked, employee_id, job_group)
+             SELECT * FROM unnest($1::int[], $2::date[], $3::numeric[], $4::int[], $5::text[])`,
+            [
+                batch.map(entry => entry.line),
+                batch.map(entry => entry.date),
+                batch.map(entry => entry.hours_worked),
+                batch.map(entry => entry.employee_id),
+                batch.map(entry => entry.job_group)
+            ]
+        );
+        const problems = await checkEntries(batch, client);
+        problems.errors.forEach(errors.add);
+        problems.warnings.forEach(warnings.add);
+        batch = [];
+        onProgress(rowsRead);
+    };
+
+    for await (const { line, row } of readRows(filePath, format, profile)) {
+        const { entry, errors: rowErrors } = validateRow(line, row, dates);
+        rowErrors.forEach(errors.add);
+        rowsRead += 1;
+        if (entry) {
+            batch.push(entry);
+            rowCount += 1;
+            if (batch.length === BATCH_SIZE) {
+                await flush();
+            }
+        }
+    }
+    if (batch.length > 0) {
+        await flush();
+    } else {
+        onProgress(rowsRead);
+    }
+
+    const duplicates = await client.query(
+        `SELECT line, employee_id, to_char(date, 'YYYY-MM-DD') AS date, first_line, count(*) OVER () AS total
+         FROM (
+             SELECT line, employee_id, date, min(line) OVER (PARTITION BY employee_id, date) AS first_line
+             FROM ingest_entries
+         ) entries
+         WHERE line > first_line
+         ORDER BY line
+         LIMIT $1`,
+        [MAX_ISSUES]
+    );
+    duplicates.rows.forEach(duplicate => errors.add(duplicateIssue(duplicate)));
+    if (duplicates.rows.length > 0) {
+        errors.omit(Number(duplicates.rows[0].total) - duplicates.rows.length);
+    }
+
+    // Hours in a closed pay period have been paid out, they can only change once it is reopened
+    const closed = await findStagedEntriesInClosedPeriods(client);
+    closed.forEach(entry => errors.add(issue(
+        entry.line, 'date', entry.date, `date falls in the closed pay period ${entry.start_date} to ${entry.end_date}`
+    )));
+    if (closed.length > 0) {
+        errors.omit(Number(closed[0].total) - closed.length);
+    }
+
+    if (errors.size() > 0) {
+        throw new ValidationError(errors.list(), warnings.list());
+    }
+    return { rowCount, warnings: warnings.list(), dateFormat: dates.format };
+}
+
+/**
+ * Hashes the staged entries of a time report and looks for another report holding the same entries. The hash
+ * ignores the format, layout and row order of the file. Depending on duplicateContentMode() a match is added to
+ * the warnings or rejects the upload. Must be called inside the transaction that staged the entries, see
+ * stageTimesheet(), and holds a lock on the hash until it ends so two uploads of the same entries can't both
+ * miss each other.
+ * @param {Object} client - The client of the transaction.
+ * @param {string} [reportId] - The id of the report the entries are for, which doesn't count as a match.
+ * @param {Object} imported - What stageTimesheet() resolved to.
+ * @returns {Promise<Object>} - A promise that resolves to `imported` with the `contentHash` of the entries (null
+ * when there are none), and a warning when they match another report. Rejects with a ValidationError when a match
+ * is rejected.
+ */
+async function checkContent(client, reportId, imported) {
+    const hashed = await client.query(
+        `SELECT encode(sha256(convert_to(string_agg(
+             concat_ws(',', to_char(date, 'YYYY-MM-DD'), hours_worked::numeric(5, 2), employee_id, job_group),
+             E'\n' ORDER BY date, employee_id, job_group, hours_worked
+         ), 'UTF8')), 'hex') AS content_hash
+         FROM ingest_entries
+         HAVING count(*) > 0`
+    );
+    // A file without entries has nothing to compare
+    if (hashed.rows.length === 0) {
+        return { ...imported, contentHash: null };
+    }
+    const contentHash = hashed.rows[0].content_hash;
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [contentHash]);
+    const same = await client.query(
+        `SELECT report_id FROM timekeeping_reports
+         WHERE content_hash = $1 AND report_id IS DISTINCT FROM $2
+         ORDER BY created_at
+         LIMIT 1`,
+        [contentHash, reportId]
+    );
+    if (same.rows.length === 0) {
+        return { ...imported, contentHash };
+    }
+    const message = `The same entries were already uploaded as report ${same.rows[0].report_id}`;
+    const problem = issue(null, null, null, message);
+    if (duplicateContentMode() === 'reject') {
+        throw new ValidationError([problem], imported.warnings);
+    }
+    return { ...imported, contentHash, warnings: [problem, ...imported.warnings] };
+}
+
+/**
+ * Validates an uploaded time report without storing it. The rows are staged like an import, see
+ * stageTimesheet(), in a transaction that keeps nothing, compared with the stored reports, see checkContent(),
+ * and checked for anomalies, see checkAnomalies().
+ * @param {Object} timesheet - The timesheet returned by openTimesheet().
+ * @param {string} [reportId] - The id of the report the file is for.
+ * @returns {Promise<Object>} - A promise that resolves to `{ rowCount, warnings, dateFormat }`. Rejects with a
+ * ValidationError listing the problems found.
+ */
+async function checkTimesheet(timesheet, reportId) {
+    return db.withTransaction(async (client) => {
+        const staged = await stageTimesheet(client, timesheet);
+        const { contentHash, ...checked } = await checkContent(client, reportId, staged);
+        return checkAnomalies(client, reportId, checked);
+    });
+}
+
+/**
+ * Inserts the staged entries of a time report, in the order of the file and with the line each was read from.
+ * Must be called inside the transaction that staged them, see stageTimesheet().
+ * @param {Object} client - The client of the transaction.
+ * @param {string} reportId - The id of the report the entries belong to.
+ * @returns {Promise<void>} - A promise that resolves once every entry is inserted.
+ */
+async function insertEntries(client, reportId) {
+    await client.query(
+        `INSERT INTO timekeeping_entries (report_id, line, date, hours_worked, employee_id, job_group)
+         SELECT $1, line, date, hours_worked, employee_id, job_group FROM ingest_entries ORDER BY line`,
+        [reportId]
+    );
+}
+
+/**
+ * Copies a report and its entries into timekeeping_report_versions before they are replaced or deleted.
+ * Must be called inside a transaction, with the report locked.
+ * @param {Object} client - The client of the transaction.
+ * @param {string} reportId - The id of the report.
+ * @param {string} reason - Why the version is being superseded: 'replaced' or 'deleted'.
+ * @returns {Promise<number>} - A promise that resolves to the number of entries the saved version had.
+ */
+async function saveReportVersion(client, reportId, reason) {
+    const result = await client.query(
+        `INSERT INTO timekeeping_report_versions (report_id, version, filename, uploaded_at, uploaded_by, reason, entries)
+         SELECT r.report_id, r.version, r.filename, COALESCE(r.updated_at, r.created_at), r.uploaded_by, $2,
+             COALESCE(
+                 json_agg(
+                     json_build_object(
+                         'date', to_char(e.date, 'YYYY-MM-DD'),
+                         'hoursWorked', e.hours_worked::text,
+                         'employeeId', e.employee_id,
+                         'jobGroup', e.job_group
+                     )
+                     ORDER BY e.id
+                 ) FILTER (WHERE e.id IS NOT NULL),
+                 '[]'
+             )
+         FROM timekeeping_reports r
+         LEFT JOIN timekeeping_entries e ON e.report_id = r.report_id
+         WHERE r.report_id = $1
+         GROUP BY r.report_id, r.version, r.filename, r.updated_at, r.created_at, r.uploaded_by
+         RETURNING jsonb_array_length(entries) AS entry_count`,
+        [reportId, reason]
+    );
+    return result.rows[0].entry_count;
+}
+
+/**
+ * Locks a stored time report until the end of the transaction, so concurrent corrections are applied one
+ * after the other.
+ * @param {Object} client - The client of the transaction.
+ * @param {string} reportId - The id of the report.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the report exists.
+ */
+async function lockReport(client, reportId) {
+    const result = await client.query(
+        'SELECT version FROM timekeeping_reports WHERE report_id = $1 FOR UPDATE',
+        [reportId]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Retrieves an uploaded time report.
+ * @param {string} reportId - The id of the report.
+ * @returns {Promise<Object|null>} - A promise that resolves to `{ reportId, filename, version }`, or null if it
+ * doesn't exist.
+ */
+async function getReport(reportId) {
+    const result = await db.query(
+        'SELECT report_id, filename, version FROM timekeeping_reports WHERE report_id = $1',
+        [reportId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    const [row] = result.rows;
+    return { reportId: row.report_id, filename: row.filename, version: row.version };
+}
+
+/**
+ * Stores a new time report and its entries in a single transaction, along with its audit event. The rows are
+ * validated while they are imported, a file with problems leaves nothing behind, compared with the stored
+ * reports, see checkContent(), and checked for anomalies, which are kept with the report when they are warnings,
+ * see checkAnomalies().
+ * @param {string} reportId - The id of the report.
+ * @param {string} filename - The name of the uploaded file.
+ * @param {Object} timesheet - The timesheet returned by openTimesheet().
+ * @param {Object} audit - Who uploaded the file and its checksum, as `{ actor, checksum }`.
+ * @param {Function} [onProgress] - Called with the number of rows read so far, see stageTimesheet().
+ * @returns {Promise<Object|null>} - A promise that resolves to `{ rowCount, warnings, dateFormat }` once the report
+ * is stored, or null if a report with this id was stored first, e.g. by a concurrent upload. Rejects with a
+ * ValidationError listing the problems found.
+ */
+async function storeReport(reportId, filename, timesheet, { actor, checksum }, onProgress) {
+    try {
+        // The transaction ensures that the full file gets inserted, or nothing in case of an error
+        return await db.withTransaction(async (client) => {
+            // Track the report that was uploaded and its ID
+            await client.query(
+                'INSERT INTO timekeeping_reports (report_id, filename, uploaded_by) VALUES ($1, $2, $3)',
+                [reportId, filename, actor]
+            );
+            const staged = await stageTimesheet(client, timesheet, onProgress);
+            const { contentHash, ...checked } = await checkContent(client, reportId, staged);
+            const imported = await checkAnomalies(client, reportId, checked);
+            await insertEntries(client, reportId);
+            await recordAnomalies(client, reportId);
+            await client.query(
+                'UPDATE timekeeping_reports SET content_hash = $2 WHERE report_id = $1',
+                [reportId, contentHash]
+            );
+            await recordAuditEvent(client, {
+                actor, action: 'upload', reportId, rowsAdded: imported.rowCount, rowsRemoved: 0, checksum
+            });
+            return imported;
+        });
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION && error.table === 'timekeeping_reports') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Replaces every entry of a stored time report in a single transaction. The previous version is kept in
+ * timekeeping_report_versions and the replacement is recorded in the audit log. The rows are validated while
+ * they are imported, a file with problems leaves the report unchanged, compared with the other stored reports,
+ * see checkContent(), and checked for anomalies, which replace those kept for the previous version, see
+ * checkAnomalies().
+ * @param {string} reportId - The id of the report.
+ * @param {string} filename - The name of the corrected file.
+ * @param {Object} timesheet - The timesheet returned by openTimesheet().
+ * @param {Object} audit - Who uploaded the file and its checksum, as `{ actor, checksum }`.
+ * @returns {Promise<Object|null>} - A promise that resolves to `{ report, rowCount, warnings }`, report being the
+ * updated report, or null if it doesn't exist. Rejects with a ValidationError listing the problems found, or a
+ * PeriodClosedError when the report has entries in a closed pay period.
+ */
+async function replaceReport(reportId, filename, timesheet, { actor, checksum }) {
+    return db.withTransaction(async (client) => {
+        if (!(await lockReport(client, reportId))) {
+            return null;
+        }
+        await checkReportIsOpen(client, reportId);
+        const staged = await stageTimesheet(client, timesheet);
+        const { contentHash, ...checked } = await checkContent(client, reportId, staged);
+        const { rowCount, warnings } = await checkAnomalies(client, reportId, checked);
+        const rowsRemoved = await saveReportVersion(client, reportId, 'replaced');
+        await client.query('DELETE FROM timekeeping_entries WHERE report_id = $1', [reportId]);
+        await insertEntries(client, reportId);
+        await recordAnomalies(client, reportId);
+        await recordAuditEvent(client, {
+            actor, action: 'replace', reportId, rowsAdded: rowCount, rowsRemoved, checksum
+        });
+        const result = await client.query(
+            `UPDATE timekeeping_reports
+             SET filename = $2, uploaded_by = $3, content_hash = $4, version = version + 1,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE report_id = $1
+             RETURNING report_id, filename, version`,
+            [reportId, filename, actor, contentHash]
+        );
+        const [row] = result.rows;
+        const report = { reportId: row.report_id, filename: row.filename, version: row.version };
+        return { report, rowCount, warnings };
+    });
+}
+
+/**
+ * Deletes a stored time report and, through the ON DELETE CASCADE, its entries. The deleted version is kept
+ * in timekeeping_report_versions and the deletion is recorded in the audit log.
+ * @param {string} reportId - The id of the report.
+ * @param {Object} audit - Who deleted the report, as `{ actor }`.
+ * @returns {Promise<boolean>} - A promise that resolves to true if a report was deleted. Rejects with a
+ * PeriodClosedError when the report has entries in a closed pay period.
+ */
+async function deleteReport(reportId, { actor }) {
+    return db.withTransaction(async (client) => {
+        if (!(await lockReport(client, reportId))) {
+            return false;
+        }
+        await checkReportIsOpen(client, reportId);
+        const rowsRemoved = await saveReportVersion(client, reportId, 'deleted');
+        await client.query('DELETE FROM timekeeping_reports WHERE report_id = $1', [reportId]);
+        await recordAuditEvent(client, { actor, action: 'delete', reportId, rowsAdded: 0, rowsRemoved });
+        return true;
+    });
+}
+
+/**
+ * Lists the superseded versions of a time report, newest first.
+ * @param {string} reportId - The id of the report.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the versions with their entries.
+ */
+async function listReportVersions(reportId) {
+    const result = await db.query(
+        `SELECT version, filename, uploaded_by, reason, entries,
+             to_char(uploaded_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS uploaded_at,
+             to_char(superseded_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS superseded_at
+         FROM timekeeping_report_versions
+         WHERE report_id = $1
+         ORDER BY id DESC`,
+        [reportId]
+    );
+    return result.rows.map(row => ({
+        version: row.version,
+        filename: row.filename,
+        uploadedBy: row.uploaded_by,
+        reason: row.reason,
+        uploadedAt: row.uploaded_at,
+        supersededAt: row.superseded_at,
+        entries: row.entries
+    }));
+}
+
+module.exports = {
+    upload,
+    unlinkAsync,
+    BATCH_SIZE,
+    checksumFile,
+    checkUploadRequest,
+    resolveReportId,
+    openTimesheet,
+    checkTimesheet,
+    getReport,
+    storeReport,
+    replaceReport,
+    deleteReport,
+    listReportVersions
+};
@@ -0,0 +1,401 @@
+const axios = require('axios');
+const db = require('./db');
+const { getConfig } = require('./config');
+const timesheets = require('./timesheets');
+const { ValidationError } = require('./validation');
+const { formatOf, emptyFileError } = require('./parsers');
+
+// A worker holds the job it claimed for LEASE_SECONDS and renews the lease every HEARTBEAT_MS while it works.
+// A job whose lease ran out lost its worker and is claimed again, until it was attempted MAX_ATTEMPTS times
+const LEASE_SECONDS = 120;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// How often an idle worker looks for jobs. Jobs created by this process wake its workers straight away
+const POLL_MS = 1000;
+
+// How long a webhook may take to answer before the notification is given up
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// SQLSTATE of a unique constraint violation, raised when two uploads of the same report are queued at once
+const UNIQUE_VIOLATION = '23505';
+
+const JOB_COLUMNS = `id, report_id, filename, actor, state, row_count, rows_processed, errors, warnings, error,
+    to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS created_at,
+    to_char(started_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS started_at,
+    to_char(finished_at, 'YYYY-MM-DD"T"HH24:MI:SS') AS finished_at`;
+
+// Resolves the idle wait of each worker of this process that is waiting for a job
+const idleWorkers = new Set();
+
+/**
+ * Converts an upload_jobs row into the shape returned by the API.
+ * @param {Object} row - An upload_jobs row with the JOB_COLUMNS.
+ * @returns {Object} - The job.
+ */
+function formatJob(row) {
+    return {
+        jobId: row.id,
+        reportId: row.report_id,
+        filename: row.filename,
+        uploadedBy: row.actor,
+        state: row.state,
+        rowCount: row.row_count,
+        rowsProcessed: row.rows_processed,
+        errors: row.errors,
+        warnings: row.warnings,
+        error: row.error,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * Checks the address an upload asks to be notified at. Its host must be one of the webhookHosts setting.
+ * @param {string} [webhookUrl] - The address, if any.
+ * @returns {string|null} - The error to respond with, or null when the address is acceptable or absent.
+ */
+function checkWebhookUrl(webhookUrl) {
+    if (webhookUrl === undefined) {
+        return null;
+    }
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        return 'webhookUrl must be an http or https URL';
+    }
+    if (!getConfig().webhookHosts.includes(url.hostname)) {
+        return `webhookUrl host ${url.hostname} is not allowed, see the WEBHOOK_HOSTS setting`;
+    }
+    return null;
+}
+
+/**
+ * Wakes the idle workers of this process, so a job created by it starts without waiting for the next poll.
+ */
+function wakeUploadWorkers() {
+    idleWorkers.forEach(wake => wake());
+}
+
+/**
+ * Queues an uploaded file to be stored by a worker. The file stays on disk until the job is finished, workers on
+ * other servers read it from the same path, so they must share the uploads directory.
+ * @param {Object} upload - The upload.
+ * @param {string} upload.reportId - The id of the report the file holds.
+ * @param {string} upload.filename - The name of the uploaded file.
+ * @param {string} upload.filePath - Where the file was written.
+ * @param {string} [upload.dateFormat] - The date format declared by the upload.
+ * @param {Object} [upload.profile] - The import profile named by the upload, see getProfile().
+ * @param {string} upload.actor - Who uploaded the file, see requestActor().
+ * @param {string} [upload.webhookUrl] - Where to post the job once it is finished.
+ * @returns {Promise<Object|null>} - A promise that resolves to the queued job, or null if the report already has
+ * an upload queued or being stored.
+ */
+async function createUploadJob({ reportId, filename, filePath, dateFormat, profile, actor, webhookUrl }) {
+    let result;
+    try {
+        result = await db.query(
+            `INSERT INTO upload_jobs (report_id, filename, file_path, date_format, import_profile, actor, webhook_url)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${JOB_COLUMNS}`,
+            [
+                reportId,
+                filename,
+                filePath,
+                dateFormat || null,
+                profile ? JSON.stringify(profile) : null,
+                actor,
+                webhookUrl || null
+            ]
+        );
+    } catch (error) {
+        // Another upload of the report was queued since hasPendingUpload() was checked
+        if (error.code === UNIQUE_VIOLATION && error.constraint === 'idx_upload_jobs_pending_report') {
+            return null;
+        }
+        throw error;
+    }
+    wakeUploadWorkers();
+    return formatJob(result.rows[0]);
+}
+
+/**
+ * Checks whether a report has an upload that is queued or being stored.
+ * @param {string} reportId - The id of the report.
+ * @returns {Promise<boolean>} - A promise that resolves to true if it has one.
+ */
+async function hasPendingUpload(reportId) {
+    const result = await db.query(
+        `SELECT 1 FROM upload_jobs WHERE report_id = $1 AND state IN ('queued', 'processing')`,
+        [reportId]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Retrieves an upload job.
+ * @param {string} jobId - The id of the job, a UUID.
+ * @returns {Promise<Object|null>} - A promise that resolves to the job, or null if it doesn't exist.
+ */
+async function getUploadJob(jobId) {
+    const result = await db.query(`SELECT ${JOB_COLUMNS} FROM upload_jobs WHERE id = $1`, [jobId]);
+    return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * Claims the oldest job that is queued, or whose worker stopped, for this worker.
+ * @returns {Promise<Object|null>} - A promise that resolves to the upload_jobs row, or null when there is no job.
+ */
+async function claimUploadJob() {
+    const result = await db.query(
+        `UPDATE upload_jobs
+         SET state = 'processing', attempts = attempts + 1, started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+             lease_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $1)
+         WHERE id = (
+             SELECT id FROM upload_jobs
+             WHERE (state = 'queued' OR (state = 'processing' AND lease_expires_at < CURRENT_TIMESTAMP))
+                 AND attempts < $2
+             ORDER BY created_at
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, report_id, filename, file_path, date_format, import_profile, actor, webhook_url`,
+        [LEASE_SECONDS, MAX_ATTEMPTS]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Fails the jobs whose worker stopped while storing them once too often.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the failed jobs, with their `filePath` and
+ * `webhookUrl`.
+ */
+async function abandonStalledJobs() {
+    const result = await db.query(
+        `UPDATE upload_jobs
+         SET state = 'failed', error = 'The upload was interrupted too many times', lease_expires_at = NULL,
+             finished_at = CURRENT_TIMESTAMP
+         WHERE state = 'processing' AND lease_expires_at < CURRENT_TIMESTAMP AND attempts >= $1
+         RETURNING ${JOB_COLUMNS}, file_path, webhook_url`,
+        [MAX_ATTEMPTS]
+    );
+    return result.rows.map(row => ({ ...formatJob(row), filePath: row.file_path, webhookUrl: row.webhook_url }));
+}
+
+/**
+ * Records how far a worker got and renews its lease on the job.
+ * @param {string} jobId - The id of the job.
+ * @param {Object} progress - The rows in the file, if known yet, and the rows read so far.
+ * @returns {Promise<void>} - A promise that resolves once the progress is saved.
+ */
+async function saveProgress(jobId, { rowCount, rowsProcessed }) {
+    await db.query(
+        `UPDATE upload_jobs
+         SET row_count = COALESCE($2, row_count), rows_processed = GREATEST(rows_processed, $3),
+             lease_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $4)
+         WHERE id = $1 AND state = 'processing'`,
+        [jobId, rowCount, rowsProcessed, LEASE_SECONDS]
+    );
+}
+
+/**
+ * Records the outcome of a job.
+ * @param {string} jobId - The id of the job.
+ * @param {Object} outcome - `{ state, rowCount, rowsProcessed, errors, warnings, error }`, state being
+ * 'completed' or 'failed'.
+ * @returns {Promise<Object>} - A promise that resolves to the finished job.
+ */
+async function finishUploadJob(jobId, outcome) {
+    const { state, rowCount = null, rowsProcessed = 0, errors = [], warnings = [], error = null } = outcome;
+    const result = await db.query(
+        `UPDATE upload_jobs
+         SET state = $2, row_count = COALESCE($3, row_count), rows_processed = GREATEST(rows_processed, $4),
+             errors = $5, warnings = $6, error = $7, lease_expires_at = NULL, finished_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${JOB_COLUMNS}`,
+        [jobId, state, rowCount, rowsProcessed, JSON.stringify(errors), JSON.stringify(warnings), error]
+    );
+    return formatJob(result.rows[0]);
+}
+
+/**
+ * Posts a finished job to the webhook its upload asked for. A webhook that fails is logged and not retried, one
+ * whose host is no longer allowed is logged and not posted to. Redirects aren't followed, as they could lead to any
+ * host.
+ * @param {string|null} webhookUrl - The address, if any.
+ * @param {Object} job - The finished job.
+ * @returns {Promise<void>} - A promise that resolves once the webhook answered or failed.
+ */
+async function notifyWebhook(webhookUrl, job) {
+    if (!webhookUrl) {
+        return;
+    }
+    const refused = checkWebhookUrl(webhookUrl);
+    if (refused) {
+        console.error(`Error notifying webhook of upload job ${job.jobId}:`, refused);
+        return;
+    }
+    try {
+        await axios.post(webhookUrl, { event: `upload.${job.state}`, job }, {
+            timeout: WEBHOOK_TIMEOUT_MS,
+            maxRedirects: 0
+        });
+    } catch (error) {
+        console.error(`Error notifying webhook of upload job ${job.jobId}:`, error.message);
+    }
+}
+
+/**
+ * Removes the uploaded file of a finished job. A file that is already gone is ignored.
+ * @param {string} filePath - The path to the file.
+ * @returns {Promise<void>} - A promise that resolves once the file is removed.
+ */
+async function removeUpload(filePath) {
+    try {
+        await timesheets.unlinkAsync(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error removing uploaded file:', error);
+        }
+    }
+}
+
+/**
+ * Stores the file of a claimed job, see storeReport(), recording its progress as it goes and its outcome at
+ * the end. The file is removed and the webhook notified once the outcome is saved.
+ * @param {Object} job - The upload_jobs row returned by claimUploadJob().
+ * @returns {Promise<Object>} - A promise that resolves to the finished job.
+ */
+async function processUploadJob(job) {
+    const progress = { rowCount: null, rowsProcessed: 0 };
+    // Progress is saved through the pool, outside the transaction storing the rows, so it can be seen before
+    // they are committed. Saves are chained rather than awaited, the transaction holds a connection of its own
+    let saving = Promise.resolve();
+    const save = () => {
+        const snapshot = { ...progress };
+        saving = saving
+            .then(() => saveProgress(job.id, snapshot))
+            .catch(error => console.error(`Error saving progress of upload job ${job.id}:`, error));
+    };
+    const heartbeat = setInterval(save, HEARTBEAT_MS);
+
+    let outcome;
+    try {
+        const format = formatOf(job.filename);
+        const timesheet = await timesheets.openTimesheet(job.file_path, {
+            dateFormat: job.date_format || undefined,
+            format,
+            profile: job.import_profile || undefined
+        });
+        if (!timesheet) {
+            outcome = { state: 'failed', error: emptyFileError(format) };
+        } else {
+            progress.rowCount = timesheet.rowCount;
+            save();
+            const checksum = await timesheets.checksumFile(job.file_path);
+            const stored = await timesheets.storeReport(
+                job.report_id, job.filename, timesheet, { actor: job.actor, checksum },
+                (rowsProcessed) => {
+                    progress.rowsProcessed = rowsProcessed;
+                    save();
+                }
+            );
+            if (stored) {
+                const { rowCount } = timesheet;
+                outcome = { state: 'completed', rowCount, rowsProcessed: rowCount, warnings: stored.warnings };
+            } else {
+                outcome = { state: 'failed', error: 'Report ID already exists' };
+            }
+        }
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            outcome = { state: 'failed', error: error.message, errors: error.errors, warnings: error.warnings };
+        } else if (error.code === 'ENOENT') {
+            outcome = { state: 'failed', error: 'The uploaded file is no longer available' };
+        } else {
+            console.error(`Error processing upload job ${job.id}:`, error);
+            outcome = { state: 'failed', error: 'Internal server error' };
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    await saving;
+    const finished = await finishUploadJob(job.id, { rowsProcessed: progress.rowsProcessed, ...outcome });
+    await removeUpload(job.file_path);
+    await notifyWebhook(job.webhook_url, finished);
+    return finished;
+}
+
+/**
+ * Fails the jobs that stalled too often, then claims and stores the next job.
+ * @returns {Promise<Object|null>} - A promise that resolves to the finished job, or null when there was none.
+ */
+async function runNextUploadJob() {
+    for (const stalled of await abandonStalledJobs()) {
+        const { filePath, webhookUrl, ...job } = stalled;
+        await removeUpload(filePath);
+        await notifyWebhook(webhookUrl, job);
+    }
+    const job = await claimUploadJob();
+    return job ? processUploadJob(job) : null;
+}
+
+/**
+ * Starts workers that store queued uploads one job at a time each, until they are stopped.
+ * @param {number} count - The number of workers.
+ * @returns {Object} - `{ stop }`, stop() resolves once every worker finished its current job.
+ */
+function startUploadWorkers(count) {
+    let stopping = false;
+
+    const idle = () => new Promise(resolve => {
+        const wake = () => {
+            clearTimeout(timer);
+            idleWorkers.delete(wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, POLL_MS);
+        idleWorkers.add(wake);
+    });
+
+    const work = async () => {
+        while (!stopping) {
+            let job = null;
+            try {
+                job = await runNextUploadJob();
+            } catch (error) {
+                // e.g. the database is restarting, the job's lease runs out and it is claimed again
+                console.error('Error running upload job:', error);
+            }
+            if (!job && !stopping) {
+                await idle();
+            }
+        }
+    };
+
+    const workers = Array.from({ length: count }, work);
+    return {
+        stop: async () => {
+            stopping = true;
+            wakeUploadWorkers();
+            await Promise.all(workers);
+        }
+    };
+}
+
+module.exports = {
+    LEASE_SECONDS,
+    MAX_ATTEMPTS,
+    checkWebhookUrl,
+    createUploadJob,
+    hasPendingUpload,
+    getUploadJob,
+    runNextUploadJob,
+    startUploadWorkers
+};
@@ -0,0 +1,265 @@
+const jobGroups = require('./jobGroups');
+const employees = require('./employees');
+const { DATE_FORMATS, parseDate, differentShape } = require('./dates');
+
+// Columns every time report must contain
+const REQUIRED_HEADERS = ['date', 'hours worked', 'employee id', 'job group'];
+
+// hours_worked is stored as DECIMAL(5, 2)
+const MAX_HOURS = 999.99;
+
+// Hours are written as plain decimal numbers. Number() and the database would also read hex and exponents
+const DECIMAL_NUMBER = /^-?(\d+|\d*\.\d+)$/;
+
+// Most errors, and most warnings, listed for one file. A file with more only reports how many more there are
+const MAX_ISSUES = 1000;
+
+/**
+ * Raised when an uploaded time report fails validation. Carries every problem found, not just the first.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Array<Object>} errors - The problems that prevent the upload, see issue().
+     * @param {Array<Object>} [warnings] - Problems that are reported but don't prevent the upload.
+     */
+    constructor(errors, warnings = []) {
+        super('Validation failed');
+        this.name = 'ValidationError';
+        this.errors = errors;
+        this.warnings = warnings;
+    }
+}
+
+/**
+ * Describes a problem with a single value of the uploaded file.
+ * @param {number} line - The line of the file, the header being line 1.
+ * @param {string} column - The column name, or 'header' for problems with the header line.
+ * @param {*} value - The offending value.
+ * @param {string} message - What is wrong with it.
+ * @returns {Object} - The problem.
+ */
+function issue(line, column, value, message) {
+    return { line, column, value: value === undefined ? null : value, message };
+}
+
+/**
+ * Checks the header line of an uploaded file.
+ * @param {Array<string>} headers - The column names found in the file.
+ * @returns {Array<Object>} - The problems found, empty when every required column is present.
+ */
+function validateHeaders(headers) {
+    const problems = [];
+    const missingHeaders = REQUIRED_HEADERS.filter(header => !headers.includes(header));
+    if (missingHeaders.length > 0) {
+        problems.push(issue(1, 'header', headers.join(','), `Missing headers: ${missingHeaders.join(', ')}`));
+    }
+    // Two columns read as the same one, e.g. through a header alias, leave it unclear which one holds the values
+    const repeatedHeaders = REQUIRED_HEADERS.filter(header => headers.indexOf(header) !== headers.lastIndexOf(header));
+    if (repeatedHeaders.length > 0) {
+        const message = `Headers appear more than once: ${repeatedHeaders.join(', ')}`;
+        problems.push(issue(1, 'header', headers.join(','), message));
+    }
+    return problems;
+}
+
+/**
+ * Collects the problems found in a file, keeping the first MAX_ISSUES so a file with a problem on every one of
+ * its rows can't exhaust memory. The rest are only counted.
+ * @returns {Object} - `{ add, omit, size, list }`: add(problem) collects a problem, omit(count) counts problems
+ * that weren't collected, size() counts every problem and list() returns them sorted by line.
+ */
+function createIssueList() {
+    const issues = [];
+    let omitted = 0;
+    return {
+        add: (found) => {
+            if (issues.length < MAX_ISSUES) {
+                issues.push(found);
+            } else {
+                omitted += 1;
+            }
+        },
+        omit: (count) => {
+            omitted += count;
+        },
+        size: () => issues.length + omitted,
+        list: () => {
+            const sorted = [...issues].sort((a, b) => a.line - b.line);
+            if (omitted > 0) {
+                sorted.push(issue(null, null, null, `${omitted} more problems of this kind were found but not listed`));
+            }
+            return sorted;
+        }
+    };
+}
+
+/**
+ * Decides which date format to read a file's dates with: the declared one, or else the detected one.
+ * Dates that fit several formats equally well when the default format isn't one of them are reported as an
+ * error, and as a warning when the default format was assumed.
+ * @param {Object|null} detected - The result of a date format detector over the file's dates, see
+ * createDateFormatDetector(). Ignored when a format is declared.
+ * @param {string} [declared] - The format declared by the upload.
+ * @returns {Object} - `{ format, shape, expected, errors, warnings }`, format is null when it can't be decided and
+ * shape is null when the dates aren't checked for mixed formats.
+ */
+function resolveDateFormat(detected, declared) {
+    if (declared) {
+        return { format: declared, shape: null, expected: declared, errors: [], warnings: [] };
+    }
+    const { format, ambiguous, shape } = detected;
+    const errors = [];
+    const warnings = [];
+
+    if (ambiguous.length > 1) {
+        const message = `Dates are ambiguous between ${ambiguous.join(' and ')}`;
+        if (format) {
+            warnings.push(issue(null, 'date', null, `${message}, ${format} was assumed. Set dateFormat to choose another.`));
+        } else {
+            errors.push(issue(null, 'date', null, `${message}. Set dateFormat to choose one.`));
+        }
+    }
+    return { format, shape, expected: format || ambiguous.join(' or '), errors, warnings };
+}
+
+/**
+ * Checks the values of a row and converts it into a timekeeping entry.
+ * @param {number} line - The line of the file the row is on.
+ * @param {Object} row - The parsed row, keyed by column name.
+ * @param {Object} dates - The date format of the file, see resolveDateFormat().
+ * @returns {Object} - `{ entry, errors }`, entry is null when the row has errors and keeps the line it came from.
+ */
+function validateRow(line, row, dates) {
+    const { date, "hours worked": hours_worked, "employee id": employee_id, "job group": job_group } = row;
+    const errors = [];
+    const blank = (value) => value === undefined || value.trim() === '';
+
+    let formattedDate = null;
+    const mixedFormats = blank(date) ? null : differentShape(date, dates.shape);
+    if (blank(date)) {
+        errors.push(issue(line, 'date', date, 'date is required'));
+    } else if (mixedFormats) {
+        errors.push(issue(line, 'date', date,
+            `File mixes date formats: this date is ${mixedFormats.join(' or ')} but the other dates are ${dates.expected}`));
+    } else if (dates.format || dates.errors.length === 0) {
+        // Dates in a file whose format couldn't be decided are reported at file level
+        formattedDate = dates.format ? parseDate(date, dates.format) : null;
+        if (!formattedDate) {
+            const expected = dates.format
+                ? `${dates.format} format`
+                : `one of the supported formats: ${[...DATE_FORMATS.keys()].join(', ')}`;
+            errors.push(issue(line, 'date', date, `date must be a valid date in ${expected}`));
+        }
+    }
+
+    const hours = blank(hours_worked) ? NaN : Number(hours_worked.trim());
+    if (blank(hours_worked)) {
+        errors.push(issue(line, 'hours worked', hours_worked, 'hours worked is required'));
+    } else if (!DECIMAL_NUMBER.test(hours_worked.trim())) {
+        errors.push(issue(line, 'hours worked', hours_worked, 'hours worked must be a number'));
+    } else if (hours < 0) {
+        errors.push(issue(line, 'hours worked', hours_worked, 'hours worked must not be negative'));
+    } else if (/\.\d{3,}$/.test(hours_worked.trim())) {
+        errors.push(issue(line, 'hours worked', hours_worked, 'hours worked must not have more than 2 decimal places'));
+    } else if (hours > MAX_HOURS) {
+        errors.push(issue(line, 'hours worked', hours_worked, `hours worked must not exceed ${MAX_HOURS}`));
+    }
+
+    if (blank(employee_id)) {
+        errors.push(issue(line, 'employee id', employee_id, 'employee id is required'));
+    } else if (!/^\d+$/.test(employee_id.trim()) || Number(employee_id) > 2147483647) {
+        errors.push(issue(line, 'employee id', employee_id, 'employee id must be a positive whole number'));
+    }
+
+    if (blank(job_group)) {
+        errors.push(issue(line, 'job group', job_group, 'job group is required'));
+    }
+
+    if (errors.length > 0 || !formattedDate) {
+        return { entry: null, errors };
+    }
+    return {
+        entry: {
+            line,
+            date: formattedDate,
+            hours_worked: hours_worked.trim(),
+            employee_id: employee_id.trim(),
+            job_group: job_group.trim()
+        },
+        errors
+    };
+}
+
+/**
+ * Describes a row for the same employee on the same date as an earlier row.
+ * @param {Object} duplicate - The row as `{ line, employee_id, date, first_line }`.
+ * @returns {Object} - The error.
+ */
+function duplicateIssue({ line, employee_id, date, first_line }) {
+    return issue(line, 'employee id', String(employee_id),
+        `Duplicate entry for employee ${employee_id} on ${date} (first seen on line ${first_line})`);
+}
+
+/**
+ * Describes why an entry's employee can't be paid for the entry's date.
+ * @param {Object} found - A row returned by findEmployeeIssues().
+ * @returns {string} - The message.
+ */
+function employeeIssueMessage(found) {
+    switch (found.problem) {
+        case 'unknown':
+            return `Unknown employee ${found.employee_id}`;
+        case 'inactive':
+            return `Employee ${found.employee_id} is inactive`;
+        case 'terminated':
+            return `Employee ${found.employee_id} was terminated on ${found.termination_date}`;
+        default:
+            return `Employee ${found.employee_id} was not hired until ${found.hire_date}`;
+    }
+}
+
+/**
+ * Checks that every job group of a batch of entries has a pay rate in force on the entry's date, in the currency
+ * the entry is paid in, and that every employee is on file and employed on it. Employee problems are errors or
+ * warnings depending on employeeCheckMode(). Nothing is written to the database.
+ * @param {Array<Object>} entries - The entries, see validateRow().
+ * @param {Object} [client] - The client to query with, e.g. the transaction the entries are staged in.
+ * @returns {Promise<Object>} - A promise that resolves to the problems found as `{ errors, warnings }`.
+ */
+async function checkEntries(entries, client) {
+    const errors = [];
+    const warnings = [];
+
+    const unpriced = new Map((await jobGroups.findUnpricedEntries(entries, client))
+        .map(found => [`${found.employee_id}|${found.job_group}|${found.date}`, found.currency]));
+    entries.forEach((entry) => {
+        const currency = unpriced.get(`${Number(entry.employee_id)}|${entry.job_group}|${entry.date}`);
+        if (currency) {
+            errors.push(issue(entry.line, 'job group', entry.job_group,
+                `Unknown job group or no ${currency} pay rate in effect on ${entry.date}`));
+        }
+    });
+
+    const employeeIssues = new Map((await employees.findEmployeeIssues(entries, client))
+        .map(found => [`${found.employee_id}|${found.date}`, employeeIssueMessage(found)]));
+    const employeeProblems = employees.employeeCheckMode() === 'reject' ? errors : warnings;
+    entries
+        .filter(entry => employeeIssues.has(`${Number(entry.employee_id)}|${entry.date}`))
+        .forEach(entry => employeeProblems.push(issue(entry.line, 'employee id', entry.employee_id,
+            employeeIssues.get(`${Number(entry.employee_id)}|${entry.date}`))));
+
+    return { errors, warnings };
+}
+
+module.exports = {
+    REQUIRED_HEADERS,
+    MAX_ISSUES,
+    ValidationError,
+    issue,
+    validateHeaders,
+    createIssueList,
+    resolveDateFormat,
+    validateRow,
+    duplicateIssue,
+    checkEntries
+};
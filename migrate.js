@@ -0,0 +1,113 @@
+const { Client } = require('pg');
+const { requireConfig, databaseOptions } = require('./lib/config');
+const {
+    MigrationError, loadMigrations, migrationLabel, migrationStatus, migrateUp, migrateDown
+} = require('./lib/migrations');
+
+const USAGE = `Usage:
+  node migrate.js up [version]   Create the database if needed and apply pending migrations, up to version if given
+  node migrate.js down [steps]   Revert the last applied migration, or the last steps migrations
+  node migrate.js status         List every migration and whether it is applied`;
+
+// Database Configuration, see lib/config.js
+const appConfig = requireConfig();
+const schemaConfig = databaseOptions(appConfig);
+const targetDB = schemaConfig.database;
+
+// The database is created from a management connection, which may use a more privileged role than the application
+const config = {
+    ...schemaConfig,
+    database: appConfig.setup.database,
+    user: appConfig.setup.user || schemaConfig.user,
+    password: appConfig.setup.user ? appConfig.setup.password || undefined : schemaConfig.password
+};
+
+/**
+ * Creates the application's database if it doesn't exist yet.
+ * @returns {Promise<void>} - A promise that resolves once the database exists.
+ */
+async function checkAndCreateDatabase() {
+    const client = new Client(config);
+    await client.connect();
+    try {
+        console.log(`Connected to database '${config.database}'`);
+
+        // Check if the target database exists
+        const res = await client.query(`SELECT 1 FROM pg_database WHERE datname=$1`, [targetDB]);
+        if (res.rowCount === 0) {
+            // Database does not exist, create it
+            console.log(`Database '${targetDB}' does not exist. Creating...`);
+            // The application's role owns the database, create it first if it doesn't exist yet:
+            // CREATE ROLE <user> WITH LOGIN PASSWORD '<password>' NOSUPERUSER NOCREATEDB NOCREATEROLE NOREPLICATION
+            await client.query(
+                `CREATE DATABASE ${client.escapeIdentifier(targetDB)} OWNER ${client.escapeIdentifier(schemaConfig.user)}`
+            );
+            console.log(`Database '${targetDB}' created successfully.`);
+        } else {
+            console.log(`Database '${targetDB}' already exists.`);
+        }
+    } finally {
+        await client.end();
+    }
+}
+
+/**
+ * Parses the optional numeric argument of a command.
+ * @param {string} [value] - The argument.
+ * @returns {number|undefined|null} - The number, undefined when absent, or null when it isn't a whole number above 0.
+ */
+function parseArgument(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Runs a migration command.
+ * @param {Array<string>} args - The command line arguments, the command first.
+ * @returns {Promise<void>} - A promise that resolves once the command is done.
+ */
+async function main([command, argument]) {
+    const number = parseArgument(argument);
+    const valid = ['up', 'down', 'status'].includes(command) && number !== null && !(command === 'status' && number);
+    if (!valid) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Migrations run as the application's role, so it owns the tables they create
+    const migrations = loadMigrations();
+    if (command === 'up') {
+        await checkAndCreateDatabase();
+    }
+    const client = new Client(schemaConfig);
+    await client.connect();
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(client, migrations, { to: number });
+            applied.forEach(migration => console.log(`Applied ${migrationLabel(migration)}`));
+            console.log(`Database '${targetDB}' ${applied.length > 0 ? 'is' : 'was already'} up to date.`);
+        } else if (command === 'down') {
+            const reverted = await migrateDown(client, migrations, { steps: number });
+            reverted.forEach(migration => console.log(`Reverted ${migrationLabel(migration)}`));
+            if (reverted.length === 0) {
+                console.log('No migrations are applied.');
+            }
+        } else {
+            const status = await migrationStatus(client, migrations);
+            status.forEach(migration => {
+                const applied = migration.appliedAt ? ` (applied ${migration.appliedAt})` : '';
+                console.log(`${migration.status.padEnd(8)} ${migrationLabel(migration)}${applied}`);
+            });
+        }
+    } finally {
+        await client.end();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error instanceof MigrationError ? error.message : `Error running migrations: ${error.message}`);
+    process.exitCode = 1;
+});
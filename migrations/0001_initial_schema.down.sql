@@ -0,0 +1,12 @@
+-- Removes everything the initial schema created, dependent tables first
+DROP TABLE IF EXISTS employees;
+DROP TABLE IF EXISTS audit_events;
+DROP FUNCTION IF EXISTS reject_audit_change();
+DROP TABLE IF EXISTS timekeeping_report_versions;
+DROP TABLE IF EXISTS holidays;
+DROP TABLE IF EXISTS overtime_rules;
+DROP TABLE IF EXISTS pay_schedules;
+DROP TABLE IF EXISTS job_group_rates;
+DROP TABLE IF EXISTS timekeeping_entries;
+DROP TABLE IF EXISTS job_groups;
+DROP TABLE IF EXISTS timekeeping_reports;
@@ -0,0 +1,138 @@
+-- The schema that ensure.js used to apply. Every statement is idempotent, so a database created by ensure.js
+-- is brought under migrations by applying this over it
+CREATE TABLE IF NOT EXISTS timekeeping_reports (
+    id SERIAL PRIMARY KEY,
+    report_id VARCHAR(255) UNIQUE NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_id ON timekeeping_reports (report_id);
+
+CREATE TABLE IF NOT EXISTS timekeeping_entries (
+    id SERIAL PRIMARY KEY,
+    report_id VARCHAR(255) REFERENCES timekeeping_reports(report_id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    hours_worked DECIMAL(5, 2) NOT NULL,
+    employee_id INTEGER NOT NULL,
+    job_group VARCHAR(1) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_timekeeping_report_id ON timekeeping_entries (report_id);
+CREATE INDEX IF NOT EXISTS idx_timekeeping_employee_id ON timekeeping_entries (employee_id);
+CREATE INDEX IF NOT EXISTS idx_timekeeping_date ON timekeeping_entries (date);
+
+CREATE TABLE IF NOT EXISTS job_groups (
+    code VARCHAR(1) PRIMARY KEY,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each job group keeps its full rate history so past pay periods are priced with the rate that was in force
+CREATE TABLE IF NOT EXISTS job_group_rates (
+    id SERIAL PRIMARY KEY,
+    job_group VARCHAR(1) NOT NULL REFERENCES job_groups(code) ON DELETE CASCADE,
+    hourly_rate DECIMAL(10, 2) NOT NULL CHECK (hourly_rate >= 0),
+    effective_from DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (job_group, effective_from)
+);
+
+-- Seed the original job groups so existing time reports keep their rates
+INSERT INTO job_groups (code, description) VALUES ('A', 'Job group A'), ('B', 'Job group B')
+    ON CONFLICT (code) DO NOTHING;
+INSERT INTO job_group_rates (job_group, hourly_rate, effective_from) VALUES ('A', 30.00, '1900-01-01'), ('B', 20.00, '1900-01-01')
+    ON CONFLICT (job_group, effective_from) DO NOTHING;
+
+-- A row without a job group is the company wide default, job groups without their own row use it
+CREATE TABLE IF NOT EXISTS pay_schedules (
+    id SERIAL PRIMARY KEY,
+    job_group VARCHAR(1) UNIQUE REFERENCES job_groups(code) ON DELETE CASCADE,
+    schedule_type VARCHAR(20) NOT NULL CHECK (schedule_type IN ('weekly', 'biweekly', 'semimonthly', 'monthly')),
+    anchor_date DATE,
+    week_start SMALLINT NOT NULL DEFAULT 1 CHECK (week_start BETWEEN 0 AND 6),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pay_schedules_default ON pay_schedules ((job_group IS NULL)) WHERE job_group IS NULL;
+
+-- Single row of overtime settings, a NULL threshold disables that rule
+CREATE TABLE IF NOT EXISTS overtime_rules (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    daily_threshold DECIMAL(5, 2),
+    daily_double_threshold DECIMAL(5, 2),
+    weekly_threshold DECIMAL(5, 2),
+    overtime_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1.5,
+    double_time_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 2.0,
+    holiday_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1.5,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS holidays (
+    date DATE PRIMARY KEY,
+    name VARCHAR(255) NOT NULL
+);
+
+-- Reports can be corrected after upload, every correction bumps the version
+ALTER TABLE timekeeping_reports ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE timekeeping_reports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- Replaced and deleted versions of time reports. No foreign key, so the history outlives a deleted report
+CREATE TABLE IF NOT EXISTS timekeeping_report_versions (
+    id SERIAL PRIMARY KEY,
+    report_id VARCHAR(255) NOT NULL,
+    version INTEGER NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    uploaded_at TIMESTAMP,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('replaced', 'deleted')),
+    entries JSONB NOT NULL,
+    superseded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_versions_report_id ON timekeeping_report_versions (report_id);
+
+-- Append-only record of every change to time reports. No foreign key, so events outlive a deleted report
+CREATE TABLE IF NOT EXISTS audit_events (
+    id SERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actor VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('upload', 'replace', 'delete')),
+    report_id VARCHAR(255) NOT NULL,
+    rows_added INTEGER NOT NULL DEFAULT 0,
+    rows_removed INTEGER NOT NULL DEFAULT 0,
+    checksum CHAR(64)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_report_id ON audit_events (report_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_occurred_at ON audit_events (occurred_at);
+
+CREATE OR REPLACE FUNCTION reject_audit_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+CREATE TRIGGER audit_events_append_only BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_change();
+DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events;
+CREATE TRIGGER audit_events_no_truncate BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_change();
+
+-- Employee master data, the id is the employee id used in time reports
+CREATE TABLE IF NOT EXISTS employees (
+    id INTEGER PRIMARY KEY CHECK (id > 0),
+    name VARCHAR(255) NOT NULL,
+    department VARCHAR(255),
+    default_job_group VARCHAR(1) REFERENCES job_groups(code),
+    hire_date DATE,
+    termination_date DATE,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (termination_date IS NULL OR hire_date IS NULL OR termination_date >= hire_date)
+);
+
+-- The authenticated user who uploaded the current version of each report
+ALTER TABLE timekeeping_reports ADD COLUMN IF NOT EXISTS uploaded_by VARCHAR(255);
+ALTER TABLE timekeeping_report_versions ADD COLUMN IF NOT EXISTS uploaded_by VARCHAR(255);
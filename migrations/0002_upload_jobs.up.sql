@@ -0,0 +1,32 @@
+-- gen_random_uuid() is built in from PostgreSQL 13, older servers have it from pgcrypto
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Uploads are stored by a background worker. Each job is claimed by one worker at a time, which holds it for
+-- lease_expires_at and renews the lease while it works, so a job whose worker stopped is picked up again.
+-- file_path is on the server that accepted the upload, so every server running workers must share its uploads
+-- directory
+CREATE TABLE upload_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id VARCHAR(255) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    file_path TEXT NOT NULL,
+    date_format VARCHAR(20),
+    actor VARCHAR(255) NOT NULL,
+    webhook_url TEXT,
+    state VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (state IN ('queued', 'processing', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    lease_expires_at TIMESTAMP,
+    row_count INTEGER,
+    rows_processed INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    warnings JSONB NOT NULL DEFAULT '[]',
+    error TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_upload_jobs_pending ON upload_jobs (created_at) WHERE state IN ('queued', 'processing');
+CREATE INDEX idx_upload_jobs_report_id ON upload_jobs (report_id);
+-- A report has one upload queued or being stored at a time, even when two are accepted at once
+CREATE UNIQUE INDEX idx_upload_jobs_pending_report ON upload_jobs (report_id) WHERE state IN ('queued', 'processing');
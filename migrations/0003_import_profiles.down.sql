@@ -0,0 +1,3 @@
+-- Removes the import profiles and the profile recorded with each upload
+ALTER TABLE upload_jobs DROP COLUMN IF EXISTS import_profile;
+DROP TABLE IF EXISTS import_profiles;
@@ -0,0 +1,13 @@
+-- Named settings for reading time reports that don't follow the default CSV layout, selected per upload
+CREATE TABLE import_profiles (
+    name VARCHAR(100) PRIMARY KEY,
+    delimiter VARCHAR(1) NOT NULL DEFAULT ',',
+    encoding VARCHAR(50) NOT NULL DEFAULT 'utf-8',
+    header_aliases JSONB NOT NULL DEFAULT '{}',
+    ignore_columns JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The profile an upload was queued with, as it was then, so editing the profile doesn't change queued uploads
+ALTER TABLE upload_jobs ADD COLUMN import_profile JSONB;
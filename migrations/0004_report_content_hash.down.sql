@@ -0,0 +1,3 @@
+-- Removes the content hash of each report
+DROP INDEX IF EXISTS idx_reports_content_hash;
+ALTER TABLE timekeeping_reports DROP COLUMN IF EXISTS content_hash;
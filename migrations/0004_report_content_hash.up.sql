@@ -0,0 +1,16 @@
+-- A hash of the entries of each report, independent of the file format, layout and row order, so the same data
+-- uploaded under another report id can be recognised
+ALTER TABLE timekeeping_reports ADD COLUMN content_hash CHAR(64);
+
+-- Reports stored before this migration are hashed the way uploads hash their staged entries
+UPDATE timekeeping_reports r
+SET content_hash = (
+    SELECT encode(sha256(convert_to(string_agg(
+        concat_ws(',', to_char(e.date, 'YYYY-MM-DD'), e.hours_worked::numeric(5, 2), e.employee_id, e.job_group),
+        E'\n' ORDER BY e.date, e.employee_id, e.job_group, e.hours_worked
+    ), 'UTF8')), 'hex')
+    FROM timekeeping_entries e
+    WHERE e.report_id = r.report_id
+);
+
+CREATE INDEX idx_reports_content_hash ON timekeeping_reports (content_hash);
@@ -0,0 +1,3 @@
+-- Removes pay periods and the totals kept for closed ones
+DROP TABLE IF EXISTS pay_period_totals;
+DROP TABLE IF EXISTS pay_periods;
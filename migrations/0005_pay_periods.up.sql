@@ -0,0 +1,36 @@
+-- Pay periods that payroll is run for. Once a period is closed its entries can't change, so what was paid out
+-- for it stays what the reports show. Periods can't overlap, so every date belongs to at most one
+CREATE TABLE pay_periods (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP,
+    closed_by VARCHAR(255),
+    reopened_at TIMESTAMP,
+    reopened_by VARCHAR(255),
+    CHECK (end_date >= start_date),
+    EXCLUDE USING gist (daterange(start_date, end_date, '[]') WITH &&)
+);
+
+-- The report totals and pay stub lines of each employee pay period within a closed pay period, as they were
+-- when it closed, so later rate, overtime or holiday changes don't alter them. Removed when the period reopens
+CREATE TABLE pay_period_totals (
+    pay_period_id INTEGER NOT NULL REFERENCES pay_periods(id) ON DELETE CASCADE,
+    employee_id INTEGER NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    regular_hours NUMERIC NOT NULL,
+    regular_amount NUMERIC NOT NULL,
+    overtime_hours NUMERIC NOT NULL,
+    overtime_amount NUMERIC NOT NULL,
+    double_time_hours NUMERIC NOT NULL,
+    double_time_amount NUMERIC NOT NULL,
+    holiday_hours NUMERIC NOT NULL,
+    holiday_amount NUMERIC NOT NULL,
+    lines JSONB NOT NULL,
+    PRIMARY KEY (employee_id, start_date, end_date)
+);
+
+CREATE INDEX idx_pay_period_totals_pay_period_id ON pay_period_totals (pay_period_id);
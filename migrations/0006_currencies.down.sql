@@ -0,0 +1,7 @@
+-- Removes the currencies, keeping only the dollar totals of closed pay periods
+DELETE FROM pay_period_totals WHERE currency <> 'USD';
+ALTER TABLE pay_period_totals DROP CONSTRAINT pay_period_totals_pkey;
+ALTER TABLE pay_period_totals ADD PRIMARY KEY (employee_id, start_date, end_date);
+ALTER TABLE pay_period_totals DROP COLUMN IF EXISTS currency;
+ALTER TABLE employees DROP COLUMN IF EXISTS currency;
+ALTER TABLE job_groups DROP COLUMN IF EXISTS currency;
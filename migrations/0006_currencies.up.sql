@@ -0,0 +1,9 @@
+-- The currency pay is calculated in, an ISO 4217 code. Each job group's rates are in its currency, and an
+-- employee with a currency of their own is paid in it whatever job group they work in
+ALTER TABLE job_groups ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$');
+ALTER TABLE employees ADD COLUMN currency CHAR(3) CHECK (currency ~ '^[A-Z]{3}$');
+
+-- An employee pay period has totals in each currency it was paid in. Totals kept before were all in dollars
+ALTER TABLE pay_period_totals ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE pay_period_totals DROP CONSTRAINT pay_period_totals_pkey;
+ALTER TABLE pay_period_totals ADD PRIMARY KEY (employee_id, start_date, end_date, currency);
@@ -0,0 +1,2 @@
+-- Removes the source line of each entry
+ALTER TABLE timekeeping_entries DROP COLUMN IF EXISTS line;
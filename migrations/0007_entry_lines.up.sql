@@ -0,0 +1,3 @@
+-- The line of the uploaded file each entry was read from (its row in a worksheet, its position in a JSON array),
+-- so any figure in the payroll report can be traced back to it. Entries stored before this migration have none
+ALTER TABLE timekeeping_entries ADD COLUMN line INTEGER;
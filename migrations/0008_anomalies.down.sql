@@ -0,0 +1,2 @@
+-- Removes the anomalies kept for review
+DROP TABLE IF EXISTS anomalies;
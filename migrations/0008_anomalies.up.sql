@@ -0,0 +1,17 @@
+-- Anomalies that the upload rules set to warn found in a stored time report, kept with the report for review.
+-- Replacing the report replaces them, deleting it deletes them
+CREATE TABLE anomalies (
+    id SERIAL PRIMARY KEY,
+    report_id VARCHAR(255) NOT NULL REFERENCES timekeeping_reports(report_id) ON DELETE CASCADE,
+    rule VARCHAR(50) NOT NULL,
+    line INTEGER,
+    column_name VARCHAR(50),
+    value TEXT,
+    employee_id INTEGER,
+    date DATE,
+    message TEXT NOT NULL,
+    detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_anomalies_report_id ON anomalies (report_id);
+CREATE INDEX idx_anomalies_date ON anomalies (date);
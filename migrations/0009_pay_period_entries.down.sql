@@ -0,0 +1,2 @@
+-- Removes the pricing kept for the entries of closed pay periods
+DROP TABLE IF EXISTS pay_period_entries;
@@ -0,0 +1,21 @@
+-- How each entry within a closed pay period was priced when it closed, so the entries behind its kept totals still
+-- add up to them after rate, overtime or currency changes. Removed when the period reopens. Periods closed before
+-- this migration have none kept, their entries are priced as they are now until they are reopened and closed again
+CREATE TABLE pay_period_entries (
+    entry_id INTEGER PRIMARY KEY REFERENCES timekeeping_entries(id) ON DELETE CASCADE,
+    pay_period_id INTEGER NOT NULL REFERENCES pay_periods(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    currency CHAR(3) NOT NULL,
+    hourly_rate NUMERIC,
+    regular_hours NUMERIC NOT NULL,
+    regular_amount NUMERIC NOT NULL,
+    overtime_hours NUMERIC NOT NULL,
+    overtime_amount NUMERIC NOT NULL,
+    double_time_hours NUMERIC NOT NULL,
+    double_time_amount NUMERIC NOT NULL,
+    holiday_hours NUMERIC NOT NULL,
+    holiday_amount NUMERIC NOT NULL
+);
+
+CREATE INDEX idx_pay_period_entries_pay_period_id ON pay_period_entries (pay_period_id);
@@ -0,0 +1,6 @@
+-- Removes the currency of pay rates, keeping only the rates in their job group's currency
+DELETE FROM job_group_rates r USING job_groups g WHERE g.code = r.job_group AND r.currency <> g.currency;
+ALTER TABLE job_group_rates DROP CONSTRAINT job_group_rates_job_group_currency_effective_from_key;
+ALTER TABLE job_group_rates ADD CONSTRAINT job_group_rates_job_group_effective_from_key
+    UNIQUE (job_group, effective_from);
+ALTER TABLE job_group_rates DROP COLUMN IF EXISTS currency;
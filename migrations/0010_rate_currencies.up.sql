@@ -0,0 +1,9 @@
+-- The currency of each pay rate. Entries are priced with the rates of their job group in the currency they are paid
+-- in, the employee's or else the job group's, so an employee paid in another currency needs rates in it. Rates
+-- kept before were in their job group's currency
+ALTER TABLE job_group_rates ADD COLUMN currency CHAR(3) CHECK (currency ~ '^[A-Z]{3}$');
+UPDATE job_group_rates r SET currency = g.currency FROM job_groups g WHERE g.code = r.job_group;
+ALTER TABLE job_group_rates ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE job_group_rates DROP CONSTRAINT job_group_rates_job_group_effective_from_key;
+ALTER TABLE job_group_rates ADD CONSTRAINT job_group_rates_job_group_currency_effective_from_key
+    UNIQUE (job_group, currency, effective_from);
@@ -2,8 +2,52 @@ const axios = require('axios');
 const fs = require('fs');
 const FormData = require('form-data');
 const path = require('path');
+const { signToken } = require('./lib/auth');
+const { requireConfig } = require('./lib/config');
 
-const BASE_URL = 'http://localhost:4489';
+const BASE_URL = `http://localhost:${requireConfig().port}`;
+
+/**
+ * Builds the Authorization header for the requests made by these tests, as a payroll admin.
+ * The token is signed with the server's JWT_SECRET, so it must be set for this script too.
+ * @returns {string} - The header value.
+ */
+function authorization() {
+    return `Bearer ${signToken({ sub: 'integration-test', role: 'admin' }, '5m')}`;
+}
+
+/**
+ * Reduces a payroll report to the employee, pay period and amount paid of each entry.
+ * @param {Object} report - The GET /report response body.
+ * @returns {Object} - The report without the premium breakdown.
+ */
+function summarizeReport(report) {
+    return {
+        payrollReport: {
+            employeeReports: report.payrollReport.employeeReports.map(({ employeeId, payPeriod, amountPaid }) => ({
+                employeeId,
+                payPeriod,
+                amountPaid
+            }))
+        }
+    };
+}
+
+/**
+ * Polls an upload job until its worker finished it.
+ * @param {string} jobId - The id returned by POST /upload.
+ * @returns {Promise<Object>} - A promise that resolves to the finished job.
+ */
+async function waitForUpload(jobId) {
+    for (;;) {
+        const response = await axios.get(`${BASE_URL}/uploads/${jobId}`, { headers: { Authorization: authorization() } });
+        const { job } = response.data;
+        if (job.state === 'completed' || job.state === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
 
 async function runIntegrationTest() {
     let filePath = "";
@@ -13,7 +57,8 @@ async function runIntegrationTest() {
 
         // Writing valid CSV to disk
         // White spaces causing issues, so test csv has to be formatted like this
-        const csvContent = `date,hours worked,employee id,job group\n2023/04/01,10,1,A\n2023/14/01,5,1,A\n2023/20/01,3,2,B\n2023/20/01,4,1,A`;
+        // Dates are ISO formatted, the upload detects the format
+        const csvContent = `date,hours worked,employee id,job group\n2023-01-04,10,1,A\n2023-01-14,5,1,A\n2023-01-20,3,2,B\n2023-01-20,4,1,A`;
         const csvFilePath = path.join(__dirname, 'time-report-4.csv');
         filePath = csvFilePath;
         fs.writeFileSync(csvFilePath, csvContent);
@@ -24,16 +69,18 @@ async function runIntegrationTest() {
 
         console.log('Uploading CSV file...');
         const uploadResponse = await axios.post(`${BASE_URL}/upload`, formData, {
-            headers: formData.getHeaders(),
+            headers: { ...formData.getHeaders(), Authorization: authorization() },
             maxContentLength: Infinity,
             maxBodyLength: Infinity
         });
 
         console.log('Upload Response:', JSON.stringify(uploadResponse.data));
+        const job = await waitForUpload(uploadResponse.data.job.jobId);
+        console.log('Upload Job:', JSON.stringify(job));
 
         // Fetch the payroll report
         console.log('Retrieving payroll report...');
-        const reportResponse = await axios.get(`${BASE_URL}/report`);
+        const reportResponse = await axios.get(`${BASE_URL}/report`, { headers: { Authorization: authorization() } });
         console.log('Payroll Report:', JSON.stringify(reportResponse.data, null, 2));
 
         // Expected Payroll Report based on the uploaded CSV
@@ -69,7 +116,8 @@ async function runIntegrationTest() {
         };
 
         // Compare the actual report with the expected report
-        const actualReport = reportResponse.data;
+        // Only the totals are compared, the premium breakdown is covered by the unit tests
+        const actualReport = summarizeReport(reportResponse.data);
 
         // Exact JSON compare
         function comp(obj1, obj2) {
@@ -90,7 +138,7 @@ async function runIntegrationTest() {
             duplicateFormData.append('file', fs.createReadStream(csvFilePath));
 
             const duplicateUploadResponse = await axios.post(`${BASE_URL}/upload`, duplicateFormData, {
-                headers: duplicateFormData.getHeaders(),
+                headers: { ...duplicateFormData.getHeaders(), Authorization: authorization() },
                 maxContentLength: Infinity,
                 maxBodyLength: Infinity,
                 validateStatus: function (status) {
@@ -130,7 +178,6 @@ async function runIntegrationTest() {
 
 async function runIntegration() {
     try {
-        const BASE_URL = 'http://localhost:4489';
         const csvFilePath = path.join(__dirname, 'time-report-42.csv');
         if (!fs.existsSync(csvFilePath)) {
             throw new Error(`CSV file not found at path: ${csvFilePath}`);
@@ -139,7 +186,7 @@ async function runIntegration() {
         formData.append('file', fs.createReadStream(csvFilePath));
         console.log('Uploading time-report-42.csv...');
         const uploadResponse = await axios.post(`${BASE_URL}/upload`, formData, {
-            headers: formData.getHeaders(),
+            headers: { ...formData.getHeaders(), Authorization: authorization() },
             maxContentLength: Infinity,
             maxBodyLength: Infinity,
             validateStatus: function (status) {
@@ -147,19 +194,21 @@ async function runIntegration() {
             }
         });
         console.log('Upload Response:', JSON.stringify(uploadResponse.data));
+        // The file is stored by a background worker, the upload only queues it
+        const job = uploadResponse.status === 202 ? await waitForUpload(uploadResponse.data.job.jobId) : null;
 
-        if (uploadResponse.status === 201 && uploadResponse.data.message === 'File uploaded and data stored successfully') {
+        if (job && job.state === 'completed') {
             console.log('✅ Integration Test Passed: CSV file uploaded successfully.');
         } else {
             console.error('❌ Integration Test Failed: Upload did not behave as expected.');
             console.error('Received Status:', uploadResponse.status);
-            console.error('Received Response:', JSON.stringify(uploadResponse.data, null, 2));
+            console.error('Received Response:', JSON.stringify(job || uploadResponse.data, null, 2));
             return; // Exit the test as the upload did not succeed as expected
         }
 
         // Fetch the payroll report
         console.log('Retrieving payroll report...');
-        const reportResponse = await axios.get(`${BASE_URL}/report`);
+        const reportResponse = await axios.get(`${BASE_URL}/report`, { headers: { Authorization: authorization() } });
         console.log('Payroll Report:', JSON.stringify(reportResponse.data, null, 2));
         const expectedReport = {
             payrollReport: {
@@ -269,7 +318,8 @@ async function runIntegration() {
         };
         
         // Compare the actual report with the expected report
-        const actualReport = reportResponse.data;
+        // Only the totals are compared, the premium breakdown is covered by the unit tests
+        const actualReport = summarizeReport(reportResponse.data);
 
         // Exact JSON compare
         function comp(obj1, obj2) {
@@ -0,0 +1,28 @@
+const express = require('express');
+const analytics = require('../lib/analytics');
+
+const router = express.Router();
+
+/**
+ * Summarises labour cost over a date range: the hours, headcount, average hours per employee and cost in each
+ * currency of every pay period, job group or month, priced as in the payroll report so the numbers reconcile.
+ * Endpoint: GET /analytics
+ * Query: groupBy (one or many of payPeriod, jobGroup, month, payPeriod by default), startDate/endDate (YYYY-MM-DD),
+ * locale (e.g. fr-CA) to format amounts and dates
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    const { filters, error } = analytics.parseAnalyticsQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        res.json(await analytics.getAnalytics(filters));
+    } catch (error) {
+        console.error('Error retrieving analytics:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const anomalies = require('../lib/anomalies');
+
+const router = express.Router();
+
+/**
+ * Lists the anomalies the upload rules set to warn found in the stored time reports, for review.
+ * Endpoint: GET /anomalies
+ * Query: reportId, rule, employeeId, startDate/endDate (YYYY-MM-DD, the dates of the entries), limit/offset
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    const { filters, error } = anomalies.parseAnomalyQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        res.json(await anomalies.listAnomalies(filters));
+    } catch (error) {
+        console.error('Error retrieving anomalies:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const audit = require('../lib/audit');
+
+const router = express.Router();
+
+/**
+ * Lists the audit log of uploaded, replaced and deleted time reports, newest first.
+ * Endpoint: GET /audit
+ * Query: reportId, actor, action, startDate/endDate (YYYY-MM-DD), limit/offset
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    const { filters, error } = audit.parseAuditQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        res.json(await audit.listAuditEvents(filters));
+    } catch (error) {
+        console.error('Error retrieving audit log:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const employees = require('../lib/employees');
+const jobGroups = require('../lib/jobGroups');
+const { isISODate } = require('../lib/dates');
+const { isCurrency } = require('../lib/money');
+const { isLocale } = require('../lib/locale');
+const { parseReportQuery, getPayrollReport, getPayPeriodEntries } = require('../lib/report');
+
+const router = express.Router();
+
+// employee_id is stored as INTEGER
+const MAX_EMPLOYEE_ID = 2147483647;
+
+/**
+ * Validates the employee properties supplied in a request body. Properties that are absent are left out.
+ * @param {Object} body - The request body.
+ * @returns {Object} - Either `{ changes }` with the supplied properties, or `{ error }`.
+ */
+function parseEmployee(body) {
+    const changes = {};
+    const { name, department, defaultJobGroup, currency, hireDate, terminationDate, active } = body || {};
+    if (name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return { error: 'name must be a non-empty string' };
+        }
+        changes.name = name.trim();
+    }
+    for (const [property, value] of [['department', department], ['defaultJobGroup', defaultJobGroup]]) {
+        if (value !== undefined) {
+            if (value !== null && (typeof value !== 'string' || value.trim() === '')) {
+                return { error: `${property} must be a non-empty string or null` };
+            }
+            changes[property] = value === null ? null : value.trim();
+        }
+    }
+    if (currency !== undefined) {
+        if (currency !== null && !isCurrency(currency)) {
+            return { error: 'currency must be an ISO 4217 currency code, e.g. USD, or null' };
+        }
+        changes.currency = currency;
+    }
+    for (const [property, value] of [['hireDate', hireDate], ['terminationDate', terminationDate]]) {
+        if (value !== undefined) {
+            if (value !== null && !isISODate(value)) {
+                return { error: `${property} must be a date in YYYY-MM-DD format or null` };
+            }
+            changes[property] = value;
+        }
+    }
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') {
+            return { error: 'active must be true or false' };
+        }
+        changes.active = active;
+    }
+    return { changes };
+}
+
+/**
+ * Checks changes to an employee against each other and against the employee's current details.
+ * @param {Object} current - The employee's current details, empty for a new employee.
+ * @param {Object} changes - The properties returned by parseEmployee().
+ * @returns {Promise<string|null>} - The error to respond with, or null when the changes are valid.
+ */
+async function checkEmployee(current, changes) {
+    const { hireDate, terminationDate } = { ...current, ...changes };
+    if (hireDate && terminationDate && terminationDate < hireDate) {
+        return 'terminationDate must not be before hireDate';
+    }
+    if (changes.defaultJobGroup && !(await jobGroups.getJobGroup(changes.defaultJobGroup))) {
+        return 'defaultJobGroup must be an existing job group';
+    }
+    return null;
+}
+
+/**
+ * Validates the :id route parameter.
+ * @param {string} id - The raw route parameter.
+ * @returns {number|null} - The employee id, or null when it isn't a valid id.
+ */
+function parseEmployeeId(id) {
+    return /^\d+$/.test(id) && Number(id) >= 1 && Number(id) <= MAX_EMPLOYEE_ID ? Number(id) : null;
+}
+
+/**
+ * Lists the employees on file, optionally only the active or inactive ones.
+ * Endpoint: GET /employees?active=true|false
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    if (req.query.active !== undefined && !['true', 'false'].includes(req.query.active)) {
+        return res.status(400).json({ error: 'active must be true or false' });
+    }
+    try {
+        const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+        res.json({ employees: await employees.listEmployees(active) });
+    } catch (error) {
+        console.error('Error retrieving employees:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Returns a single employee.
+ * Endpoint: GET /employees/:id
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:id', async (req, res) => {
+    const id = parseEmployeeId(req.params.id);
+    if (id === null) {
+        return res.status(400).json({ error: 'id must be a positive whole number' });
+    }
+    try {
+        const employee = await employees.getEmployee(id);
+        if (!employee) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+        res.json({ employee });
+    } catch (error) {
+        console.error('Error retrieving employee:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Lists an employee's pay periods with their totals as the payroll report has them, one per pay period and
+ * currency the employee was paid in, oldest first, and their totals by currency.
+ * Endpoint: GET /employees/:id/pay-periods
+ * Query: startDate/endDate (YYYY-MM-DD), limit/offset, locale (e.g. fr-CA) to format numbers and dates
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:id/pay-periods', async (req, res) => {
+    const id = parseEmployeeId(req.params.id);
+    if (id === null) {
+        return res.status(400).json({ error: 'id must be a positive whole number' });
+    }
+    const { startDate, endDate, limit, offset, locale } = req.query;
+    const { filters, error } = parseReportQuery({ startDate, endDate, limit, offset, locale });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const payrollReport = await getPayrollReport({ ...filters, employeeIds: [id] });
+        const body = {
+            payPeriods: payrollReport.employeeReports.map(({ payPeriod, breakdown, amountPaid, amountPaidMoney }) => ({
+                payPeriod,
+                breakdown,
+                amountPaid,
+                amountPaidMoney
+            })),
+            totals: payrollReport.totals
+        };
+        if (payrollReport.pagination) {
+            body.pagination = payrollReport.pagination;
+        }
+        res.json(body);
+    } catch (error) {
+        console.error('Error retrieving employee pay periods:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Returns an employee's pay period with its totals and every timekeeping entry within it: its date, hours and
+ * job group, the rate applied, the amount it adds to each premium category and in all, and the report and line
+ * it was uploaded in, so each amount paid can be traced back to the uploaded files.
+ * Endpoint: GET /employees/:id/pay-periods/:start
+ * Query: locale (e.g. fr-CA) to format numbers and dates
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:id/pay-periods/:start', async (req, res) => {
+    const id = parseEmployeeId(req.params.id);
+    if (id === null) {
+        return res.status(400).json({ error: 'id must be a positive whole number' });
+    }
+    if (!isISODate(req.params.start)) {
+        return res.status(400).json({ error: 'start must be the start date of a pay period in YYYY-MM-DD format' });
+    }
+    const { locale } = req.query;
+    if (locale !== undefined && !isLocale(locale)) {
+        return res.status(400).json({ error: 'locale must be a supported locale, e.g. en-US or fr-CA' });
+    }
+    try {
+        const payPeriod = await getPayPeriodEntries(id, req.params.start, { locale });
+        if (!payPeriod) {
+            return res.status(404).json({ error: 'No hours found for this employee and pay period' });
+        }
+        res.json(payPeriod);
+    } catch (error) {
+        console.error('Error retrieving employee pay period:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Adds an employee to the master data. The id is the employee id used in time reports.
+ * Endpoint: POST /employees
+ * Body: { id, name, department?, defaultJobGroup?, currency?, hireDate?, terminationDate?, active? }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.post('/', async (req, res) => {
+    const { id, name } = req.body || {};
+    if (!Number.isInteger(id) || id < 1 || id > MAX_EMPLOYEE_ID) {
+        return res.status(400).json({ error: 'id must be a positive whole number' });
+    }
+    if (name === undefined) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    const { changes, error } = parseEmployee(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const invalid = await checkEmployee({}, changes);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (await employees.getEmployee(id)) {
+            return res.status(409).json({ error: 'Employee already exists' });
+        }
+        res.status(201).json({ employee: await employees.createEmployee({ id, ...changes }) });
+    } catch (error) {
+        console.error('Error creating employee:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Updates an employee's details. Only the properties in the body are changed. A currency change while hours of the
+ * employee are outside closed pay periods is refused with 409, as it would reprice them.
+ * Endpoint: PATCH /employees/:id
+ * Body: { name?, department?, defaultJobGroup?, currency?, hireDate?, terminationDate?, active? }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.patch('/:id', async (req, res) => {
+    const id = parseEmployeeId(req.params.id);
+    if (id === null) {
+        return res.status(400).json({ error: 'id must be a positive whole number' });
+    }
+    const { changes, error } = parseEmployee(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+            error: `Nothing to update: provide one of ${Object.keys(employees.EMPLOYEE_COLUMNS).join(', ')}`
+        });
+    }
+    try {
+        const current = await employees.getEmployee(id);
+        if (!current) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+        const invalid = await checkEmployee(current, changes);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        res.json({ employee: await employees.updateEmployee(id, changes) });
+    } catch (error) {
+        if (error instanceof jobGroups.RepricingError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error updating employee:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const premiums = require('../lib/premiums');
+const { isISODate } = require('../lib/dates');
+
+const router = express.Router();
+
+/**
+ * Lists the statutory holidays, optionally for a single year.
+ * Endpoint: GET /holidays?year=YYYY
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    if (req.query.year !== undefined && !/^\d{4}$/.test(req.query.year)) {
+        return res.status(400).json({ error: 'year must be a four digit year' });
+    }
+    try {
+        const year = req.query.year === undefined ? undefined : Number(req.query.year);
+        res.json({ holidays: await premiums.listHolidays(year) });
+    } catch (error) {
+        console.error('Error retrieving holidays:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Adds a statutory holiday. Hours worked on it are paid with the holiday multiplier.
+ * Endpoint: POST /holidays
+ * Body: { date, name }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.post('/', async (req, res) => {
+    const { date, name } = req.body || {};
+    if (!isISODate(date)) {
+        return res.status(400).json({ error: 'date must be a date in YYYY-MM-DD format' });
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    try {
+        res.status(201).json({ holiday: await premiums.addHoliday(date, name.trim()) });
+    } catch (error) {
+        console.error('Error adding holiday:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Removes a statutory holiday.
+ * Endpoint: DELETE /holidays/:date
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.delete('/:date', async (req, res) => {
+    if (!isISODate(req.params.date)) {
+        return res.status(400).json({ error: 'date must be a date in YYYY-MM-DD format' });
+    }
+    try {
+        if (!(await premiums.deleteHoliday(req.params.date))) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing holiday:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const importProfiles = require('../lib/importProfiles');
+const { ROLES, authorize } = require('../lib/auth');
+const { DEFAULT_PROFILE, columnName } = require('../lib/parsers');
+const { REQUIRED_HEADERS } = require('../lib/validation');
+
+const router = express.Router();
+
+// Profiles are named in upload requests, so their names are kept to characters that need no escaping
+const PROFILE_NAME = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Validates an import profile supplied in a request body and fills in its defaults.
+ * @param {Object} body - The request body.
+ * @returns {Object} - Either `{ profile }` or `{ error }`.
+ */
+function parseProfile(body) {
+    const {
+        delimiter = DEFAULT_PROFILE.delimiter,
+        encoding = DEFAULT_PROFILE.encoding,
+        headerAliases = DEFAULT_PROFILE.headerAliases,
+        ignoreColumns = DEFAULT_PROFILE.ignoreColumns
+    } = body || {};
+    if (typeof delimiter !== 'string' || [...delimiter].length !== 1 || ['"', '\r', '\n'].includes(delimiter)) {
+        return { error: 'delimiter must be a single character other than a quote or a line break' };
+    }
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding);
+    } catch (error) {
+        return { error: 'encoding must be a character encoding such as utf-8, utf-16le or windows-1252' };
+    }
+    const isHeading = (heading) => typeof heading === 'string' && columnName(heading) !== '';
+    const aliasesValid = headerAliases !== null && typeof headerAliases === 'object' && !Array.isArray(headerAliases) &&
+        Object.entries(headerAliases).every(([heading, column]) => (
+            isHeading(heading) && isHeading(column) && REQUIRED_HEADERS.includes(columnName(column))
+        ));
+    if (!aliasesValid) {
+        return { error: `headerAliases must map headings to one of the columns ${REQUIRED_HEADERS.join(', ')}` };
+    }
+    if (!Array.isArray(ignoreColumns) || !ignoreColumns.every(isHeading)) {
+        return { error: 'ignoreColumns must be a list of headings' };
+    }
+    return { profile: { delimiter, encoding: decoder.encoding, headerAliases, ignoreColumns } };
+}
+
+/**
+ * Lists the import profiles uploads can be read with.
+ * Endpoint: GET /import-profiles
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ importProfiles: await importProfiles.listProfiles() });
+    } catch (error) {
+        console.error('Error retrieving import profiles:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Returns a single import profile.
+ * Endpoint: GET /import-profiles/:name
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:name', async (req, res) => {
+    try {
+        const profile = await importProfiles.getProfile(req.params.name);
+        if (!profile) {
+            return res.status(404).json({ error: 'Import profile not found' });
+        }
+        res.json({ importProfile: profile });
+    } catch (error) {
+        console.error('Error retrieving import profile:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Creates an import profile, or replaces the settings of an existing one. Only admins can change profiles.
+ * Endpoint: PUT /import-profiles/:name
+ * Body: { delimiter?, encoding?, headerAliases?, ignoreColumns? }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.put('/:name', authorize(ROLES.admin), async (req, res) => {
+    if (!PROFILE_NAME.test(req.params.name)) {
+        return res.status(400).json({ error: 'Import profile names may only contain letters, digits, - and _' });
+    }
+    const { profile, error } = parseProfile(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        res.json({ importProfile: await importProfiles.setProfile(req.params.name, profile) });
+    } catch (error) {
+        console.error('Error updating import profile:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Removes an import profile. Only admins can change profiles.
+ * Endpoint: DELETE /import-profiles/:name
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.delete('/:name', authorize(ROLES.admin), async (req, res) => {
+    try {
+        if (!(await importProfiles.deleteProfile(req.params.name))) {
+            return res.status(404).json({ error: 'Import profile not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing import profile:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
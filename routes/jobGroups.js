@@ -0,0 +1,131 @@
+const express = require('express');
+const jobGroups = require('../lib/jobGroups');
+const { isISODate } = require('../lib/dates');
+const { isCurrency } = require('../lib/money');
+
+const router = express.Router();
+
+/**
+ * Validates a pay rate supplied in a request body. Rates are kept in cents, so more decimals would be rounded away.
+ * @param {*} rate - The rate to validate.
+ * @returns {boolean} - True when the rate is a non-negative number with at most 2 decimal places.
+ */
+function isValidRate(rate) {
+    return typeof rate === 'number' && Number.isFinite(rate) && rate >= 0 && /^\d+(\.\d{1,2})?$/.test(String(rate));
+}
+
+/**
+ * Lists every job group with its pay rate history.
+ * Endpoint: GET /job-groups
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ jobGroups: await jobGroups.listJobGroups() });
+    } catch (error) {
+        console.error('Error retrieving job groups:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Returns a single job group with its pay rate history.
+ * Endpoint: GET /job-groups/:code
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:code', async (req, res) => {
+    try {
+        const jobGroup = await jobGroups.getJobGroup(req.params.code);
+        if (!jobGroup) {
+            return res.status(404).json({ error: 'Job group not found' });
+        }
+        res.json({ jobGroup });
+    } catch (error) {
+        console.error('Error retrieving job group:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Creates a job group with its first pay rate, in its currency, USD unless given.
+ * Endpoint: POST /job-groups
+ * Body: { code, description?, currency?, rate, effectiveFrom }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.post('/', async (req, res) => {
+    const { code, description, currency, rate, effectiveFrom } = req.body || {};
+    // Entries store the job group in a single character column
+    if (typeof code !== 'string' || !/^[A-Za-z0-9]$/.test(code)) {
+        return res.status(400).json({ error: 'code must be a single letter or digit' });
+    }
+    if (currency !== undefined && !isCurrency(currency)) {
+        return res.status(400).json({ error: 'currency must be an ISO 4217 currency code, e.g. USD' });
+    }
+    if (!isValidRate(rate)) {
+        return res.status(400).json({ error: 'rate must be a non-negative number with at most 2 decimal places' });
+    }
+    if (!isISODate(effectiveFrom)) {
+        return res.status(400).json({ error: 'effectiveFrom must be a date in YYYY-MM-DD format' });
+    }
+    try {
+        if (await jobGroups.getJobGroup(code)) {
+            return res.status(409).json({ error: 'Job group already exists' });
+        }
+        const jobGroup = await jobGroups.createJobGroup({ code, description, currency, rate, effectiveFrom });
+        res.status(201).json({ jobGroup });
+    } catch (error) {
+        console.error('Error creating job group:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Updates a job group's description or currency and/or adds a pay rate effective from a given date, in the job
+ * group's currency or another one employees working in it are paid in. A rate taking effect on or before the latest
+ * hours recorded for the job group in its currency, or a currency change while hours of the job group are outside
+ * closed pay periods, is refused with 409, as it would reprice them.
+ * Endpoint: PATCH /job-groups/:code
+ * Body: { description?, currency?, rate?, rateCurrency?, effectiveFrom? } - rate and effectiveFrom must be provided
+ * together, rateCurrency only with them.
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.patch('/:code', async (req, res) => {
+    const { description, currency, rate, rateCurrency, effectiveFrom } = req.body || {};
+    if (description === undefined && currency === undefined && rate === undefined) {
+        return res.status(400).json({ error: 'Nothing to update: provide a description, a currency or a rate' });
+    }
+    if (currency !== undefined && !isCurrency(currency)) {
+        return res.status(400).json({ error: 'currency must be an ISO 4217 currency code, e.g. USD' });
+    }
+    if (rate !== undefined && !isValidRate(rate)) {
+        return res.status(400).json({ error: 'rate must be a non-negative number with at most 2 decimal places' });
+    }
+    if (rate !== undefined && !isISODate(effectiveFrom)) {
+        return res.status(400).json({ error: 'effectiveFrom must be a date in YYYY-MM-DD format' });
+    }
+    if (rateCurrency !== undefined && (rate === undefined || !isCurrency(rateCurrency))) {
+        return res.status(400).json({ error: 'rateCurrency must be an ISO 4217 currency code given with a rate' });
+    }
+    try {
+        if (!(await jobGroups.getJobGroup(req.params.code))) {
+            return res.status(404).json({ error: 'Job group not found' });
+        }
+        const jobGroup = await jobGroups.updateJobGroup(
+            req.params.code,
+            { description, currency, rate, rateCurrency, effectiveFrom }
+        );
+        res.json({ jobGroup });
+    } catch (error) {
+        if (error instanceof jobGroups.RepricingError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error updating job group:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
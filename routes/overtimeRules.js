@@ -0,0 +1,67 @@
+const express = require('express');
+const premiums = require('../lib/premiums');
+
+const router = express.Router();
+
+/**
+ * Validates the overtime rules supplied in a request body. Omitted fields take their default value.
+ * @param {Object} body - The request body.
+ * @returns {Object} - Either `{ rules }` or `{ error }`.
+ */
+function parseRules(body) {
+    const rules = { ...premiums.DEFAULT_OVERTIME_RULES, ...(body || {}) };
+    for (const name of ['dailyThreshold', 'dailyDoubleTimeThreshold', 'weeklyThreshold']) {
+        if (rules[name] !== null && (typeof rules[name] !== 'number' || !(rules[name] > 0))) {
+            return { error: `${name} must be a positive number of hours, or null to disable it` };
+        }
+    }
+    for (const name of ['overtimeMultiplier', 'doubleTimeMultiplier', 'holidayMultiplier']) {
+        const value = Number(rules[name]);
+        if (typeof rules[name] === 'boolean' || !Number.isFinite(value) || value < 1) {
+            return { error: `${name} must be a number of at least 1` };
+        }
+        rules[name] = value;
+    }
+    if (rules.dailyThreshold !== null && rules.dailyDoubleTimeThreshold !== null
+        && rules.dailyDoubleTimeThreshold <= rules.dailyThreshold) {
+        return { error: 'dailyDoubleTimeThreshold must be greater than dailyThreshold' };
+    }
+    return { rules };
+}
+
+/**
+ * Returns the overtime rules used by the payroll report.
+ * Endpoint: GET /overtime-rules
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ overtimeRules: await premiums.getOvertimeRules() });
+    } catch (error) {
+        console.error('Error retrieving overtime rules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Replaces the overtime rules used by the payroll report.
+ * Endpoint: PUT /overtime-rules
+ * Body: { dailyThreshold, dailyDoubleTimeThreshold, weeklyThreshold, overtimeMultiplier, doubleTimeMultiplier, holidayMultiplier }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.put('/', async (req, res) => {
+    const { rules, error } = parseRules(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        res.json({ overtimeRules: await premiums.setOvertimeRules(rules) });
+    } catch (error) {
+        console.error('Error updating overtime rules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
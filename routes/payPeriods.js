@@ -0,0 +1,148 @@
+const express = require('express');
+const payPeriodClosing = require('../lib/payPeriodClosing');
+const paySchedules = require('../lib/paySchedules');
+const jobGroups = require('../lib/jobGroups');
+const { getPayPeriod } = require('../lib/payPeriods');
+const { requestActor } = require('../lib/audit');
+const { isISODate } = require('../lib/dates');
+
+const router = express.Router();
+
+const STATUSES = ['open', 'closed'];
+const MAX_PAY_PERIOD_ID = 2147483647;
+
+/**
+ * Validates the :id route parameter.
+ * @param {string} id - The raw route parameter.
+ * @returns {number|null} - The pay period id, or null when it isn't a valid id.
+ */
+function parsePayPeriodId(id) {
+    return /^\d+$/.test(id) && Number(id) >= 1 && Number(id) <= MAX_PAY_PERIOD_ID ? Number(id) : null;
+}
+
+/**
+ * Lists the pay periods, oldest first.
+ * Endpoint: GET /pay-periods?status=open|closed
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+    try {
+        res.json({ payPeriods: await payPeriodClosing.listPayPeriods({ status }) });
+    } catch (error) {
+        console.error('Error retrieving pay periods:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Returns a pay period with the totals kept when it closed.
+ * Endpoint: GET /pay-periods/:id
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:id', async (req, res) => {
+    const id = parsePayPeriodId(req.params.id);
+    try {
+        const payPeriod = id === null ? null : await payPeriodClosing.findPayPeriod(id);
+        if (!payPeriod) {
+            return res.status(404).json({ error: 'Pay period not found' });
+        }
+        res.json({ payPeriod, totals: await payPeriodClosing.getPeriodTotals(id) });
+    } catch (error) {
+        console.error('Error retrieving pay period:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Opens the pay period starting on a date, under the pay schedule of a job group or the company wide default.
+ * Pay periods can't overlap.
+ * Endpoint: POST /pay-periods
+ * Body: { startDate, jobGroup? }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.post('/', async (req, res) => {
+    const { startDate, jobGroup = null } = req.body || {};
+    if (!isISODate(startDate)) {
+        return res.status(400).json({ error: 'startDate must be a date in YYYY-MM-DD format' });
+    }
+    try {
+        if (jobGroup !== null && !(await jobGroups.getJobGroup(String(jobGroup)))) {
+            return res.status(400).json({ error: `Unknown job group: ${jobGroup}` });
+        }
+        const schedule = await paySchedules.getSchedule(jobGroup === null ? null : String(jobGroup));
+        const { startDate: periodStart, endDate } = getPayPeriod(startDate, schedule);
+        if (periodStart !== startDate) {
+            return res.status(400).json({
+                error: `startDate must be the first day of a pay period, the one containing it starts on ${periodStart}`
+            });
+        }
+        const overlapping = await payPeriodClosing.findOverlappingPeriod(startDate, endDate);
+        const payPeriod = overlapping ? null : await payPeriodClosing.createPayPeriod(startDate, endDate);
+        if (!payPeriod) {
+            return res.status(409).json({ error: 'Pay period overlaps an existing one' });
+        }
+        res.status(201).json({ payPeriod });
+    } catch (error) {
+        console.error('Error creating pay period:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Closes a pay period. Its entries can't be uploaded, replaced or deleted until it is reopened, and its report
+ * totals and pay stubs are kept as they are, so later rate changes don't alter what was paid out.
+ * Endpoint: POST /pay-periods/:id/close
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.post('/:id/close', async (req, res) => {
+    const id = parsePayPeriodId(req.params.id);
+    try {
+        const existing = id === null ? null : await payPeriodClosing.findPayPeriod(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Pay period not found' });
+        }
+        const payPeriod = await payPeriodClosing.closePayPeriod(id, { actor: requestActor(req) });
+        if (!payPeriod) {
+            return res.status(409).json({ error: 'Pay period is already closed' });
+        }
+        res.json({ payPeriod });
+    } catch (error) {
+        console.error('Error closing pay period:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Reopens a closed pay period, so its entries can change again. Its report totals and pay stubs are calculated
+ * from the current rates again.
+ * Endpoint: POST /pay-periods/:id/reopen
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.post('/:id/reopen', async (req, res) => {
+    const id = parsePayPeriodId(req.params.id);
+    try {
+        const existing = id === null ? null : await payPeriodClosing.findPayPeriod(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Pay period not found' });
+        }
+        const payPeriod = await payPeriodClosing.reopenPayPeriod(id, { actor: requestActor(req) });
+        if (!payPeriod) {
+            return res.status(409).json({ error: 'Pay period is not closed' });
+        }
+        res.json({ payPeriod });
+    } catch (error) {
+        console.error('Error reopening pay period:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const paySchedules = require('../lib/paySchedules');
+const jobGroups = require('../lib/jobGroups');
+const { SCHEDULE_TYPES, DEFAULT_SCHEDULE, dayOfWeek, getPayPeriod } = require('../lib/payPeriods');
+const { isISODate } = require('../lib/dates');
+const { PeriodClosedError } = require('../lib/payPeriodClosing');
+
+const router = express.Router();
+
+/**
+ * Validates a pay schedule supplied in a request body and fills in its defaults.
+ * When only an anchor date is given, the week starts on the anchor's day of the week.
+ * @param {Object} body - The request body.
+ * @returns {Object} - Either `{ schedule }` or `{ error }`.
+ */
+function parseSchedule(body) {
+    const { type, anchorDate = null, weekStart } = body || {};
+    if (!SCHEDULE_TYPES.includes(type)) {
+        return { error: `type must be one of ${SCHEDULE_TYPES.join(', ')}` };
+    }
+    if (anchorDate !== null && !isISODate(anchorDate)) {
+        return { error: 'anchorDate must be a date in YYYY-MM-DD format' };
+    }
+    if (weekStart !== undefined && (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6)) {
+        return { error: 'weekStart must be an integer between 0 (Sunday) and 6 (Saturday)' };
+    }
+    if (anchorDate !== null && weekStart !== undefined && dayOfWeek(anchorDate) !== weekStart) {
+        return { error: 'anchorDate must fall on weekStart' };
+    }
+    const defaultWeekStart = anchorDate !== null ? dayOfWeek(anchorDate) : DEFAULT_SCHEDULE.weekStart;
+    return { schedule: { type, anchorDate, weekStart: weekStart ?? defaultWeekStart } };
+}
+
+/**
+ * Resolves the :scope route parameter, which is either 'default' or a job group code.
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ * @returns {Promise<string|null|undefined>} - The job group code, null for the default schedule, or undefined
+ * after responding with a 404 because the job group does not exist.
+ */
+async function resolveScope(req, res) {
+    if (req.params.scope === 'default') {
+        return null;
+    }
+    if (!(await jobGroups.getJobGroup(req.params.scope))) {
+        res.status(404).json({ error: 'Job group not found' });
+        return undefined;
+    }
+    return req.params.scope;
+}
+
+/**
+ * Lists the company wide default pay schedule and the job group specific schedules.
+ * Endpoint: GET /pay-schedules
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ paySchedules: await paySchedules.listSchedules() });
+    } catch (error) {
+        console.error('Error retrieving pay schedules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Returns the pay period containing a date under the schedule in effect for a job group or the default.
+ * Endpoint: GET /pay-schedules/:scope/period?date=YYYY-MM-DD
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:scope/period', async (req, res) => {
+    if (!isISODate(req.query.date)) {
+        return res.status(400).json({ error: 'date must be a date in YYYY-MM-DD format' });
+    }
+    try {
+        const jobGroup = await resolveScope(req, res);
+        if (jobGroup === undefined) {
+            return;
+        }
+        const schedule = await paySchedules.getSchedule(jobGroup);
+        res.json({ schedule, payPeriod: getPayPeriod(req.query.date, schedule) });
+    } catch (error) {
+        console.error('Error calculating pay period:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Sets the company wide default pay schedule, or the schedule of a single job group. A change that would re-cut
+ * the pay periods of a closed pay period gets a 409 status.
+ * Endpoint: PUT /pay-schedules/:scope
+ * Body: { type, anchorDate?, weekStart? }
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.put('/:scope', async (req, res) => {
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const jobGroup = await resolveScope(req, res);
+        if (jobGroup === undefined) {
+            return;
+        }
+        res.json({ paySchedule: await paySchedules.setSchedule(jobGroup, schedule) });
+    } catch (error) {
+        if (error instanceof PeriodClosedError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error updating pay schedule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Removes a job group's own pay schedule so it is paid on the company wide default again, unless that would re-cut
+ * the pay periods of a closed pay period (409).
+ * Endpoint: DELETE /pay-schedules/:jobGroup
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.delete('/:jobGroup', async (req, res) => {
+    if (req.params.jobGroup === 'default') {
+        return res.status(400).json({ error: 'The default pay schedule can be changed but not removed' });
+    }
+    try {
+        if (!(await paySchedules.deleteSchedule(req.params.jobGroup))) {
+            return res.status(404).json({ error: 'Pay schedule not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        if (error instanceof PeriodClosedError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error removing pay schedule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const path = require('path');
+const timesheets = require('../lib/timesheets');
+const { formatOf, emptyFileError } = require('../lib/parsers');
+const { getProfile } = require('../lib/importProfiles');
+const { ValidationError } = require('../lib/validation');
+const { requestActor } = require('../lib/audit');
+const { PeriodClosedError } = require('../lib/payPeriodClosing');
+
+const router = express.Router();
+
+/**
+ * Replaces every entry of an uploaded time report with the rows of a corrected file. The file is validated
+ * like a new upload, and the previous version is kept in the report's history.
+ * Endpoint: PUT /reports/:reportId (multipart form with a file field, dateFormat declares the date format and
+ * profile names the import profile to read the file with)
+ * Middleware: upload.single('file') - Handles the uploaded file and writes it to disk then provides it via req.file
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.put('/:reportId', timesheets.upload.single('file'), async (req, res) => {
+    const { reportId } = req.params;
+    const file = req.file;
+    const dateFormat = (req.body && req.body.dateFormat) || req.query.dateFormat;
+    const profileName = (req.body && req.body.profile) || req.query.profile;
+    const requestError = checkReplacement(reportId, file, dateFormat);
+    if (requestError) {
+        if (file) {
+            await timesheets.unlinkAsync(file.path).catch(() => {});
+        }
+        return res.status(400).json({ error: requestError });
+    }
+    try {
+        if (!(await timesheets.getReport(reportId))) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        const profile = profileName === undefined ? undefined : await getProfile(String(profileName));
+        if (profile === null) {
+            return res.status(400).json({ error: `Unknown import profile: ${profileName}` });
+        }
+        const format = formatOf(file.originalname);
+        const timesheet = await timesheets.openTimesheet(file.path, { dateFormat, format, profile });
+        if (!timesheet) {
+            return res.status(400).json({ error: emptyFileError(format) });
+        }
+        const checksum = await timesheets.checksumFile(file.path);
+        const replaced = await timesheets.replaceReport(reportId, file.originalname, timesheet, { actor: requestActor(req), checksum });
+        if (!replaced) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        const { report, rowCount, warnings } = replaced;
+        res.json({
+            message: 'Report replaced successfully',
+            report: { ...report, rowCount },
+            ...(warnings.length > 0 && { warnings })
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(422).json({ error: error.message, errors: error.errors, warnings: error.warnings });
+        }
+        if (error instanceof PeriodClosedError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error replacing report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        // Clean up uploaded file, one that is already gone must not fail a request that has been answered
+        await timesheets.unlinkAsync(file.path).catch(() => {});
+    }
+});
+
+/**
+ * Deletes an uploaded time report and its entries. The deleted version is kept in the report's history.
+ * Endpoint: DELETE /reports/:reportId
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.delete('/:reportId', async (req, res) => {
+    try {
+        if (!(await timesheets.deleteReport(req.params.reportId, { actor: requestActor(req) }))) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        if (error instanceof PeriodClosedError) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error deleting report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Lists the replaced and deleted versions of a time report, newest first.
+ * Endpoint: GET /reports/:reportId/versions
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:reportId/versions', async (req, res) => {
+    try {
+        res.json({ versions: await timesheets.listReportVersions(req.params.reportId) });
+    } catch (error) {
+        console.error('Error retrieving report versions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Checks a replacement upload before it is read. A file named after a time report must be named after the
+ * report it replaces, so a correction can't land on the wrong report.
+ * @param {string} reportId - The id of the report being replaced.
+ * @param {Object} file - The uploaded file provided by multer, if any.
+ * @param {string} [dateFormat] - The date format declared by the upload.
+ * @returns {string|null} - The error to respond with, or null when the request is acceptable.
+ */
+function checkReplacement(reportId, file, dateFormat) {
+    const requestError = timesheets.checkUploadRequest(file, dateFormat);
+    if (requestError) {
+        return requestError;
+    }
+    const match = path.basename(file.originalname, path.extname(file.originalname)).match(/^time-report-(\d+)$/);
+    if (match && match[1] !== reportId) {
+        return `File is for report ${match[1]}, not report ${reportId}`;
+    }
+    return null;
+}
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const uploadJobs = require('../lib/uploadJobs');
+const { ROLES } = require('../lib/auth');
+const { requestActor } = require('../lib/audit');
+
+const router = express.Router();
+
+// Upload jobs are identified by a UUID
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How often an event stream checks its job for changes. The job may be stored by a worker of another process
+const EVENTS_POLL_MS = 1000;
+
+/**
+ * Retrieves the upload job a request is for. Uploaders only see the jobs of their own uploads.
+ * @param {Object} req - The Express.js request object.
+ * @returns {Promise<Object|null>} - A promise that resolves to the job, or null if there is none to show.
+ */
+async function requestedJob(req) {
+    if (!JOB_ID.test(req.params.jobId)) {
+        return null;
+    }
+    const job = await uploadJobs.getUploadJob(req.params.jobId);
+    if (!job || (req.user.role === ROLES.uploader && job.uploadedBy !== requestActor(req))) {
+        return null;
+    }
+    return job;
+}
+
+/**
+ * Names the server-sent event announcing a job's state.
+ * @param {Object} job - The job.
+ * @returns {string} - 'completed' or 'failed' once the job is finished, otherwise 'progress'.
+ */
+function jobEvent(job) {
+    return ['completed', 'failed'].includes(job.state) ? job.state : 'progress';
+}
+
+/**
+ * Reports the state and progress of an upload job, and the problems found once it is finished.
+ * Endpoint: GET /uploads/:jobId
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:jobId', async (req, res) => {
+    try {
+        const job = await requestedJob(req);
+        if (!job) {
+            return res.status(404).json({ error: 'Upload job not found' });
+        }
+        res.json({ job });
+    } catch (error) {
+        console.error('Error retrieving upload job:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Streams the progress of an upload job as server-sent events: a 'progress' event whenever the job changes,
+ * then a 'completed' or 'failed' event, after which the stream ends. Each event carries the job as JSON.
+ * Endpoint: GET /uploads/:jobId/events
+ * @param {Object} req - The Express.js request object.
+ * @param {Object} res - The Express.js response object.
+ */
+router.get('/:jobId/events', async (req, res) => {
+    let job;
+    try {
+        job = await requestedJob(req);
+    } catch (error) {
+        console.error('Error retrieving upload job:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    let timer = null;
+    let sent = null;
+    let closed = false;
+    // Stop polling when the client goes away
+    res.on('close', () => {
+        closed = true;
+        clearTimeout(timer);
+    });
+
+    const send = async () => {
+        if (closed) {
+            return;
+        }
+        const data = JSON.stringify(job);
+        if (data !== sent) {
+            res.write(`event: ${jobEvent(job)}\ndata: ${data}\n\n`);
+            sent = data;
+        }
+        if (jobEvent(job) !== 'progress') {
+            return res.end();
+        }
+        timer = setTimeout(async () => {
+            try {
+                job = await uploadJobs.getUploadJob(job.jobId);
+                await send();
+            } catch (error) {
+                console.error('Error retrieving upload job:', error);
+                res.end();
+            }
+        }, EVENTS_POLL_MS);
+    };
+    await send();
+});
+
+module.exports = router;